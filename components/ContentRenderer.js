@@ -1,3 +1,5 @@
+import UIComponents from '../utils/UIComponents.js';
+
 /**
  * Content Renderer component for displaying Steem posts and previews
  * Provides consistent rendering across post view and create post preview
@@ -14,6 +16,7 @@ class ContentRenderer {
       enableYouTube: true,
       videoDimensions: { width: '100%', height: '480px' },
       useSteemContentRenderer: true,
+      nsfw: false,
       ...options
     };
     
@@ -60,7 +63,7 @@ class ContentRenderer {
    * @param {Object} data - Content data to render
    * @param {string} data.title - Post title
    * @param {string} data.body - Post body content (markdown)
-   * @param {Object} options - Override default options
+   * @param {Object} options - Override default options (nsfw: blur the content until revealed)
    * @returns {Object} Rendered elements (container, title, content, images)
    */
   render(data, options = {}) {
@@ -108,10 +111,16 @@ class ContentRenderer {
       }
     }
     
+    // Read the HTML before the NSFW cover is added
+    const content = container.innerHTML;
+    if (mergedOptions.nsfw) {
+      UIComponents.applyNsfwBlur(container);
+    }
+    
     // Return the rendered content and metadata
     return {
       container,
-      content: container.innerHTML,
+      content,
       images,
       title: data.title || ''
     };
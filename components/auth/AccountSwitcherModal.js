@@ -1,5 +1,6 @@
 import Component from '../Component.js';
 import authService from '../../services/AuthService.js';
+import notificationsService from '../../services/NotificationsService.js';
 import eventEmitter from '../../utils/EventEmitter.js';
 
 /**
@@ -471,6 +472,7 @@ export default class AccountSwitcherModal extends Component {
     // Assemble the item
     accountItem.appendChild(avatar);
     accountItem.appendChild(userInfo);
+    accountItem.appendChild(this.createUnreadBadge(account.username));
     accountItem.appendChild(rightElement);
     
     // Add hover effects only for non-current accounts
@@ -519,6 +521,41 @@ export default class AccountSwitcherModal extends Component {
     return accountItem;
   }
   
+  /**
+   * Creates the unread notifications badge of an account, shown once the count is known
+   * @param {string} username - Account to count notifications for
+   * @returns {HTMLElement} - Badge element
+   */
+  createUnreadBadge(username) {
+    const badge = document.createElement('div');
+    badge.className = 'account-unread-badge';
+    badge.style.display = 'none';
+    badge.style.alignItems = 'center';
+    badge.style.justifyContent = 'center';
+    badge.style.minWidth = '20px';
+    badge.style.height = '20px';
+    badge.style.padding = '0 6px';
+    badge.style.borderRadius = '10px';
+    badge.style.backgroundColor = 'var(--primary-color, #ff7518)';
+    badge.style.color = 'white';
+    badge.style.fontSize = '0.75rem';
+    badge.style.fontWeight = '600';
+    badge.style.marginLeft = '8px';
+    
+    notificationsService.getUnreadCountForAccount(username)
+      .then(count => {
+        if (!count) return;
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.title = `${count} unread notification${count === 1 ? '' : 's'}`;
+        badge.style.display = 'flex';
+      })
+      .catch(error => {
+        console.error(`Error counting unread notifications for ${username}:`, error);
+      });
+    
+    return badge;
+  }
+  
   /**
    * Creates a badge for authentication method
    * @param {string} text - Text to display in badge 
@@ -9,6 +9,41 @@ class ActiveKeyInputComponent extends Component {
     }
 
     async promptForActiveKey(title = 'Enter Active Key') {
+        return this.promptForKey(title);
+    }
+
+    /**
+     * Asks for the owner key, or the master password it derives from
+     * @param {string} title - Modal title
+     * @returns {Promise<string|null>} Owner key or master password, null if cancelled
+     */
+    async promptForOwnerKey(title = 'Enter Owner Key') {
+        return this.promptForKey(title, {
+            placeholder: 'Your Owner Key or current Master Password',
+            note: 'Your owner key and password are never stored and are only used for this transaction.',
+            // Master passwords are accepted as-is, the caller derives the owner key
+            validate: (key) => {
+                const cleanedKey = key.trim();
+                return cleanedKey
+                    ? { valid: true, key: cleanedKey, error: null }
+                    : { valid: false, key: cleanedKey, error: 'Please enter your owner key or master password.' };
+            }
+        });
+    }
+
+    /**
+     * Shows the key modal
+     * @param {string} title - Modal title
+     * @param {Object} options - { placeholder, note, validate(key) => { valid, key, error } }
+     * @returns {Promise<string|null>} Validated key, null if cancelled
+     */
+    async promptForKey(title, options = {}) {
+        const {
+            placeholder = 'Your Active Key',
+            note = 'Your key is never stored and is only used for this transaction.',
+            validate = null
+        } = options;
+
         return new Promise((resolve) => {
             // Create modal HTML directly
             const modalHTML = `
@@ -20,13 +55,13 @@ class ActiveKeyInputComponent extends Component {
                                 <input type="password" 
                                        id="activeKeyInput-${this.modalId}" 
                                        class="auth-input" 
-                                       placeholder="Your Active Key" 
+                                       placeholder="${placeholder}" 
                                        required>
                                 <div class="auth-error" id="keyError-${this.modalId}"></div>
                             </div>
                             
                             <div class="auth-security-note">
-                                <strong>Security Note:</strong> Your key is never stored and is only used for this transaction.
+                                <strong>Security Note:</strong> ${note}
                             </div>
                             
                             <div class="auth-modal-footer">
@@ -83,7 +118,7 @@ class ActiveKeyInputComponent extends Component {
                     e.preventDefault();
                     
                     const rawKey = keyInput.value;
-                    const validation = validateActiveKey(rawKey);
+                    const validation = (validate || validateActiveKey)(rawKey);
                     
                     if (!validation.valid) {
                         keyError.textContent = validation.error;
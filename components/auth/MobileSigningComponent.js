@@ -0,0 +1,74 @@
+import Component from '../Component.js';
+
+class MobileSigningComponent extends Component {
+    constructor() {
+        super();
+        this.modalId = 'mobileSigningOverlay-' + Math.random().toString(36).substring(2, 9);
+    }
+
+    /**
+     * Asks where to sign operations when the Keychain extension is not available
+     * @param {Object} options - { operations, keyType, allowSteemLogin }
+     *   allowSteemLogin is false when the operations cannot be signed on SteemLogin
+     * @returns {Promise<string|null>} 'keychain' or 'steemlogin', null if the user cancelled
+     */
+    async promptForApp({ operations, keyType = 'posting', allowSteemLogin = true }) {
+        return new Promise((resolve) => {
+            const modalHTML = `
+                <div class="auth-modal-overlay" id="${this.modalId}">
+                    <div class="auth-modal-content">
+                        <h3 class="auth-modal-header">Sign in another app</h3>
+                        <p class="mobile-signing-text"></p>
+                        <div class="mobile-signing-apps">
+                            <button type="button" class="auth-btn auth-btn-primary" data-app="keychain">Keychain Mobile</button>
+                            <button type="button" class="auth-btn auth-btn-secondary" data-app="steemlogin">SteemLogin</button>
+                        </div>
+                        <div class="auth-modal-footer">
+                            <button type="button" class="auth-btn auth-btn-secondary mobile-signing-cancel">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = modalHTML;
+            document.body.appendChild(modalContainer.firstElementChild);
+
+            const modal = document.getElementById(this.modalId);
+            const names = operations.map(([name]) => name.replace(/_/g, ' ')).join(', ');
+
+            modal.querySelector('.mobile-signing-text').textContent =
+                `Steem Keychain is not available in this browser. Choose where to sign ${names} with your ${keyType} key; you will come back here afterwards.`;
+
+            if (!allowSteemLogin) {
+                // SteemLogin would split the operations into separate transactions
+                modal.querySelector('[data-app="steemlogin"]').remove();
+                modal.querySelector('.mobile-signing-text').textContent +=
+                    ' These operations must be signed together, which only Keychain Mobile can do.';
+            }
+
+            const finish = (result) => {
+                document.removeEventListener('keydown', handleKeyDown);
+                if (modal && document.body.contains(modal)) {
+                    document.body.removeChild(modal);
+                }
+                resolve(result);
+            };
+
+            const handleKeyDown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(null);
+                }
+            };
+
+            modal.querySelectorAll('[data-app]').forEach(button => {
+                button.addEventListener('click', () => finish(button.dataset.app));
+            });
+            modal.querySelector('.mobile-signing-cancel').addEventListener('click', () => finish(null));
+            document.addEventListener('keydown', handleKeyDown);
+        });
+    }
+}
+
+export default new MobileSigningComponent();
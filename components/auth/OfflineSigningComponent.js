@@ -0,0 +1,221 @@
+import Component from '../Component.js';
+import { renderQrCode, decodeQrFromFile, startQrScanner } from '../../utils/QrCodeUtils.js';
+
+class OfflineSigningComponent extends Component {
+    constructor() {
+        super();
+        this.modalId = 'offlineSigningOverlay-' + Math.random().toString(36).substring(2, 9);
+    }
+
+    /**
+     * Exports an unsigned transaction and waits for the signed copy to come back
+     * @param {Object} options - { transaction, keyType, onSubmit(signedTransaction) }
+     *   `onSubmit` broadcasts the signed transaction; when it throws the error is shown
+     *   and the user can try again
+     * @returns {Promise<Object|null>} What onSubmit returned, null if the user cancelled
+     */
+    async promptForSignedTransaction({ transaction, keyType = 'active', onSubmit }) {
+        return new Promise((resolve) => {
+            const transactionJson = JSON.stringify(transaction, null, 2);
+            const expiresAt = new Date(transaction.expiration + 'Z').toLocaleTimeString([], {
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+
+            const modalHTML = `
+                <div class="auth-modal-overlay" id="${this.modalId}">
+                    <div class="auth-modal-content offline-signing">
+                        <h3 class="auth-modal-header">Sign offline</h3>
+                        <section class="offline-signing-step">
+                            <h4>1. Sign on your offline device</h4>
+                            <p class="offline-signing-hint"></p>
+                            <div class="offline-signing-qr">Generating QR code...</div>
+                            <textarea class="offline-signing-unsigned" rows="6" readonly></textarea>
+                            <div class="offline-signing-actions">
+                                <button type="button" class="auth-btn auth-btn-secondary offline-signing-copy">Copy JSON</button>
+                                <button type="button" class="auth-btn auth-btn-secondary offline-signing-download">Download</button>
+                            </div>
+                        </section>
+                        <section class="offline-signing-step">
+                            <h4>2. Bring the signed transaction back</h4>
+                            <textarea class="offline-signing-signed" rows="6" placeholder="Paste the signed transaction (JSON)"></textarea>
+                            <video class="offline-signing-camera" muted hidden></video>
+                            <div class="offline-signing-actions">
+                                <button type="button" class="auth-btn auth-btn-secondary offline-signing-scan">Scan QR code</button>
+                                <label class="auth-btn auth-btn-secondary offline-signing-upload">
+                                    QR code image
+                                    <input type="file" accept="image/*" hidden>
+                                </label>
+                            </div>
+                            <div class="offline-signing-error" hidden></div>
+                        </section>
+                        <div class="auth-modal-footer">
+                            <button type="button" class="auth-btn auth-btn-secondary offline-signing-cancel">Cancel</button>
+                            <button type="button" class="auth-btn auth-btn-primary offline-signing-broadcast">Broadcast</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = modalHTML;
+            document.body.appendChild(modalContainer.firstElementChild);
+
+            const modal = document.getElementById(this.modalId);
+            const qrContainer = modal.querySelector('.offline-signing-qr');
+            const signedInput = modal.querySelector('.offline-signing-signed');
+            const camera = modal.querySelector('.offline-signing-camera');
+            const scanBtn = modal.querySelector('.offline-signing-scan');
+            const fileInput = modal.querySelector('.offline-signing-upload input');
+            const errorEl = modal.querySelector('.offline-signing-error');
+            const broadcastBtn = modal.querySelector('.offline-signing-broadcast');
+            let stopScanner = null;
+            // startQrScanner waits for the camera permission prompt: these tell a pending start
+            // that the modal was closed or the scan stopped meanwhile
+            let closed = false;
+            let scanStarting = false;
+            let scanAttempt = 0;
+
+            modal.querySelector('.offline-signing-hint').textContent =
+                `Scan or copy this transaction and sign it with your ${keyType} key. It expires at ${expiresAt}.`;
+            modal.querySelector('.offline-signing-unsigned').value = transactionJson;
+
+            renderQrCode(qrContainer, JSON.stringify(transaction)).catch(error => {
+                console.error('QR code generation failed:', error);
+                qrContainer.textContent = 'QR code not available, use the JSON below.';
+            });
+
+            const showError = (message) => {
+                errorEl.textContent = message;
+                errorEl.hidden = !message;
+            };
+
+            const closeScanner = () => {
+                scanAttempt++;
+                scanStarting = false;
+                if (stopScanner) {
+                    stopScanner();
+                    stopScanner = null;
+                }
+                camera.hidden = true;
+                scanBtn.textContent = 'Scan QR code';
+            };
+
+            const finish = (result) => {
+                closed = true;
+                closeScanner();
+                document.removeEventListener('keydown', handleKeyDown);
+                if (modal && document.body.contains(modal)) {
+                    document.body.removeChild(modal);
+                }
+                resolve(result);
+            };
+
+            const handleKeyDown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(null);
+                }
+            };
+
+            modal.querySelector('.offline-signing-copy').addEventListener('click', () => {
+                showError('');
+                navigator.clipboard.writeText(transactionJson).catch(error => {
+                    console.error('Clipboard write failed:', error);
+                    showError('Copy failed, select the JSON below.');
+                });
+            });
+
+            modal.querySelector('.offline-signing-download').addEventListener('click', () => {
+                const blob = new Blob([transactionJson], { type: 'application/json' });
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = `unsigned-${transaction.operations[0][0]}-${transaction.ref_block_num}.json`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                // Revoking right away can cancel the download before it starts
+                setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            });
+
+            scanBtn.addEventListener('click', async () => {
+                if (stopScanner || scanStarting) {
+                    closeScanner();
+                    return;
+                }
+
+                showError('');
+                const attempt = ++scanAttempt;
+                scanStarting = true;
+                try {
+                    camera.hidden = false;
+                    scanBtn.textContent = 'Stop scanning';
+                    const stop = await startQrScanner(camera, (text) => {
+                        stopScanner = null;
+                        closeScanner();
+                        signedInput.value = text;
+                    });
+
+                    if (closed || attempt !== scanAttempt) {
+                        // Nobody is waiting for this scan any more: release the camera now
+                        stop();
+                        return;
+                    }
+                    scanStarting = false;
+                    stopScanner = stop;
+                } catch (error) {
+                    if (closed || attempt !== scanAttempt) return;
+                    console.error('QR scanner error:', error);
+                    closeScanner();
+                    showError('Could not use the camera. Paste the transaction or load a picture of the QR code.');
+                }
+            });
+
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+
+                showError('');
+                try {
+                    const text = await decodeQrFromFile(file);
+                    if (text) {
+                        signedInput.value = text;
+                    } else {
+                        showError('No QR code found in the picture.');
+                    }
+                } catch (error) {
+                    console.error('QR image decoding failed:', error);
+                    showError('Could not read the picture.');
+                }
+            });
+
+            broadcastBtn.addEventListener('click', async () => {
+                let signedTransaction;
+                try {
+                    signedTransaction = JSON.parse(signedInput.value);
+                } catch (error) {
+                    showError('The signed transaction is not valid JSON.');
+                    return;
+                }
+
+                showError('');
+                broadcastBtn.disabled = true;
+                broadcastBtn.textContent = 'Broadcasting...';
+
+                try {
+                    finish(await onSubmit(signedTransaction));
+                } catch (error) {
+                    showError(error.message || 'Broadcast failed');
+                    broadcastBtn.disabled = false;
+                    broadcastBtn.textContent = 'Broadcast';
+                }
+            });
+
+            modal.querySelector('.offline-signing-cancel').addEventListener('click', () => finish(null));
+            document.addEventListener('keydown', handleKeyDown);
+        });
+    }
+}
+
+export default new OfflineSigningComponent();
@@ -0,0 +1,134 @@
+import Component from '../Component.js';
+
+class SigningConfirmationComponent extends Component {
+    constructor() {
+        super();
+        this.modalId = 'signingSheetOverlay-' + Math.random().toString(36).substring(2, 9);
+    }
+
+    /**
+     * Shows the operations of a transaction before it is signed
+     * @param {Object} options - { operations: described operations, keyType, rememberLabel }
+     *   `rememberLabel` adds a "don't ask again" checkbox for that kind of operation
+     * @returns {Promise<Object>} { confirmed, remember }
+     */
+    async promptForConfirmation({ operations = [], keyType = 'posting', rememberLabel = null } = {}) {
+        return new Promise((resolve) => {
+            const modalHTML = `
+                <div class="auth-modal-overlay signing-sheet-overlay" id="${this.modalId}">
+                    <div class="auth-modal-content signing-sheet">
+                        <h3 class="auth-modal-header">Confirm transaction</h3>
+                        <p class="signing-sheet-key">
+                            <span class="material-icons">vpn_key</span>
+                            <span class="signing-sheet-key-text"></span>
+                        </p>
+                        <div class="signing-sheet-operations"></div>
+                        <label class="signing-sheet-remember">
+                            <input type="checkbox" class="signing-sheet-remember-input">
+                            <span class="signing-sheet-remember-text"></span>
+                        </label>
+                        <div class="auth-modal-footer">
+                            <button type="button" class="auth-btn auth-btn-secondary signing-sheet-reject">Reject</button>
+                            <button type="button" class="auth-btn auth-btn-primary signing-sheet-sign">Sign and broadcast</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = modalHTML;
+            document.body.appendChild(modalContainer.firstElementChild);
+
+            const modal = document.getElementById(this.modalId);
+            const operationsContainer = modal.querySelector('.signing-sheet-operations');
+            const rememberLabelEl = modal.querySelector('.signing-sheet-remember');
+            const rememberInput = modal.querySelector('.signing-sheet-remember-input');
+            const rejectBtn = modal.querySelector('.signing-sheet-reject');
+            const signBtn = modal.querySelector('.signing-sheet-sign');
+
+            modal.querySelector('.signing-sheet-key-text').textContent = keyType === 'posting'
+                ? 'Signed with your posting key'
+                : `Signed with your ${keyType} key, which controls your funds`;
+
+            operations.forEach(operation => {
+                operationsContainer.appendChild(this.createOperationCard(operation));
+            });
+
+            if (rememberLabel) {
+                modal.querySelector('.signing-sheet-remember-text').textContent = `Don't ask again for ${rememberLabel}`;
+            } else {
+                rememberLabelEl.remove();
+            }
+
+            const finish = (confirmed) => {
+                document.removeEventListener('keydown', handleKeyDown);
+                if (modal && document.body.contains(modal)) {
+                    document.body.removeChild(modal);
+                }
+                resolve({ confirmed, remember: confirmed && rememberInput.checked });
+            };
+
+            const handleKeyDown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(false);
+                }
+            };
+
+            rejectBtn.addEventListener('click', () => finish(false));
+            signBtn.addEventListener('click', () => finish(true));
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    finish(false);
+                }
+            });
+
+            document.addEventListener('keydown', handleKeyDown);
+
+            setTimeout(() => {
+                signBtn.focus();
+            }, 100);
+        });
+    }
+
+    createOperationCard(operation) {
+        const card = document.createElement('section');
+        card.className = 'signing-sheet-operation';
+
+        const title = document.createElement('h4');
+        title.textContent = operation.title;
+        card.appendChild(title);
+
+        if (operation.fields.length > 0) {
+            const fields = document.createElement('dl');
+            fields.className = 'signing-sheet-fields';
+            operation.fields.forEach(field => {
+                const label = document.createElement('dt');
+                label.textContent = field.label;
+                fields.appendChild(label);
+
+                const value = document.createElement('dd');
+                value.textContent = field.value;
+                fields.appendChild(value);
+            });
+            card.appendChild(fields);
+        }
+
+        const payload = document.createElement('details');
+        payload.className = 'signing-sheet-payload';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Raw operation';
+        payload.appendChild(summary);
+
+        const pre = document.createElement('pre');
+        pre.textContent = operation.payload;
+        payload.appendChild(pre);
+
+        card.appendChild(payload);
+        return card;
+    }
+}
+
+export default new SigningConfirmationComponent();
@@ -0,0 +1,66 @@
+import Component from '../Component.js';
+
+class SteemLoginReauthComponent extends Component {
+    constructor() {
+        super();
+        this.modalId = 'steemLoginReauthOverlay-' + Math.random().toString(36).substring(2, 9);
+    }
+
+    /**
+     * Asks the user to sign in to SteemLogin again without leaving the page
+     * @param {Object} options - { username, onSignIn }
+     *   `onSignIn` runs inside the click handler, so it can open the SteemLogin popup
+     * @returns {Promise<*>} What onSignIn returned, null if the user dismissed the prompt
+     */
+    async promptForReauth({ username, onSignIn }) {
+        return new Promise((resolve) => {
+            const modalHTML = `
+                <div class="auth-modal-overlay" id="${this.modalId}">
+                    <div class="auth-modal-content">
+                        <h3 class="auth-modal-header">SteemLogin session expired</h3>
+                        <p class="steemlogin-reauth-text"></p>
+                        <div class="auth-modal-footer">
+                            <button type="button" class="auth-btn auth-btn-secondary steemlogin-reauth-cancel">Not now</button>
+                            <button type="button" class="auth-btn auth-btn-primary steemlogin-reauth-confirm">Sign in again</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = modalHTML;
+            document.body.appendChild(modalContainer.firstElementChild);
+
+            const modal = document.getElementById(this.modalId);
+            const confirmBtn = modal.querySelector('.steemlogin-reauth-confirm');
+
+            modal.querySelector('.steemlogin-reauth-text').textContent =
+                `Sign in to SteemLogin as @${username} to continue. A new window opens and you stay on this page.`;
+
+            const finish = (result) => {
+                document.removeEventListener('keydown', handleKeyDown);
+                if (modal && document.body.contains(modal)) {
+                    document.body.removeChild(modal);
+                }
+                resolve(result);
+            };
+
+            const handleKeyDown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(null);
+                }
+            };
+
+            confirmBtn.addEventListener('click', () => finish(onSignIn()));
+            modal.querySelector('.steemlogin-reauth-cancel').addEventListener('click', () => finish(null));
+            document.addEventListener('keydown', handleKeyDown);
+
+            setTimeout(() => {
+                confirmBtn.focus();
+            }, 100);
+        });
+    }
+}
+
+export default new SteemLoginReauthComponent();
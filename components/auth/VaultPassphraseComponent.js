@@ -0,0 +1,145 @@
+import Component from '../Component.js';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class VaultPassphraseComponent extends Component {
+    constructor() {
+        super();
+        this.modalId = 'vaultModalOverlay-' + Math.random().toString(36).substring(2, 9);
+        this.formId = 'vaultForm-' + Math.random().toString(36).substring(2, 9);
+    }
+
+    /**
+     * Asks for the vault passphrase, or for a new one when the vault does not exist yet
+     * @param {Object} options - { mode: 'unlock'|'create', message, submit(passphrase) }
+     *   `submit` runs before the modal closes and returns an error message to keep it open
+     * @returns {Promise<string|null>} Accepted passphrase, or null if the user cancelled
+     */
+    async promptForPassphrase({ mode = 'unlock', message = '', submit = null } = {}) {
+        const isCreate = mode === 'create';
+
+        return new Promise((resolve) => {
+            const modalHTML = `
+                <div class="auth-modal-overlay" id="${this.modalId}">
+                    <div class="auth-modal-content">
+                        <h3 class="auth-modal-header">${isCreate ? 'Protect your keys' : 'Unlock your keys'}</h3>
+                        <form class="auth-form" id="${this.formId}">
+                            ${message ? `<p class="vault-modal-message">${message}</p>` : ''}
+                            <div class="auth-input-group">
+                                <input type="password"
+                                       id="vaultPassphrase-${this.modalId}"
+                                       class="auth-input"
+                                       placeholder="${isCreate ? 'Choose a passphrase' : 'Vault passphrase'}"
+                                       autocomplete="${isCreate ? 'new-password' : 'current-password'}"
+                                       required>
+                            </div>
+                            ${isCreate ? `
+                            <div class="auth-input-group">
+                                <input type="password"
+                                       id="vaultPassphraseConfirm-${this.modalId}"
+                                       class="auth-input"
+                                       placeholder="Repeat the passphrase"
+                                       autocomplete="new-password"
+                                       required>
+                            </div>` : ''}
+                            <div class="auth-error" id="vaultError-${this.modalId}"></div>
+
+                            <div class="auth-security-note">
+                                <strong>Security Note:</strong> ${isCreate
+                                    ? 'Your private keys are encrypted on this device with this passphrase. It cannot be recovered, but you can always log in again with your keys.'
+                                    : 'Keys stay unlocked for this session and lock again after a period of inactivity.'}
+                            </div>
+
+                            <div class="auth-modal-footer">
+                                <button type="button" class="auth-btn auth-btn-secondary" id="cancelVaultBtn-${this.modalId}">Cancel</button>
+                                <button type="submit" class="auth-btn auth-btn-primary" id="submitVaultBtn-${this.modalId}">${isCreate ? 'Encrypt keys' : 'Unlock'}</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            `;
+
+            const modalContainer = document.createElement('div');
+            modalContainer.innerHTML = modalHTML;
+            document.body.appendChild(modalContainer.firstElementChild);
+
+            const modal = document.getElementById(this.modalId);
+            const form = document.getElementById(this.formId);
+            const passphraseInput = document.getElementById(`vaultPassphrase-${this.modalId}`);
+            const confirmInput = document.getElementById(`vaultPassphraseConfirm-${this.modalId}`);
+            const errorEl = document.getElementById(`vaultError-${this.modalId}`);
+            const submitBtn = document.getElementById(`submitVaultBtn-${this.modalId}`);
+            const cancelBtn = document.getElementById(`cancelVaultBtn-${this.modalId}`);
+
+            const showError = (text) => {
+                errorEl.textContent = text;
+                errorEl.style.display = 'block';
+            };
+
+            const handleKeyDown = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+            };
+
+            const cleanup = () => {
+                document.removeEventListener('keydown', handleKeyDown);
+                if (modal && document.body.contains(modal)) {
+                    document.body.removeChild(modal);
+                }
+            };
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const passphrase = passphraseInput.value;
+
+                if (isCreate) {
+                    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                        showError(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+                        return;
+                    }
+                    if (passphrase !== confirmInput.value) {
+                        showError('The passphrases do not match.');
+                        return;
+                    }
+                }
+
+                if (submit) {
+                    submitBtn.disabled = true;
+                    const error = await submit(passphrase);
+                    submitBtn.disabled = false;
+
+                    if (error) {
+                        showError(error);
+                        passphraseInput.select();
+                        return;
+                    }
+                }
+
+                cleanup();
+                resolve(passphrase);
+            });
+
+            cancelBtn.addEventListener('click', () => {
+                cleanup();
+                resolve(null);
+            });
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+            });
+
+            document.addEventListener('keydown', handleKeyDown);
+
+            setTimeout(() => {
+                passphraseInput.focus();
+            }, 100);
+        });
+    }
+}
+
+export default new VaultPassphraseComponent();
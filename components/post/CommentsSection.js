@@ -1,6 +1,9 @@
 import voteService from '../../services/VoteService.js';
 import router from '../../utils/Router.js';
 import steemApi from '../../services/SteemApi.js';
+import muteService from '../../services/MuteService.js';
+import contentQualityService from '../../services/ContentQualityService.js';
+import UIComponents from '../../utils/UIComponents.js';
 
 // Improved inert attribute polyfill with better event handling
 function ensureInertSupport() {
@@ -38,16 +41,18 @@ function ensureInertSupport() {
 }
 
 class CommentsSection {
-  constructor(comments, parentPost, handleReplyCallback, handleVoteCallback, contentRenderer) {
+  constructor(comments, parentPost, handleReplyCallback, handleVoteCallback, contentRenderer, handleDownvoteCallback = null) {
     this.comments = comments || [];
     this.parentPost = parentPost;
     this.handleReplyCallback = handleReplyCallback;
     this.handleVoteCallback = handleVoteCallback;
     this.contentRenderer = contentRenderer;
+    this.handleDownvoteCallback = handleDownvoteCallback;
     this.element = null;
     this.commentsListContainer = null;
     this.activeReplyForm = null; // Track the currently active reply form
     this.collapsedComments = new Set(); // Track collapsed comment threads
+    this.revealedComments = new Set(); // Muted or low quality comments the user chose to show anyway
     this.commentsToShow = 20; // Initial number of comments to show
     this.commentsIncrement = 20; // How many more comments to load when "show more" is clicked
     
@@ -279,8 +284,8 @@ class CommentsSection {
       return;
     }
 
-    // Build comment tree
-    const commentTree = this.buildCommentTree(this.comments);
+    // Build comment tree, dropping threads started by muted users when they are hidden
+    const commentTree = this.removeMutedComments(this.buildCommentTree(this.comments));
 
     // Add a container style to the comments list to ensure proper layout
     this.commentsListContainer.style.display = 'flex';
@@ -299,7 +304,7 @@ class CommentsSection {
       this.commentsListContainer.appendChild(commentElement);
       
       // Render replies if any
-      if (comment.children && comment.children.length > 0) {
+      if (comment.children && comment.children.length > 0 && !commentElement.classList.contains('comment-collapsed')) {
         this.renderReplies(commentElement, comment);
       }
     });
@@ -390,6 +395,39 @@ class CommentsSection {
     return rootComments;
   }
 
+  /**
+   * Removes comments by muted users, with their replies, when muted content is hidden
+   */
+  removeMutedComments(comments) {
+    return comments.filter(comment => !muteService.shouldHide(comment.author))
+      .map(comment => {
+        if (comment.children && comment.children.length > 0) {
+          comment.children = this.removeMutedComments(comment.children);
+        }
+        return comment;
+      });
+  }
+
+  /**
+   * Placeholder for a collapsed comment; its replies stay hidden until it is revealed
+   */
+  createCollapsedComment(comment, depth, message, revealLabel = 'Show') {
+    const commentDepth = depth !== null ? depth : (comment.depth || 0);
+
+    const placeholder = document.createElement('div');
+    placeholder.className = 'comment comment-collapsed';
+    placeholder.setAttribute('data-author', comment.author);
+    placeholder.setAttribute('data-permlink', comment.permlink);
+    this.applyCommentIndentation(placeholder, commentDepth);
+
+    placeholder.appendChild(UIComponents.createCollapsedNotice(message, () => {
+      this.revealedComments.add(`${comment.author}/${comment.permlink}`);
+      placeholder.replaceWith(this.createCommentElement(comment, commentDepth));
+    }, revealLabel));
+
+    return placeholder;
+  }
+
   createCommentElement(comment, depth = null) {
     // Validate input first
     if (!comment) {
@@ -399,6 +437,16 @@ class CommentsSection {
       return errorElement;
     }
     
+    if (!this.revealedComments.has(`${comment.author}/${comment.permlink}`)) {
+      if (muteService.shouldCollapse(comment.author)) {
+        return this.createCollapsedComment(comment, depth, `Comment by muted user @${comment.author}`);
+      }
+
+      if (contentQualityService.shouldCollapse(comment)) {
+        return this.createCollapsedComment(comment, depth, contentQualityService.getReason(comment), 'Show anyway');
+      }
+    }
+    
     try {
       // Use the depth from comment object or parameter, with fallback to 0
       const commentDepth = depth !== null ? depth : (comment.depth || 0);
@@ -415,6 +463,10 @@ class CommentsSection {
         commentDiv.classList.add('new-comment');
       }
 
+      if (contentQualityService.shouldGray(comment)) {
+        commentDiv.classList.add('low-quality-content');
+      }
+
       const commentHeader = this.createCommentHeader(comment);
       const commentBody = this.createCommentBody(comment);
       const { commentActions, replyForm, replyBtn, replyTextarea } = this.createCommentActions(comment);
@@ -628,6 +680,12 @@ class CommentsSection {
     replyBtn.dataset.author = comment.author;
 
     commentActions.appendChild(upvoteBtn);
+    
+    // Downvote button, only when the view handles downvotes
+    if (this.handleDownvoteCallback) {
+      commentActions.appendChild(this.createDownvoteButton(comment));
+    }
+    
     commentActions.appendChild(replyBtn);
     
     // Add Edit button if comment is by current user
@@ -731,6 +789,25 @@ class CommentsSection {
     return upvoteBtn;
   }
   
+  createDownvoteButton(comment) {
+    const downvoteBtn = document.createElement('button');
+    downvoteBtn.className = 'action-btn downvote-btn';
+    downvoteBtn.title = 'Downvote';
+    downvoteBtn.setAttribute('aria-label', `Downvote comment by ${comment.author}`);
+    
+    const downvoteIcon = document.createElement('span');
+    downvoteIcon.className = 'material-icons';
+    downvoteIcon.textContent = 'thumb_down';
+    downvoteIcon.setAttribute('aria-hidden', 'true');
+    downvoteBtn.appendChild(downvoteIcon);
+    
+    downvoteBtn.addEventListener('click', () => {
+      this.handleDownvoteCallback(comment, downvoteBtn);
+    });
+    
+    return downvoteBtn;
+  }
+  
   createReplyForm(comment) {
     const replyForm = document.createElement('div');
     replyForm.className = 'reply-form';
@@ -877,8 +954,8 @@ class CommentsSection {
       const replyElement = this.createCommentElement(reply, (comment.depth || 0) + 1);
       repliesWrapper.appendChild(replyElement);
       
-      // Recursively render replies to this reply
-      if (reply.children && reply.children.length > 0) {
+      // Recursively render replies to this reply (not under a collapsed placeholder)
+      if (reply.children && reply.children.length > 0 && !replyElement.classList.contains('comment-collapsed')) {
         this.renderReplies(replyElement, reply);
       }
     });
@@ -986,7 +1063,14 @@ class CommentsSection {
   async checkCommentVoteStatus(comment, upvoteBtn) {
     try {
       const vote = await voteService.hasVoted(comment.author, comment.permlink);
-      if (vote) {
+      if (vote && vote.percent < 0) {
+        // Downvote: highlight the sibling downvote button instead
+        const downvoteBtn = upvoteBtn.parentElement?.querySelector('.downvote-btn');
+        if (downvoteBtn) {
+          downvoteBtn.classList.add('downvoted');
+          downvoteBtn.querySelector('.material-icons').textContent = 'thumb_down_alt';
+        }
+      } else if (vote) {
         upvoteBtn.classList.add('voted');
         
         // Update icon to filled version
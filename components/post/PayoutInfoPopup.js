@@ -1,3 +1,5 @@
+import steemReadService from '../../services/SteemReadService.js';
+
 /**
  * PayoutInfoPopup.js
  * Displays detailed payout information for a post in a popup
@@ -89,16 +91,7 @@ class PayoutInfoPopup {
   }
 
   _getDynamicGlobalProperties() {
-    return new Promise((resolve, reject) => {
-      window.steem.api.getDynamicGlobalProperties((err, result) => {
-        console.log('Dynamic Global Properties:', result);
-        if (err) {
-          reject(err);
-        } else {
-          resolve(result);
-        }
-      });
-    });
+    return steemReadService.getDynamicGlobalProperties();
   }
 
   /**
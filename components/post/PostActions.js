@@ -1,8 +1,10 @@
 import VotesPopup from './VotesPopup.js';
 import PayoutInfoPopup from './PayoutInfoPopup.js';
+import bookmarkService from '../../services/BookmarkService.js';
+import eventEmitter from '../../utils/EventEmitter.js';
 
 class PostActions {
-  constructor(post, upvoteCallback, commentCallback, shareCallback, editCallback, reblogCallback, canEdit = false, hasReblogged = false) {
+  constructor(post, upvoteCallback, commentCallback, shareCallback, editCallback, reblogCallback, canEdit = false, hasReblogged = false, downvoteCallback = null) {
     this.post = post;
     this.upvoteCallback = upvoteCallback;
     this.commentCallback = commentCallback;
@@ -11,10 +13,12 @@ class PostActions {
     this.reblogCallback = reblogCallback;
     this.canEdit = canEdit; // Store whether current user can edit this post
     this.hasReblogged = hasReblogged; // Store whether current user has reblogged this post
+    this.downvoteCallback = downvoteCallback;
     
     // Bind methods
     this.handlePayoutClick = this.handlePayoutClick.bind(this);
     this.handleVotesClick = this.handleVotesClick.bind(this);
+    this.handleBookmarkClick = this.handleBookmarkClick.bind(this);
   }
 
   render() {
@@ -24,6 +28,8 @@ class PostActions {
 
     // Creiamo il pulsante upvote con contatore cliccabile per mostrare i votanti
     const upvoteBtn = this.createUpvoteButtonWithClickableCount();
+    const downvoteBtn = this.createActionButton('downvote-btn', 'thumb_down', '');
+    downvoteBtn.title = 'Downvote';
     const commentBtn = this.createActionButton('comment-btn', 'chat', this.post.children || 0);
     const shareBtn = this.createActionButton('share-btn', 'share', isMobile ? '' : 'Share');
     
@@ -34,6 +40,11 @@ class PostActions {
       this.hasReblogged ? 'Reblogged' : isMobile ? '' : 'Reblog'
     );
     
+    // Salva il post tra i segnalibri, con il testo per la lettura offline
+    this.bookmarkBtn = this.createActionButton('bookmark-btn', 'bookmark_border', '');
+    this.updateBookmarkButton(isMobile);
+    bookmarkService.ready.then(() => this.updateBookmarkButton(isMobile));
+
     // Rimuoviamo il pulsante votes-details-btn poiché ora il conteggio voti sarà cliccabile
 
     const payoutInfo = document.createElement('div');
@@ -42,9 +53,13 @@ class PostActions {
     payoutInfo.addEventListener('click', this.handlePayoutClick); // Aggiungo l'event listener per il payout
     
     postActions.appendChild(upvoteBtn);
+    if (this.downvoteCallback) {
+      postActions.appendChild(downvoteBtn);
+    }
     postActions.appendChild(commentBtn);
     postActions.appendChild(reblogBtn);
     postActions.appendChild(shareBtn);
+    postActions.appendChild(this.bookmarkBtn);
     postActions.appendChild(payoutInfo);
     
     // Only add edit button if user can edit the post
@@ -62,6 +77,10 @@ class PostActions {
       upvoteBtn.querySelector('.upvote-action').addEventListener('click', this.upvoteCallback);
     }
     
+    if (this.downvoteCallback) {
+      downvoteBtn.addEventListener('click', this.downvoteCallback);
+    }
+    
     if (this.commentCallback) {
       commentBtn.addEventListener('click', this.commentCallback);
     }
@@ -74,9 +93,45 @@ class PostActions {
       reblogBtn.addEventListener('click', this.reblogCallback);
     }
 
+    this.bookmarkBtn.addEventListener('click', this.handleBookmarkClick);
+
     return postActions;
   }
 
+  // Aggiunge o rimuove il post dai segnalibri
+  async handleBookmarkClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const wasSaved = bookmarkService.isBookmarked(this.post.author, this.post.permlink);
+    this.bookmarkBtn.disabled = true;
+    try {
+      await bookmarkService.toggle(this.post);
+    } catch (error) {
+      console.error('Error updating bookmark:', error);
+      eventEmitter.emit('notification', {
+        type: 'error',
+        message: wasSaved
+          ? 'Could not remove the bookmark'
+          : 'Could not save the post for offline reading',
+        duration: 5000
+      });
+    } finally {
+      this.bookmarkBtn.disabled = false;
+      this.updateBookmarkButton(window.innerWidth <= 768);
+    }
+  }
+
+  updateBookmarkButton(isMobile) {
+    const saved = bookmarkService.isBookmarked(this.post.author, this.post.permlink);
+    const [icon, label] = this.bookmarkBtn.querySelectorAll('span');
+
+    this.bookmarkBtn.classList.toggle('bookmarked', saved);
+    this.bookmarkBtn.title = saved ? 'Remove from bookmarks' : 'Save for later';
+    icon.textContent = saved ? 'bookmark' : 'bookmark_border';
+    label.textContent = isMobile ? '' : (saved ? 'Saved' : 'Save');
+  }
+
   // Nuovo metodo per creare il pulsante di upvote con contatore cliccabile
   createUpvoteButtonWithClickableCount() {
     const container = document.createElement('div');
@@ -1,7 +1,15 @@
+import UIComponents from '../../utils/UIComponents.js';
+
 class PostContent {
-  constructor(post, contentRenderer) {
+  /**
+   * @param {Object} post - Post to render
+   * @param {ContentRenderer} contentRenderer - Renderer of the body
+   * @param {string} nsfwMode - 'hide' or 'blur' for NSFW posts, 'show' otherwise
+   */
+  constructor(post, contentRenderer, nsfwMode = 'show') {
     this.post = post;
     this.contentRenderer = contentRenderer;
+    this.nsfwMode = nsfwMode;
   }
 
   render() {
@@ -15,11 +23,25 @@ class PostContent {
       return errorContainer;
     }
 
+    // NSFW posts opened with "Hide" start collapsed: the body is only rendered on request
+    if (this.nsfwMode === 'hide') {
+      const placeholder = document.createElement('div');
+      placeholder.className = 'post-content-collapsed';
+      placeholder.appendChild(UIComponents.createCollapsedNotice('This post is marked NSFW', () => {
+        placeholder.replaceWith(this.renderBody(false));
+      }));
+      return placeholder;
+    }
+
+    return this.renderBody(this.nsfwMode === 'blur');
+  }
+
+  renderBody(nsfw) {
     // Render the post content using ContentRenderer
     const renderedContent = this.contentRenderer.render({
       title: this.post.title,
       body: this.post.body
-    });
+    }, { nsfw });
 
     return renderedContent.container;
   }
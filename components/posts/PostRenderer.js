@@ -1,4 +1,6 @@
 import router from '../../utils/Router.js';
+import nsfwService from '../../services/NsfwService.js';
+import UIComponents from '../../utils/UIComponents.js';
 
 export default class PostRenderer {
   constructor() {
@@ -26,7 +28,8 @@ export default class PostRenderer {
     mainContent.className = 'post-main-content';
 
     // Immagine (200px)
-    mainContent.appendChild(this.createPostImage(imageUrl, post.title));
+    const imageContainer = this.createPostImage(imageUrl, post.title);
+    mainContent.appendChild(imageContainer);
 
     // Contenuto testuale (100px)
     const contentWrapper = document.createElement('div');
@@ -57,6 +60,11 @@ export default class PostRenderer {
     const actions = this.createPostActions(post);
     postItem.appendChild(actions);
 
+    // Sul profilo di un autore i post NSFW restano visibili ma sfocati anche con "Hide"
+    if (nsfwService.getMode() !== 'show' && nsfwService.isNsfw(post)) {
+      UIComponents.applyNsfwBlur(postItem, imageContainer);
+    }
+
     this.addPostNavigationHandler(postItem, post);
 
     return postItem;
@@ -1,6 +1,7 @@
 import router from '../../utils/Router.js';
 import followersModal from '../FollowersModal.js';
 import followingModal from '../FollowingModal.js';
+import muteService from '../../services/MuteService.js';
 
 export default class ProfileHeader {
   constructor(profile, currentUser, onFollowAction) {
@@ -186,6 +187,8 @@ export default class ProfileHeader {
       followBtn.addEventListener('click', () => this.onFollowAction());
       actions.appendChild(followBtn);
 
+      actions.appendChild(this.createMuteButton());
+
       
     } else if (this.currentUser && this.currentUser.username === this.profile.username) {
       // Add edit profile button for own profile
@@ -254,6 +257,44 @@ export default class ProfileHeader {
     return stat;
   }
   
+  createMuteButton() {
+    const muteBtn = document.createElement('button');
+    muteBtn.className = 'mute-btn';
+    this.updateMuteButton(muteBtn);
+
+    muteBtn.addEventListener('click', async () => {
+      const wasMuted = muteService.isMuted(this.profile.username);
+      muteBtn.disabled = true;
+
+      try {
+        if (wasMuted) {
+          await muteService.unmute(this.profile.username);
+        } else {
+          await muteService.mute(this.profile.username);
+        }
+      } catch (error) {
+        console.error('Mute action failed:', error);
+      } finally {
+        muteBtn.disabled = false;
+        this.updateMuteButton(muteBtn);
+      }
+    });
+
+    return muteBtn;
+  }
+
+  updateMuteButton(muteBtn) {
+    const isMuted = muteService.isMuted(this.profile.username);
+    muteBtn.innerHTML = '';
+    muteBtn.classList.toggle('muted', isMuted);
+
+    const muteIcon = document.createElement('span');
+    muteIcon.className = 'material-icons';
+    muteIcon.textContent = isMuted ? 'volume_up' : 'volume_off';
+    muteBtn.appendChild(muteIcon);
+    muteBtn.appendChild(document.createTextNode(isMuted ? 'Unmute' : 'Mute'));
+  }
+
   updateFollowStatus(isFollowing) {
     this.isFollowing = isFollowing;
     this.updateFollowButton();
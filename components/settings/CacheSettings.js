@@ -0,0 +1,88 @@
+import Component from '../Component.js';
+import cacheService from '../../services/CacheService.js';
+import eventEmitter from '../../utils/EventEmitter.js';
+
+/**
+ * Settings panel showing how much data is cached locally, with a control to clear it
+ */
+export default class CacheSettings extends Component {
+  constructor(parentElement, options = {}) {
+    super(parentElement, options);
+    this.summary = null;
+  }
+
+  render() {
+    this.element = document.createElement('section');
+    this.element.className = 'settings-section cache-settings';
+
+    const sectionTitle = document.createElement('h2');
+    sectionTitle.textContent = 'Cached Data';
+    this.element.appendChild(sectionTitle);
+
+    const description = document.createElement('p');
+    description.textContent = 'Profiles, posts, comments, communities and notifications are kept on this device ' +
+      'so pages open instantly on repeat visits. Clearing the cache does not affect your settings or drafts.';
+    this.element.appendChild(description);
+
+    const row = document.createElement('div');
+    row.className = 'cache-settings-row';
+
+    this.summary = document.createElement('span');
+    this.summary.className = 'cache-settings-summary';
+    row.appendChild(this.summary);
+
+    this.clearButton = document.createElement('button');
+    this.clearButton.className = 'secondary-btn';
+    this.clearButton.textContent = 'Clear cached data';
+    this.registerEventHandler(this.clearButton, 'click', () => this.clearCache());
+    row.appendChild(this.clearButton);
+
+    this.element.appendChild(row);
+
+    this.registerEmitterHandler(eventEmitter, 'cache:cleared', () => this.updateSummary());
+    this.updateSummary();
+
+    this.parentElement.appendChild(this.element);
+    return this.element;
+  }
+
+  async updateSummary() {
+    if (!this.summary) return;
+
+    try {
+      const { entries, bytes } = await cacheService.getStats();
+      this.summary.textContent = entries === 0
+        ? 'Nothing cached yet'
+        : `${entries} ${entries === 1 ? 'item' : 'items'} · ${this.formatBytes(bytes)}`;
+    } catch (error) {
+      console.error('Failed to read cache usage:', error);
+      this.summary.textContent = 'Cache usage unavailable';
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    return `${bytes} B`;
+  }
+
+  async clearCache() {
+    this.clearButton.disabled = true;
+
+    try {
+      await cacheService.clear();
+      eventEmitter.emit('notification', {
+        type: 'success',
+        message: 'Cached data cleared'
+      });
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+      eventEmitter.emit('notification', {
+        type: 'error',
+        message: 'Failed to clear cached data'
+      });
+    } finally {
+      this.clearButton.disabled = false;
+    }
+  }
+}
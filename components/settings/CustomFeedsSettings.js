@@ -0,0 +1,353 @@
+import Component from '../Component.js';
+import router from '../../utils/Router.js';
+import authService from '../../services/AuthService.js';
+import communityService from '../../services/CommunityService.js';
+import userPreferencesService from '../../services/UserPreferencesService.js';
+
+const LIST_FIELDS = [
+  { key: 'includeTags', label: 'Tags', placeholder: 'photography, travel' },
+  { key: 'communities', label: 'Other communities', placeholder: 'hive-123456' },
+  { key: 'authors', label: 'Authors', placeholder: 'alice, bob' },
+  { key: 'excludeTags', label: 'Exclude tags', placeholder: 'nsfw, spam' }
+];
+
+const LIMIT_FIELDS = [
+  { key: 'minReputation', label: 'Minimum author reputation', step: '1' },
+  { key: 'minPendingPayout', label: 'Minimum pending payout ($)', step: '0.01' },
+  { key: 'minAgeHours', label: 'Posts older than (hours)', step: '1' },
+  { key: 'maxAgeHours', label: 'Posts newer than (hours)', step: '1' }
+];
+
+/**
+ * Settings panel for the named feeds pinned as tabs above the post lists.
+ * Feeds are saved as soon as they are edited, imported or deleted.
+ */
+export default class CustomFeedsSettings extends Component {
+  render() {
+    this.element = document.createElement('section');
+    this.element.className = 'settings-section custom-feeds-settings';
+
+    const sectionTitle = document.createElement('h2');
+    sectionTitle.textContent = 'Custom Feeds';
+    this.element.appendChild(sectionTitle);
+
+    const description = document.createElement('p');
+    description.textContent = 'Combine tags, communities and authors into named feeds, with rules to leave posts out. ' +
+      'Each feed is pinned as a tab above the post lists and can be shared as JSON.';
+    this.element.appendChild(description);
+
+    this.list = document.createElement('div');
+    this.list.className = 'custom-feeds-list';
+    this.element.appendChild(this.list);
+
+    this.status = document.createElement('div');
+    this.status.className = 'custom-feeds-status';
+    this.status.hidden = true;
+    this.element.appendChild(this.status);
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'custom-feed-panel';
+    this.element.appendChild(this.panel);
+
+    const actions = document.createElement('div');
+    actions.className = 'custom-feeds-actions';
+    actions.appendChild(this.createButton('New feed', () => this.showEditor()));
+    actions.appendChild(this.createButton('Import feed', () => this.showImport()));
+    this.element.appendChild(actions);
+
+    this.renderList();
+
+    this.parentElement.appendChild(this.element);
+    return this.element;
+  }
+
+  renderList() {
+    this.list.innerHTML = '';
+    const feeds = userPreferencesService.getCustomFeeds();
+
+    if (feeds.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'custom-feeds-empty';
+      empty.textContent = 'No custom feeds yet.';
+      this.list.appendChild(empty);
+      return;
+    }
+
+    feeds.forEach(feed => this.list.appendChild(this.createFeedRow(feed)));
+  }
+
+  createFeedRow(feed) {
+    const row = document.createElement('div');
+    row.className = 'custom-feed-row';
+
+    const info = document.createElement('div');
+    info.className = 'custom-feed-info';
+
+    const name = document.createElement('strong');
+    name.textContent = feed.name;
+    info.appendChild(name);
+
+    const summary = document.createElement('span');
+    summary.className = 'custom-feed-summary';
+    summary.textContent = this.summarize(feed);
+    info.appendChild(summary);
+
+    row.appendChild(info);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'custom-feed-buttons';
+    buttons.appendChild(this.createButton('Open', () => router.navigate(`/custom-feed/${feed.id}`)));
+    buttons.appendChild(this.createButton('Edit', () => this.showEditor(feed)));
+    buttons.appendChild(this.createButton('Share', () => this.shareFeed(feed)));
+    buttons.appendChild(this.createButton('Delete', () => {
+      if (confirm(`Delete the feed "${feed.name}"?`)) {
+        userPreferencesService.removeCustomFeed(feed.id);
+        this.renderList();
+      }
+    }));
+    row.appendChild(buttons);
+
+    return row;
+  }
+
+  summarize(feed) {
+    const parts = [];
+    LIST_FIELDS.forEach(({ key, label }) => {
+      if (feed[key].length > 0) {
+        parts.push(`${key === 'communities' ? 'Communities' : label}: ${feed[key].join(', ')}`);
+      }
+    });
+    LIMIT_FIELDS.forEach(({ key, label }) => {
+      if (feed[key] !== null) {
+        parts.push(`${label.replace(/ \(.*\)$/, '')}: ${feed[key]}`);
+      }
+    });
+    return parts.length > 0 ? parts.join(' · ') : 'All new posts';
+  }
+
+  showEditor(feed = null) {
+    this.panel.innerHTML = '';
+    this.showStatus('');
+
+    const form = document.createElement('form');
+    form.className = 'custom-feed-editor';
+
+    const nameInput = this.createField(form, 'name', 'Name', 'text', feed ? feed.name : '');
+    nameInput.placeholder = 'Photography EN';
+    nameInput.required = true;
+
+    let communityPicker = null;
+    LIST_FIELDS.forEach(({ key, label, placeholder }) => {
+      // Subscribed communities are ticked in a picker; other ids go in the text field after it
+      if (key === 'communities') {
+        communityPicker = this.createCommunityPicker(form);
+      }
+      const input = this.createField(form, key, label, 'text', feed ? feed[key].join(', ') : '');
+      input.placeholder = placeholder;
+    });
+
+    LIMIT_FIELDS.forEach(({ key, label, step }) => {
+      const input = this.createField(form, key, label, 'number', feed && feed[key] !== null ? feed[key] : '');
+      input.min = '0';
+      input.step = step;
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'custom-feed-buttons';
+    const saveButton = this.createButton(feed ? 'Save feed' : 'Create feed');
+    saveButton.type = 'submit';
+    saveButton.className = 'primary-btn';
+    buttons.appendChild(saveButton);
+    buttons.appendChild(this.createButton('Cancel', () => this.closePanel()));
+    form.appendChild(buttons);
+
+    this.registerEventHandler(form, 'submit', (e) => {
+      e.preventDefault();
+
+      const definition = { id: feed ? feed.id : null, name: form.elements.name.value };
+      LIST_FIELDS.forEach(({ key }) => {
+        definition[key] = form.elements[key].value.split(/[\s,]+/);
+      });
+      const picked = [...form.querySelectorAll('input[name="subscribedCommunity"]:checked')].map(input => input.value);
+      definition.communities = [...picked, ...definition.communities];
+      LIMIT_FIELDS.forEach(({ key }) => {
+        definition[key] = form.elements[key].value;
+      });
+
+      try {
+        userPreferencesService.saveCustomFeed(definition);
+        this.closePanel();
+        this.renderList();
+        this.showStatus(`Feed "${definition.name.trim()}" saved.`);
+      } catch (error) {
+        this.showStatus(error.message, true);
+      }
+    });
+
+    this.panel.appendChild(form);
+    this.loadSubscribedCommunities(communityPicker, form.elements.communities);
+    nameInput.focus();
+  }
+
+  showImport() {
+    this.panel.innerHTML = '';
+    this.showStatus('');
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'custom-feed-json';
+    textarea.rows = 6;
+    textarea.placeholder = 'Paste a shared feed (JSON)';
+    this.panel.appendChild(textarea);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    this.registerEventHandler(fileInput, 'change', async () => {
+      const file = fileInput.files[0];
+      if (file) {
+        textarea.value = await file.text();
+      }
+    });
+    this.panel.appendChild(fileInput);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'custom-feed-buttons';
+    buttons.appendChild(this.createButton('Import', () => {
+      try {
+        const feed = userPreferencesService.importCustomFeed(textarea.value);
+        this.closePanel();
+        this.renderList();
+        this.showStatus(`Feed "${feed.name}" imported.`);
+      } catch (error) {
+        this.showStatus(error.message, true);
+      }
+    }));
+    buttons.appendChild(this.createButton('Cancel', () => this.closePanel()));
+    this.panel.appendChild(buttons);
+
+    textarea.focus();
+  }
+
+  async shareFeed(feed) {
+    const json = userPreferencesService.exportCustomFeed(feed.id);
+
+    try {
+      await navigator.clipboard.writeText(json);
+      this.showStatus(`Feed "${feed.name}" copied as JSON. Anyone can add it with "Import feed".`);
+    } catch (error) {
+      // Without clipboard access the JSON is shown to be copied by hand
+      this.panel.innerHTML = '';
+      const textarea = document.createElement('textarea');
+      textarea.className = 'custom-feed-json';
+      textarea.rows = 6;
+      textarea.readOnly = true;
+      textarea.value = json;
+      this.panel.appendChild(textarea);
+      this.panel.appendChild(this.createButton('Close', () => this.closePanel()));
+      textarea.select();
+    }
+  }
+
+  createCommunityPicker(form) {
+    const picker = document.createElement('fieldset');
+    picker.className = 'custom-feed-communities';
+
+    const legend = document.createElement('legend');
+    legend.textContent = 'Communities';
+    picker.appendChild(legend);
+
+    const loading = document.createElement('span');
+    loading.className = 'custom-feed-communities-empty';
+    loading.textContent = 'Loading your communities...';
+    picker.appendChild(loading);
+
+    form.appendChild(picker);
+    return picker;
+  }
+
+  /**
+   * Fills the picker with the user's subscriptions, ticking those already in the
+   * "Other communities" field and taking them out of it
+   */
+  async loadSubscribedCommunities(picker, otherInput) {
+    const username = authService.getCurrentUser()?.username;
+    const subscriptions = username ? await communityService.getSubscribedCommunities(username) : [];
+
+    // The editor may have been closed meanwhile
+    if (!picker.isConnected) return;
+    picker.querySelector('.custom-feed-communities-empty').remove();
+
+    if (subscriptions.length === 0) {
+      const empty = document.createElement('span');
+      empty.className = 'custom-feed-communities-empty';
+      empty.textContent = 'You are not subscribed to any community. Add community ids below.';
+      picker.appendChild(empty);
+      return;
+    }
+
+    const ids = subscriptions.map(community => `hive-${String(community.id || community.name).replace(/^hive-/, '')}`);
+    const others = otherInput.value.split(/[\s,]+/).filter(Boolean);
+
+    subscriptions.forEach((community, index) => {
+      const id = ids[index];
+
+      const option = document.createElement('label');
+      option.className = 'custom-feed-community';
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.name = 'subscribedCommunity';
+      checkbox.value = id;
+      checkbox.checked = others.includes(id);
+      option.appendChild(checkbox);
+
+      const title = document.createElement('span');
+      title.textContent = community.title || id;
+      title.title = id;
+      option.appendChild(title);
+
+      picker.appendChild(option);
+    });
+
+    otherInput.value = others.filter(id => !ids.includes(id)).join(', ');
+  }
+
+  closePanel() {
+    this.panel.innerHTML = '';
+  }
+
+  showStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.hidden = !message;
+    this.status.classList.toggle('error-message', isError);
+  }
+
+  createField(form, name, label, type, value) {
+    const field = document.createElement('label');
+    field.className = 'custom-feed-field';
+
+    const text = document.createElement('span');
+    text.textContent = label;
+    field.appendChild(text);
+
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.value = value;
+    field.appendChild(input);
+
+    form.appendChild(field);
+    return input;
+  }
+
+  createButton(label, onClick = null) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-btn';
+    button.textContent = label;
+    if (onClick) {
+      this.registerEventHandler(button, 'click', onClick);
+    }
+    return button;
+  }
+}
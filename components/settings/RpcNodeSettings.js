@@ -0,0 +1,211 @@
+import Component from '../Component.js';
+import nodePoolService from '../../services/NodePoolService.js';
+import eventEmitter from '../../utils/EventEmitter.js';
+
+/**
+ * Settings panel showing the health of every RPC node, with pin and custom node controls
+ */
+export default class RpcNodeSettings extends Component {
+  constructor(parentElement, options = {}) {
+    super(parentElement, options);
+    this.nodeList = null;
+    this.isChecking = false;
+  }
+
+  render() {
+    this.element = document.createElement('section');
+    this.element.className = 'settings-section rpc-node-settings';
+
+    const sectionTitle = document.createElement('h2');
+    sectionTitle.textContent = 'RPC Nodes';
+    this.element.appendChild(sectionTitle);
+
+    const description = document.createElement('p');
+    description.textContent = 'The app picks the fastest, most up-to-date node automatically. ' +
+      'Pin a node to always prefer it, or add your own. Changes here apply immediately.';
+    this.element.appendChild(description);
+
+    // Toolbar with health check button
+    const toolbar = document.createElement('div');
+    toolbar.className = 'rpc-node-toolbar';
+
+    this.checkButton = document.createElement('button');
+    this.checkButton.className = 'secondary-btn';
+    this.checkButton.textContent = 'Check nodes now';
+    this.registerEventHandler(this.checkButton, 'click', () => this.runHealthCheck());
+    toolbar.appendChild(this.checkButton);
+
+    this.element.appendChild(toolbar);
+
+    this.nodeList = document.createElement('div');
+    this.nodeList.className = 'rpc-node-list';
+    this.element.appendChild(this.nodeList);
+
+    this.element.appendChild(this.createAddNodeForm());
+
+    this.registerEmitterHandler(eventEmitter, 'nodes:status-updated', (status) => this.renderNodes(status));
+    this.renderNodes(nodePoolService.getStatus());
+
+    this.parentElement.appendChild(this.element);
+
+    // Populate latency and lag figures on first open
+    if (!nodePoolService.lastHealthCheck) {
+      this.runHealthCheck();
+    }
+
+    return this.element;
+  }
+
+  createAddNodeForm() {
+    const form = document.createElement('form');
+    form.className = 'rpc-node-add-form';
+
+    const input = document.createElement('input');
+    input.type = 'url';
+    input.className = 'rpc-node-input';
+    input.placeholder = 'https://your-node.example.com';
+    form.appendChild(input);
+
+    const addButton = document.createElement('button');
+    addButton.type = 'submit';
+    addButton.className = 'primary-btn';
+    addButton.textContent = 'Add node';
+    form.appendChild(addButton);
+
+    this.formMessage = document.createElement('div');
+    this.formMessage.className = 'rpc-node-form-message';
+    form.appendChild(this.formMessage);
+
+    this.registerEventHandler(form, 'submit', async (e) => {
+      e.preventDefault();
+      addButton.disabled = true;
+      this.setFormMessage('Checking node...', false);
+
+      try {
+        const url = await nodePoolService.addCustomNode(input.value);
+        input.value = '';
+        this.setFormMessage(`${url} added`, false);
+      } catch (error) {
+        this.setFormMessage(error.message, true);
+      } finally {
+        addButton.disabled = false;
+      }
+    });
+
+    return form;
+  }
+
+  setFormMessage(text, isError) {
+    this.formMessage.textContent = text;
+    this.formMessage.classList.toggle('error-message', isError);
+  }
+
+  async runHealthCheck() {
+    if (this.isChecking) return;
+    this.isChecking = true;
+    this.checkButton.disabled = true;
+    this.checkButton.textContent = 'Checking...';
+
+    try {
+      await nodePoolService.checkHealth();
+    } finally {
+      this.isChecking = false;
+      this.checkButton.disabled = false;
+      this.checkButton.textContent = 'Check nodes now';
+    }
+  }
+
+  renderNodes(status) {
+    if (!this.nodeList) return;
+    this.nodeList.innerHTML = '';
+
+    status.forEach(node => {
+      const row = document.createElement('div');
+      row.className = 'rpc-node-row';
+      if (node.isCurrent) row.classList.add('current');
+      if (node.quarantined) row.classList.add('quarantined');
+
+      const indicator = document.createElement('span');
+      indicator.className = `rpc-node-indicator ${this.getHealthClass(node)}`;
+      row.appendChild(indicator);
+
+      const info = document.createElement('div');
+      info.className = 'rpc-node-info';
+
+      const url = document.createElement('span');
+      url.className = 'rpc-node-url';
+      url.textContent = node.url.replace(/^https?:\/\//, '');
+      info.appendChild(url);
+
+      const details = document.createElement('span');
+      details.className = 'rpc-node-details';
+      details.textContent = this.describeNode(node);
+      if (node.lastError && node.quarantined) {
+        details.title = node.lastError;
+      }
+      info.appendChild(details);
+
+      row.appendChild(info);
+
+      const badges = document.createElement('div');
+      badges.className = 'rpc-node-badges';
+      if (node.isCurrent) badges.appendChild(this.createBadge('In use'));
+      if (node.isCustom) badges.appendChild(this.createBadge('Custom'));
+      row.appendChild(badges);
+
+      const actions = document.createElement('div');
+      actions.className = 'rpc-node-actions';
+
+      const pinButton = document.createElement('button');
+      pinButton.className = 'icon-btn';
+      pinButton.title = node.isPinned ? 'Unpin node' : 'Pin node';
+      pinButton.innerHTML = '<span class="material-icons">push_pin</span>';
+      if (node.isPinned) pinButton.classList.add('active');
+      pinButton.addEventListener('click', () => nodePoolService.pinNode(node.isPinned ? null : node.url));
+      actions.appendChild(pinButton);
+
+      if (node.isCustom) {
+        const removeButton = document.createElement('button');
+        removeButton.className = 'icon-btn';
+        removeButton.title = 'Remove node';
+        removeButton.innerHTML = '<span class="material-icons">delete</span>';
+        removeButton.addEventListener('click', () => nodePoolService.removeCustomNode(node.url));
+        actions.appendChild(removeButton);
+      }
+
+      row.appendChild(actions);
+      this.nodeList.appendChild(row);
+    });
+  }
+
+  createBadge(text) {
+    const badge = document.createElement('span');
+    badge.className = 'rpc-node-badge';
+    badge.textContent = text;
+    return badge;
+  }
+
+  getHealthClass(node) {
+    if (node.quarantined) return 'bad';
+    if (node.latency === null) return 'unknown';
+    if (node.blockLag > 3 || node.errorRate > 0.2 || node.latency > 1500) return 'degraded';
+    return 'good';
+  }
+
+  describeNode(node) {
+    if (node.quarantined) {
+      const seconds = Math.ceil(node.quarantineRemaining / 1000);
+      return `Quarantined for ${seconds}s — ${node.lastError || 'unhealthy'}`;
+    }
+    if (node.latency === null) {
+      return 'Not checked yet';
+    }
+
+    const parts = [`${node.latency} ms`];
+    parts.push(node.blockLag > 0 ? `${node.blockLag} blocks behind` : 'up to date');
+    if (node.errorRate > 0) {
+      parts.push(`${Math.round(node.errorRate * 100)}% errors`);
+    }
+    return parts.join(' · ');
+  }
+}
@@ -0,0 +1,67 @@
+import Component from '../Component.js';
+import signingService from '../../services/SigningService.js';
+import userPreferencesService from '../../services/UserPreferencesService.js';
+
+const RULE_OPTIONS = [
+  { value: 'default', label: 'Default' },
+  { value: 'always', label: 'Always confirm' },
+  { value: 'never', label: 'Never confirm' }
+];
+
+/**
+ * Settings panel choosing, per operation type, whether transactions are reviewed before signing
+ */
+export default class SigningRulesSettings extends Component {
+  render() {
+    this.element = document.createElement('section');
+    this.element.className = 'settings-section signing-rules-settings';
+
+    const sectionTitle = document.createElement('h2');
+    sectionTitle.textContent = 'Transaction Confirmation';
+    this.element.appendChild(sectionTitle);
+
+    const description = document.createElement('p');
+    description.textContent = 'When the app signs with a key saved on this device, it can show you the transaction first. ' +
+      'By default only operations signed with your active key are confirmed. Changes here apply immediately.';
+    this.element.appendChild(description);
+
+    const list = document.createElement('div');
+    list.className = 'signing-rules-list';
+
+    Object.entries(signingService.OPERATION_LABELS).forEach(([type, label]) => {
+      list.appendChild(this.createRuleRow(type, label));
+    });
+
+    this.element.appendChild(list);
+
+    this.parentElement.appendChild(this.element);
+    return this.element;
+  }
+
+  createRuleRow(type, label) {
+    const row = document.createElement('div');
+    row.className = 'signing-rule-row';
+
+    const select = document.createElement('select');
+    select.id = `signing-rule-${type}`;
+    select.className = 'signing-rule-select';
+    RULE_OPTIONS.forEach(option => {
+      const optionEl = document.createElement('option');
+      optionEl.value = option.value;
+      optionEl.textContent = option.label;
+      select.appendChild(optionEl);
+    });
+    select.value = userPreferencesService.getSigningRule(type);
+    this.registerEventHandler(select, 'change', () => {
+      userPreferencesService.setSigningRule(type, select.value);
+    });
+
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = select.id;
+    labelEl.textContent = label;
+
+    row.appendChild(labelEl);
+    row.appendChild(select);
+    return row;
+  }
+}
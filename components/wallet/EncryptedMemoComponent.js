@@ -0,0 +1,58 @@
+import Component from '../Component.js';
+import memoService from '../../services/MemoService.js';
+
+/**
+ * Button that decrypts an encrypted transfer memo when clicked
+ * @extends Component
+ */
+class EncryptedMemoComponent extends Component {
+  /**
+   * @param {HTMLElement} parentElement - Element the button is appended to
+   * @param {Object} options - { memo, onDecrypted(text) }
+   */
+  constructor(parentElement, options = {}) {
+    super(parentElement, options);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  render() {
+    this.element = document.createElement('button');
+    this.element.type = 'button';
+    this.element.className = 'memo-decrypt-btn';
+    this.element.title = 'Only you and the other party can read this memo';
+
+    const icon = document.createElement('span');
+    icon.className = 'material-icons';
+    icon.textContent = 'lock';
+    this.element.appendChild(icon);
+    this.label = document.createTextNode('Decrypt memo');
+    this.element.appendChild(this.label);
+
+    this.registerEventHandler(this.element, 'click', this.handleClick);
+    this.parentElement.appendChild(this.element);
+
+    return this.element;
+  }
+
+  async handleClick() {
+    this.element.disabled = true;
+
+    try {
+      const text = await memoService.decode(this.options.memo);
+      this.destroy();
+      this.element.remove();
+      if (this.options.onDecrypted) {
+        this.options.onDecrypted(text);
+      }
+    } catch (error) {
+      console.error('Memo decryption failed:', error);
+      this.element.disabled = false;
+      if (error.message !== 'Operation cancelled by user') {
+        this.label.textContent = error.message;
+        this.element.classList.add('memo-decrypt-error');
+      }
+    }
+  }
+}
+
+export default EncryptedMemoComponent;
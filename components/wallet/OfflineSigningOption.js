@@ -0,0 +1,35 @@
+import Component from '../Component.js';
+
+/**
+ * Checkbox of the wallet forms that sends the transaction to an offline device for signing.
+ * Options: { id: id of the checkbox }
+ * @extends Component
+ */
+class OfflineSigningOption extends Component {
+  render() {
+    this.element = document.createElement('label');
+    this.element.className = 'offline-signing-option';
+    this.element.title = 'Build the transaction here, sign it on a device that holds your active key and bring it back';
+
+    this.checkbox = document.createElement('input');
+    this.checkbox.type = 'checkbox';
+    this.checkbox.id = this.options.id;
+    this.element.appendChild(this.checkbox);
+
+    const icon = document.createElement('span');
+    icon.className = 'material-icons';
+    icon.textContent = 'qr_code_2';
+    this.element.appendChild(icon);
+
+    this.element.appendChild(document.createTextNode('Sign offline (JSON or QR code)'));
+
+    this.parentElement.appendChild(this.element);
+    return this.element;
+  }
+
+  isChecked() {
+    return Boolean(this.checkbox && this.checkbox.checked);
+  }
+}
+
+export default OfflineSigningOption;
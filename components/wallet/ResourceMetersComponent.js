@@ -5,11 +5,13 @@ export default class ResourceMetersComponent extends Component {
     super(parentElement, options);
     this.resources = options.initialResources || {
       voting: 0,
+      downvote: 0,
       rc: 0
     };
     // Store element references for quick access
     this.meterElements = {
       voting: {},
+      downvote: {},
       rc: {}
     };
     this.isLoading = false;
@@ -153,6 +155,17 @@ export default class ResourceMetersComponent extends Component {
     this.meterElements.voting.value = votingMeter.value;
     this.metersContainer.appendChild(votingMeter.container);
     
+    // Create Downvote Mana meter
+    const downvoteMeter = this.createResourceMeter(
+      'Downvote Mana', 
+      'downvote-mana-fill', 
+      'downvote-mana-value',
+      'thumb_down'
+    );
+    this.meterElements.downvote.fill = downvoteMeter.fill;
+    this.meterElements.downvote.value = downvoteMeter.value;
+    this.metersContainer.appendChild(downvoteMeter.container);
+    
     // Create Resource Credits meter
     const rcMeter = this.createResourceMeter(
       'Resource Credits', 
@@ -189,13 +202,14 @@ export default class ResourceMetersComponent extends Component {
    * Update resources with new data
    */
   updateResources(resourceData) {
-    const { voting, rc, isLoading, error } = resourceData;
+    const { voting, downvote, rc, isLoading, error } = resourceData;
     
     this.isLoading = !!isLoading;
     this.error = error || null;
     
     // Update resource values if provided
     if (typeof voting !== 'undefined') this.resources.voting = voting;
+    if (typeof downvote !== 'undefined') this.resources.downvote = downvote;
     if (typeof rc !== 'undefined') this.resources.rc = rc;
     
     // Update UI based on state
@@ -213,6 +227,11 @@ export default class ResourceMetersComponent extends Component {
     this.meterElements.voting.value.textContent = `${resources.voting}%`;
     this.updateMeterColor(this.meterElements.voting.fill, resources.voting);
     
+    // Update downvote mana with animation
+    this.animateMeterFill(this.meterElements.downvote.fill, resources.downvote);
+    this.meterElements.downvote.value.textContent = `${resources.downvote}%`;
+    this.updateMeterColor(this.meterElements.downvote.fill, resources.downvote);
+    
     // Update resource credits with animation
     this.animateMeterFill(this.meterElements.rc.fill, resources.rc);
     this.meterElements.rc.value.textContent = `${resources.rc}%`;
@@ -2,8 +2,10 @@ import Component from '../Component.js';
 import authService from '../../services/AuthService.js';
 import transactionHistoryService from '../../services/TransactionHistoryService.js';
 import filterService from '../../services/FilterService.js';
+import memoService from '../../services/MemoService.js';
 import InfiniteScroll from '../../utils/InfiniteScroll.js';
 import LoadingIndicator from '../LoadingIndicator.js';
+import EncryptedMemoComponent from './EncryptedMemoComponent.js';
 import { formatDate } from '../../utils/DateUtils.js';
 
 /**
@@ -503,6 +505,19 @@ export default class TransactionHistoryBase extends Component {
     memoElement.textContent = tx.description;
     metaElement.appendChild(memoElement);
     
+    if (this.canDecryptMemo(tx)) {
+      const decryptButton = new EncryptedMemoComponent(metaElement, {
+        memo: tx.data.memo,
+        onDecrypted: async (text) => {
+          // Keep the clear memo on the transaction so filtering and re-rendering show it
+          tx.data = { ...tx.data, memo: text };
+          tx.description = await transactionHistoryService.formatTransactionDescription(tx.type, tx.data, this.username);
+          memoElement.textContent = tx.description;
+        }
+      });
+      decryptButton.render();
+    }
+    
     detailsElement.appendChild(metaElement);
     
     const directionElement = document.createElement('div');
@@ -534,6 +549,16 @@ export default class TransactionHistoryBase extends Component {
     return listItem;
   }
   
+  /**
+   * Encrypted memos can only be read by the sender and the recipient
+   */
+  canDecryptMemo(tx) {
+    const currentUser = authService.getCurrentUser()?.username;
+    return tx.type === 'transfer' &&
+      memoService.isEncrypted(tx.data.memo) &&
+      !!currentUser && (tx.data.from === currentUser || tx.data.to === currentUser);
+  }
+  
   // Data loading and processing methods
   async loadTransactions() {
     if (!this.username || this.isLoading || !this.transactionListElement) return;
@@ -10,10 +10,15 @@ export default class WalletBalancesComponent extends Component {
       steem: '0.000',
       sbd: '0.000',
       steemPower: '0.000',
+      savings: {
+        steem: '0.000',
+        sbd: '0.000'
+      },
       usdValues: {
         steem: '0.00',
         sbd: '0.00',
         steemPower: '0.00',
+        savings: '0.00',
         total: '0.00'
       },
       prices: {
@@ -75,10 +80,15 @@ export default class WalletBalancesComponent extends Component {
         steem: balanceData.steem,
         sbd: balanceData.sbd,
         steemPower: balanceData.steemPower,
+        savings: balanceData.savings || {
+          steem: '0.000',
+          sbd: '0.000'
+        },
         usdValues: balanceData.usdValues || {
           steem: '0.00',
           sbd: '0.00',
           steemPower: '0.00',
+          savings: '0.00',
           total: '0.00'
         },
         prices: balanceData.prices || {
@@ -223,6 +233,16 @@ export default class WalletBalancesComponent extends Component {
 
     balanceCardsRow.appendChild(steemPowerCard);
 
+    // Savings Card
+    const savingsCard = this.createBalanceCard('savings', 'Savings', `${this.balances.savings.steem} STEEM`, `≈ $${this.balances.usdValues.savings}`);
+
+    const savingsSbd = document.createElement('div');
+    savingsSbd.className = 'savings-sbd';
+    savingsSbd.textContent = `${this.balances.savings.sbd} SBD`;
+    savingsCard.querySelector('.balance-value').after(savingsSbd);
+
+    balanceCardsRow.appendChild(savingsCard);
+
     // Append balance cards row
     this.balanceContainer.appendChild(balanceCardsRow);
   }
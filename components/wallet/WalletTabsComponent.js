@@ -4,6 +4,8 @@ import PowerManagementTab from './tabs/PowerManagementTab.js';
 import DelegationTab from './tabs/DelegationTab.js';
 import TransactionHistoryTab from './tabs/TransactionHistoryTab.js';
 import CurationTab from './tabs/CurationTab.js';
+import SavingsTab from './tabs/SavingsTab.js';
+import MarketTab from './tabs/MarketTab.js';
 
 export default class WalletTabsComponent extends Component {
   constructor(parentElement, options = {}) {
@@ -28,6 +30,8 @@ export default class WalletTabsComponent extends Component {
       { id: 'transfer', label: 'Transfer', isActive: false },
       { id: 'power', label: 'Power Up/Down', isActive: false },
       { id: 'delegate', label: 'Delegate', isActive: false },
+      { id: 'savings', label: 'Savings', isActive: false },
+      { id: 'market', label: 'Market', isActive: false },
       { id: 'curation', label: 'Curation', isActive: false }
     ];
     
@@ -107,6 +111,12 @@ export default class WalletTabsComponent extends Component {
       case 'delegate':
         tabComponent = new DelegationTab(this.tabContent);
         break;
+      case 'savings':
+        tabComponent = new SavingsTab(this.tabContent);
+        break;
+      case 'market':
+        tabComponent = new MarketTab(this.tabContent);
+        break;
       case 'history':
         tabComponent = new TransactionHistoryTab(this.tabContent);
         break;
@@ -2,6 +2,7 @@ import Component from '../../Component.js';
 import walletService from '../../../services/WalletService.js';
 import authService from '../../../services/AuthService.js';
 import eventEmitter from '../../../utils/EventEmitter.js';
+import OfflineSigningOption from '../OfflineSigningOption.js';
 
 export default class DelegationTab extends Component {
   constructor(parentElement, options = {}) {
@@ -92,6 +93,9 @@ export default class DelegationTab extends Component {
     amountGroup.appendChild(amountContainer);
     form.appendChild(amountGroup);
     
+    this.offlineSigningOption = new OfflineSigningOption(form, { id: 'delegate-offline' });
+    this.offlineSigningOption.render();
+    
     // Message container
     const messageEl = document.createElement('div');
     messageEl.id = 'delegate-message';
@@ -180,7 +184,9 @@ export default class DelegationTab extends Component {
       submitBtn.textContent = 'Processing...';
       
       // Use the centralized delegateSteemPower service method
-      const response = await walletService.delegateSteemPower(delegatee, amount);
+      const response = await walletService.delegateSteemPower(delegatee, amount, {
+        unsigned: this.offlineSigningOption.isChecked()
+      });
       
       if (response.success) {
         this.showMessage('Delegation completed successfully!', true);
@@ -350,8 +356,11 @@ export default class DelegationTab extends Component {
         // To remove a delegation, delegate 0 SP
         const zeroAmount = "0.000"; // Properly formatted zero amount
         
-        // Use the centralized delegateSteemPower service method with zero amount
-        const response = await walletService.delegateSteemPower(delegateeLower, zeroAmount);
+        // Use the centralized delegateSteemPower service method with zero amount,
+        // signed the same way as the delegation form
+        const response = await walletService.delegateSteemPower(delegateeLower, zeroAmount, {
+          unsigned: this.offlineSigningOption.isChecked()
+        });
           if (response.success) {
           this.showMessage(`Delegation to @${delegateeLower} successfully removed`, true);
           
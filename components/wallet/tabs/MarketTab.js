@@ -0,0 +1,736 @@
+import Component from '../../Component.js';
+import walletService from '../../../services/WalletService.js';
+import authService from '../../../services/AuthService.js';
+import eventEmitter from '../../../utils/EventEmitter.js';
+import { formatCountdown } from '../../../utils/DateUtils.js';
+
+export default class MarketTab extends Component {
+  constructor(parentElement, options = {}) {
+    super(parentElement, options);
+    this.handleOrderSubmit = this.handleOrderSubmit.bind(this);
+    this.handleConvertSubmit = this.handleConvertSubmit.bind(this);
+    this.loadMarket = this.loadMarket.bind(this);
+    this.loadAccountData = this.loadAccountData.bind(this);
+    this.updateCountdowns = this.updateCountdowns.bind(this);
+    this.currentUser = authService.getCurrentUser()?.username;
+    this.balances = null;
+    this.refreshInterval = null;
+    this.countdownInterval = null;
+    this.REFRESH_INTERVAL_MS = 30000;
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'tab-pane';
+    this.element.id = 'market-tab';
+
+    this.tickerContainer = document.createElement('div');
+    this.tickerContainer.className = 'market-ticker';
+    this.element.appendChild(this.tickerContainer);
+
+    const marketGrid = document.createElement('div');
+    marketGrid.className = 'market-grid';
+    marketGrid.appendChild(this.createOrderBookSection());
+    marketGrid.appendChild(this.createOrderFormSection());
+    this.element.appendChild(marketGrid);
+
+    this.element.appendChild(this.createListSection('Your Open Orders', 'market-open-orders', 'Loading your orders...'));
+    this.element.appendChild(this.createConvertSection());
+    this.element.appendChild(this.createListSection('Recent Trades', 'market-recent-trades', 'Loading trades...'));
+
+    this.parentElement.appendChild(this.element);
+
+    // Account data changes after operations, market data changes all the time
+    this.registerEmitterHandler(eventEmitter, 'wallet:balances-updated', this.loadAccountData);
+    this.refreshInterval = setInterval(this.loadMarket, this.REFRESH_INTERVAL_MS);
+    this.countdownInterval = setInterval(this.updateCountdowns, 1000);
+
+    this.loadMarket();
+    this.loadAccountData();
+
+    return this.element;
+  }
+
+  createFormGroup(labelText) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    group.appendChild(label);
+
+    return group;
+  }
+
+  createAmountInput(id, suffix, placeholder = '0.000') {
+    const inputGroup = document.createElement('div');
+    inputGroup.className = 'input-group';
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.id = id;
+    input.min = '0.001';
+    input.step = '0.001';
+    input.placeholder = placeholder;
+    input.required = true;
+    inputGroup.appendChild(input);
+
+    const inputSuffix = document.createElement('div');
+    inputSuffix.className = 'input-suffix';
+    inputSuffix.textContent = suffix;
+    inputGroup.appendChild(inputSuffix);
+
+    return inputGroup;
+  }
+
+  createMessage(id) {
+    const messageEl = document.createElement('div');
+    messageEl.id = id;
+    messageEl.className = 'message hidden';
+    return messageEl;
+  }
+
+  createListSection(title, listId, loadingText) {
+    const container = document.createElement('div');
+    container.className = 'market-section';
+
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    container.appendChild(heading);
+
+    const listContainer = document.createElement('div');
+    listContainer.id = listId;
+
+    const loadingIndicator = document.createElement('div');
+    loadingIndicator.className = 'loading-indicator';
+    loadingIndicator.textContent = loadingText;
+    listContainer.appendChild(loadingIndicator);
+
+    container.appendChild(listContainer);
+    return container;
+  }
+
+  createOrderBookSection() {
+    const card = document.createElement('div');
+    card.className = 'form-card market-order-book';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Order Book';
+    card.appendChild(heading);
+
+    const sides = document.createElement('div');
+    sides.className = 'order-book-sides';
+
+    [
+      { id: 'market-bids', title: 'Buy orders' },
+      { id: 'market-asks', title: 'Sell orders' }
+    ].forEach(side => {
+      const sideContainer = document.createElement('div');
+      sideContainer.className = 'order-book-side';
+
+      const sideTitle = document.createElement('h4');
+      sideTitle.textContent = side.title;
+      sideContainer.appendChild(sideTitle);
+
+      const list = document.createElement('div');
+      list.id = side.id;
+
+      // Rows are rebuilt on every refresh, so the click is handled on the list
+      this.registerEventHandler(list, 'click', (e) => {
+        const row = e.target.closest('.order-book-row');
+        if (!row) return;
+        this.element.querySelector('#market-price').value = row.dataset.price;
+        this.updateOrderForm();
+      });
+
+      const loadingIndicator = document.createElement('div');
+      loadingIndicator.className = 'loading-indicator';
+      loadingIndicator.textContent = 'Loading...';
+      list.appendChild(loadingIndicator);
+
+      sideContainer.appendChild(list);
+      sides.appendChild(sideContainer);
+    });
+
+    card.appendChild(sides);
+
+    const hint = document.createElement('p');
+    hint.className = 'info-text';
+    hint.textContent = 'Click an order to use its price.';
+    card.appendChild(hint);
+
+    return card;
+  }
+
+  createOrderFormSection() {
+    const formCard = document.createElement('div');
+    formCard.className = 'form-card';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Place Order';
+    formCard.appendChild(heading);
+
+    const form = document.createElement('form');
+    form.id = 'market-order-form';
+    this.registerEventHandler(form, 'submit', this.handleOrderSubmit);
+
+    // Buy / sell selector
+    const typeGroup = this.createFormGroup('Order type');
+    const typeSelector = document.createElement('div');
+    typeSelector.className = 'market-type-selector';
+
+    [
+      { value: 'buy', label: 'Buy STEEM' },
+      { value: 'sell', label: 'Sell STEEM' }
+    ].forEach((type, index) => {
+      const option = document.createElement('label');
+      option.className = `market-type-option ${type.value}`;
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'market-order-type';
+      radio.value = type.value;
+      radio.checked = index === 0;
+      this.registerEventHandler(radio, 'change', () => this.updateOrderForm());
+      option.appendChild(radio);
+
+      const text = document.createElement('span');
+      text.textContent = type.label;
+      option.appendChild(text);
+
+      typeSelector.appendChild(option);
+    });
+
+    typeGroup.appendChild(typeSelector);
+    form.appendChild(typeGroup);
+
+    const priceGroup = this.createFormGroup('Price (SBD per STEEM)');
+    priceGroup.appendChild(this.createAmountInput('market-price', 'SBD', '0.000000'));
+    priceGroup.querySelector('input').step = '0.000001';
+    priceGroup.querySelector('input').min = '0.000001';
+    form.appendChild(priceGroup);
+
+    const amountGroup = this.createFormGroup('Amount');
+    amountGroup.appendChild(this.createAmountInput('market-amount', 'STEEM'));
+    form.appendChild(amountGroup);
+
+    // Total is derived from price and amount
+    const totalGroup = this.createFormGroup('Total');
+    totalGroup.appendChild(this.createAmountInput('market-total', 'SBD'));
+    const totalInput = totalGroup.querySelector('input');
+    totalInput.readOnly = true;
+    totalInput.required = false;
+    form.appendChild(totalGroup);
+
+    const availableText = document.createElement('small');
+    availableText.id = 'market-available';
+    availableText.className = 'market-available';
+    form.appendChild(availableText);
+
+    ['market-price', 'market-amount'].forEach(id => {
+      this.registerEventHandler(form.querySelector(`#${id}`), 'input', () => this.updateOrderForm());
+    });
+
+    form.appendChild(this.createMessage('market-order-message'));
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'btn btn-primary';
+    submitBtn.textContent = 'Buy STEEM';
+    form.appendChild(submitBtn);
+
+    formCard.appendChild(form);
+    return formCard;
+  }
+
+  createConvertSection() {
+    const formCard = document.createElement('div');
+    formCard.className = 'form-card market-convert';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Convert SBD to STEEM';
+    formCard.appendChild(heading);
+
+    const description = document.createElement('p');
+    description.className = 'info-text';
+    description.textContent = 'Conversions settle after 3.5 days at the median STEEM price of that period, ' +
+      'so the amount of STEEM you receive is only known at the end.';
+    formCard.appendChild(description);
+
+    const form = document.createElement('form');
+    form.id = 'market-convert-form';
+    this.registerEventHandler(form, 'submit', this.handleConvertSubmit);
+
+    const amountGroup = this.createFormGroup('Amount');
+    amountGroup.appendChild(this.createAmountInput('convert-amount', 'SBD'));
+
+    const availableText = document.createElement('small');
+    availableText.id = 'convert-available';
+    availableText.className = 'market-available';
+    amountGroup.appendChild(availableText);
+    form.appendChild(amountGroup);
+
+    form.appendChild(this.createMessage('convert-message'));
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'btn btn-primary';
+    submitBtn.textContent = 'Convert';
+    form.appendChild(submitBtn);
+
+    formCard.appendChild(form);
+
+    const pendingHeading = document.createElement('h4');
+    pendingHeading.textContent = 'Pending conversions';
+    formCard.appendChild(pendingHeading);
+
+    const pendingList = document.createElement('div');
+    pendingList.id = 'market-conversions';
+    formCard.appendChild(pendingList);
+
+    return formCard;
+  }
+
+  getOrderType() {
+    const checked = this.element.querySelector('input[name="market-order-type"]:checked');
+    return checked ? checked.value : 'buy';
+  }
+
+  /**
+   * Recomputes the order total and updates the labels for the selected side
+   */
+  updateOrderForm() {
+    if (!this.element) return;
+
+    const type = this.getOrderType();
+    const price = parseFloat(this.element.querySelector('#market-price').value);
+    const amount = parseFloat(this.element.querySelector('#market-amount').value);
+
+    this.element.querySelector('#market-total').value = price > 0 && amount > 0
+      ? (price * amount).toFixed(3)
+      : '';
+
+    this.element.querySelector('#market-order-form button[type="submit"]').textContent =
+      type === 'buy' ? 'Buy STEEM' : 'Sell STEEM';
+
+    const availableText = this.element.querySelector('#market-available');
+    const convertAvailable = this.element.querySelector('#convert-available');
+    if (this.balances) {
+      availableText.textContent = type === 'buy'
+        ? `Available: ${this.balances.sbd} SBD`
+        : `Available: ${this.balances.steem} STEEM`;
+      convertAvailable.textContent = `Available: ${this.balances.sbd} SBD`;
+    }
+  }
+
+  async loadMarket() {
+    if (!this.element) return;
+
+    const [ticker, orderBook, trades] = await Promise.allSettled([
+      walletService.getMarketTicker(),
+      walletService.getOrderBook(15),
+      walletService.getRecentTrades(20)
+    ]);
+
+    if (!this.element) return;
+
+    if (ticker.status === 'fulfilled') {
+      this.renderTicker(ticker.value);
+    } else {
+      console.error('Failed to load market ticker:', ticker.reason);
+    }
+
+    if (orderBook.status === 'fulfilled') {
+      this.renderOrderBookSide(this.element.querySelector('#market-bids'), orderBook.value.bids, 'bid');
+      this.renderOrderBookSide(this.element.querySelector('#market-asks'), orderBook.value.asks, 'ask');
+    } else {
+      console.error('Failed to load order book:', orderBook.reason);
+      this.showListError(this.element.querySelector('#market-bids'), 'Failed to load order book');
+      this.clearContainer(this.element.querySelector('#market-asks'));
+    }
+
+    if (trades.status === 'fulfilled') {
+      this.renderRecentTrades(trades.value);
+    } else {
+      console.error('Failed to load recent trades:', trades.reason);
+      this.showListError(this.element.querySelector('#market-recent-trades'), 'Failed to load recent trades');
+    }
+  }
+
+  async loadAccountData() {
+    if (!this.element) return;
+
+    if (!this.currentUser) {
+      this.showEmptyState(this.element.querySelector('#market-open-orders'), 'Log in to trade on the market.');
+      this.showEmptyState(this.element.querySelector('#market-conversions'), 'Log in to convert SBD.');
+      return;
+    }
+
+    const [orders, conversions, balances] = await Promise.allSettled([
+      walletService.getOpenOrders(),
+      walletService.getConversionRequests(),
+      walletService.getUserBalances(this.currentUser)
+    ]);
+
+    if (!this.element) return;
+
+    if (orders.status === 'fulfilled') {
+      this.renderOpenOrders(orders.value);
+    } else {
+      console.error('Failed to load open orders:', orders.reason);
+      this.showListError(this.element.querySelector('#market-open-orders'), 'Failed to load your orders');
+    }
+
+    if (conversions.status === 'fulfilled') {
+      this.renderConversions(conversions.value);
+    } else {
+      console.error('Failed to load conversions:', conversions.reason);
+      this.showListError(this.element.querySelector('#market-conversions'), 'Failed to load conversions');
+    }
+
+    if (balances.status === 'fulfilled') {
+      this.balances = balances.value;
+      this.updateOrderForm();
+    }
+  }
+
+  clearContainer(container) {
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+  }
+
+  showEmptyState(container, text) {
+    this.clearContainer(container);
+    const emptyState = document.createElement('p');
+    emptyState.className = 'empty-state';
+    emptyState.textContent = text;
+    container.appendChild(emptyState);
+  }
+
+  showListError(container, text) {
+    this.clearContainer(container);
+    const errorState = document.createElement('p');
+    errorState.className = 'error-state';
+    errorState.textContent = text;
+    container.appendChild(errorState);
+  }
+
+  createTable(headers, className = '') {
+    const table = document.createElement('table');
+    table.className = `delegations-table market-table ${className}`.trim();
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    headers.forEach(headerText => {
+      const th = document.createElement('th');
+      th.textContent = headerText;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    return { table, tbody };
+  }
+
+  createRow(values) {
+    const row = document.createElement('tr');
+    values.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  renderTicker(ticker) {
+    this.clearContainer(this.tickerContainer);
+
+    const items = [
+      { label: 'Last price', value: `${ticker.latest.toFixed(6)} SBD` },
+      { label: 'Highest bid', value: `${ticker.highestBid.toFixed(6)} SBD` },
+      { label: 'Lowest ask', value: `${ticker.lowestAsk.toFixed(6)} SBD` },
+      {
+        label: '24h change',
+        value: `${ticker.percentChange >= 0 ? '+' : ''}${ticker.percentChange.toFixed(2)}%`,
+        className: ticker.percentChange >= 0 ? 'positive' : 'negative'
+      },
+      { label: '24h volume', value: `${ticker.steemVolume.toFixed(3)} STEEM` }
+    ];
+
+    items.forEach(item => {
+      const tickerItem = document.createElement('div');
+      tickerItem.className = 'market-ticker-item';
+
+      const label = document.createElement('span');
+      label.className = 'market-ticker-label';
+      label.textContent = item.label;
+
+      const value = document.createElement('span');
+      value.className = `market-ticker-value ${item.className || ''}`.trim();
+      value.textContent = item.value;
+
+      tickerItem.appendChild(label);
+      tickerItem.appendChild(value);
+      this.tickerContainer.appendChild(tickerItem);
+    });
+  }
+
+  renderOrderBookSide(container, orders, side) {
+    if (!orders.length) {
+      this.showEmptyState(container, 'No orders');
+      return;
+    }
+
+    this.clearContainer(container);
+    const { table, tbody } = this.createTable(['Price', 'STEEM', 'SBD'], `order-book-table ${side}`);
+
+    orders.forEach(order => {
+      const row = this.createRow([order.price.toFixed(6), order.steem.toFixed(3), order.sbd.toFixed(3)]);
+      row.className = 'order-book-row';
+      row.dataset.price = order.price.toFixed(6);
+      tbody.appendChild(row);
+    });
+
+    container.appendChild(table);
+  }
+
+  renderRecentTrades(trades) {
+    const container = this.element.querySelector('#market-recent-trades');
+    if (!trades.length) {
+      this.showEmptyState(container, 'No recent trades');
+      return;
+    }
+
+    this.clearContainer(container);
+    const { table, tbody } = this.createTable(['Time', 'Price', 'STEEM', 'SBD']);
+
+    trades.forEach(trade => {
+      const row = this.createRow([
+        trade.date.toLocaleTimeString(),
+        trade.price.toFixed(6),
+        trade.steem.toFixed(3),
+        trade.sbd.toFixed(3)
+      ]);
+      row.className = `trade-row ${trade.type}`;
+      tbody.appendChild(row);
+    });
+
+    container.appendChild(table);
+  }
+
+  renderOpenOrders(orders) {
+    const container = this.element.querySelector('#market-open-orders');
+    if (!orders.length) {
+      this.showEmptyState(container, 'You have no open orders.');
+      return;
+    }
+
+    this.clearContainer(container);
+    const { table, tbody } = this.createTable(['Type', 'Price', 'STEEM', 'SBD', 'Created', 'Actions']);
+
+    orders.forEach(order => {
+      const row = this.createRow([
+        order.type === 'buy' ? 'Buy' : 'Sell',
+        order.price.toFixed(6),
+        order.steem.toFixed(3),
+        order.sbd.toFixed(3),
+        order.created.toLocaleDateString()
+      ]);
+      row.firstChild.className = `order-type ${order.type}`;
+
+      const actionsCell = document.createElement('td');
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'remove-btn';
+      cancelBtn.textContent = 'Cancel';
+      this.registerEventHandler(cancelBtn, 'click', () => this.cancelOrder(order, cancelBtn));
+      actionsCell.appendChild(cancelBtn);
+      row.appendChild(actionsCell);
+
+      tbody.appendChild(row);
+    });
+
+    container.appendChild(table);
+  }
+
+  renderConversions(conversions) {
+    const container = this.element.querySelector('#market-conversions');
+    if (!conversions.length) {
+      this.showEmptyState(container, 'No pending conversions.');
+      return;
+    }
+
+    this.clearContainer(container);
+    const { table, tbody } = this.createTable(['Amount', 'Settles in']);
+
+    conversions.forEach(conversion => {
+      const row = this.createRow([conversion.amount, '']);
+      const countdownCell = row.lastChild;
+      countdownCell.className = 'market-countdown';
+      countdownCell.dataset.complete = conversion.conversionDate.getTime();
+      countdownCell.title = conversion.conversionDate.toLocaleString();
+      tbody.appendChild(row);
+    });
+
+    container.appendChild(table);
+    this.updateCountdowns();
+  }
+
+  updateCountdowns() {
+    if (!this.element) return;
+
+    this.element.querySelectorAll('.market-countdown').forEach(cell => {
+      const remaining = parseInt(cell.dataset.complete, 10) - Date.now();
+      cell.textContent = remaining > 0 ? formatCountdown(remaining) : 'Processing...';
+    });
+  }
+
+  showMessage(id, message, isSuccess) {
+    const messageEl = this.element.querySelector(`#${id}`);
+    messageEl.textContent = message;
+    messageEl.classList.remove('hidden', 'success', 'error');
+    messageEl.classList.add(isSuccess ? 'success' : 'error');
+  }
+
+  clearMessage(id) {
+    const messageEl = this.element.querySelector(`#${id}`);
+    messageEl.textContent = '';
+    messageEl.classList.add('hidden');
+    messageEl.classList.remove('success', 'error');
+  }
+
+  async handleOrderSubmit(e) {
+    e.preventDefault();
+    this.clearMessage('market-order-message');
+
+    if (!this.currentUser) {
+      this.showMessage('market-order-message', 'You need to be logged in to trade', false);
+      return;
+    }
+
+    const type = this.getOrderType();
+    const price = parseFloat(this.element.querySelector('#market-price').value);
+    const amount = parseFloat(this.element.querySelector('#market-amount').value);
+
+    if (!(price > 0) || !(amount > 0)) {
+      this.showMessage('market-order-message', 'Please enter a valid price and amount', false);
+      return;
+    }
+
+    if ((price * amount) < 0.001) {
+      this.showMessage('market-order-message', 'The order total must be at least 0.001 SBD', false);
+      return;
+    }
+
+    const submitBtn = this.element.querySelector('#market-order-form button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Processing...';
+
+    try {
+      const response = await walletService.placeLimitOrder(type, amount, price);
+
+      if (response.success) {
+        this.showMessage('market-order-message',
+          `${type === 'buy' ? 'Buy' : 'Sell'} order for ${amount.toFixed(3)} STEEM placed`, true);
+        this.element.querySelector('#market-order-form').reset();
+
+        walletService.updateBalances();
+        this.loadMarket();
+        this.loadAccountData();
+      } else {
+        this.showMessage('market-order-message', `Order failed: ${response.message || 'Unknown error'}`, false);
+      }
+    } catch (error) {
+      console.error('Limit order error:', error);
+      this.showMessage('market-order-message', `Error: ${error.message || 'Unknown error'}`, false);
+    } finally {
+      submitBtn.disabled = false;
+      this.updateOrderForm();
+    }
+  }
+
+  async cancelOrder(order, button) {
+    if (!confirm(`Cancel your ${order.type} order for ${order.steem.toFixed(3)} STEEM at ${order.price.toFixed(6)} SBD?`)) {
+      return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Cancelling...';
+
+    try {
+      const response = await walletService.cancelLimitOrder(order.orderId);
+
+      if (response.success) {
+        this.showMessage('market-order-message', 'Order cancelled', true);
+        walletService.updateBalances();
+        this.loadMarket();
+        this.loadAccountData();
+      } else {
+        this.showMessage('market-order-message', `Failed to cancel order: ${response.message || 'Unknown error'}`, false);
+        button.disabled = false;
+        button.textContent = 'Cancel';
+      }
+    } catch (error) {
+      console.error('Cancel order error:', error);
+      this.showMessage('market-order-message', `Error: ${error.message || 'Unknown error'}`, false);
+      button.disabled = false;
+      button.textContent = 'Cancel';
+    }
+  }
+
+  async handleConvertSubmit(e) {
+    e.preventDefault();
+    this.clearMessage('convert-message');
+
+    if (!this.currentUser) {
+      this.showMessage('convert-message', 'You need to be logged in to convert', false);
+      return;
+    }
+
+    const amount = parseFloat(this.element.querySelector('#convert-amount').value);
+    if (!(amount > 0)) {
+      this.showMessage('convert-message', 'Please enter a valid amount', false);
+      return;
+    }
+
+    if (this.balances && amount > parseFloat(this.balances.sbd)) {
+      this.showMessage('convert-message', 'Insufficient SBD balance', false);
+      return;
+    }
+
+    const submitBtn = this.element.querySelector('#market-convert-form button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Processing...';
+
+    try {
+      const response = await walletService.convertSbd(amount);
+
+      if (response.success) {
+        this.showMessage('convert-message', `Conversion of ${amount.toFixed(3)} SBD started`, true);
+        this.element.querySelector('#market-convert-form').reset();
+
+        walletService.updateBalances();
+        this.loadAccountData();
+      } else {
+        this.showMessage('convert-message', `Conversion failed: ${response.message || 'Unknown error'}`, false);
+      }
+    } catch (error) {
+      console.error('Convert error:', error);
+      this.showMessage('convert-message', `Error: ${error.message || 'Unknown error'}`, false);
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Convert';
+    }
+  }
+
+  destroy() {
+    clearInterval(this.refreshInterval);
+    clearInterval(this.countdownInterval);
+    this.refreshInterval = null;
+    this.countdownInterval = null;
+    super.destroy();
+    this.element = null;
+  }
+}
@@ -2,6 +2,7 @@ import Component from '../../Component.js';
 import walletService from '../../../services/WalletService.js';
 import authService from '../../../services/AuthService.js';
 import eventEmitter from '../../../utils/EventEmitter.js';
+import OfflineSigningOption from '../OfflineSigningOption.js';
 
 export default class PowerManagementTab extends Component {
   constructor(parentElement, options = {}) {
@@ -184,6 +185,9 @@ export default class PowerManagementTab extends Component {
     
     form.appendChild(infoText);
     
+    this.powerDownOfflineOption = new OfflineSigningOption(form, { id: 'power-down-offline' });
+    this.powerDownOfflineOption.render();
+    
     // Message container
     const messageEl = document.createElement('div');
     messageEl.id = 'power-down-message';
@@ -475,9 +479,10 @@ export default class PowerManagementTab extends Component {
       return;
     }
     
-    // Check if Keychain is installed
-    if (typeof window.steem_keychain === 'undefined') {
-      this.showMessage('Steem Keychain extension is not installed. Please install it to use this feature.', false, messageEl);
+    // Without Keychain the transaction can still be signed on an offline device
+    const unsigned = this.powerDownOfflineOption.isChecked();
+    if (!unsigned && typeof window.steem_keychain === 'undefined') {
+      this.showMessage('Steem Keychain extension is not installed. Install it or choose to sign offline.', false, messageEl);
       return;
     }
     
@@ -496,7 +501,7 @@ export default class PowerManagementTab extends Component {
       submitBtn.appendChild(document.createTextNode(' Processing...'));
       
       // Call the wallet service to process the power down
-      const response = await walletService.powerDown(amount);
+      const response = await walletService.powerDown(amount, { unsigned });
       
       if (response.success) {
         this.showMessage('Power down initiated successfully!', true, messageEl);
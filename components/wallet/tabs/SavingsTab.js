@@ -0,0 +1,509 @@
+import Component from '../../Component.js';
+import walletService from '../../../services/WalletService.js';
+import authService from '../../../services/AuthService.js';
+import eventEmitter from '../../../utils/EventEmitter.js';
+import { formatCountdown } from '../../../utils/DateUtils.js';
+
+export default class SavingsTab extends Component {
+  constructor(parentElement, options = {}) {
+    super(parentElement, options);
+    this.handleSavingsSubmit = this.handleSavingsSubmit.bind(this);
+    this.loadSavings = this.loadSavings.bind(this);
+    this.updateCountdowns = this.updateCountdowns.bind(this);
+    this.currentUser = authService.getCurrentUser()?.username;
+    this.savings = null;
+    this.countdownInterval = null;
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.className = 'tab-pane';
+    this.element.id = 'savings-tab';
+
+    // Savings overview
+    this.summaryContainer = document.createElement('div');
+    this.summaryContainer.className = 'form-card savings-summary';
+    this.element.appendChild(this.summaryContainer);
+
+    // Deposit / withdraw form
+    this.element.appendChild(this.createFormSection());
+
+    // Pending withdrawals
+    this.element.appendChild(this.createWithdrawalsSection());
+
+    this.parentElement.appendChild(this.element);
+
+    // Reload once the balances refresh after an operation
+    this.registerEmitterHandler(eventEmitter, 'wallet:balances-updated', this.loadSavings);
+
+    this.loadSavings();
+
+    return this.element;
+  }
+
+  createFormSection() {
+    const formCard = document.createElement('div');
+    formCard.className = 'form-card';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Deposit or Withdraw';
+    formCard.appendChild(heading);
+
+    const form = document.createElement('form');
+    form.id = 'savings-form';
+    this.registerEventHandler(form, 'submit', this.handleSavingsSubmit);
+
+    // Operation selector
+    const actionGroup = this.createFormGroup('Operation');
+    const actionSelector = document.createElement('div');
+    actionSelector.className = 'savings-action-selector';
+
+    [
+      { value: 'deposit', label: 'Deposit to savings' },
+      { value: 'withdraw', label: 'Withdraw from savings' }
+    ].forEach((action, index) => {
+      const option = document.createElement('label');
+      option.className = 'savings-action-option';
+
+      const radio = document.createElement('input');
+      radio.type = 'radio';
+      radio.name = 'savings-action';
+      radio.value = action.value;
+      radio.checked = index === 0;
+      this.registerEventHandler(radio, 'change', () => this.updateFormHints());
+      option.appendChild(radio);
+
+      const text = document.createElement('span');
+      text.textContent = action.label;
+      option.appendChild(text);
+
+      actionSelector.appendChild(option);
+    });
+
+    actionGroup.appendChild(actionSelector);
+    form.appendChild(actionGroup);
+
+    // Amount with currency selector
+    const amountGroup = this.createFormGroup('Amount');
+    const inputGroup = document.createElement('div');
+    inputGroup.className = 'input-group';
+
+    const amountInput = document.createElement('input');
+    amountInput.type = 'number';
+    amountInput.id = 'savings-amount';
+    amountInput.min = '0.001';
+    amountInput.step = '0.001';
+    amountInput.placeholder = '0.000';
+    amountInput.required = true;
+    inputGroup.appendChild(amountInput);
+
+    const currencySelector = document.createElement('div');
+    currencySelector.className = 'currency-selector';
+
+    const selectWrapper = document.createElement('div');
+    selectWrapper.className = 'select-wrapper';
+
+    const select = document.createElement('select');
+    select.id = 'savings-currency';
+    select.className = 'currency-select';
+    ['STEEM', 'SBD'].forEach(currency => {
+      const option = document.createElement('option');
+      option.value = currency;
+      option.textContent = currency;
+      select.appendChild(option);
+    });
+    this.registerEventHandler(select, 'change', () => this.updateFormHints());
+    selectWrapper.appendChild(select);
+
+    const selectIcon = document.createElement('span');
+    selectIcon.className = 'select-icon material-icons';
+    selectIcon.textContent = 'unfold_more';
+    selectWrapper.appendChild(selectIcon);
+
+    currencySelector.appendChild(selectWrapper);
+    inputGroup.appendChild(currencySelector);
+    amountGroup.appendChild(inputGroup);
+
+    const availableText = document.createElement('small');
+    availableText.id = 'savings-available';
+    availableText.className = 'savings-available';
+    amountGroup.appendChild(availableText);
+
+    form.appendChild(amountGroup);
+
+    // Memo
+    const memoGroup = this.createFormGroup('Memo (optional)');
+    const memoInput = document.createElement('input');
+    memoInput.type = 'text';
+    memoInput.id = 'savings-memo';
+    memoInput.maxLength = 255;
+    memoInput.placeholder = 'Add a memo...';
+    memoGroup.appendChild(memoInput);
+    form.appendChild(memoGroup);
+
+    // Withdrawal delay note
+    const infoText = document.createElement('p');
+    infoText.id = 'savings-info';
+    infoText.className = 'info-text';
+
+    const infoIcon = document.createElement('i');
+    infoIcon.className = 'material-icons';
+    infoIcon.textContent = 'info';
+    infoText.appendChild(infoIcon);
+
+    const infoMessage = document.createElement('span');
+    infoText.appendChild(infoMessage);
+    form.appendChild(infoText);
+
+    // Message container
+    const messageEl = document.createElement('div');
+    messageEl.id = 'savings-message';
+    messageEl.className = 'message hidden';
+    form.appendChild(messageEl);
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'btn btn-primary';
+    submitBtn.textContent = 'Deposit';
+    form.appendChild(submitBtn);
+
+    formCard.appendChild(form);
+    return formCard;
+  }
+
+  createFormGroup(labelText) {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    group.appendChild(label);
+
+    return group;
+  }
+
+  createWithdrawalsSection() {
+    const container = document.createElement('div');
+    container.className = 'savings-withdrawals-container';
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Pending Withdrawals';
+    container.appendChild(heading);
+
+    const listContainer = document.createElement('div');
+    listContainer.id = 'savings-withdrawals-list';
+    listContainer.className = 'savings-withdrawals-list';
+
+    const loadingIndicator = document.createElement('div');
+    loadingIndicator.className = 'loading-indicator';
+    loadingIndicator.textContent = 'Loading pending withdrawals...';
+    listContainer.appendChild(loadingIndicator);
+
+    container.appendChild(listContainer);
+    return container;
+  }
+
+  getSelectedAction() {
+    const checked = this.element.querySelector('input[name="savings-action"]:checked');
+    return checked ? checked.value : 'deposit';
+  }
+
+  /**
+   * Updates the available balance, submit label and info text for the selected operation
+   */
+  updateFormHints() {
+    if (!this.element) return;
+
+    const action = this.getSelectedAction();
+    const currency = this.element.querySelector('#savings-currency').value;
+    const key = currency === 'SBD' ? 'sbd' : 'steem';
+
+    const availableText = this.element.querySelector('#savings-available');
+    const submitBtn = this.element.querySelector('#savings-form button[type="submit"]');
+    const infoMessage = this.element.querySelector('#savings-info span');
+
+    if (this.savings) {
+      const available = action === 'deposit' ? this.savings.liquid[key] : this.savings[key];
+      availableText.textContent = `Available: ${available} ${currency}`;
+    } else {
+      availableText.textContent = '';
+    }
+
+    if (action === 'deposit') {
+      submitBtn.textContent = 'Deposit';
+      infoMessage.textContent = currency === 'SBD' && this.savings?.interestRate > 0
+        ? `SBD in savings earns ${this.savings.interestRate}% APR.`
+        : 'Funds in savings can only be withdrawn with a 3-day delay.';
+    } else {
+      submitBtn.textContent = 'Withdraw';
+      infoMessage.textContent = 'Withdrawals are released after 3 days and can be cancelled until then.';
+    }
+  }
+
+  async handleSavingsSubmit(e) {
+    e.preventDefault();
+
+    const action = this.getSelectedAction();
+    const currency = this.element.querySelector('#savings-currency').value;
+    const memo = this.element.querySelector('#savings-memo').value.trim();
+    let amount = this.element.querySelector('#savings-amount').value;
+
+    // Clear previous messages
+    const messageEl = this.element.querySelector('#savings-message');
+    messageEl.textContent = '';
+    messageEl.classList.add('hidden');
+    messageEl.classList.remove('success', 'error');
+
+    if (!this.currentUser) {
+      this.showMessage('You need to be logged in to use savings', false);
+      return;
+    }
+
+    amount = parseFloat(amount);
+    if (isNaN(amount) || amount <= 0) {
+      this.showMessage('Please enter a valid amount', false);
+      return;
+    }
+
+    const submitBtn = this.element.querySelector('#savings-form button[type="submit"]');
+    const originalText = submitBtn.textContent;
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Processing...';
+
+    try {
+      const response = action === 'deposit'
+        ? await walletService.transferToSavings(amount, currency, memo)
+        : await walletService.transferFromSavings(amount, currency, memo);
+
+      if (response.success) {
+        this.showMessage(action === 'deposit'
+          ? `${amount.toFixed(3)} ${currency} moved to savings`
+          : `Withdrawal of ${amount.toFixed(3)} ${currency} started, funds will be available in 3 days`, true);
+        this.element.querySelector('#savings-form').reset();
+
+        walletService.updateBalances();
+        this.loadSavings();
+      } else {
+        this.showMessage(`Operation failed: ${response.message || 'Unknown error'}`, false);
+      }
+    } catch (error) {
+      console.error('Savings operation error:', error);
+      this.showMessage(`Error: ${error.message || 'Unknown error'}`, false);
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = originalText;
+      this.updateFormHints();
+    }
+  }
+
+  showMessage(message, isSuccess) {
+    const messageEl = this.element.querySelector('#savings-message');
+    messageEl.textContent = message;
+    messageEl.classList.remove('hidden', 'success', 'error');
+    messageEl.classList.add(isSuccess ? 'success' : 'error');
+  }
+
+  async loadSavings() {
+    if (!this.element) return;
+    const listContainer = this.element.querySelector('#savings-withdrawals-list');
+
+    try {
+      this.savings = await walletService.getSavingsInfo();
+      if (!this.element) return;
+
+      this.renderSummary();
+      this.renderWithdrawals(listContainer);
+      this.updateFormHints();
+    } catch (error) {
+      console.error('Failed to load savings:', error);
+      if (!this.element) return;
+
+      while (listContainer.firstChild) {
+        listContainer.removeChild(listContainer.firstChild);
+      }
+
+      const errorState = document.createElement('p');
+      errorState.className = 'error-state';
+      errorState.textContent = 'Failed to load savings';
+      listContainer.appendChild(errorState);
+    }
+  }
+
+  renderSummary() {
+    const container = this.summaryContainer;
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Savings';
+    container.appendChild(heading);
+
+    if (!this.savings) {
+      const emptyState = document.createElement('p');
+      emptyState.className = 'empty-state';
+      emptyState.textContent = 'Log in to see your savings.';
+      container.appendChild(emptyState);
+      return;
+    }
+
+    const nextPayment = this.savings.nextInterestPayment;
+    const statusItems = [
+      { label: 'STEEM in savings', value: `${this.savings.steem} STEEM` },
+      { label: 'SBD in savings', value: `${this.savings.sbd} SBD` },
+      { label: 'SBD interest rate', value: `${this.savings.interestRate}% APR` },
+      { label: 'Accrued interest (estimate)', value: `${this.savings.accruedInterest} SBD` },
+      {
+        label: 'Interest payable from',
+        value: nextPayment ? nextPayment.toLocaleDateString() : 'Next savings operation'
+      }
+    ];
+
+    const statusList = document.createElement('div');
+    statusList.className = 'active-power-down';
+
+    statusItems.forEach(item => {
+      const statusItem = document.createElement('div');
+      statusItem.className = 'status-item';
+
+      const label = document.createElement('span');
+      label.className = 'status-label';
+      label.textContent = item.label;
+
+      const value = document.createElement('span');
+      value.className = 'status-value';
+      value.textContent = item.value;
+
+      statusItem.appendChild(label);
+      statusItem.appendChild(value);
+      statusList.appendChild(statusItem);
+    });
+
+    container.appendChild(statusList);
+
+    const note = document.createElement('p');
+    note.className = 'info-text savings-interest-note';
+    note.textContent = 'Interest is paid on SBD savings at most once every 30 days, together with the next savings deposit or withdrawal.';
+    container.appendChild(note);
+  }
+
+  renderWithdrawals(container) {
+    this.stopCountdowns();
+
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
+    const withdrawals = this.savings?.withdrawals || [];
+    if (withdrawals.length === 0) {
+      const emptyState = document.createElement('p');
+      emptyState.className = 'empty-state';
+      emptyState.textContent = 'No pending withdrawals.';
+      container.appendChild(emptyState);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'delegations-table savings-withdrawals-table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    ['Amount', 'To', 'Available in', 'Actions'].forEach(headerText => {
+      const th = document.createElement('th');
+      th.textContent = headerText;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    withdrawals.forEach(withdrawal => {
+      const row = document.createElement('tr');
+
+      const amountCell = document.createElement('td');
+      amountCell.textContent = withdrawal.amount;
+      if (withdrawal.memo) {
+        amountCell.title = withdrawal.memo;
+      }
+      row.appendChild(amountCell);
+
+      const toCell = document.createElement('td');
+      toCell.textContent = `@${withdrawal.to}`;
+      row.appendChild(toCell);
+
+      const countdownCell = document.createElement('td');
+      countdownCell.className = 'savings-countdown';
+      countdownCell.dataset.complete = withdrawal.complete.getTime();
+      countdownCell.title = withdrawal.complete.toLocaleString();
+      row.appendChild(countdownCell);
+
+      const actionsCell = document.createElement('td');
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'remove-btn';
+      cancelBtn.textContent = 'Cancel';
+      this.registerEventHandler(cancelBtn, 'click', () => {
+        this.cancelWithdrawal(withdrawal, cancelBtn);
+      });
+      actionsCell.appendChild(cancelBtn);
+      row.appendChild(actionsCell);
+
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+
+    this.updateCountdowns();
+    this.countdownInterval = setInterval(this.updateCountdowns, 1000);
+  }
+
+  updateCountdowns() {
+    if (!this.element) return;
+
+    this.element.querySelectorAll('.savings-countdown').forEach(cell => {
+      const remaining = parseInt(cell.dataset.complete, 10) - Date.now();
+      cell.textContent = remaining > 0 ? formatCountdown(remaining) : 'Processing...';
+      cell.classList.toggle('completed', remaining <= 0);
+    });
+  }
+
+  stopCountdowns() {
+    if (this.countdownInterval) {
+      clearInterval(this.countdownInterval);
+      this.countdownInterval = null;
+    }
+  }
+
+  async cancelWithdrawal(withdrawal, button) {
+    if (!confirm(`Cancel the withdrawal of ${withdrawal.amount}? The funds will stay in savings.`)) {
+      return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Cancelling...';
+
+    try {
+      const response = await walletService.cancelTransferFromSavings(withdrawal.requestId);
+
+      if (response.success) {
+        this.showMessage(`Withdrawal of ${withdrawal.amount} cancelled`, true);
+        walletService.updateBalances();
+        this.loadSavings();
+      } else {
+        this.showMessage(`Failed to cancel withdrawal: ${response.message || 'Unknown error'}`, false);
+        button.disabled = false;
+        button.textContent = 'Cancel';
+      }
+    } catch (error) {
+      console.error('Cancel withdrawal error:', error);
+      this.showMessage(`Error: ${error.message || 'Unknown error'}`, false);
+      button.disabled = false;
+      button.textContent = 'Cancel';
+    }
+  }
+
+  destroy() {
+    this.stopCountdowns();
+    super.destroy();
+    this.element = null;
+  }
+}
@@ -1,13 +1,20 @@
 import Component from '../../Component.js';
 import walletService from '../../../services/WalletService.js';
 import authService from '../../../services/AuthService.js';
+import memoService from '../../../services/MemoService.js';
+import transactionHistoryService from '../../../services/TransactionHistoryService.js';
+import EncryptedMemoComponent from '../EncryptedMemoComponent.js';
+import OfflineSigningOption from '../OfflineSigningOption.js';
 import eventEmitter from '../../../utils/EventEmitter.js';
 
 export default class TransferTab extends Component {
   constructor(parentElement, options = {}) {
     super(parentElement, options);
     this.handleTransferSubmit = this.handleTransferSubmit.bind(this);
+    this.loadRecentTransfers = this.loadRecentTransfers.bind(this);
     this.currentUser = authService.getCurrentUser()?.username;
+    this.recentTransfersLimit = 5;
+    this.memoComponents = [];
   }
   
   render() {
@@ -19,6 +26,16 @@ export default class TransferTab extends Component {
     const formCard = this.createFormCard();
     this.element.appendChild(formCard);
     
+    // Recent transfers, where encrypted memos can be read
+    if (this.currentUser) {
+      this.element.appendChild(this.createRecentTransfersCard());
+      // The new transfer shows up in the account history once its block is produced
+      this.registerEmitterHandler(eventEmitter, 'wallet:transfer-completed', () => {
+        setTimeout(this.loadRecentTransfers, 3000);
+      });
+      this.loadRecentTransfers();
+    }
+    
     this.parentElement.appendChild(this.element);
     
     return this.element;
@@ -47,6 +64,10 @@ export default class TransferTab extends Component {
     // Memo input group
     form.appendChild(this.createMemoGroup());
     
+    // Cold signing, for accounts whose active key stays off this browser
+    this.offlineSigningOption = new OfflineSigningOption(form, { id: 'transfer-offline' });
+    this.offlineSigningOption.render();
+    
     // Message container
     const messageEl = document.createElement('div');
     messageEl.id = 'transfer-message';
@@ -205,15 +226,19 @@ export default class TransferTab extends Component {
     
     const small = document.createElement('small');
     small.className = 'memo-info-text';
-    small.textContent = 'Memos are public on the blockchain and cannot be edited after posting';
     infoWrapper.appendChild(small);
     
+    this.memoInfoIcon = infoIcon;
+    this.memoInfoText = small;
+    this.updateMemoInfo('');
+    
     group.appendChild(infoWrapper);
     
     // Add character counter functionality
     this.registerEventHandler(textarea, 'input', (e) => {
       const length = e.target.value.length;
       charCounter.textContent = `${length}/255`;
+      this.updateMemoInfo(e.target.value);
       
       // Add visual indicator when approaching limit
       if (length > 200) {
@@ -225,7 +250,98 @@ export default class TransferTab extends Component {
     
     return group;
   }
-    async handleTransferSubmit(e) {
+  
+  updateMemoInfo(memo) {
+    const encrypted = memoService.shouldEncrypt(memo);
+    this.memoInfoIcon.textContent = encrypted ? 'lock' : 'info';
+    this.memoInfoText.textContent = encrypted
+      ? 'This memo will be encrypted: only you and the recipient can read it'
+      : 'Memos are public on the blockchain and cannot be edited after posting. Start with # to encrypt it';
+  }
+  
+  createRecentTransfersCard() {
+    const card = document.createElement('div');
+    card.className = 'form-card recent-transfers-card';
+    
+    const heading = document.createElement('h3');
+    heading.textContent = 'Recent transfers';
+    card.appendChild(heading);
+    
+    this.recentTransfersList = document.createElement('ul');
+    this.recentTransfersList.className = 'recent-transfers-list';
+    card.appendChild(this.recentTransfersList);
+    
+    return card;
+  }
+  
+  async loadRecentTransfers() {
+    if (!this.recentTransfersList) return;
+    
+    try {
+      // Transfers are a small share of the account history, fetch enough to find a few
+      const history = await transactionHistoryService.getUserTransactionHistory(this.currentUser, 200);
+      const transfers = (history || [])
+        .filter(([, tx]) => tx.op[0] === 'transfer')
+        .reverse()
+        .slice(0, this.recentTransfersLimit);
+      
+      this.renderRecentTransfers(transfers);
+    } catch (error) {
+      console.error('Error loading recent transfers:', error);
+    }
+  }
+  
+  renderRecentTransfers(transfers) {
+    this.memoComponents.forEach(component => component.destroy());
+    this.memoComponents = [];
+    this.recentTransfersList.innerHTML = '';
+    
+    if (transfers.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'recent-transfers-empty';
+      empty.textContent = 'No transfers yet';
+      this.recentTransfersList.appendChild(empty);
+      return;
+    }
+    
+    transfers.forEach(([, tx]) => {
+      const data = tx.op[1];
+      const isOutgoing = data.from === this.currentUser;
+      
+      const item = document.createElement('li');
+      item.className = 'recent-transfer';
+      
+      const summary = document.createElement('div');
+      summary.className = 'recent-transfer-summary';
+      summary.textContent = isOutgoing
+        ? `To @${data.to}: ${data.amount}`
+        : `From @${data.from}: ${data.amount}`;
+      item.appendChild(summary);
+      
+      if (data.memo) {
+        const memo = document.createElement('div');
+        memo.className = 'recent-transfer-memo';
+        item.appendChild(memo);
+        
+        if (memoService.isEncrypted(data.memo)) {
+          const decryptButton = new EncryptedMemoComponent(memo, {
+            memo: data.memo,
+            onDecrypted: (text) => {
+              memo.textContent = text;
+            }
+          });
+          decryptButton.render();
+          this.memoComponents.push(decryptButton);
+        } else {
+          memo.textContent = data.memo;
+        }
+      }
+      
+      this.recentTransfersList.appendChild(item);
+    });
+  }
+  
+  async handleTransferSubmit(e) {
     e.preventDefault();
     
     const to = this.element.querySelector('#transfer-to').value.trim().toLowerCase();
@@ -272,10 +388,11 @@ export default class TransferTab extends Component {
       
       // Use wallet service for transfer instead of direct Keychain call
       let response;
+      const options = { unsigned: this.offlineSigningOption.isChecked() };
       if (currency === 'STEEM') {
-        response = await walletService.transferSteem(to, amount, memo);
+        response = await walletService.transferSteem(to, amount, memo, options);
       } else if (currency === 'SBD') {
-        response = await walletService.transferSBD(to, amount, memo);
+        response = await walletService.transferSBD(to, amount, memo, options);
       } else {
         throw new Error('Invalid currency');
       }
@@ -283,6 +400,7 @@ export default class TransferTab extends Component {
       if (response.success) {
         this.showMessage(`Successfully transferred ${amount} ${currency} to @${to}`, true);
         this.element.querySelector('#transfer-form').reset();
+        this.updateMemoInfo('');
         
         // Update balances
         walletService.updateBalances();
@@ -319,6 +437,8 @@ export default class TransferTab extends Component {
   }
   
   destroy() {
+    this.memoComponents.forEach(component => component.destroy());
+    this.memoComponents = [];
     super.destroy();
   }
 }
\ No newline at end of file
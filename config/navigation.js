@@ -7,6 +7,15 @@ export const mainNavItems = [
     showInBottom: true,
     showInSide: true
   },
+  {
+    id: 'feed',
+    label: 'Following',
+    icon: 'dynamic_feed',
+    path: '/feed',
+    showInSide: true,
+    showInBottom: false,
+    requiresAuth: true
+  },
   {
     id: 'communities',
     label: 'Communities',
@@ -22,6 +31,14 @@ export const mainNavItems = [
     showInSide: true,
     showInBottom: false
   },
+  {
+    id: 'bookmarks',
+    label: 'Bookmarks',
+    icon: 'bookmarks',
+    path: '/bookmarks',
+    showInSide: true,
+    showInBottom: false
+  },
   {
     id: 'drafts',
     label: 'Drafts',
@@ -0,0 +1,42 @@
+/**
+ * SteemLogin Configuration
+ * Every setting of the SteemLogin OAuth flow lives here: app account, callback,
+ * scopes, endpoints and token lifetime.
+ *
+ * Values can be overridden per browser through localStorage, e.g. to test against
+ * the local mock server (mock_steemlogin.py):
+ *   localStorage.setItem('steemee_steemlogin_config', JSON.stringify({
+ *     authorizeURL: 'http://localhost:5001/oauth2/authorize',
+ *     apiURL: 'http://localhost:5001'
+ *   }));
+ */
+
+export const STEEMLOGIN_CONFIG = {
+  app: 'steeme.cur8', // Account registered as SteemLogin app
+  callbackURL: window.location.origin + window.location.pathname,
+  scope: ['login', 'vote', 'comment', 'custom_json'],
+  authorizeURL: 'https://steemlogin.com/oauth2/authorize',
+  apiURL: 'https://api.steemlogin.com',
+  signURL: 'https://steemlogin.com/sign', // Firma di singole operazioni (/sign/vote, /sign/comment, ...)
+  // 'code': authorization code + PKCE, scambiato dal browser senza proxy né client secret
+  // 'token': token restituito direttamente nell'URL di callback
+  responseType: 'code',
+  defaultTokenLifetime: 7 * 24 * 60 * 60 * 1000, // Se il server non indica expires_in
+  refreshBeforeExpiry: 10 * 60 * 1000, // Rinnova il token quando mancano meno di 10 minuti
+};
+
+const OVERRIDE_KEY = 'steemee_steemlogin_config';
+
+/**
+ * Ottiene la configurazione SteemLogin con eventuali override locali
+ * @returns {Object} - La configurazione effettiva
+ */
+export function getSteemLoginConfig() {
+  try {
+    const overrides = JSON.parse(localStorage.getItem(OVERRIDE_KEY) || '{}');
+    return { ...STEEMLOGIN_CONFIG, ...overrides };
+  } catch (error) {
+    console.warn('Invalid SteemLogin config override, using defaults:', error);
+    return { ...STEEMLOGIN_CONFIG };
+  }
+}
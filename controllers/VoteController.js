@@ -1,6 +1,7 @@
 import voteService from '../services/VoteService.js';
 import authService from '../services/AuthService.js';
 import router from '../utils/Router.js';
+import DialogUtility from '../components/DialogUtility.js';
 
 export default class VoteController {
   constructor(view) {
@@ -8,8 +9,15 @@ export default class VoteController {
     this.popups = [];
   }
   
+  /**
+   * Find a button of the post's own action bar, so comment buttons are never matched
+   */
+  getPostActionButton(selector) {
+    return this.view.element.querySelector(`.post-actions-post ${selector}`);
+  }
+
   async handlePostVote(post) {
-    const upvoteBtn = this.view.element.querySelector('.upvote-btn');
+    const upvoteBtn = this.getPostActionButton('.upvote-btn');
     if (!upvoteBtn) return;
     
     const countElement = upvoteBtn.querySelector('.count');
@@ -174,6 +182,115 @@ export default class VoteController {
     });
   }
   
+  async handlePostDownvote(post) {
+    const downvoteBtn = this.getPostActionButton('.downvote-btn');
+    if (!downvoteBtn) return;
+
+    if (!this.checkLoggedIn()) return;
+
+    const existingVote = await voteService.hasVoted(post.author, post.permlink);
+    await this.runDownvoteFlow(post.author, post.permlink, downvoteBtn, existingVote);
+  }
+
+  async handleCommentDownvote(comment, downvoteBtn) {
+    if (!comment?.author || !comment?.permlink) {
+      console.error('Invalid comment parameter:', comment);
+      return;
+    }
+
+    if (!this.checkLoggedIn()) return;
+
+    let existingVote = null;
+    try {
+      existingVote = await voteService.hasVoted(comment.author, comment.permlink);
+    } catch (error) {
+      // Error checking comment vote status - silently fail
+    }
+
+    await this.runDownvoteFlow(comment.author, comment.permlink, downvoteBtn, existingVote);
+  }
+
+  /**
+   * Shared downvote flow: pick a weight, confirm, broadcast.
+   * Clicking an existing downvote offers to remove it instead.
+   */
+  async runDownvoteFlow(author, permlink, downvoteBtn, existingVote) {
+    if (existingVote && existingVote.percent < 0) {
+      const confirmed = await DialogUtility.showConfirmationDialog({
+        title: 'Remove Downvote',
+        message: `Remove your downvote on this content by @${author}?`,
+        confirmText: 'Remove downvote',
+        icon: 'thumb_down'
+      });
+      if (confirmed) {
+        await this.submitDownvote(author, permlink, downvoteBtn, 0);
+      }
+      return;
+    }
+
+    this.showVotePercentagePopup(downvoteBtn, async (weight) => {
+      const confirmed = await DialogUtility.showConfirmationDialog({
+        title: 'Confirm Downvote',
+        message: `Downvote this content by @${author} at ${weight / 100}%? ` +
+          'Downvotes reduce its rewards and visibility.',
+        details: existingVote && existingVote.percent > 0
+          ? '<p>This will replace your current upvote.</p>'
+          : null,
+        confirmText: 'Downvote',
+        icon: 'thumb_down'
+      });
+      if (!confirmed) return;
+
+      await this.submitDownvote(author, permlink, downvoteBtn, weight);
+    }, 100, { downvote: true });
+  }
+
+  async submitDownvote(author, permlink, downvoteBtn, weight) {
+    try {
+      downvoteBtn.disabled = true;
+      downvoteBtn.classList.add('voting');
+      downvoteBtn.innerHTML = `<span class="material-icons loading">refresh</span>`;
+
+      await voteService.vote({ author, permlink, weight });
+
+      this.setDownvoteState(downvoteBtn, weight);
+      if (weight < 0) {
+        this.addSuccessAnimation(downvoteBtn);
+      }
+
+      this.view.emit('notification', {
+        type: 'success',
+        message: weight < 0
+          ? `Your ${weight / 100}% downvote was recorded successfully!`
+          : 'Your downvote was removed'
+      });
+    } catch (error) {
+      this.handleVoteError(error, downvoteBtn, null, 'thumb_down');
+    }
+  }
+
+  /**
+   * Render the downvote button for a given vote weight (0 = not downvoted)
+   */
+  setDownvoteState(button, weight) {
+    button.disabled = false;
+    button.classList.remove('voting');
+    button.classList.toggle('downvoted', weight < 0);
+    button.innerHTML = '';
+
+    const iconElement = document.createElement('span');
+    iconElement.className = 'material-icons';
+    iconElement.textContent = weight < 0 ? 'thumb_down_alt' : 'thumb_down';
+    button.appendChild(iconElement);
+
+    if (weight < 0) {
+      const percentIndicator = document.createElement('span');
+      percentIndicator.className = 'vote-percent-indicator';
+      percentIndicator.textContent = `${weight / 100}%`;
+      button.appendChild(percentIndicator);
+    }
+  }
+
   checkLoggedIn() {
     const user = authService.getCurrentUser();
     if (!user) {
@@ -253,7 +370,7 @@ export default class VoteController {
     }, 600);
   }
   
-  handleVoteError(error, button, countElement) {
+  handleVoteError(error, button, countElement, icon = 'thumb_up') {
     if (error.isCancelled) {
       // Don't show error notification for cancelled votes
       // Cancelled by user - no action needed
@@ -301,9 +418,15 @@ export default class VoteController {
     button.disabled = false;
     button.classList.remove('voting');
     
+    // Downvote buttons have no counter
+    if (countElement === null) {
+      button.innerHTML = `<span class="material-icons">${icon}</span>`;
+      return;
+    }
+    
     const countText = countElement?.textContent || '0';
     button.innerHTML = `
-      <span class="material-icons">thumb_up</span>
+      <span class="material-icons">${icon}</span>
       <span class="count">${countText}</span>
     `;
   }
@@ -312,12 +435,18 @@ export default class VoteController {
     if (!post || !authService.isAuthenticated()) return;
 
     try {
-      const upvoteBtn = this.view.element.querySelector('.upvote-btn');
+      const upvoteBtn = this.getPostActionButton('.upvote-btn');
       if (!upvoteBtn) return;
 
       const vote = await voteService.hasVoted(post.author, post.permlink);
 
-      if (vote) {
+      if (vote && vote.percent < 0) {
+        const downvoteBtn = this.getPostActionButton('.downvote-btn');
+        if (downvoteBtn) {
+          // vote.percent is in basis points, like the weight setDownvoteState expects
+          this.setDownvoteState(downvoteBtn, vote.percent);
+        }
+      } else if (vote) {
         upvoteBtn.classList.add('voted');
 
         const iconElement = upvoteBtn.querySelector('.material-icons');
@@ -335,10 +464,8 @@ export default class VoteController {
           const percentIndicator = document.createElement('span');
           percentIndicator.className = 'vote-percent-indicator';
           
-          // Make sure to properly format the percentage
-          const displayPercent = Math.abs(vote.percent) > 100 
-            ? (vote.percent / 100) 
-            : vote.percent;
+          // vote.percent is in basis points (10000 = 100%)
+          const displayPercent = vote.percent / 100;
             
           percentIndicator.textContent = `${displayPercent}%`;
           upvoteBtn.appendChild(percentIndicator);
@@ -350,7 +477,18 @@ export default class VoteController {
     }
   }
   
-  showVotePercentagePopup(targetElement, callback, defaultValue = 100) {
+  /**
+   * Show the vote weight selector
+   * @param {HTMLElement} targetElement - Button the popup is anchored to
+   * @param {Function} callback - Receives the weight (-10000..10000)
+   * @param {number} defaultValue - Initial percentage
+   * @param {Object} options - Popup options
+   * @param {boolean} [options.downvote] - Select a negative weight and show downvote mana
+   */
+  showVotePercentagePopup(targetElement, callback, defaultValue = 100, options = {}) {
+    const isDownvote = !!options.downvote;
+    const sign = isDownvote ? '-' : '';
+
     // Remove existing popups
     const existingPopup = document.querySelector('.vote-percentage-popup');
     if (existingPopup) {
@@ -358,12 +496,12 @@ export default class VoteController {
     }
 
     const popup = document.createElement('div');
-    popup.className = 'vote-percentage-popup';
+    popup.className = isDownvote ? 'vote-percentage-popup downvote' : 'vote-percentage-popup';
     
     // Create popup header
     const popupHeader = document.createElement('div');
     popupHeader.className = 'popup-header';
-    popupHeader.textContent = 'Select Vote Percentage';
+    popupHeader.textContent = isDownvote ? 'Select Downvote Percentage' : 'Select Vote Percentage';
     popup.appendChild(popupHeader);
     
     // Create popup content
@@ -386,7 +524,7 @@ export default class VoteController {
     // Create percentage display
     const percentageDisplay = document.createElement('div');
     percentageDisplay.className = 'percentage-display';
-    percentageDisplay.textContent = `${defaultValue}%`;
+    percentageDisplay.textContent = `${sign}${defaultValue}%`;
     sliderContainer.appendChild(percentageDisplay);
     
     // Create slider labels
@@ -394,16 +532,32 @@ export default class VoteController {
     sliderLabels.className = 'slider-labels';
     
     const minLabel = document.createElement('span');
-    minLabel.textContent = '1%';
+    minLabel.textContent = `${sign}1%`;
     sliderLabels.appendChild(minLabel);
     
     const maxLabel = document.createElement('span');
-    maxLabel.textContent = '100%';
+    maxLabel.textContent = `${sign}100%`;
     sliderLabels.appendChild(maxLabel);
     
     sliderContainer.appendChild(sliderLabels);
     popupContent.appendChild(sliderContainer);
     
+    // Downvotes spend a separate manabar, show how much is left
+    if (isDownvote) {
+      const manaInfo = document.createElement('div');
+      manaInfo.className = 'downvote-mana-info';
+      manaInfo.textContent = 'Downvote mana: ...';
+      popupContent.appendChild(manaInfo);
+      
+      voteService.getDownvoteMana()
+        .then(mana => {
+          manaInfo.textContent = `Downvote mana: ${mana}%`;
+        })
+        .catch(() => {
+          manaInfo.textContent = 'Downvote mana unavailable';
+        });
+    }
+    
     // Create popup actions
     const popupActions = document.createElement('div');
     popupActions.className = 'popup-actions';
@@ -417,7 +571,7 @@ export default class VoteController {
     // Create confirm button
     const confirmBtn = document.createElement('button');
     confirmBtn.className = 'confirm-btn';
-    confirmBtn.textContent = 'Vote';
+    confirmBtn.textContent = isDownvote ? 'Downvote' : 'Vote';
     popupActions.appendChild(confirmBtn);
     
     popupContent.appendChild(popupActions);
@@ -435,8 +589,10 @@ export default class VoteController {
     // Setup event handlers
     slider.addEventListener('input', () => {
       const value = slider.value;
-      percentageDisplay.textContent = `${value}%`;
-      this.updatePercentageColor(percentageDisplay, value);
+      percentageDisplay.textContent = `${sign}${value}%`;
+      if (!isDownvote) {
+        this.updatePercentageColor(percentageDisplay, value);
+      }
     });
 
     cancelBtn.addEventListener('click', () => {
@@ -446,8 +602,8 @@ export default class VoteController {
     });
 
     confirmBtn.addEventListener('click', () => {
-      // Converte il valore percentuale (0-100) in peso di voto (0-10000)
-      const weight = parseInt(slider.value) * 100;
+      // Converte il valore percentuale (0-100) in peso di voto (0-10000), negativo per i downvote
+      const weight = parseInt(slider.value) * 100 * (isDownvote ? -1 : 1);
       popup.remove();
       const index = this.popups.indexOf(popup);
       if (index > -1) this.popups.splice(index, 1);
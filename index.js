@@ -9,6 +9,9 @@ import authService from './services/AuthService.js';
 import notificationsService from './services/NotificationsService.js';
 import communityService from './services/CommunityService.js';
 import updateService from './services/UpdateService.js';
+import keyVault from './services/KeyVaultService.js';
+import steemLoginService from './services/SteemLoginService.js';
+import mobileSigningService from './services/MobileSigningService.js';
 
 // Components
 import UpdateNotificationComponent from './components/pwa/UpdateNotificationComponent.js';
@@ -36,6 +39,14 @@ import ProfileView from './views/ProfileView.js';
 import RegisterView from './views/RegisterView.js';
 import EditProfileView from './views/EditProfileView.js';
 import WalletView from './views/WalletView.js';
+import MutedUsersView from './views/MutedUsersView.js';
+import BookmarksView from './views/BookmarksView.js';
+import SecurityView from './views/SecurityView.js';
+import KeyRotationView from './views/KeyRotationView.js';
+
+// Governance views
+import WitnessesView from './views/WitnessesView.js';
+import ProposalsView from './views/ProposalsView.js';
 
 // Utility views
 import NotFoundView from './views/NotFoundView.js';
@@ -54,6 +65,8 @@ router
   .addRoute('/hot', HomeView, { tag: 'hot' })
   .addRoute('/new', NewReleasesView) // Usando la nuova vista dedicata invece di HomeView
   .addRoute('/promoted', HomeView, { tag: 'promoted' })
+  .addRoute('/feed', HomeView, { tag: 'feed', forceTag: true, requiresAuth: true })
+  .addRoute('/custom-feed/:feedId', HomeView)
   .addRoute('/settings', SettingsView)
   .addRoute('/wallet', WalletView, { requiresAuth: true })
   .addRoute('/search', SearchView)
@@ -64,6 +77,12 @@ router
   .addRoute('/community/:id', CommunityView)
   .addRoute('/communities', CommunitiesListView) 
   .addRoute('/notifications', NotificationsView, { requiresAuth: true })
+  .addRoute('/muted', MutedUsersView, { requiresAuth: true })
+  .addRoute('/bookmarks', BookmarksView)
+  .addRoute('/witnesses', WitnessesView)
+  .addRoute('/proposals', ProposalsView)
+  .addRoute('/security', SecurityView, { requiresAuth: true })
+  .addRoute('/security/change-password', KeyRotationView, { requiresAuth: true })
   .addRoute('/menu', MenuView)
   .addRoute('/faq', FAQView)
   .setNotFound(NotFoundView);
@@ -88,14 +107,40 @@ function initApp() {
   // Attiva la navigazione standard
   initNavigation();
   
+  // Completa le operazioni firmate in Keychain Mobile o su SteemLogin (ripristina anche la route)
+  mobileSigningService.resumePending();
+  
   // Inizializzazione del router
   router.init();
   
   // Inizializza l'ascoltatore per eventi di logout richiesto (token scaduto)
   initSessionExpiryHandler();
+  authService.checkSteemLoginSession();
   
   // Inizializza il service worker e il sistema di aggiornamenti
   initPwaFeatures();
+
+  // Cifra le chiavi private salvate in chiaro dalle versioni precedenti
+  migratePlaintextKeys();
+}
+
+/**
+ * Sposta nel key vault le chiavi private salvate in chiaro nel localStorage
+ * Se l'utente annulla, le chiavi restano dove sono e la richiesta si ripete al prossimo avvio
+ */
+function migratePlaintextKeys() {
+  const username = authService.getCurrentUser()?.username || null;
+  if (!keyVault.hasPlaintextKeys(username)) return;
+
+  keyVault.migratePlaintextKeys(username)
+    .then(count => {
+      eventEmitter.emit('notification', count > 0
+        ? { type: 'success', message: 'Your saved keys are now encrypted on this device', duration: 4000 }
+        : { type: 'warning', message: 'Your saved keys are still stored unencrypted on this device', duration: 6000 });
+    })
+    .catch(error => {
+      console.error('Key vault migration failed:', error);
+    });
 }
 
 // Funzione per inizializzare le funzionalità PWA
@@ -114,10 +159,25 @@ function initPwaFeatures() {
 /**
  * Inizializza il gestore per eventi di sessione scaduta
  * Risponde all'evento auth:logout-required reindirizzando al login
- * e mostrando una notifica appropriata all'utente
+ * e mostrando una notifica appropriata all'utente.
+ * Gli utenti SteemLogin rinnovano invece la sessione in un popup, senza lasciare la pagina.
  */
 function initSessionExpiryHandler() {
   eventEmitter.on('auth:logout-required', (data) => {
+    const user = authService.getCurrentUser();
+    if (user?.loginMethod === 'steemlogin') {
+      steemLoginService.reauthenticate(user.username).catch(error => {
+        if (error.isCancelled) return;
+        console.error('SteemLogin re-authentication failed:', error);
+        eventEmitter.emit('notification', {
+          type: 'error',
+          message: `SteemLogin: ${error.message}`,
+          duration: 6000
+        });
+      });
+      return;
+    }
+    
     console.log('Session expiry detected, redirecting to login');
     
     // Esegui il logout per pulire lo stato
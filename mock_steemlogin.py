@@ -0,0 +1,189 @@
+"""
+Mock SteemLogin server for local development and tests.
+
+Implements the parts of SteemLogin the app uses: the authorize page, the token
+endpoint (authorization code with PKCE and refresh token grants), /api/me and
+/api/broadcast. Nothing is broadcast to the chain: operations are only logged.
+
+Run it next to app.py and point config/steemlogin.js at it:
+    MOCK_STEEMLOGIN_TOKEN_TTL=60 python mock_steemlogin.py
+
+    localStorage.setItem('steemee_steemlogin_config', JSON.stringify({
+        authorizeURL: 'http://localhost:5001/oauth2/authorize',
+        apiURL: 'http://localhost:5001'
+    }));
+
+A short MOCK_STEEMLOGIN_TOKEN_TTL (seconds) makes it easy to exercise token
+refresh and the re-authentication prompt.
+"""
+from flask import Flask, request, redirect, jsonify
+from html import escape
+from urllib.parse import urlencode, parse_qs
+import base64
+import hashlib
+import os
+import secrets
+import time
+
+PORT = int(os.environ.get('MOCK_STEEMLOGIN_PORT', 5001))
+TOKEN_TTL = int(os.environ.get('MOCK_STEEMLOGIN_TOKEN_TTL', 3600))
+
+app = Flask(__name__)
+
+# Stato in memoria: si azzera ad ogni riavvio
+codes = {}           # code -> { username, challenge, redirect_uri }
+access_tokens = {}   # token -> { username, expires }
+refresh_tokens = {}  # refresh token -> username
+
+AUTHORIZE_PAGE = """<!DOCTYPE html>
+<html>
+<head><title>Mock SteemLogin</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+    <h2>Mock SteemLogin</h2>
+    <p>App <b>{client_id}</b> asks for: {scope}</p>
+    <form method="post">
+        <input type="hidden" name="query" value="{query}">
+        <label>Username <input name="username" required autofocus></label>
+        <p>
+            <button name="action" value="approve">Approve</button>
+            <button name="action" value="deny" formnovalidate>Deny</button>
+        </p>
+    </form>
+</body>
+</html>"""
+
+
+@app.after_request
+def add_cors_headers(response):
+    response.headers['Access-Control-Allow-Origin'] = request.headers.get('Origin', '*')
+    response.headers['Access-Control-Allow-Headers'] = 'Authorization, Content-Type'
+    response.headers['Access-Control-Allow-Methods'] = 'GET, POST, OPTIONS'
+    return response
+
+
+def error_response(error, description, status):
+    return jsonify({'error': error, 'error_description': description}), status
+
+
+def issue_token(username):
+    access_token = secrets.token_urlsafe(32)
+    refresh_token = secrets.token_urlsafe(32)
+    access_tokens[access_token] = {'username': username, 'expires': time.time() + TOKEN_TTL}
+    refresh_tokens[refresh_token] = username
+    return {
+        'access_token': access_token,
+        'token_type': 'bearer',
+        'expires_in': TOKEN_TTL,
+        'refresh_token': refresh_token,
+        'username': username
+    }
+
+
+def code_challenge(verifier):
+    digest = hashlib.sha256(verifier.encode()).digest()
+    return base64.urlsafe_b64encode(digest).decode().rstrip('=')
+
+
+def bearer_user():
+    """Username of the bearer token, None when it is missing or expired"""
+    header = request.headers.get('Authorization', '')
+    token = header[7:] if header.startswith('Bearer ') else ''
+    data = access_tokens.get(token)
+    if not data or data['expires'] < time.time():
+        return None
+    return data['username']
+
+
+@app.route('/oauth2/authorize', methods=['GET', 'POST'])
+def authorize():
+    if request.method == 'GET':
+        return AUTHORIZE_PAGE.format(
+            client_id=escape(request.args.get('client_id', '')),
+            scope=escape(request.args.get('scope', '')),
+            query=escape(request.query_string.decode())
+        )
+
+    params = {key: values[0] for key, values in parse_qs(request.form.get('query', '')).items()}
+    redirect_uri = params.get('redirect_uri')
+    if not redirect_uri:
+        return 'Missing redirect_uri', 400
+
+    result = {'state': params.get('state', '')}
+    username = request.form.get('username', '').strip().lstrip('@').lower()
+
+    if request.form.get('action') != 'approve' or not username:
+        result.update({'error': 'access_denied', 'error_description': 'The user denied the request'})
+    elif params.get('response_type') == 'code':
+        code = secrets.token_urlsafe(16)
+        codes[code] = {
+            'username': username,
+            'challenge': params.get('code_challenge'),
+            'redirect_uri': redirect_uri
+        }
+        result['code'] = code
+    else:
+        token = issue_token(username)
+        result.update({
+            'access_token': token['access_token'],
+            'expires_in': token['expires_in'],
+            'username': username
+        })
+
+    separator = '&' if '?' in redirect_uri else '?'
+    return redirect(f'{redirect_uri}{separator}{urlencode(result)}')
+
+
+@app.route('/api/oauth2/token', methods=['POST', 'OPTIONS'])
+def token():
+    if request.method == 'OPTIONS':
+        return '', 204
+
+    body = request.get_json(silent=True) or request.form
+    grant_type = body.get('grant_type')
+
+    if grant_type == 'authorization_code':
+        data = codes.pop(body.get('code', ''), None)
+        if not data:
+            return error_response('invalid_grant', 'Unknown or already used code', 400)
+        if data['redirect_uri'] != body.get('redirect_uri'):
+            return error_response('invalid_grant', 'redirect_uri does not match', 400)
+        if not data['challenge'] or code_challenge(body.get('code_verifier', '')) != data['challenge']:
+            return error_response('invalid_grant', 'PKCE verification failed', 400)
+        return jsonify(issue_token(data['username']))
+
+    if grant_type == 'refresh_token':
+        username = refresh_tokens.pop(body.get('refresh_token', ''), None)
+        if not username:
+            return error_response('invalid_grant', 'Unknown refresh token', 400)
+        return jsonify(issue_token(username))
+
+    return error_response('unsupported_grant_type', f'Unsupported grant_type: {grant_type}', 400)
+
+
+@app.route('/api/me', methods=['GET', 'OPTIONS'])
+def me():
+    if request.method == 'OPTIONS':
+        return '', 204
+
+    username = bearer_user()
+    if not username:
+        return error_response('invalid_token', 'Token missing or expired', 401)
+    return jsonify({'name': username, 'user': username, 'account': {'name': username}})
+
+
+@app.route('/api/broadcast', methods=['POST', 'OPTIONS'])
+def broadcast():
+    if request.method == 'OPTIONS':
+        return '', 204
+
+    username = bearer_user()
+    if not username:
+        return error_response('invalid_token', 'Token missing or expired', 401)
+
+    operations = (request.get_json(silent=True) or {}).get('operations', [])
+    print(f'[mock steemlogin] @{username} broadcast: {operations}')
+    return jsonify({'result': {'id': secrets.token_hex(20), 'block_num': 0, 'trx_num': 0, 'expired': False}})
+
+
+if __name__ == '__main__':
+    app.run(port=PORT, debug=True)
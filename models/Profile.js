@@ -1,3 +1,5 @@
+import { calculateReputation } from '../utils/ReputationUtils.js';
+
 /**
  * Profile model representing a Steem user profile
  */
@@ -66,18 +68,7 @@ class Profile {
      * @returns {number} Formatted reputation score
      */
     calculateReputation(reputation) {
-        if (!reputation) return 25;
-        
-        try {
-            const neg = reputation < 0;
-            const repLevel = Math.log10(Math.abs(reputation));
-            let reputationPoint = Math.max(repLevel - 9, 0);
-            if (reputationPoint < 0) reputationPoint = 0;
-            if (neg) reputationPoint *= -1;
-            return (reputationPoint * 9) + 25;
-        } catch (error) {
-            return 25;
-        }
+        return calculateReputation(reputation);
     }
     
     /**
@@ -1,6 +1,10 @@
 import eventEmitter from '../utils/EventEmitter.js';
 import steemService from './SteemService.js';
+import steemReadService from './SteemReadService.js';
 import activeKeyInput from '../components/auth/ActiveKeyInputComponent.js';
+import keyVault from './KeyVaultService.js';
+import steemLoginService from './SteemLoginService.js';
+import mobileSigningService, { MOBILE_LOGIN_METHOD } from './MobileSigningService.js';
 
 /**
  * Service for handling user authentication
@@ -8,13 +12,21 @@ import activeKeyInput from '../components/auth/ActiveKeyInputComponent.js';
 class AuthService {
     constructor() {
         this.currentUser = this.loadUserFromStorage();
+        // Account whose per-account state (read notifications, drafts, vote cache) is loaded
+        this.activeUsername = this.currentUser?.username || null;
         
-        // Aggiungi configurazione per SteemLogin
-        this.steemLoginConfig = {
-            app: 'steeme.cur8',
-            callbackURL: window.location.origin + window.location.pathname,
-            scope: ['login', 'vote', 'comment', 'custom_json']
-        };
+        // Il token SteemLogin viene rinnovato prima della scadenza
+        if (this.currentUser?.loginMethod === 'steemlogin') {
+            steemLoginService.scheduleRefresh(this.currentUser.username);
+        }
+        eventEmitter.on('steemlogin:token-updated', ({ username, token }) => {
+            if (this.currentUser?.username === username && this.currentUser.loginMethod === 'steemlogin') {
+                this.currentUser.steemLoginToken = token;
+                if (localStorage.getItem('currentUser')) {
+                    localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
+                }
+            }
+        });
         
         // Controlla automaticamente il callback all'avvio
         this.checkSteemLoginCallback();
@@ -44,6 +56,24 @@ class AuthService {
         return this.currentUser;
     }
 
+    /**
+     * Announces a login or logout.
+     * When the account changes, `auth:account-switched` goes out first so services can
+     * reset or re-key their per-account state before the UI reacts to `auth:changed`.
+     * @param {Object|null} user - Logged in user, null on logout
+     */
+    emitAuthChanged(user) {
+        const username = user?.username || null;
+
+        if (username !== this.activeUsername) {
+            const previousUsername = this.activeUsername;
+            this.activeUsername = username;
+            eventEmitter.emit('auth:account-switched', { previousUsername, username });
+        }
+
+        eventEmitter.emit('auth:changed', { user });
+    }
+
     /**
      * Check if SteemKeychain extension is installed
      */
@@ -100,7 +130,7 @@ class AuthService {
                                 }
                                 
                                 // Emit auth changed event
-                                eventEmitter.emit('auth:changed', { user });
+                                this.emitAuthChanged(user);
                                 
                                 resolve(user);
                             } catch (error) {
@@ -118,6 +148,45 @@ class AuthService {
         }
     }
 
+    /**
+     * Log in with the username only, on a mobile browser without the Keychain extension.
+     * No key is stored on the device: every operation is signed in Keychain Mobile or on SteemLogin.
+     * @param {string} username - Steem username
+     * @param {boolean} remember - Whether to remember the user
+     */
+    async loginWithMobileSigning(username, remember = true) {
+        try {
+            const account = await steemReadService.getAccount(username);
+            if (!account) {
+                throw new Error(`Account @${username} not found`);
+            }
+
+            const userProfile = await steemService.getProfile(username);
+
+            const user = {
+                username,
+                avatar: `https://steemitimages.com/u/${username}/avatar`,
+                isAuthenticated: true,
+                profile: userProfile?.profile || {},
+                timestamp: Date.now(),
+                loginMethod: MOBILE_LOGIN_METHOD
+            };
+
+            this.currentUser = user;
+
+            if (remember) {
+                localStorage.setItem('currentUser', JSON.stringify(user));
+            }
+
+            this.emitAuthChanged(user);
+
+            return user;
+        } catch (error) {
+            console.error('Mobile signing login failed:', error);
+            throw new Error(error.message || 'Authentication failed');
+        }
+    }
+
     /**
      * Authenticate a user with their username and private key
      * @param {string} username - Steem username
@@ -151,11 +220,11 @@ class AuthService {
                 localStorage.setItem('currentUser', JSON.stringify(user));
                 
                 // Store the key securely
-                this.securelyStoreKey(username, privateKey, keyType, remember);
+                await this.securelyStoreKey(username, privateKey, keyType, remember);
             }
             
             // Emit auth changed event
-            eventEmitter.emit('auth:changed', { user });
+            this.emitAuthChanged(user);
             
             return user;
         } catch (error) {
@@ -195,7 +264,7 @@ class AuthService {
         try {
             // Se la posting key è null, verifica se è già memorizzata
             if (postingKey === null) {
-                const storedKey = this.getPostingKey();
+                const storedKey = await this.getPostingKey();
                 if (storedKey) {
                     postingKey = storedKey;
                 } else {
@@ -211,6 +280,53 @@ class AuthService {
         }
     }
 
+    /**
+     * Tells a master password apart from a private key
+     * @param {string} secret - What the user typed in the key field
+     * @returns {Promise<boolean>} True if it is not a WIF private key
+     */
+    async isMasterPassword(secret) {
+        await steemService.ensureLibraryLoaded();
+        return !window.steem.auth.isWif(secret);
+    }
+
+    /**
+     * Login with the account master password.
+     * The role keys are derived locally and checked against the account's public keys;
+     * only the posting key (or the active key, if posting was changed separately) is kept.
+     * The password itself is never stored.
+     * @param {string} username - Steem username
+     * @param {string} password - Master password
+     * @param {boolean} remember - Whether to store the derived key for future sessions
+     * @returns {Promise<Object>} - Authenticated user
+     */
+    async loginWithMasterPassword(username, password, remember = true) {
+        await steemService.ensureLibraryLoaded();
+
+        const accounts = await steemReadService.getAccounts([username]);
+        if (!accounts || accounts.length === 0) {
+            throw new Error('Account not found');
+        }
+        const account = accounts[0];
+
+        const keys = window.steem.auth.getPrivateKeys(username, password, ['posting', 'active', 'memo']);
+        const matches = (role) => account[role].key_auths.some(auth => auth[0] === keys[`${role}Pubkey`]);
+
+        // Prefer the least privileged key that still lets the user log in
+        if (matches('posting')) {
+            return this.login(username, keys.posting, remember, 'posting');
+        }
+        if (matches('active')) {
+            return this.login(username, keys.active, remember, 'active');
+        }
+
+        if (keys.memoPubkey === account.memo_key) {
+            throw new Error('This password only matches the memo key, which cannot be used to log in');
+        }
+
+        throw new Error('Invalid master password for this account');
+    }
+
     /**
      * Verifies that a key is valid for the specified key type
      * @param {string} username - Username Steem
@@ -229,12 +345,7 @@ class AuthService {
             }
             
             // Get account to verify the key matches
-            const accounts = await new Promise((resolve, reject) => {
-                window.steem.api.getAccounts([username], (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
+            const accounts = await steemReadService.getAccounts([username]);
             
             if (!accounts || accounts.length === 0) {
                 throw new Error('Account not found');
@@ -266,33 +377,39 @@ class AuthService {
     }
 
     /**
-     * Store key securely (as securely as possible in a web context)
+     * Store key in the encrypted key vault
      * @param {string} username - Username
      * @param {string} key - Private key
      * @param {string} keyType - Type of key ('posting' or 'active')
      * @param {boolean} remember - Whether to store long-term
+     * @returns {Promise<boolean>} True if the key was stored
      */
-    securelyStoreKey(username, key, keyType = 'posting', remember = true) {
-        if (remember) {
-            try {
-                // Store the key with key type indicator
-                localStorage.setItem(`${username}_${keyType}_key`, key);
-                
-                // Add expiry timestamp (expiring in 2099)
-                const expiry = new Date('2099-12-31').getTime();
-                localStorage.setItem(`${username}_${keyType}_key_expiry`, expiry.toString());
-            } catch (error) {
-                console.error(`Failed to store ${keyType} key:`, error);
-            }
+    async securelyStoreKey(username, key, keyType = 'posting', remember = true) {
+        if (!remember) {
+            return false;
+        }
+
+        try {
+            await keyVault.storeKey(username, keyType, key);
+            return true;
+        } catch (error) {
+            console.error(`Failed to store ${keyType} key:`, error);
+            eventEmitter.emit('notification', {
+                type: 'warning',
+                message: `Your ${keyType} key was not saved. You will be asked for it when needed.`,
+                duration: 5000
+            });
+            return false;
         }
     }
 
     /**
-     * Get the specified key for the current user
+     * Get the specified key for the current user, unlocking the key vault if needed
      * @param {string} keyType - Type of key to retrieve ('posting' or 'active')
-     * @returns {string|null} The private key or null if not available
+     * @returns {Promise<string|null>} The private key or null if not available
+     * @throws {Error} When the user cancels the vault unlock (error.isCancelled)
      */
-    getKey(keyType = 'posting') {
+    async getKey(keyType = 'posting') {
         const user = this.getCurrentUser();
         
         if (!user) {
@@ -303,26 +420,38 @@ class AuthService {
         if (user.loginMethod === 'keychain') {
             return null; // Keychain will handle the operation
         }
+
+        // Users without keys on this device sign in Keychain Mobile or on SteemLogin
+        if (user.loginMethod === MOBILE_LOGIN_METHOD) {
+            return null;
+        }
         
-        // For direct key login
-        try {
-            const keyExpiry = localStorage.getItem(`${user.username}_${keyType}_key_expiry`);
-            
-            // Check expiry
-            if (keyExpiry && parseInt(keyExpiry) < Date.now()) {
-                // Key expired, remove it
-                localStorage.removeItem(`${user.username}_${keyType}_key`);
-                localStorage.removeItem(`${user.username}_${keyType}_key_expiry`);
-                return null;
+        return keyVault.getKey(user.username, keyType);
+    }
+
+    /**
+     * Replaces the stored keys of an account after its keys were changed.
+     * Only key types that were already stored are written, so no new key ends up on the device.
+     * @param {string} username - Account name
+     * @param {Object} keys - New private keys by type ({ posting, active, memo })
+     */
+    async replaceStoredKeys(username, keys) {
+        for (const keyType of ['posting', 'active', 'memo']) {
+            if (keys[keyType] && keyVault.hasKey(username, keyType)) {
+                await keyVault.storeKey(username, keyType, keys[keyType]);
             }
-            
-            const key = localStorage.getItem(`${user.username}_${keyType}_key`);
-            return key;
-        } catch (error) {
-            console.error(`getKey: Error retrieving ${keyType} key:`, error);
-            return null;
         }
     }
+
+    /**
+     * Check whether a key of the given type is stored for the current user, without unlocking the vault
+     * @param {string} keyType - Type of key ('posting' or 'active')
+     * @returns {boolean} True if the key is stored
+     */
+    hasStoredKey(keyType = 'posting') {
+        const user = this.getCurrentUser();
+        return !!user && keyVault.hasKey(user.username, keyType);
+    }
     
     /**
      * Get the posting key for the current user (legacy method for compatibility)
@@ -337,6 +466,13 @@ class AuthService {
     getActiveKey() {
         return this.getKey('active');
     }
+
+    /**
+     * Get the memo key for the current user, used for encrypted memos
+     */
+    getMemoKey() {
+        return this.getKey('memo');
+    }
     
     /**
      * Check if the current user has a valid active key available
@@ -352,8 +488,12 @@ class AuthService {
         }
         
         // Check if we have a stored active key
-        const activeKey = this.getActiveKey();
-        if (activeKey) {
+        if (this.hasStoredKey('active')) {
+            return true;
+        }
+
+        // Active operations are signed in Keychain Mobile or on SteemLogin
+        if (mobileSigningService.shouldHandOff(user, 'active')) {
             return true;
         }
         
@@ -378,14 +518,10 @@ class AuthService {
             if (user) {
                 // If SteemLogin, clear token
                 if (user.loginMethod === 'steemlogin') {
-                    sessionStorage.removeItem('steemLoginToken');
-                    localStorage.removeItem(`${user.username}_steemlogin_token`);
+                    steemLoginService.removeToken(user.username);
                 } else if (user.loginMethod === 'privateKey') {
                     // Clear stored private keys
-                    localStorage.removeItem(`${user.username}_posting_key`);
-                    localStorage.removeItem(`${user.username}_posting_key_expiry`);
-                    localStorage.removeItem(`${user.username}_active_key`);
-                    localStorage.removeItem(`${user.username}_active_key_expiry`);
+                    keyVault.removeKeys(user.username);
                 } else if (user.loginMethod === 'keychain') {
                     // Per keychain, rimuoviamo solo il flag di autenticazione
                     localStorage.removeItem(`${user.username}_keychain_auth`);
@@ -397,7 +533,7 @@ class AuthService {
             localStorage.removeItem('currentUser');
             
             // Emit event to update UI
-            eventEmitter.emit('auth:changed', { user: null });
+            this.emitAuthChanged(null);
             
             // Notify user
             eventEmitter.emit('notification', {
@@ -416,156 +552,75 @@ class AuthService {
         return !!this.getCurrentUser();
     }
 
-    /**
-     * Get the posting key for the current user
-     * Note: For security, this should be improved in production
-     * Ideally, keys should not be stored in localStorage
-     */
-    getPostingKey() {
-        const user = this.getCurrentUser();
-        
-        if (!user) {
-            return null;
-        }
-        
-        // Per utenti Keychain
-        if (user.loginMethod === 'keychain') {
-            return null; // Keychain gestirà l'operazione 
-        }
-        
-        // Per login con chiave diretta
-        try {
-            const keyExpiry = localStorage.getItem(`${user.username}_posting_key_expiry`);
-            
-            // Verifica scadenza
-            if (keyExpiry && parseInt(keyExpiry) < Date.now()) {
-                // Chiave scaduta, rimuovila
-                localStorage.removeItem(`${user.username}_posting_key`);
-                localStorage.removeItem(`${user.username}_posting_key_expiry`);
-                return null;
-            }
-            
-            const key = localStorage.getItem(`${user.username}_posting_key`);
-            return key;
-        } catch (error) {
-            console.error('getPostingKey: Error retrieving posting key:', error);
-            return null;
-        }
-    }
-
     /**
      * Verifica se siamo arrivati da un redirect SteemLogin e gestisce il processo di autenticazione
      * @returns {Promise<boolean>} True se il callback è stato gestito
      */
     async checkSteemLoginCallback() {
         // Estrai parametri dall'URL
-        const params = new URLSearchParams(window.location.search);
-        const accessToken = params.get('access_token');
-        const state = params.get('state');
-        const error = params.get('error');
-        const errorDescription = params.get('error_description');
+        const params = steemLoginService.readCallbackParams();
+        if (!params) {
+            // Nessun parametro di callback trovato
+            return false;
+        }
+        
+        // Nel popup di ri-autenticazione il risultato va alla pagina che l'ha aperto
+        if (steemLoginService.handOffToOpener(params)) {
+            return true;
+        }
+        
+        const savedState = sessionStorage.getItem('steemLoginState');
+        const codeVerifier = sessionStorage.getItem('steemLoginVerifier');
+        
+        // Pulisci subito lo stato e i parametri URL per evitare riutilizzo
+        sessionStorage.removeItem('steemLoginState');
+        sessionStorage.removeItem('steemLoginVerifier');
+        window.history.replaceState({}, document.title, window.location.pathname);
         
         // Se c'è un errore esplicito nell'URL
-        if (error) {
-            console.error('SteemLogin error:', error, errorDescription);
+        if (params.error) {
+            console.error('SteemLogin error:', params.error, params.errorDescription);
             eventEmitter.emit('notification', {
                 type: 'error',
-                message: `Login failed: ${errorDescription || error}`
+                message: `Login failed: ${params.errorDescription || params.error}`
             });
-            
-            // Pulisci lo stato salvato
-            sessionStorage.removeItem('steemLoginState');
-            
-            // Pulisci parametri URL
-            window.history.replaceState({}, document.title, window.location.pathname);
-            
             return false;
         }
         
-        // Verifica presenza token e stato
-        if (accessToken && state) {
-            const savedState = sessionStorage.getItem('steemLoginState');
-            
-            // Pulisci subito lo stato per evitare riutilizzo
-            sessionStorage.removeItem('steemLoginState');
+        // Verifica che lo stato ricevuto corrisponda a quello salvato
+        if (params.state !== savedState) {
+            console.error('SteemLogin state mismatch', { 
+                received: params.state, 
+                saved: savedState 
+            });
             
-            // Verifica che lo stato ricevuto corrisponda a quello salvato
-            if (state === savedState) {
-                try {
-                    // Pulisci i parametri URL prima di tutto
-                    window.history.replaceState({}, document.title, window.location.pathname);
-                    
-                    // Completa il login con gestione più robusta degli errori
-                    await this.completeSteemLogin(accessToken)
-                        .catch(error => {
-                            console.error('SteemLogin completion failed:', error);
-                            throw error;
-                        });
-                    
-                    return true;
-                } catch (error) {
-                    console.error('Error in SteemLogin callback:', error);
-                    eventEmitter.emit('notification', {
-                        type: 'error',
-                        message: `Authentication error: ${error.message || 'Unknown error'}`
-                    });
-                    return false;
-                }
-            } else {
-                console.error('SteemLogin state mismatch', { 
-                    received: state, 
-                    saved: savedState 
-                });
-                
-                eventEmitter.emit('notification', {
-                    type: 'error',
-                    message: 'Authentication error: Security verification failed'
-                });
-                
-                // Pulisci parametri URL
-                window.history.replaceState({}, document.title, window.location.pathname);
-                
-                return false;
-            }
+            eventEmitter.emit('notification', {
+                type: 'error',
+                message: 'Authentication error: Security verification failed'
+            });
+            return false;
         }
         
-        // Nessun parametro di callback trovato
-        return false;
+        try {
+            const tokenResponse = await steemLoginService.tokenFromCallback(params, codeVerifier);
+            await this.completeSteemLogin(tokenResponse.access_token, tokenResponse);
+            return true;
+        } catch (error) {
+            console.error('Error in SteemLogin callback:', error);
+            eventEmitter.emit('notification', {
+                type: 'error',
+                message: `Authentication error: ${error.message || 'Unknown error'}`
+            });
+            return false;
+        }
     }
     
     /**
-     * Inizia il processo di login con SteemLogin
+     * Inizia il processo di login con SteemLogin (app, callback e scope in config/steemlogin.js)
      */
-    loginWithSteemLogin() {
-        // Verifica che uno degli oggetti globali sia disponibile
-        if (!window.steemlogin && !window.steemconnect) {
-            console.error('SteemLogin library not available globally');
-            throw new Error('SteemConnect/SteemLogin library not loaded');
-        }
-        
+    async loginWithSteemLogin() {
         try {
-            // Usa la libreria disponibile (steemlogin o steemconnect)
-            const SteemClient = window.steemlogin?.Client || window.steemconnect?.Client;
-            
-            if (!SteemClient) {
-                throw new Error('No valid SteemLogin client found');
-            }
-            
-            // Inizializza client con configurazione unificata
-            const steemClient = new SteemClient({
-                app: 'steeme.cur8',
-                callbackURL: this.steemLoginConfig.callbackURL,
-                scope: this.steemLoginConfig.scope
-            });
-            
-            // Genera uno stato casuale per sicurezza
-            const state = Math.random().toString(36).substring(7);
-            sessionStorage.setItem('steemLoginState', state);
-            
-            // Ottieni URL di login e reindirizza
-            const loginUrl = steemClient.getLoginURL(state);
-            window.location.href = loginUrl;
-            
+            await steemLoginService.redirectToLogin();
             return true;
         } catch (error) {
             console.error('Error initiating SteemLogin:', error);
@@ -576,17 +631,16 @@ class AuthService {
     /**
      * Completa il processo di login dopo il callback di SteemLogin
      * @param {string} accessToken - Token di accesso ricevuto
+     * @param {Object|null} tokenResponse - Risposta completa del login (scadenza, refresh token);
+     *   null quando il token è già salvato, ad esempio nel cambio account
      * @returns {Promise<Object>} - Oggetto utente autenticato
      */
-    async completeSteemLogin(accessToken) {
+    async completeSteemLogin(accessToken, tokenResponse = null) {
         if (!accessToken) {
             throw new Error('No access token provided');
         }
         
         try {
-            // Prima memorizza il token temporaneamente
-            this.storeToken(accessToken, null, false);
-            
             // Ottieni dati utente da SteemLogin
             let userData;
             try {
@@ -626,15 +680,19 @@ class AuthService {
                 };
             }
             
-            // Salva il token in modo persistente ora che abbiamo l'username
-            this.storeToken(accessToken, username, true);
+            // Salva il token con la sua scadenza ora che abbiamo l'username
+            if (tokenResponse) {
+                steemLoginService.saveToken(username, tokenResponse);
+            } else {
+                steemLoginService.scheduleRefresh(username);
+            }
             
             // Salva l'utente
             this.currentUser = user;
             localStorage.setItem('currentUser', JSON.stringify(user));
             
             // Notifica il cambiamento di autenticazione
-            eventEmitter.emit('auth:changed', { user });
+            this.emitAuthChanged(user);
             
             // Mostra notifica di successo
             eventEmitter.emit('notification', {
@@ -646,9 +704,6 @@ class AuthService {
         } catch (error) {
             console.error('SteemLogin completion error:', error);
             
-            // Pulisci token temporaneo se presente
-            sessionStorage.removeItem('steemLoginToken');
-            
             eventEmitter.emit('notification', {
                 type: 'error',
                 message: 'Login failed: ' + (error.message || 'Unknown error')
@@ -682,19 +737,7 @@ class AuthService {
      */
     async getSteemLoginUserData(accessToken) {
         try {
-            const response = await fetch('https://api.steemlogin.com/api/me', {
-                headers: {
-                    'Authorization': `Bearer ${accessToken}`
-                }
-            });
-            
-            if (!response.ok) {
-                console.error('SteemLogin API error:', response.status, response.statusText);
-                throw new Error(`Failed to fetch user data from SteemLogin: ${response.status} ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            return data;
+            return await steemLoginService.fetchMe(accessToken);
         } catch (error) {
             console.error('Error fetching SteemLogin user data:', error);
             throw error;
@@ -702,7 +745,7 @@ class AuthService {
     }
     
     /**
-     * Ottiene il token SteemLogin per l'utente corrente
+     * Ottiene il token SteemLogin (non scaduto) per l'utente corrente
      * @returns {string|null} - Token di accesso o null se non disponibile
      */
     getSteemLoginToken() {
@@ -711,116 +754,46 @@ class AuthService {
             return null;
         }
         
-        // Prima controlla proprietà diretta (più recente)
-        if (user.steemLoginToken) {
-            return user.steemLoginToken;
-        }
-        
-        // Poi controlla sessionStorage (per la sessione corrente)
-        const sessionToken = sessionStorage.getItem('steemLoginToken');
-        if (sessionToken) {
-            return sessionToken;
-        }
-        
-        // Infine controlla localStorage (memorizzazione persistente)
-        try {
-            const storedData = localStorage.getItem(`${user.username}_steemlogin_token`);
-            if (storedData) {
-                const tokenData = JSON.parse(storedData);
-                
-                // Verifica scadenza
-                if (tokenData.expires && tokenData.expires > Date.now()) {
-                    return tokenData.token;
-                } else {
-                    // Token scaduto, rimuovilo
-                    localStorage.removeItem(`${user.username}_steemlogin_token`);
-                }
-            }
-        } catch (error) {
-            console.error('Error retrieving token from storage:', error);
-        }
-        
-        return null;
+        return steemLoginService.getStoredToken(user.username);
     }
 
-    // Aggiungi questi nuovi metodi di gestione token
-
     /**
-     * Memorizza il token in modo sicuro con data di scadenza
-     * @param {string} token - Token da memorizzare
-     * @param {string} username - Username dell'utente
-     * @param {boolean} persistent - Se memorizzare in localStorage (persistente) o sessionStorage
+     * Verifica che il token SteemLogin corrente sia valido
+     * @returns {Promise<boolean>} True se il token è valido
      */
-    storeToken(token, username, persistent = false) {
-        if (!token || !username) return;
+    async validateSteemLoginToken() {
+        const user = this.getCurrentUser();
+        if (!user || user.loginMethod !== 'steemlogin') return false;
+        
+        const token = await steemLoginService.getValidToken(user.username);
+        if (!token) return false;
         
         try {
-            // Memorizza insieme a un timestamp di scadenza (24 ore)
-            const tokenData = {
-                token: token,
-                expires: Date.now() + (30 * 24 * 60 * 60 * 1000)
-            };
-            
-            // Memorizza sia in session che in localStorage se richiesto
-            sessionStorage.setItem('steemLoginToken', token);
-            
-            if (persistent) {
-                localStorage.setItem(`${username}_steemlogin_token`, JSON.stringify(tokenData));
-            }
+            await steemLoginService.fetchMe(token);
+            return true;
         } catch (error) {
-            console.error('Error storing token:', error);
+            console.error('Error validating SteemLogin token:', error);
+            // Un token rifiutato da SteemLogin non serve più
+            if (error.status === 401) {
+                steemLoginService.removeToken(user.username);
+            }
+            return false;
         }
     }
 
-    // Aggiungi questo metodo per verificare la validità del token SteemLogin
-
     /**
-     * Verifica che il token SteemLogin corrente sia valido
-     * @returns {Promise<boolean>} True se il token è valido
+     * Segnala una sessione SteemLogin scaduta: index.js la rinnova con un popup
+     * invece di rimandare l'utente al login
      */
-    async validateSteemLoginToken() {
-        const token = this.getSteemLoginToken();
-        if (!token) return false;
+    async checkSteemLoginSession() {
+        const user = this.getCurrentUser();
+        if (!user || user.loginMethod !== 'steemlogin' || steemLoginService.isCallbackPopup) return;
         
-        try {
-            // Timeout per evitare attese infinite
-            const fetchWithTimeout = async (url, options, timeout = 8000) => {
-                const controller = new AbortController();
-                const id = setTimeout(() => controller.abort(), timeout);
-                
-                try {
-                    const response = await fetch(url, {
-                        ...options,
-                        signal: controller.signal
-                    });
-                    clearTimeout(id);
-                    return response;
-                } catch (error) {
-                    clearTimeout(id);
-                    throw error;
-                }
-            };
-            
-            // Verifica il token con l'API
-            const response = await fetchWithTimeout('https://api.steemlogin.com/api/me', {
-                headers: { 'Authorization': `Bearer ${token}` }
+        if (!await steemLoginService.getValidToken(user.username)) {
+            eventEmitter.emit('auth:logout-required', {
+                message: 'Your SteemLogin session has expired',
+                reason: 'steemlogin-expired'
             });
-            
-            const isValid = response.ok;
-            
-            if (!isValid) {
-                // Se il token non è valido, puliamolo
-                const user = this.getCurrentUser();
-                if (user?.loginMethod === 'steemlogin') {
-                    sessionStorage.removeItem('steemLoginToken');
-                    localStorage.removeItem(`${user.username}_steemlogin_token`);
-                }
-            }
-            
-            return isValid;
-        } catch (error) {
-            console.error('Error validating SteemLogin token:', error);
-            return false;
         }
     }
 
@@ -832,21 +805,21 @@ class AuthService {
         try {
             // Based on available authentication methods, try to log in
             if (account.hasSteemLogin) {
-                const tokenData = localStorage.getItem(`${account.username}_steemlogin_token`);
-                if (tokenData) {
-                    const parsedData = JSON.parse(tokenData);
-                    this.completeSteemLogin(parsedData.token)
-                        .then(() => {
-                            // Reload page to refresh with new account
-                            window.location.reload();
-                        })
-                        .catch(error => {
-                            console.error('Failed to switch account with SteemLogin:', error);
-                            this.showLoginFailedNotification();
-                        });
-                } else {
-                    this.showLoginFailedNotification();
-                }
+                steemLoginService.getValidToken(account.username)
+                    .then(token => {
+                        if (!token) {
+                            throw new Error('SteemLogin token expired');
+                        }
+                        return this.completeSteemLogin(token);
+                    })
+                    .then(() => {
+                        // Reload page to refresh with new account
+                        window.location.reload();
+                    })
+                    .catch(error => {
+                        console.error('Failed to switch account with SteemLogin:', error);
+                        this.showLoginFailedNotification();
+                    });
             } else if (account.hasKeychain) {
                 // Verifica innanzitutto che Keychain sia installato
                 if (!this.isKeychainInstalled()) {
@@ -868,35 +841,41 @@ class AuthService {
                         this.showLoginFailedNotification();
                     });
             } else if (account.hasPostingKey) {
-                const postingKey = localStorage.getItem(`${account.username}_posting_key`);
-                if (postingKey) {
-                    this.loginWithPostingKey(account.username, postingKey)
-                        .then(() => {
-                            // Reload page to refresh with new account
-                            window.location.reload();
-                        })
-                        .catch(error => {
-                            console.error('Failed to switch account with posting key:', error);
-                            this.showLoginFailedNotification();
-                        });
-                } else {
-                    this.showLoginFailedNotification();
-                }
+                keyVault.getKey(account.username, 'posting')
+                    .then(postingKey => {
+                        if (!postingKey) {
+                            throw new Error('No stored posting key');
+                        }
+                        return this.loginWithPostingKey(account.username, postingKey);
+                    })
+                    .then(() => {
+                        // Reload page to refresh with new account
+                        window.location.reload();
+                    })
+                    .catch(error => {
+                        // Closing the vault prompt keeps the current account
+                        if (error.isCancelled) return;
+                        console.error('Failed to switch account with posting key:', error);
+                        this.showLoginFailedNotification();
+                    });
             } else if (account.hasActiveKey) {
-                const activeKey = localStorage.getItem(`${account.username}_active_key`);
-                if (activeKey) {
-                    this.loginWithActiveKey(account.username, activeKey)
-                        .then(() => {
-                            // Reload page to refresh with new account
-                            window.location.reload();
-                        })
-                        .catch(error => {
-                            console.error('Failed to switch account with active key:', error);
-                            this.showLoginFailedNotification();
-                        });
-                } else {
-                    this.showLoginFailedNotification();
-                }
+                keyVault.getKey(account.username, 'active')
+                    .then(activeKey => {
+                        if (!activeKey) {
+                            throw new Error('No stored active key');
+                        }
+                        return this.loginWithActiveKey(account.username, activeKey);
+                    })
+                    .then(() => {
+                        // Reload page to refresh with new account
+                        window.location.reload();
+                    })
+                    .catch(error => {
+                        // Closing the vault prompt keeps the current account
+                        if (error.isCancelled) return;
+                        console.error('Failed to switch account with active key:', error);
+                        this.showLoginFailedNotification();
+                    });
             } else {
                 // No valid authentication method found
                 this.showLoginFailedNotification();
@@ -924,7 +903,7 @@ class AuthService {
     }
 
     /**
-     * Gets all stored accounts from localStorage
+     * Gets all stored accounts from the key vault and localStorage
      * @returns {Array} - Array of account objects
      */
     getStoredAccounts() {
@@ -937,14 +916,13 @@ class AuthService {
                 accounts.push(currentUser);
             }
             
-            // Check localStorage for other accounts
-            const userKeys = [];
+            // Accounts with private keys in the vault
+            const userKeys = keyVault.getStoredUsernames();
             
-            // Find all keys that might contain user data
+            // Check localStorage for SteemLogin and Keychain accounts
             for (let i = 0; i < localStorage.length; i++) {
                 const key = localStorage.key(i);
-                if (key.includes('_posting_key') || key.includes('_active_key') || 
-                    key.includes('_steemlogin_token') || key.includes('_keychain_auth')) {
+                if (key.includes('_steemlogin_token') || key.includes('_keychain_auth')) {
                     const username = key.split('_')[0];
                     if (!userKeys.includes(username)) {
                         userKeys.push(username);
@@ -961,8 +939,8 @@ class AuthService {
                 
                 // Try to build a user object
                 try {
-                    const hasPostingKey = localStorage.getItem(`${username}_posting_key`) !== null;
-                    const hasActiveKey = localStorage.getItem(`${username}_active_key`) !== null;
+                    const hasPostingKey = keyVault.hasKey(username, 'posting');
+                    const hasActiveKey = keyVault.hasKey(username, 'active');
                     const hasSteemLogin = localStorage.getItem(`${username}_steemlogin_token`) !== null;
                     const hasKeychain = localStorage.getItem(`${username}_keychain_auth`) !== null;
                     
@@ -0,0 +1,330 @@
+import steemReadService from './SteemReadService.js';
+import steemService from './SteemService.js';
+import walletService from './WalletService.js';
+import authService from './AuthService.js';
+import keyVault from './KeyVaultService.js';
+import eventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Service for reading and editing the key and account authorities of an account
+ */
+class AuthorityService {
+  constructor() {
+    this.ROLES = ['owner', 'active', 'posting'];
+    // Owner changes need the owner key, only accepted by the key rotation wizard
+    this.EDITABLE_ROLES = ['active', 'posting'];
+    this.MAX_WEIGHT = 65535;
+  }
+
+  /**
+   * Get the owner, active and posting authorities of an account
+   * @param {string} username - Account name
+   * @returns {Promise<Object>} Authorities by role, plus memo key and json_metadata needed by account_update
+   */
+  async getAuthorities(username) {
+    const account = await steemReadService.getAccount(username);
+    if (!account) {
+      throw new Error(`Account @${username} not found`);
+    }
+
+    return {
+      username: account.name,
+      owner: this.normalizeAuthority(account.owner),
+      active: this.normalizeAuthority(account.active),
+      posting: this.normalizeAuthority(account.posting),
+      memoKey: account.memo_key,
+      jsonMetadata: account.json_metadata || '',
+      lastOwnerUpdate: account.last_owner_update
+    };
+  }
+
+  normalizeAuthority(authority) {
+    return {
+      weightThreshold: authority.weight_threshold,
+      keyAuths: authority.key_auths.map(([key, weight]) => ({ key, weight })),
+      accountAuths: authority.account_auths.map(([account, weight]) => ({ account, weight }))
+    };
+  }
+
+  /**
+   * Converts a normalized authority back to the chain format.
+   * Account auths are sorted because nodes re-serialize them sorted when checking signatures.
+   */
+  toChainAuthority(authority) {
+    return {
+      weight_threshold: authority.weightThreshold,
+      account_auths: [...authority.accountAuths]
+        .sort((a, b) => (a.account < b.account ? -1 : a.account > b.account ? 1 : 0))
+        .map(auth => [auth.account, auth.weight]),
+      key_auths: authority.keyAuths.map(auth => [auth.key, auth.weight])
+    };
+  }
+
+  /**
+   * Plan granting an account authority on a role, without broadcasting
+   * @param {Object} authorities - Result of getAuthorities
+   * @param {string} role - 'active' or 'posting'
+   * @param {string} account - Account to authorize
+   * @param {number} weight - Weight of the grant, defaults to the role threshold
+   * @returns {Promise<Object>} Change plan (see buildPlan)
+   */
+  async planGrant(authorities, role, account, weight = null) {
+    this.assertEditable(role);
+
+    const accountName = (account || '').trim().replace(/^@/, '').toLowerCase();
+    if (!accountName) {
+      throw new Error('Enter the account to authorize');
+    }
+    if (accountName === authorities.username) {
+      throw new Error('You cannot authorize your own account');
+    }
+
+    const grantWeight = weight === null ? authorities[role].weightThreshold : parseInt(weight, 10);
+    if (!Number.isInteger(grantWeight) || grantWeight < 1 || grantWeight > this.MAX_WEIGHT) {
+      throw new Error(`Weight must be between 1 and ${this.MAX_WEIGHT}`);
+    }
+
+    const existing = authorities[role].accountAuths.find(auth => auth.account === accountName);
+    if (existing && existing.weight === grantWeight) {
+      throw new Error(`@${accountName} already has ${role} authority with this weight`);
+    }
+
+    const target = await steemReadService.getAccount(accountName);
+    if (!target) {
+      throw new Error(`Account @${accountName} not found`);
+    }
+
+    const accountAuths = existing
+      ? authorities[role].accountAuths.map(auth => (auth.account === accountName ? { ...auth, weight: grantWeight } : auth))
+      : [...authorities[role].accountAuths, { account: accountName, weight: grantWeight }];
+
+    return this.buildPlan(authorities, role, { ...authorities[role], accountAuths });
+  }
+
+  /**
+   * Plan revoking the authority of an account on a role, without broadcasting
+   * @param {Object} authorities - Result of getAuthorities
+   * @param {string} role - 'active' or 'posting'
+   * @param {string} account - Authorized account to remove
+   * @returns {Object} Change plan (see buildPlan)
+   */
+  planRevoke(authorities, role, account) {
+    this.assertEditable(role);
+
+    const accountAuths = authorities[role].accountAuths.filter(auth => auth.account !== account);
+    if (accountAuths.length === authorities[role].accountAuths.length) {
+      throw new Error(`@${account} has no ${role} authority on this account`);
+    }
+
+    return this.buildPlan(authorities, role, { ...authorities[role], accountAuths });
+  }
+
+  /**
+   * Compares the current and the new authority of a role
+   * @returns {Object} { role, before, after, changes: [{ type, account, weight, previousWeight }], warnings }
+   * @throws {Error} When the new authority could never reach its threshold
+   */
+  buildPlan(authorities, role, after) {
+    const before = authorities[role];
+    const beforeWeights = new Map(before.accountAuths.map(auth => [auth.account, auth.weight]));
+    const afterWeights = new Map(after.accountAuths.map(auth => [auth.account, auth.weight]));
+    const changes = [];
+
+    afterWeights.forEach((weight, account) => {
+      if (!beforeWeights.has(account)) {
+        changes.push({ type: 'add', account, weight });
+      } else if (beforeWeights.get(account) !== weight) {
+        changes.push({ type: 'update', account, weight, previousWeight: beforeWeights.get(account) });
+      }
+    });
+    beforeWeights.forEach((weight, account) => {
+      if (!afterWeights.has(account)) {
+        changes.push({ type: 'remove', account, weight });
+      }
+    });
+
+    const totalWeight = [...after.keyAuths, ...after.accountAuths].reduce((sum, auth) => sum + auth.weight, 0);
+    if (totalWeight < after.weightThreshold) {
+      throw new Error(`This change would leave the ${role} role without enough weight to sign anything`);
+    }
+
+    return { role, before, after, changes, warnings: this.getWarnings(role, after, changes) };
+  }
+
+  getWarnings(role, after, changes) {
+    const warnings = [];
+
+    changes.filter(change => change.type !== 'remove').forEach(change => {
+      const jointly = change.weight >= after.weightThreshold ? '' : ' together with other authorities';
+
+      if (role === 'active') {
+        warnings.push(`@${change.account} will be able to transfer your funds, power down, vote for witnesses ` +
+          `and change your posting authority${jointly}.`);
+      } else {
+        warnings.push(`@${change.account} will be able to post, comment, vote and follow on your behalf${jointly}.`);
+      }
+    });
+
+    const ownKeyWeight = after.keyAuths.reduce((sum, auth) => sum + auth.weight, 0);
+    if (ownKeyWeight < after.weightThreshold) {
+      warnings.push(`Your own ${role} keys will not be enough to sign ${role} operations alone.`);
+    }
+
+    if (role === 'posting' && changes.some(change => change.type === 'remove' && change.account === 'cur8')) {
+      warnings.push('Scheduled posts will stop being published once @cur8 is removed.');
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Broadcast a planned change with account_update
+   * @param {Object} authorities - Result of getAuthorities the plan was built from
+   * @param {Object} plan - Result of planGrant or planRevoke
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async applyPlan(authorities, plan) {
+    const username = this.requireUser();
+    if (username !== authorities.username) {
+      throw new Error('You can only change the authorities of the logged in account');
+    }
+
+    const updateOp = [
+      'account_update',
+      {
+        account: username,
+        [plan.role]: this.toChainAuthority(plan.after),
+        memo_key: authorities.memoKey,
+        json_metadata: authorities.jsonMetadata
+      }
+    ];
+
+    // The security page already showed the change before calling this
+    const result = await walletService._broadcastOperation([updateOp], 'active', null, { reviewed: true });
+    eventEmitter.emit('authority:updated', { role: plan.role, changes: plan.changes });
+    return result;
+  }
+
+  /**
+   * Generate a new random master password and the role keys derived from it
+   * @param {string} username - Account name, part of the key derivation
+   * @returns {Promise<Object>} { password, keys } with keys as returned by steem.auth.getPrivateKeys
+   */
+  async generateKeys(username) {
+    const steem = await steemService.ensureLibraryLoaded();
+
+    const entropy = Array.from(crypto.getRandomValues(new Uint8Array(32)), byte => byte.toString(16).padStart(2, '0')).join('');
+    // Same shape as the passwords generated by steemit.com: 'P' followed by a WIF
+    const password = 'P' + steem.auth.toWif(username, entropy, 'owner');
+
+    return {
+      password,
+      keys: steem.auth.getPrivateKeys(username, password, ['owner', 'active', 'posting', 'memo'])
+    };
+  }
+
+  /**
+   * Turn what the user typed into the current owner key and check it against the account
+   * @param {Object} authorities - Result of getAuthorities
+   * @param {string} secret - Owner key or current master password
+   * @returns {Promise<string>} Owner private key
+   */
+  async resolveOwnerKey(authorities, secret) {
+    const steem = await steemService.ensureLibraryLoaded();
+
+    const ownerKey = steem.auth.isWif(secret) ? secret : steem.auth.toWif(authorities.username, secret, 'owner');
+    const publicKey = steem.auth.wifToPublic(ownerKey);
+
+    if (!authorities.owner.keyAuths.some(auth => auth.key === publicKey)) {
+      throw new Error('This is not the current owner key or master password of the account');
+    }
+    return ownerKey;
+  }
+
+  /**
+   * Build the account_update replacing every role key with the generated ones.
+   * Account authorities and thresholds are kept; each new key can sign alone.
+   * @param {Object} authorities - Result of getAuthorities
+   * @param {Object} keys - Keys from generateKeys
+   * @returns {Array} account_update operation
+   */
+  buildKeyRotation(authorities, keys) {
+    const withNewKey = (role) => this.toChainAuthority({
+      ...authorities[role],
+      keyAuths: [{ key: keys[`${role}Pubkey`], weight: authorities[role].weightThreshold }]
+    });
+
+    return [
+      'account_update',
+      {
+        account: authorities.username,
+        owner: withNewKey('owner'),
+        active: withNewKey('active'),
+        posting: withNewKey('posting'),
+        memo_key: keys.memoPubkey,
+        json_metadata: authorities.jsonMetadata
+      }
+    ];
+  }
+
+  /**
+   * Replace all the keys of the logged in account, signing with the current owner key
+   * @param {Object} authorities - Result of getAuthorities
+   * @param {Object} generated - Result of generateKeys
+   * @param {string} ownerSecret - Current owner key or master password
+   * @returns {Promise<Object>} { result, storedKeysUpdated }: storedKeysUpdated is false when the
+   *   keys saved on this device could not be replaced and have to be imported again
+   */
+  async rotateKeys(authorities, generated, ownerSecret) {
+    const username = this.requireUser();
+    if (username !== authorities.username) {
+      throw new Error('You can only change the keys of the logged in account');
+    }
+
+    const ownerKey = await this.resolveOwnerKey(authorities, ownerSecret);
+    const updateOp = this.buildKeyRotation(authorities, generated.keys);
+
+    let result;
+    try {
+      result = await steemService.broadcastWithOwnerKey([updateOp], ownerKey);
+    } catch (error) {
+      // The chain allows two owner updates per hour
+      if ((error.message || '').includes('owner_update_limit')) {
+        throw new Error('The owner key was changed too recently. Please wait an hour and try again.');
+      }
+      throw new Error(error.message || 'Key change failed');
+    }
+
+    // From here on the keys are changed on chain, so a failure must not look like a failed rotation
+    let storedKeysUpdated = true;
+    try {
+      await authService.replaceStoredKeys(username, generated.keys);
+    } catch (error) {
+      console.error('Failed to update the keys stored on this device:', error);
+      storedKeysUpdated = false;
+      // The old keys no longer sign anything
+      keyVault.removeKeys(username);
+    }
+
+    eventEmitter.emit('authority:keys-rotated', { username });
+    return { result, storedKeysUpdated };
+  }
+
+  assertEditable(role) {
+    if (!this.EDITABLE_ROLES.includes(role)) {
+      throw new Error(`The ${role} authority cannot be changed from this page`);
+    }
+  }
+
+  requireUser() {
+    const currentUser = authService.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be logged in to manage account authorities');
+    }
+    return currentUser.username;
+  }
+}
+
+// Create and export a singleton instance
+const authorityService = new AuthorityService();
+export default authorityService;
@@ -0,0 +1,315 @@
+import steemService from './SteemService.js';
+import eventEmitter from '../utils/EventEmitter.js';
+
+// Marks JSON files produced by exportBookmarks
+const BOOKMARKS_EXPORT_TYPE = 'steemee-bookmarks';
+
+/**
+ * Service keeping the posts saved for later, with their body for offline reading.
+ *
+ * Bookmarks live in their own IndexedDB database, so clearing the data cache does
+ * not remove them; offline.html reads the same database when the app cannot load.
+ * Bookmarks belong to the device, not to an account.
+ */
+class BookmarkService {
+  constructor() {
+    this.DB_NAME = 'steemee_bookmarks';
+    this.DB_VERSION = 1;
+    this.STORE = 'bookmarks';
+
+    this.dbPromise = null;
+    this.memoryStore = null;
+    // Ids of the saved posts, for the synchronous checks of the bookmark buttons
+    this.ids = new Set();
+
+    this.ready = this.getAll()
+      .then(bookmarks => {
+        this.ids = new Set(bookmarks.map(bookmark => bookmark.id));
+        this.emitChange();
+      })
+      .catch(error => console.error('Failed to load bookmarks:', error));
+  }
+
+  /**
+   * Opens the database once, falling back to memory on failure
+   * @returns {Promise<IDBDatabase|null>} Database, null when using the memory fallback
+   */
+  openDatabase() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.STORE)) {
+          const store = db.createObjectStore(this.STORE, { keyPath: 'id' });
+          store.createIndex('savedAt', 'savedAt');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, bookmarks are kept in memory:', request.error);
+        resolve(null);
+      };
+    }).then(db => {
+      if (!db) {
+        this.memoryStore = new Map();
+      }
+      return db;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Runs a callback inside a transaction on the bookmarks store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the store and returns a value or request
+   * @returns {Promise<*>} Result of the callback once the transaction completes
+   */
+  async withStore(mode, callback) {
+    const db = await this.openDatabase();
+
+    if (!db) {
+      return callback(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, mode);
+      const result = callback(transaction.objectStore(this.STORE));
+
+      transaction.oncomplete = () => {
+        resolve(result instanceof IDBRequest ? result.result : result);
+      };
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  makeId(author, permlink) {
+    return `${author}/${permlink}`;
+  }
+
+  /**
+   * @param {string} author - Post author
+   * @param {string} permlink - Post permlink
+   * @returns {boolean} Whether the post is saved
+   */
+  isBookmarked(author, permlink) {
+    return this.ids.has(this.makeId(author, permlink));
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All bookmarks, most recently saved first
+   */
+  async getAll() {
+    const bookmarks = await this.withStore('readonly', store =>
+      store ? store.getAll() : [...this.memoryStore.values()]
+    );
+    return (bookmarks || []).sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+  }
+
+  /**
+   * @param {string} author - Post author
+   * @param {string} permlink - Post permlink
+   * @returns {Promise<Object|null>} The bookmark with its body, null if the post is not saved
+   */
+  async get(author, permlink) {
+    const id = this.makeId(author, permlink);
+    const bookmark = await this.withStore('readonly', store =>
+      store ? store.get(id) : this.memoryStore.get(id)
+    );
+    return bookmark || null;
+  }
+
+  /**
+   * @returns {Promise<Array<string>>} Folder names in use, sorted
+   */
+  async getFolders() {
+    const bookmarks = await this.getAll();
+    return [...new Set(bookmarks.map(bookmark => bookmark.folder).filter(Boolean))].sort();
+  }
+
+  /**
+   * Saves a post. The full body is fetched again, since lists may carry a truncated one.
+   * @param {Object} post - Post with at least author and permlink
+   * @param {string} folder - Folder name, empty for none
+   * @returns {Promise<Object>} The stored bookmark
+   */
+  async add(post, folder = '') {
+    let content = post;
+    try {
+      const fresh = await steemService.getContent(post.author, post.permlink);
+      if (fresh && fresh.id !== 0) {
+        content = fresh;
+      }
+    } catch (error) {
+      // Offline or node error: keep what the list already had
+      console.warn('Could not fetch the full post, saving the listed copy:', error);
+    }
+
+    const existing = await this.get(post.author, post.permlink);
+    const bookmark = this.normalizeBookmark({
+      ...content,
+      folder: existing ? existing.folder : folder,
+      savedAt: existing ? existing.savedAt : new Date().toISOString()
+    });
+
+    await this.put([bookmark]);
+    eventEmitter.emit('notification', {
+      type: 'success',
+      message: 'Saved to your bookmarks',
+      duration: 3000
+    });
+
+    return bookmark;
+  }
+
+  /**
+   * @param {string} author - Post author
+   * @param {string} permlink - Post permlink
+   */
+  async remove(author, permlink) {
+    const id = this.makeId(author, permlink);
+    await this.withStore('readwrite', store =>
+      store ? store.delete(id) : this.memoryStore.delete(id)
+    );
+
+    this.ids.delete(id);
+    this.emitChange();
+  }
+
+  /**
+   * Saves the post if it is not bookmarked, removes it otherwise
+   * @param {Object} post - Post with at least author and permlink
+   * @returns {Promise<boolean>} Whether the post is bookmarked afterwards
+   */
+  async toggle(post) {
+    if (this.isBookmarked(post.author, post.permlink)) {
+      await this.remove(post.author, post.permlink);
+      return false;
+    }
+
+    await this.add(post);
+    return true;
+  }
+
+  /**
+   * @param {string} author - Post author
+   * @param {string} permlink - Post permlink
+   * @param {string} folder - Folder name, empty to take the bookmark out of its folder
+   */
+  async moveToFolder(author, permlink, folder) {
+    const bookmark = await this.get(author, permlink);
+    if (!bookmark) return;
+
+    await this.put([{ ...bookmark, folder: this.normalizeFolder(folder) }]);
+  }
+
+  /**
+   * @returns {Promise<string>} JSON with every bookmark and its body
+   */
+  async exportBookmarks() {
+    const bookmarks = await this.getAll();
+    return JSON.stringify({
+      type: BOOKMARKS_EXPORT_TYPE,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      bookmarks
+    }, null, 2);
+  }
+
+  /**
+   * Adds the bookmarks of an export, keeping the folder of posts already saved here
+   * @param {string} json - Content of a file produced by exportBookmarks
+   * @returns {Promise<number>} Number of bookmarks imported
+   * @throws {Error} When the JSON is not a bookmarks export
+   */
+  async importBookmarks(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || data.type !== BOOKMARKS_EXPORT_TYPE || !Array.isArray(data.bookmarks)) {
+      throw new Error('The file is not a bookmarks export');
+    }
+
+    const imported = [];
+    for (const item of data.bookmarks) {
+      if (!item || !item.author || !item.permlink) continue;
+
+      const existing = await this.get(item.author, item.permlink);
+      imported.push(this.normalizeBookmark(existing ? { ...item, folder: existing.folder } : item));
+    }
+
+    await this.put(imported);
+    return imported.length;
+  }
+
+  async put(bookmarks) {
+    await this.withStore('readwrite', store => {
+      bookmarks.forEach(bookmark => {
+        if (store) {
+          store.put(bookmark);
+        } else {
+          this.memoryStore.set(bookmark.id, bookmark);
+        }
+      });
+    });
+
+    bookmarks.forEach(bookmark => this.ids.add(bookmark.id));
+    this.emitChange();
+  }
+
+  /**
+   * Keeps only what is needed to list and read a saved post
+   */
+  normalizeBookmark(post) {
+    let metadata = post.json_metadata || {};
+    if (typeof metadata === 'string') {
+      try {
+        metadata = JSON.parse(metadata);
+      } catch (error) {
+        metadata = {};
+      }
+    }
+
+    return {
+      id: this.makeId(post.author, post.permlink),
+      author: String(post.author),
+      permlink: String(post.permlink),
+      title: String(post.title || ''),
+      body: String(post.body || ''),
+      category: post.category || '',
+      tags: Array.isArray(post.tags) ? post.tags : (Array.isArray(metadata.tags) ? metadata.tags : []),
+      image: post.image || (Array.isArray(metadata.image) ? metadata.image[0] : null) || null,
+      created: post.created || null,
+      folder: this.normalizeFolder(post.folder),
+      savedAt: post.savedAt || new Date().toISOString()
+    };
+  }
+
+  normalizeFolder(folder) {
+    return String(folder || '').trim().substring(0, 40);
+  }
+
+  emitChange() {
+    eventEmitter.emit('bookmarks:changed', { count: this.ids.size });
+  }
+}
+
+// Create and export a singleton instance
+const bookmarkService = new BookmarkService();
+export default bookmarkService;
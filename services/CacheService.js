@@ -0,0 +1,394 @@
+import eventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Freshness policy of each cached entity.
+ * Entries younger than `ttl` are served as-is, older ones are served while a
+ * fresh copy is fetched in background, and after `maxAge` they are dropped.
+ */
+const ENTITY_POLICIES = {
+    profile: { ttl: 5 * 60 * 1000, maxAge: 7 * 24 * 60 * 60 * 1000 },
+    posts: { ttl: 5 * 60 * 1000, maxAge: 24 * 60 * 60 * 1000 },
+    comments: { ttl: 2 * 60 * 60 * 1000, maxAge: 7 * 24 * 60 * 60 * 1000 },
+    communities: { ttl: 24 * 60 * 60 * 1000, maxAge: 7 * 24 * 60 * 60 * 1000 },
+    communitySearch: { ttl: 5 * 60 * 1000, maxAge: 24 * 60 * 60 * 1000 },
+    communitySubscriptions: { ttl: 5 * 60 * 1000, maxAge: 7 * 24 * 60 * 60 * 1000 },
+    notifications: { ttl: 5 * 60 * 1000, maxAge: 24 * 60 * 60 * 1000 }
+};
+
+/**
+ * Persistent IndexedDB cache shared by the data services.
+ *
+ * Values live in the `entries` store; a lightweight `meta` store tracks their
+ * size and last access so the cache can evict least recently used entries
+ * without loading the values. When IndexedDB is not available (private
+ * browsing on some browsers) the cache silently falls back to memory.
+ */
+class CacheService {
+    constructor() {
+        this.DB_NAME = 'steemee_cache';
+        this.DB_VERSION = 1;
+        this.ENTRIES_STORE = 'entries';
+        this.META_STORE = 'meta';
+        this.MAX_SIZE_BYTES = 50 * 1024 * 1024;
+        this.EVICTION_TARGET_RATIO = 0.8; // Evict down to 80% of the limit
+        this.DEFAULT_POLICY = { ttl: 5 * 60 * 1000, maxAge: 24 * 60 * 60 * 1000 };
+
+        this.dbPromise = null;
+        this.memoryStore = null;
+        this.pendingFetches = new Map();
+    }
+
+    /**
+     * Opens the database once, falling back to memory on failure
+     * @returns {Promise<IDBDatabase|null>} Database, null when using the memory fallback
+     */
+    openDatabase() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.ENTRIES_STORE)) {
+                    db.createObjectStore(this.ENTRIES_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(this.META_STORE)) {
+                    const metaStore = db.createObjectStore(this.META_STORE, { keyPath: 'id' });
+                    metaStore.createIndex('entity', 'entity');
+                    metaStore.createIndex('accessedAt', 'accessedAt');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, using in-memory cache:', request.error);
+                resolve(null);
+            };
+        }).then(db => {
+            if (!db) {
+                this.memoryStore = new Map();
+            }
+            return db;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a callback inside a transaction on both stores
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives (entriesStore, metaStore) and returns a value or request
+     * @returns {Promise<*>} Result of the callback once the transaction completes
+     */
+    async withStores(mode, callback) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([this.ENTRIES_STORE, this.META_STORE], mode);
+            const result = callback(
+                transaction.objectStore(this.ENTRIES_STORE),
+                transaction.objectStore(this.META_STORE)
+            );
+
+            transaction.oncomplete = () => {
+                resolve(result instanceof IDBRequest ? result.result : result);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getPolicy(entity) {
+        return ENTITY_POLICIES[entity] || this.DEFAULT_POLICY;
+    }
+
+    makeId(entity, key) {
+        return `${entity}:${key}`;
+    }
+
+    /**
+     * Reads an entry, dropping it when older than the entity's max age
+     * @param {string} entity - Entity name (see ENTITY_POLICIES)
+     * @param {string} key - Entry key
+     * @returns {Promise<Object|null>} { value, storedAt, isStale } or null
+     */
+    async read(entity, key) {
+        const id = this.makeId(entity, key);
+        const policy = this.getPolicy(entity);
+
+        try {
+            const db = await this.openDatabase();
+            const entry = db
+                ? await this.withStores('readonly', entries => entries.get(id))
+                : this.memoryStore.get(id);
+
+            if (!entry) {
+                return null;
+            }
+
+            const age = Date.now() - entry.storedAt;
+            if (age > policy.maxAge) {
+                this.remove(entity, key);
+                return null;
+            }
+
+            this.touch(id);
+
+            return {
+                value: entry.value,
+                storedAt: entry.storedAt,
+                isStale: age > policy.ttl
+            };
+        } catch (error) {
+            console.warn(`Cache read failed for ${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Stores a value and evicts old entries if the cache grew over its limit
+     * @param {string} entity - Entity name
+     * @param {string} key - Entry key
+     * @param {*} value - Structured-cloneable value
+     */
+    async write(entity, key, value) {
+        const id = this.makeId(entity, key);
+        const now = Date.now();
+        const entry = { id, entity, key, value, storedAt: now };
+
+        let size = 0;
+        try {
+            size = JSON.stringify(value)?.length || 0;
+        } catch (error) {
+            // Values with cycles can still be cloned by IndexedDB, they just count as empty
+        }
+
+        try {
+            const db = await this.openDatabase();
+            if (!db) {
+                this.memoryStore.set(id, entry);
+                return;
+            }
+
+            await this.withStores('readwrite', (entries, meta) => {
+                entries.put(entry);
+                meta.put({ id, entity, size, accessedAt: now });
+            });
+
+            await this.enforceSizeLimit();
+        } catch (error) {
+            console.warn(`Cache write failed for ${id}:`, error);
+        }
+    }
+
+    /**
+     * Updates the last access time used for LRU eviction
+     * @param {string} id - Entry id
+     */
+    async touch(id) {
+        if (this.memoryStore) return;
+
+        try {
+            await this.withStores('readwrite', (entries, meta) => {
+                const request = meta.get(id);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        meta.put({ ...request.result, accessedAt: Date.now() });
+                    }
+                };
+            });
+        } catch (error) {
+            // Access time is only a hint for eviction
+        }
+    }
+
+    /**
+     * Returns the cached value, fetching it when missing.
+     * Stale values are returned immediately and refreshed in background.
+     * @param {string} entity - Entity name
+     * @param {string} key - Entry key
+     * @param {Function} fetcher - Async function returning the fresh value
+     * @param {Object} options - { forceRefresh, onRevalidate(value) }
+     * @returns {Promise<*>} Cached or freshly fetched value
+     */
+    async getOrFetch(entity, key, fetcher, options = {}) {
+        const { forceRefresh = false, onRevalidate = null } = options;
+
+        if (!forceRefresh) {
+            const cached = await this.read(entity, key);
+            if (cached) {
+                if (cached.isStale) {
+                    this.revalidate(entity, key, fetcher, onRevalidate);
+                }
+                return cached.value;
+            }
+        }
+
+        return this.fetchAndStore(entity, key, fetcher);
+    }
+
+    /**
+     * Fetches and stores a value, sharing the request between concurrent callers
+     * @returns {Promise<*>} Fresh value
+     */
+    fetchAndStore(entity, key, fetcher) {
+        const id = this.makeId(entity, key);
+
+        if (this.pendingFetches.has(id)) {
+            return this.pendingFetches.get(id);
+        }
+
+        const fetchPromise = (async () => {
+            try {
+                const value = await fetcher();
+                if (value !== undefined && value !== null) {
+                    await this.write(entity, key, value);
+                }
+                return value;
+            } finally {
+                this.pendingFetches.delete(id);
+            }
+        })();
+
+        this.pendingFetches.set(id, fetchPromise);
+        return fetchPromise;
+    }
+
+    async revalidate(entity, key, fetcher, onRevalidate) {
+        try {
+            const value = await this.fetchAndStore(entity, key, fetcher);
+            if (onRevalidate) {
+                onRevalidate(value);
+            }
+            eventEmitter.emit('cache:revalidated', { entity, key });
+        } catch (error) {
+            console.warn(`Background refresh failed for ${this.makeId(entity, key)}:`, error);
+        }
+    }
+
+    /**
+     * Removes one entry
+     */
+    async remove(entity, key) {
+        const id = this.makeId(entity, key);
+
+        try {
+            const db = await this.openDatabase();
+            if (!db) {
+                this.memoryStore.delete(id);
+                return;
+            }
+
+            await this.withStores('readwrite', (entries, meta) => {
+                entries.delete(id);
+                meta.delete(id);
+            });
+        } catch (error) {
+            console.warn(`Cache delete failed for ${id}:`, error);
+        }
+    }
+
+    /**
+     * Removes every entry of an entity, optionally only keys starting with a prefix
+     * @param {string} entity - Entity name
+     * @param {string} keyPrefix - Key prefix, empty for the whole entity
+     */
+    async removeEntity(entity, keyPrefix = '') {
+        const idPrefix = this.makeId(entity, keyPrefix);
+
+        try {
+            const db = await this.openDatabase();
+            if (!db) {
+                [...this.memoryStore.keys()]
+                    .filter(id => id.startsWith(idPrefix))
+                    .forEach(id => this.memoryStore.delete(id));
+                return;
+            }
+
+            await this.withStores('readwrite', (entries, meta) => {
+                const request = meta.index('entity').openCursor(IDBKeyRange.only(entity));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (cursor.value.id.startsWith(idPrefix)) {
+                        entries.delete(cursor.value.id);
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                };
+            });
+        } catch (error) {
+            console.warn(`Cache delete failed for ${idPrefix}*:`, error);
+        }
+    }
+
+    /**
+     * Empties the whole cache
+     */
+    async clear() {
+        const db = await this.openDatabase();
+        if (!db) {
+            this.memoryStore.clear();
+        } else {
+            await this.withStores('readwrite', (entries, meta) => {
+                entries.clear();
+                meta.clear();
+            });
+        }
+
+        eventEmitter.emit('cache:cleared');
+    }
+
+    /**
+     * Number of entries and approximate size of the cache
+     * @returns {Promise<Object>} { entries, bytes }
+     */
+    async getStats() {
+        const db = await this.openDatabase();
+        if (!db) {
+            return { entries: this.memoryStore.size, bytes: 0 };
+        }
+
+        const metas = await this.withStores('readonly', (entries, meta) => meta.getAll());
+        return {
+            entries: metas.length,
+            bytes: metas.reduce((total, meta) => total + meta.size, 0)
+        };
+    }
+
+    /**
+     * Deletes least recently used entries once the cache exceeds MAX_SIZE_BYTES
+     */
+    async enforceSizeLimit() {
+        const { bytes } = await this.getStats();
+        if (bytes <= this.MAX_SIZE_BYTES) {
+            return;
+        }
+
+        let bytesToFree = bytes - this.MAX_SIZE_BYTES * this.EVICTION_TARGET_RATIO;
+
+        await this.withStores('readwrite', (entries, meta) => {
+            const request = meta.index('accessedAt').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || bytesToFree <= 0) return;
+                bytesToFree -= cursor.value.size;
+                entries.delete(cursor.value.id);
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+}
+
+// Create and export a singleton instance
+const cacheService = new CacheService();
+export default cacheService;
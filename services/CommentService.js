@@ -1,6 +1,9 @@
 import eventEmitter from '../utils/EventEmitter.js';
 import steemService from './SteemService.js';
 import authService from './AuthService.js';
+import signingService from './SigningService.js';
+import steemLoginService from './SteemLoginService.js';
+import mobileSigningService from './MobileSigningService.js';
 
 /**
  * Service for handling comments on posts
@@ -16,6 +19,11 @@ class CommentService {
       this.isProcessing = false;
       this.commentInProgress.clear();
     });
+
+    // Comments signed in Keychain Mobile or on SteemLogin: emit the event of the original action
+    mobileSigningService.registerResumeHandler('comment', ({ event, payload }) => {
+      eventEmitter.emit(event, payload);
+    });
   }
 
   /**
@@ -32,7 +40,7 @@ class CommentService {
    * Determine if we're on a mobile device
    */
   isMobileDevice() {
-    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    return mobileSigningService.isMobileDevice();
   }
 
   /**
@@ -112,22 +120,19 @@ class CommentService {
 
       await steemService.ensureLibraryLoaded();
 
-      // Determine login method and platform
+      // Determine login method
       const loginMethod = currentUser.loginMethod || 'privateKey';
-      const isMobile = this.isMobileDevice();
 
       let result;
 
-      // On mobile, notify if keychain isn't available
-      if (loginMethod === 'keychain' && isMobile && !this.isKeychainAvailable()) {
-        //controlliamo nel localhost se c'è la posting key
-        const postingKey = authService.getPostingKey();
-        if (!postingKey) {
-          throw new Error('Keychain not available and no posting key found. Please login again.');
-        }
-        //using the posting key to comment
-        result = await this._commentWithKey({
-          postingKey,
+      eventEmitter.emit('comment:started', {
+        parentAuthor: commentData.parentAuthor,
+        parentPermlink: commentData.parentPermlink
+      });
+
+      // Use the appropriate method based on login type
+      if (mobileSigningService.shouldHandOff(currentUser)) {
+        result = await this._commentOnMobile({
           username,
           parentAuthor: commentData.parentAuthor,
           parentPermlink: commentData.parentPermlink,
@@ -135,17 +140,8 @@ class CommentService {
           title: commentData.title || '',
           body: commentData.body,
           metadata
-        });
-
-      }
-
-      eventEmitter.emit('comment:started', {
-        parentAuthor: commentData.parentAuthor,
-        parentPermlink: commentData.parentPermlink
-      });
-
-      // Use the appropriate method based on login type
-      if (loginMethod === 'keychain' && this.isKeychainAvailable()) {
+        }, 'comment:created');
+      } else if (loginMethod === 'keychain' && this.isKeychainAvailable()) {
         result = await this._commentWithKeychain({
           username,
           parentAuthor: commentData.parentAuthor,
@@ -167,7 +163,7 @@ class CommentService {
         });
       } else {
         // Use direct posting key
-        const postingKey = authService.getPostingKey();
+        const postingKey = await authService.getPostingKey();
         if (!postingKey) {
           throw new Error('Posting key not available. Please login again.');
         }
@@ -281,19 +277,12 @@ class CommentService {
 
       // Use the appropriate method based on login type
       const loginMethod = currentUser.loginMethod || 'privateKey';
-      const isMobile = this.isMobileDevice();
       
       let result;
 
       // Check for mobile + keychain case first
-      if (loginMethod === 'keychain' && isMobile && !this.isKeychainAvailable()) {
-        const postingKey = authService.getPostingKey();
-        if (!postingKey) {
-          throw new Error('Keychain not available and no posting key found. Please login again.');
-        }
-        
-        result = await this._commentWithKey({
-          postingKey,
+      if (mobileSigningService.shouldHandOff(currentUser)) {
+        result = await this._commentOnMobile({
           username,
           parentAuthor: commentData.parentAuthor,
           parentPermlink: commentData.parentPermlink,
@@ -301,7 +290,7 @@ class CommentService {
           title: commentData.title || '',
           body: commentData.body,
           metadata
-        });
+        }, 'comment:edited');
       } else if (loginMethod === 'keychain' && this.isKeychainAvailable()) {
         result = await this._commentWithKeychain({
           username,
@@ -324,7 +313,7 @@ class CommentService {
         });
       } else {
         // Use direct posting key
-        const postingKey = authService.getPostingKey();
+        const postingKey = await authService.getPostingKey();
         if (!postingKey) {
           throw new Error('Posting key not available. Please login again.');
         }
@@ -441,9 +430,8 @@ class CommentService {
 
       await steemService.ensureLibraryLoaded();
 
-      // Determine login method and platform
+      // Determine login method
       const loginMethod = currentUser.loginMethod || 'privateKey';
-      const isMobile = this.isMobileDevice();
 
       let result;
       eventEmitter.emit('comment:update-started', {
@@ -452,7 +440,17 @@ class CommentService {
       });
 
       // Use the appropriate method based on login type - same as for createComment
-      if (loginMethod === 'keychain' && this.isKeychainAvailable()) {
+      if (mobileSigningService.shouldHandOff(currentUser)) {
+        result = await this._commentOnMobile({
+          username,
+          parentAuthor: commentData.parentAuthor,
+          parentPermlink: commentData.parentPermlink,
+          permlink: commentData.permlink, // Use existing permlink for updates
+          title: commentData.title || '',
+          body: commentData.body,
+          metadata
+        }, 'comment:updated');
+      } else if (loginMethod === 'keychain' && this.isKeychainAvailable()) {
         result = await this._commentWithKeychain({
           username,
           parentAuthor: commentData.parentAuthor,
@@ -474,7 +472,7 @@ class CommentService {
         });
       } else {
         // Use direct posting key
-        const postingKey = authService.getPostingKey();
+        const postingKey = await authService.getPostingKey();
         if (!postingKey) {
           throw new Error('Posting key not available. Please login again.');
         }
@@ -603,61 +601,74 @@ class CommentService {
   }
 
   /**
-   * Create comment using SteemLogin
+   * Mobile browsers without the extension: sign with the stored posting key
+   * if there is one, otherwise in Keychain Mobile or on SteemLogin
    * @param {Object} options - Comment options
+   * @param {string} event - Event emitted once the comment is on chain
    * @returns {Promise<Object>} - Operation result
    * @private
    */
-  async _commentWithSteemLogin(options) {
-    const { username, parentAuthor, parentPermlink, permlink, title, body, metadata } = options;
-
-    const token = authService.getSteemLoginToken();
-    if (!token) {
-      throw new Error('SteemLogin token not available');
+  async _commentOnMobile(options, event) {
+    const postingKey = await authService.getPostingKey();
+    if (postingKey) {
+      return this._commentWithKey({ ...options, postingKey });
     }
 
-    try {
-      // Call SteemLogin API to comment
-      const response = await fetch('https://api.steemlogin.com/api/broadcast', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({
-          operations: [
-            ['comment', {
-              parent_author: parentAuthor,
-              parent_permlink: parentPermlink,
-              author: username,
-              permlink: permlink,
-              title: title,
-              body: body,
-              json_metadata: JSON.stringify(metadata)
-            }]
-          ]
-        })
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to comment through SteemLogin');
+    const { username, permlink, parentAuthor, parentPermlink, body } = options;
+    return mobileSigningService.broadcast([this._buildCommentOperation(options)], {
+      action: 'comment',
+      data: {
+        event,
+        payload: { author: username, permlink, parentAuthor, parentPermlink, body }
       }
+    });
+  }
+
+  /**
+   * Create comment using SteemLogin
+   * @param {Object} options - Comment options
+   * @returns {Promise<Object>} - Operation result
+   * @private
+   */
+  async _commentWithSteemLogin(options) {
+    const operations = [this._buildCommentOperation(options)];
+    await signingService.confirm(operations);
 
-      return await response.json();
+    try {
+      return await steemLoginService.broadcast(options.username, operations);
     } catch (error) {
       console.error('SteemLogin comment error:', error);
       throw error;
     }
   }
 
+  /**
+   * Comment operation for the given options
+   * @param {Object} options - Comment options
+   * @returns {Array} - comment operation
+   * @private
+   */
+  _buildCommentOperation({ username, parentAuthor, parentPermlink, permlink, title, body, metadata }) {
+    return ['comment', {
+      parent_author: parentAuthor,
+      parent_permlink: parentPermlink,
+      author: username,
+      permlink: permlink,
+      title: title || '',
+      body: body || '',
+      json_metadata: typeof metadata === 'string' ? metadata : JSON.stringify(metadata || {})
+    }];
+  }
+
   /**
    * Create comment using direct posting key
    * @param {Object} options - Comment options
    * @returns {Promise<Object>} - Operation result
    * @private
    */
-  _commentWithKey(options) {
+  async _commentWithKey(options) {
+    await signingService.confirm([this._buildCommentOperation(options)]);
+
     return new Promise((resolve, reject) => {
       const {
         postingKey,
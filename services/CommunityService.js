@@ -4,6 +4,9 @@
 // Services
 import authService from './AuthService.js';
 import steemService from './SteemService.js';
+import steemReadService from './SteemReadService.js';
+import cacheService from './CacheService.js';
+import signingService from './SigningService.js';
 
 // Utilities
 import eventEmitter from '../utils/EventEmitter.js';
@@ -12,23 +15,17 @@ class CommunityService {
   constructor() {
     this.apiEndpoint = 'https://imridd.eu.pythonanywhere.com/api/steem';
     this.useSteemitApi = false; // Set to false to use imridd API by default
+    // Ultima lista completa di community, usata dalle ricerche sincrone
     this.cachedCommunities = null;
-    this.cachedUserSubscriptions = new Map();
-    this.cachedSearchResults = new Map();
-    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
     this.pendingRequests = new Map();
-    this.isLoadingAllCommunities = false;
-    
-    // Chiavi per localStorage
-    this.localStorageKeys = {
-      communities: 'steemee_cached_communities',
-      version: 'steemee_communities_version'
-    };
-    this.localStorageCacheExpiry = 24 * 60 * 60 * 1000; // 24 ore
     this.cacheVersion = 1; // Incrementa questo quando cambi la struttura dei dati
     
-    // Carica immediatamente da localStorage se disponibile
-    this.loadCachedCommunitiesFromStorage();
+    // Carica subito la lista dalla cache persistente se disponibile
+    this.loadCachedCommunities();
+
+    eventEmitter.on('cache:cleared', () => {
+      this.cachedCommunities = null;
+    });
   }
 
   /**
@@ -94,27 +91,22 @@ class CommunityService {
    * Ottimizzato per caricare i dati una sola volta
    */
   async listCommunities() {
-    // Se c'è già una richiesta in corso, attendi che sia completata
-    if (this.isLoadingAllCommunities) {
-      // Wait for the ongoing request to complete
-      while (this.isLoadingAllCommunities) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-      
-      // Se ora abbiamo i dati in cache, usali
-      if (this.cachedCommunities) {
-        return this.cachedCommunities;
-      }
-    }
-    
-    // Se abbiamo già i dati in memoria, usali (provenienti da localStorage all'avvio o da richiesta precedente)
-    if (this.cachedCommunities) {
-      return this.cachedCommunities;
-    }
-    
-    // Blocca altre richieste parallele
-    this.isLoadingAllCommunities = true;
-    
+    const communities = await cacheService.getOrFetch(
+      'communities',
+      `all_v${this.cacheVersion}`,
+      () => this.fetchAllCommunities(),
+      { onRevalidate: fresh => { this.cachedCommunities = fresh; } }
+    );
+    
+    this.cachedCommunities = communities;
+    return communities;
+  }
+
+  /**
+   * Scarica e normalizza la lista completa delle community
+   * @returns {Promise<Array>} - Community pronte per la ricerca
+   */
+  async fetchAllCommunities() {
     try {
       const communities = await this.sendRequest('/communities', 'GET');
       
@@ -124,7 +116,7 @@ class CommunityService {
       }
       
       // Pre-process communities to normalize data and improve search performance
-      const processedCommunities = communities.map(community => {
+      return communities.map(community => {
         // Ensure consistent property names and types
         return {
           ...community,
@@ -141,19 +133,9 @@ class CommunityService {
           ].join(' ')
         };
       });
-      
-      // Cache the processed results
-      this.cachedCommunities = processedCommunities;
-      
-      // Salva in localStorage per uso futuro
-      this.saveCachedCommunitiesToStorage(processedCommunities);
-      
-      return processedCommunities;
     } catch (error) {
       console.error('Error fetching all communities:', error);
       throw error;
-    } finally {
-      this.isLoadingAllCommunities = false;
     }
   }
 
@@ -167,22 +149,27 @@ class CommunityService {
     
     const normalizedQuery = query.trim().toLowerCase();
     
-    // Check for cached results
-    if (useCache) {
-      const cachedResult = this.getCachedSearch(normalizedQuery);
-      if (cachedResult) {
-        return cachedResult;
-      }
-    }
-    
+    return cacheService.getOrFetch(
+      'communitySearch',
+      `${normalizedQuery}_${limit}`,
+      () => this.fetchSearchResults(normalizedQuery, limit),
+      { forceRefresh: !useCache }
+    );
+  }
+
+  /**
+   * Esegue la ricerca, sull'API o filtrando la lista completa
+   * @param {string} normalizedQuery - Query in minuscolo
+   * @param {number} limit - Numero massimo di risultati
+   * @returns {Promise<Array>} - Community trovate
+   */
+  async fetchSearchResults(normalizedQuery, limit) {
     try {
       // Try the search endpoint first
       try {
         const searchResults = await this.sendRequest(`/search/communities?q=${encodeURIComponent(normalizedQuery)}`, 'GET');
         if (searchResults && searchResults.length > 0) {
-          const limitedResults = searchResults.slice(0, limit);
-          this.cacheSearchResults(normalizedQuery, limitedResults);
-          return limitedResults;
+          return searchResults.slice(0, limit);
         }
       } catch (error) {
         // Falling back to client-side filtering
@@ -219,46 +206,13 @@ class CommunityService {
         return (b.subscribers || 0) - (a.subscribers || 0);
       });
       
-      const limitedResults = sortedResults.slice(0, limit);
-      this.cacheSearchResults(normalizedQuery, limitedResults);
-      return limitedResults;
+      return sortedResults.slice(0, limit);
     } catch (error) {
       console.error('Error searching communities:', error);
       throw error;
     }
   }
 
-  /**
-   * Cache search results
-   * @param {string} cacheKey - Cache key
-   * @param {Array} data - Search results
-   */
-  cacheSearchResults(cacheKey, data) {
-    if (!cacheKey || !data) return;
-    
-    this.cachedSearchResults.set(cacheKey, {
-      data: data,
-      timestamp: Date.now()
-    });
-  }
-
-  /**
-   * Get cached search results
-   * @param {string} cacheKey - Cache key
-   * @returns {Array|null} - Cached search results or null
-   */
-  getCachedSearch(cacheKey) {
-    if (!cacheKey) return null;
-    
-    const cachedData = this.cachedSearchResults.get(cacheKey);
-    
-    if (cachedData && (Date.now() - cachedData.timestamp) < this.cacheExpiry) {
-      return cachedData.data;
-    }
-    
-    return null;
-  }
-
   /**
    * Iscriviti a una community usando Keychain o chiave posting diretta
    * @param {string} username - Username dell'utente
@@ -298,7 +252,7 @@ class CommunityService {
         result = await this.broadcastWithKeychain(username, operations);
       } else {
         // Usa la chiave posting diretta
-        const postingKey = authService.getPostingKey();
+        const postingKey = await authService.getPostingKey();
         
         if (!postingKey) {
           throw new Error("Chiave posting non disponibile. Rieffettua il login.");
@@ -308,7 +262,7 @@ class CommunityService {
       }
       
       // Dopo una sottoscrizione riuscita, invalida la cache
-      this.cachedUserSubscriptions.delete(username);
+      await cacheService.remove('communitySubscriptions', username);
       
       // Emetti evento di iscrizione completata
       eventEmitter.emit('community:subscribe-completed', {
@@ -370,7 +324,7 @@ class CommunityService {
         result = await this.broadcastWithKeychain(username, operations);
       } else {
         // Usa la chiave posting diretta
-        const postingKey = authService.getPostingKey();
+        const postingKey = await authService.getPostingKey();
         
         if (!postingKey) {
           throw new Error("Chiave posting non disponibile. Rieffettua il login.");
@@ -380,7 +334,7 @@ class CommunityService {
       }
       
       // Dopo un'operazione riuscita, invalida la cache
-      this.cachedUserSubscriptions.delete(username);
+      await cacheService.remove('communitySubscriptions', username);
       
       // Emetti evento di disiscrizione completata
       eventEmitter.emit('community:unsubscribe-completed', {
@@ -434,7 +388,9 @@ class CommunityService {
    * @param {string} postingKey - Chiave posting privata
    * @returns {Promise<Object>} - Risultato dell'operazione
    */
-  broadcastWithPostingKey(operations, postingKey) {
+  async broadcastWithPostingKey(operations, postingKey) {
+    await signingService.confirm(operations);
+
     return new Promise((resolve, reject) => {
       try {
         window.steem.broadcast.send(
@@ -467,86 +423,13 @@ class CommunityService {
       return [];
     }
     
-    // Check for cached results
-    if (useCache && this.cachedUserSubscriptions.has(username)) {
-      const { timestamp, subscriptions } = this.cachedUserSubscriptions.get(username);
-      if (Date.now() - timestamp < this.cacheExpiry) {
-        return subscriptions;
-      }
-    }
-    
     try {
-      // Prepara la richiesta JSON-RPC
-      const requestBody = {
-        jsonrpc: "2.0", 
-        method: "bridge.list_all_subscriptions", 
-        params: { account: username }, 
-        id: 1
-      };
-      
-      // Esegui chiamata diretta all'API di Steemit
-      const response = await fetch('https://api.steemit.com', {
-        method: 'POST',
-        body: JSON.stringify(requestBody),
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      // Verifica se la risposta contiene errori
-      if (data.error) {
-        throw new Error(`API error: ${data.error.message || JSON.stringify(data.error)}`);
-      }
-      
-      // Estrai le community sottoscritte dalla risposta
-      const rawCommunities = data.result || [];
-      
-      // Trasforma gli array in oggetti con proprietà significative
-      const communities = rawCommunities.map(communityData => {
-        // Ogni community è un array in questo formato:
-        // [id, title, role, description]
-        if (Array.isArray(communityData) && communityData.length >= 3) {
-          const [id, title, role, description = ''] = communityData;
-          const communityId = id.replace(/^hive-/, '');
-          
-          return {
-            id: id,                         // ID completo (hive-XXXXX)
-            name: communityId,              // ID senza prefisso
-            title: title || this.formatCommunityTitle(communityId),
-            role: role,                     // Ruolo dell'utente
-            about: description || '',       // Descrizione (se presente)
-            subscribers: 0                  // Default
-          };
-        }
-        
-        // Fallback per formati non previsti
-        if (typeof communityData === 'string') {
-          const cleanName = communityData.replace(/^hive-/, '');
-          return {
-            id: communityData,
-            name: cleanName,
-            title: this.formatCommunityTitle(cleanName),
-            role: 'guest',
-            about: ''
-          };
-        }
-        
-        return communityData; // Caso in cui sia già un oggetto
-      });
-      
-      // Cache the results
-      this.cachedUserSubscriptions.set(username, {
-        timestamp: Date.now(),
-        subscriptions: communities
-      });
-      
-      return communities;
+      return await cacheService.getOrFetch(
+        'communitySubscriptions',
+        username,
+        () => this.fetchSubscribedCommunities(username),
+        { forceRefresh: !useCache }
+      );
     } catch (error) {
       console.error('Error fetching subscribed communities for %s:', username, error);
       
@@ -555,6 +438,54 @@ class CommunityService {
     }
   }
 
+  /**
+   * Scarica le community sottoscritte tramite bridge.list_all_subscriptions
+   * @param {string} username - Username dell'account
+   * @returns {Promise<Array>} Array di community sottoscritte
+   */
+  async fetchSubscribedCommunities(username) {
+    // Il livello di lettura condiviso gestisce nodi, errori e batching
+    const result = await steemReadService.call('bridge.list_all_subscriptions', { account: username });
+    
+    // Estrai le community sottoscritte dalla risposta
+    const rawCommunities = result || [];
+    
+    // Trasforma gli array in oggetti con proprietà significative
+    const communities = rawCommunities.map(communityData => {
+      // Ogni community è un array in questo formato:
+      // [id, title, role, description]
+      if (Array.isArray(communityData) && communityData.length >= 3) {
+        const [id, title, role, description = ''] = communityData;
+        const communityId = id.replace(/^hive-/, '');
+        
+        return {
+          id: id,                         // ID completo (hive-XXXXX)
+          name: communityId,              // ID senza prefisso
+          title: title || this.formatCommunityTitle(communityId),
+          role: role,                     // Ruolo dell'utente
+          about: description || '',       // Descrizione (se presente)
+          subscribers: 0                  // Default
+        };
+      }
+      
+      // Fallback per formati non previsti
+      if (typeof communityData === 'string') {
+        const cleanName = communityData.replace(/^hive-/, '');
+        return {
+          id: communityData,
+          name: cleanName,
+          title: this.formatCommunityTitle(cleanName),
+          role: 'guest',
+          about: ''
+        };
+      }
+      
+      return communityData; // Caso in cui sia già un oggetto
+    });
+    
+    return communities;
+  }
+
   /**
    * Formatta il titolo di una community
    * @param {string} communityId - ID numerico della community
@@ -576,17 +507,9 @@ class CommunityService {
    */
   async fetchSubscribedCommunitiesAlternative(username) {
     try {
-      // Assicuriamoci che la libreria steem.js sia caricata
-      await steemService.ensureLibraryLoaded();
-      
       // Utilizza l'API follow per vedere tutte le "comunità" (in realtà account) che l'utente segue
       // e filtra quelli che sono effettivamente community
-      const following = await new Promise((resolve, reject) => {
-        steemService.steem.api.getFollowing(username, '', 'blog', 1000, (err, result) => {
-          if (err) reject(err);
-          else resolve(result || []);
-        });
-      });
+      const following = await steemReadService.condenser('get_following', [username, '', 'blog', 1000]) || [];
       
       // Filtra i risultati per trovare community (iniziano con 'hive-')
       const communitiesFromFollowing = following
@@ -912,43 +835,16 @@ class CommunityService {
   }
 
   /**
-   * Carica le community memorizzate in localStorage
+   * Carica le community dalla cache persistente senza interrogare l'API
    */
-  loadCachedCommunitiesFromStorage() {
-    try {
-      const cachedData = localStorage.getItem(this.localStorageKeys.communities);
-      const cachedVersion = localStorage.getItem(this.localStorageKeys.version);
-      
-      if (cachedData && cachedVersion && parseInt(cachedVersion, 10) === this.cacheVersion) {
-        const parsedData = JSON.parse(cachedData);
-        
-        if (parsedData.timestamp && (Date.now() - parsedData.timestamp) < this.localStorageCacheExpiry) {
-          this.cachedCommunities = parsedData.communities;
-        } else {
-          localStorage.removeItem(this.localStorageKeys.communities);
-          localStorage.removeItem(this.localStorageKeys.version);
-        }
-      }
-    } catch (error) {
-      console.error('Error loading cached communities from localStorage:', error);
-    }
-  }
+  async loadCachedCommunities() {
+    // Le versioni precedenti salvavano la lista in localStorage
+    localStorage.removeItem('steemee_cached_communities');
+    localStorage.removeItem('steemee_communities_version');
 
-  /**
-   * Salva le community in localStorage
-   * @param {Array} communities - Array di community da salvare
-   */
-  saveCachedCommunitiesToStorage(communities) {
-    try {
-      const dataToCache = {
-        communities,
-        timestamp: Date.now()
-      };
-      
-      localStorage.setItem(this.localStorageKeys.communities, JSON.stringify(dataToCache));
-      localStorage.setItem(this.localStorageKeys.version, this.cacheVersion.toString());
-    } catch (error) {
-      console.error('Error saving communities to localStorage:', error);
+    const cached = await cacheService.read('communities', `all_v${this.cacheVersion}`);
+    if (cached && !this.cachedCommunities) {
+      this.cachedCommunities = cached.value;
     }
   }
 }
@@ -0,0 +1,65 @@
+import authService from './AuthService.js';
+import userPreferencesService from './UserPreferencesService.js';
+import { calculateReputation } from '../utils/ReputationUtils.js';
+
+/**
+ * Service deciding which posts and comments count as low quality: written by authors
+ * under the reputation threshold set by the user, or pushed below zero by downvotes.
+ * The user's own content is never affected.
+ */
+class ContentQualityService {
+  /**
+   * @returns {Object} - { mode: 'collapse'|'gray'|'show', minReputation, includeDownvoted }
+   */
+  getRules() {
+    return userPreferencesService.getLowQualityRules();
+  }
+
+  /**
+   * Why a post or comment is low quality
+   * @param {Object} content - Post or comment as returned by the API
+   * @returns {string|null} - Message for the placeholder, null when the content is fine
+   */
+  getReason(content) {
+    if (!content) return null;
+
+    const rules = this.getRules();
+    if (rules.mode === 'show') return null;
+    if (content.author === authService.getCurrentUser()?.username) return null;
+
+    if (content.author_reputation !== undefined) {
+      const reputation = calculateReputation(content.author_reputation);
+      if (reputation < rules.minReputation) {
+        return `@${content.author} has a low reputation (${Math.floor(reputation)})`;
+      }
+    }
+
+    if (rules.includeDownvoted && Number(content.net_rshares) < 0) {
+      return 'Hidden due to low ratings';
+    }
+
+    return null;
+  }
+
+  /**
+   * True when the content should be replaced by a "Show anyway" placeholder
+   * @param {Object} content - Post or comment
+   * @returns {boolean}
+   */
+  shouldCollapse(content) {
+    return this.getRules().mode === 'collapse' && this.getReason(content) !== null;
+  }
+
+  /**
+   * True when the content should be shown grayed out
+   * @param {Object} content - Post or comment
+   * @returns {boolean}
+   */
+  shouldGray(content) {
+    return this.getRules().mode === 'gray' && this.getReason(content) !== null;
+  }
+}
+
+// Create and export a singleton instance
+const contentQualityService = new ContentQualityService();
+export default contentQualityService;
@@ -2,6 +2,10 @@ import eventEmitter from '../utils/EventEmitter.js';
 import steemService from './SteemService.js';
 import authService from './AuthService.js';
 import telegramService from './TelegramService.js';
+import signingService from './SigningService.js';
+import steemLoginService from './SteemLoginService.js';
+import mobileSigningService from './MobileSigningService.js';
+import { accountStorageKey } from '../utils/AccountStorage.js';
 
 /**
  * Service for creating and editing posts
@@ -17,9 +21,18 @@ class CreatePostService {
     
     // Limite massimo di beneficiari
     this.maxBeneficiaries = 8; // Massimo 8 beneficiari per post
+
+    // Opzioni di ricompensa predefinite (50% SBD / 50% SP, nessun limite, voti e curation attivi)
+    this.defaultPayoutOptions = {
+      rewardType: '50_50', // '50_50' | 'power_up' | 'decline'
+      maxAcceptedPayout: null, // Limite in SBD, null = nessun limite
+      allowCurationRewards: true,
+      allowVotes: true
+    };
+    this.MAX_ACCEPTED_PAYOUT = '1000000.000 SBD';
     
     // Chiavi per localStorage - sistema migliorato
-    this.DRAFT_STORAGE_KEY = 'steemee_post_draft'; // Draft corrente (legacy)
+    this.DRAFT_STORAGE_KEY = 'steemee_post_draft'; // Draft corrente senza account (legacy)
     this.DRAFTS_STORAGE_KEY = 'steemee_post_drafts'; // Tutti i drafts (nuovo sistema)
     this.DRAFT_INDEX_KEY = 'steemee_draft_index'; // Indice dei drafts
     
@@ -27,6 +40,12 @@ class CreatePostService {
     this.MAX_DRAFTS_PER_USER = 10; // Massimo 10 draft per utente
     this.DRAFT_EXPIRY_DAYS = 30; // I draft scadono dopo 30 giorni
     this.AUTO_SAVE_INTERVAL = 15000; // Auto-save ogni 15 secondi
+
+    // Post firmati in Keychain Mobile o su SteemLogin: completati al ritorno nell'app
+    mobileSigningService.registerResumeHandler('post', (postDetails) => {
+      this.clearDraft();
+      this.emitSuccessEvent(postDetails);
+    });
   }
 
   /**
@@ -34,7 +53,7 @@ class CreatePostService {
    * @returns {boolean} true se il dispositivo è mobile
    */
   isMobileDevice() {
-    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    return mobileSigningService.isMobileDevice();
   }
   async createPost(postData, options = {}) {
     if (this.isProcessing) {
@@ -81,7 +100,7 @@ class CreatePostService {
   }
 
   preparePostDetails(postData, options = {}) {
-    const { title, body, tags, community, permlink: customPermlink } = postData;
+    const { title, body, tags, community, permlink: customPermlink, nsfw } = postData;
     const currentUser = this.validateUserAuthentication();
     const username = currentUser.username;
     
@@ -121,7 +140,7 @@ class CreatePostService {
       : (processedTags[0] || 'steemee');
     
     // Prepare metadata
-    const metadata = this.createPostMetadata(processedTags, community);
+    const metadata = this.createPostMetadata(processedTags, community, nsfw);
     
     return {
       username,
@@ -131,10 +150,77 @@ class CreatePostService {
       parentPermlink,
       metadata,
       beneficiaries,
+      payoutOptions: this.normalizePayoutOptions(options.payoutOptions),
       community
     };
   }
 
+  /**
+   * Completa le opzioni di ricompensa con i valori predefiniti
+   * @param {Object} payoutOptions - rewardType, maxAcceptedPayout, allowCurationRewards, allowVotes
+   * @returns {Object} - Opzioni di ricompensa complete
+   */
+  normalizePayoutOptions(payoutOptions = {}) {
+    const options = { ...this.defaultPayoutOptions, ...(payoutOptions || {}) };
+
+    if (!['50_50', 'power_up', 'decline'].includes(options.rewardType)) {
+      options.rewardType = this.defaultPayoutOptions.rewardType;
+    }
+
+    const maxPayout = parseFloat(options.maxAcceptedPayout);
+    options.maxAcceptedPayout = Number.isFinite(maxPayout) && maxPayout >= 0 ? maxPayout : null;
+    options.allowCurationRewards = options.allowCurationRewards !== false;
+    options.allowVotes = options.allowVotes !== false;
+
+    return options;
+  }
+
+  /**
+   * Costruisce l'operazione comment_options per ricompense e beneficiari
+   * @param {string} username - Autore del post
+   * @param {string} permlink - Permlink del post
+   * @param {Array} beneficiaries - Lista dei beneficiari
+   * @param {Object} payoutOptions - Opzioni di ricompensa
+   * @returns {Array|null} - Operazione comment_options, null se tutte le opzioni sono quelle di default
+   */
+  buildCommentOptionsOperation(username, permlink, beneficiaries = [], payoutOptions = {}) {
+    const options = this.normalizePayoutOptions(payoutOptions);
+
+    let maxAcceptedPayout = this.MAX_ACCEPTED_PAYOUT;
+    if (options.rewardType === 'decline') {
+      maxAcceptedPayout = '0.000 SBD';
+    } else if (options.maxAcceptedPayout !== null) {
+      maxAcceptedPayout = `${options.maxAcceptedPayout.toFixed(3)} SBD`;
+    }
+
+    // 10000 = 50% SBD / 50% SP, 0 = 100% Steem Power
+    const percentSteemDollars = options.rewardType === 'power_up' ? 0 : 10000;
+
+    const isDefault = maxAcceptedPayout === this.MAX_ACCEPTED_PAYOUT &&
+      percentSteemDollars === 10000 &&
+      options.allowCurationRewards &&
+      options.allowVotes;
+
+    if (isDefault && beneficiaries.length === 0) {
+      return null;
+    }
+
+    return [
+      'comment_options',
+      {
+        author: username,
+        permlink: permlink,
+        max_accepted_payout: maxAcceptedPayout,
+        percent_steem_dollars: percentSteemDollars,
+        allow_votes: options.allowVotes,
+        allow_curation_rewards: options.allowCurationRewards,
+        extensions: beneficiaries.length > 0
+          ? [[0, { beneficiaries: beneficiaries }]]
+          : []
+      }
+    ];
+  }
+
   validateUserAuthentication() {
     const currentUser = authService.getCurrentUser();
     if (!currentUser) {
@@ -143,7 +229,7 @@ class CreatePostService {
     return currentUser;
   }
 
-  createPostMetadata(tags, community) {
+  createPostMetadata(tags, community, nsfw = false) {
     const metadata = {
       tags,
       app: 'steemee/1.0',
@@ -154,6 +240,14 @@ class CreatePostService {
       metadata.community = community;
     }
     
+    // Etichetta dell'autore: il tag nsfw è quello riconosciuto anche dagli altri frontend
+    if (nsfw) {
+      metadata.nsfw = true;
+      if (!tags.includes('nsfw')) {
+        metadata.tags = [...tags, 'nsfw'];
+      }
+    }
+    
     return metadata;
   }
 
@@ -163,9 +257,18 @@ class CreatePostService {
     const user = authService.getCurrentUser();
     const loginMethod = user?.loginMethod;
     
-    const postingKey = authService.getPostingKey();
+    // Su mobile senza estensione e senza chiave di posting sul dispositivo
+    // il post si firma in Keychain Mobile o su SteemLogin, prima di chiedere qualsiasi chiave
+    if (mobileSigningService.shouldHandOff(user, 'posting')) {
+        return await mobileSigningService.broadcast(this.buildPostOperations(postDetails), {
+            action: 'post',
+            data: postDetails,
+            returnRoute: `/@${postDetails.username}/${postDetails.permlink}`
+        });
+    }
+    
+    const postingKey = await authService.getPostingKey();
     const hasKeychain = typeof window.steem_keychain !== 'undefined';
-    const isMobile = this.isMobileDevice();
     
     // Verifica il metodo di login e usa solo quello (nessun fallback)
     if (loginMethod === 'keychain') {
@@ -174,12 +277,12 @@ class CreatePostService {
             throw new Error('You are logged in with Keychain, but the extension is not available. Please install or enable Steem Keychain extension.');
         }
         
-        if (isMobile && !window.steem_keychain) {
-            throw new Error('Steem Keychain is not available on this mobile browser. Please use a desktop browser.');
-        }
-        
         return await this.broadcastPostWithKeychain(postDetails);
     } 
+    else if (loginMethod === 'steemlogin' && !postingKey) {
+        // Senza posting key locale, gli utenti SteemLogin firmano tramite l'API di SteemLogin
+        return await this.broadcastPostWithSteemLogin(postDetails);
+    }
     else if (loginMethod === 'privateKey' || loginMethod === 'steemlogin') {
         // Se l'utente è loggato con chiave privata o steemlogin, deve avere una posting key
         if (!postingKey) {
@@ -228,7 +331,7 @@ class CreatePostService {
     eventEmitter.emit('post:creation-error', { error: errorMessage });
   }
   
-  broadcastPostWithKeychain({ username, parentPermlink, title, body, permlink, metadata, beneficiaries = [] }) {
+  broadcastPostWithKeychain({ username, parentPermlink, title, body, permlink, metadata, beneficiaries = [], payoutOptions }) {
     return new Promise((resolve, reject) => {
       const jsonMetadata = JSON.stringify(metadata);
       
@@ -245,25 +348,9 @@ class CreatePostService {
         }]
       ];
       
-      // Add comment_options operation with beneficiary if needed
-      if (beneficiaries.length > 0) {
-        // Per le opzioni standard del post
-        const commentOptionsOperation = [
-          'comment_options', 
-          {
-            author: username,
-            permlink: permlink,
-            max_accepted_payout: '1000000.000 SBD',
-            percent_steem_dollars: 10000,
-            allow_votes: true,
-            allow_curation_rewards: true,
-            extensions: [
-              [0, {
-                beneficiaries: beneficiaries
-              }]
-            ]
-          }
-        ];
+      // Add comment_options operation with rewards and beneficiaries if needed
+      const commentOptionsOperation = this.buildCommentOptionsOperation(username, permlink, beneficiaries, payoutOptions);
+      if (commentOptionsOperation) {
         operations.push(commentOptionsOperation);
       }
       
@@ -380,50 +467,47 @@ class CreatePostService {
       .slice(0, 5); // Limit to 5 tags
   }
   
-  async broadcastPost({ username, postingKey, parentPermlink, title, body, permlink, metadata, beneficiaries = [] }) {
-    // Format JSON metadata
-    const jsonMetadata = JSON.stringify(metadata);
+  /**
+   * Operazioni che pubblicano il post: comment e, se servono, comment_options
+   * @param {Object} postDetails - Dettagli del post preparati da preparePostDetails
+   * @returns {Array} - Operazioni da firmare
+   */
+  buildPostOperations({ username, parentPermlink, title, body, permlink, metadata, beneficiaries = [], payoutOptions }) {
+    const operations = [
+      ['comment', {
+        parent_author: '',
+        parent_permlink: parentPermlink,
+        author: username,
+        permlink: permlink,
+        title: title,
+        body: body,
+        json_metadata: JSON.stringify(metadata)
+      }]
+    ];
+
+    const commentOptionsOperation = this.buildCommentOptionsOperation(username, permlink, beneficiaries, payoutOptions);
+    if (commentOptionsOperation) {
+      operations.push(commentOptionsOperation);
+    }
+
+    return operations;
+  }
+  
+  async broadcastPost({ username, postingKey, parentPermlink, title, body, permlink, metadata, beneficiaries = [], payoutOptions }) {
+    const operations = this.buildPostOperations({
+      username, parentPermlink, title, body, permlink, metadata, beneficiaries, payoutOptions
+    });
+    await signingService.confirm(operations);
     
     return new Promise((resolve, reject) => {
-      // Prima, crea il post
-      window.steem.broadcast.comment(
-        postingKey,          // Posting key
-        '',                  // Parent author (empty for new post)
-        parentPermlink,      // Primary tag as parent permlink
-        username,            // Author
-        permlink,            // Permlink
-        title,               // Title
-        body,                // Body
-        jsonMetadata,        // JSON metadata
+      // comment e comment_options nella stessa transazione, come con Keychain e SteemLogin:
+      // il post non può uscire senza le ricompense e i beneficiari scelti
+      window.steem.broadcast.send(
+        { operations, extensions: [] },
+        { posting: postingKey },
         (err, result) => {
           if (err) {
             reject(err);
-            return;
-          }
-          
-          // Se ci sono beneficiari, aggiungi le opzioni al post
-          if (beneficiaries.length > 0) {
-            window.steem.broadcast.commentOptions(
-              postingKey,
-              username,
-              permlink,
-              '1000000.000 SBD',  // max_accepted_payout
-              10000,              // percent_steem_dollars (100%)
-              true,               // allow_votes
-              true,               // allow_curation_rewards
-              [
-                [0, { beneficiaries: beneficiaries }]
-              ],
-              (optErr, optResult) => {
-                if (optErr) {
-                  console.error('Failed to set beneficiaries:', optErr);
-                  // Risolviamo comunque perché il post è stato creato
-                  resolve(result);
-                } else {
-                  resolve(optResult);
-                }
-              }
-            );
           } else {
             resolve(result);
           }
@@ -432,6 +516,19 @@ class CreatePostService {
     });
   }
   
+  /**
+   * Pubblica il post tramite l'API di SteemLogin
+   * @param {Object} postDetails - Dettagli del post preparati da preparePostDetails
+   * @returns {Promise<Object>} - Risultato del broadcast
+   */
+  async broadcastPostWithSteemLogin(postDetails) {
+    const operations = this.buildPostOperations(postDetails);
+    await signingService.confirm(operations);
+
+    // Se il token è scaduto SteemLoginService chiede di rifare l'accesso senza lasciare la pagina
+    return await steemLoginService.broadcast(postDetails.username, operations);
+  }
+  
   async editPost(postData) {
     // Implement post editing functionality
     // Similar to createPost but uses existing permlink
@@ -459,6 +556,33 @@ class CreatePostService {
     return `steemee_draft_${username}_`;
   }
 
+  /**
+   * Chiave del draft corrente: ogni account ha il suo, così il cambio account
+   * non sovrascrive la bozza in corso dell'altro
+   * @returns {string} - Chiave localStorage del draft corrente
+   */
+  getCurrentDraftKey() {
+    const username = authService.getCurrentUser()?.username;
+    if (!username) return this.DRAFT_STORAGE_KEY;
+
+    const key = accountStorageKey(username, 'post_draft');
+
+    // Sposta nel namespace dell'account la bozza condivisa delle versioni precedenti
+    const legacyJson = localStorage.getItem(this.DRAFT_STORAGE_KEY);
+    if (legacyJson && localStorage.getItem(key) === null) {
+      try {
+        if (JSON.parse(legacyJson).username === username) {
+          localStorage.setItem(key, legacyJson);
+          localStorage.removeItem(this.DRAFT_STORAGE_KEY);
+        }
+      } catch (error) {
+        console.warn('Failed to migrate legacy draft:', error);
+      }
+    }
+
+    return key;
+  }
+
   /**
    * Ottieni tutti i draft per l'utente corrente
    * @returns {Array} - Array di draft
@@ -477,7 +601,7 @@ class CreatePostService {
       drafts.push({
         id: 'current',
         isCurrent: true,
-        storageKey: this.DRAFT_STORAGE_KEY,
+        storageKey: this.getCurrentDraftKey(),
         ...currentDraft,
         lastModified: new Date(currentDraft.timestamp).getTime()
       });
@@ -486,7 +610,7 @@ class CreatePostService {
     // 2. Cerca tutti i draft salvati per questo utente
     for (let i = 0; i < localStorage.length; i++) {
       const key = localStorage.key(i);
-      if (key && key.startsWith(prefix) && key !== this.DRAFT_STORAGE_KEY) {
+      if (key && key.startsWith(prefix)) {
         try {
           const draftData = JSON.parse(localStorage.getItem(key));
           if (draftData && (draftData.title || draftData.body)) {
@@ -678,7 +802,8 @@ class CreatePostService {
         title: `${draft.title} (Copy)`,
         body: draft.body,
         tags: draft.tags,
-        community: draft.community
+        community: draft.community,
+        nsfw: draft.nsfw
       };
 
       return this.saveDraftWithId(newDraftData);
@@ -703,7 +828,8 @@ class CreatePostService {
       title: currentDraft.title,
       body: currentDraft.body,
       tags: currentDraft.tags,
-      community: currentDraft.community
+      community: currentDraft.community,
+      nsfw: currentDraft.nsfw
     });
 
     if (result.success) {
@@ -729,7 +855,9 @@ class CreatePostService {
         title: draft.title,
         body: draft.body,
         tags: draft.tags,
-        community: draft.community
+        community: draft.community,
+        payoutOptions: draft.payoutOptions,
+        nsfw: draft.nsfw
       });
 
       return success;
@@ -739,7 +867,7 @@ class CreatePostService {
     }  }
   /**
    * Salva una bozza del post nel localStorage (legacy - manteniamo per compatibilità)
-   * @param {Object} draftData - I dati della bozza (title, body, tags, community, isScheduled, publishDate, publishTime)
+   * @param {Object} draftData - I dati della bozza (title, body, tags, community, isScheduled, publishDate, publishTime, payoutOptions, nsfw)
    * @returns {boolean} - true se il salvataggio è riuscito
    */
   saveDraft(draftData) {
@@ -751,7 +879,7 @@ class CreatePostService {
         username: authService.getCurrentUser()?.username || 'anonymous'
       };
       
-      localStorage.setItem(this.DRAFT_STORAGE_KEY, JSON.stringify(draft));
+      localStorage.setItem(this.getCurrentDraftKey(), JSON.stringify(draft));
       return true;
     } catch (error) {
       console.error('Failed to save draft:', error);
@@ -765,7 +893,7 @@ class CreatePostService {
    */
   getDraft() {
     try {
-      const draftJson = localStorage.getItem(this.DRAFT_STORAGE_KEY);
+      const draftJson = localStorage.getItem(this.getCurrentDraftKey());
       if (!draftJson) return null;
       
       const draft = JSON.parse(draftJson);
@@ -806,7 +934,7 @@ class CreatePostService {
    */
   clearDraft() {
     try {
-      localStorage.removeItem(this.DRAFT_STORAGE_KEY);
+      localStorage.removeItem(this.getCurrentDraftKey());
     } catch (error) {
       console.error('Failed to clear draft:', error);
     }
@@ -1018,13 +1146,15 @@ class CreatePostService {
         body: postData.body,
         tags: postData.tags,
         community: postData.community,
+        nsfw: postData.nsfw === true,
         permlink: postData.permlink || this.generatePermlink(postData.title),
         scheduledDateTime: postData.scheduledDateTime,
         createdAt: new Date().toISOString(),
         status: 'scheduled',
         options: {
           includeBeneficiary: options.includeBeneficiary,
-          beneficiaries: options.beneficiaries || []
+          beneficiaries: options.beneficiaries || [],
+          payoutOptions: this.normalizePayoutOptions(options.payoutOptions)
         }
       };
       
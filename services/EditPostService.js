@@ -2,6 +2,9 @@ import eventEmitter from '../utils/EventEmitter.js';
 import steemService from './SteemService.js';
 import authService from './AuthService.js';
 import createPostService from './CreatePostService.js';
+import steemReadService from './SteemReadService.js';
+import signingService from './SigningService.js';
+import mobileSigningService from './MobileSigningService.js';
 
 /**
  * Service for editing posts
@@ -9,6 +12,10 @@ import createPostService from './CreatePostService.js';
 class EditPostService {
   constructor() {
     this.isProcessing = false;
+
+    mobileSigningService.registerResumeHandler('post-edit', (updateDetails) => {
+      this.emitSuccessEvent(updateDetails);
+    });
   }
 
   /**
@@ -21,19 +28,13 @@ class EditPostService {
     try {
       await steemService.ensureLibraryLoaded();
       
-      return new Promise((resolve, reject) => {
-        window.steem.api.getContent(author, permlink, (err, post) => {
-          if (err) {
-            reject(err);
-          } else if (!post || !post.author) {
-            reject(new Error('Post not found'));
-          } else {
-            // Prepare post data
-            const postData = this.preparePostDataFromResponse(post);
-            resolve(postData);
-          }
-        });
-      });
+      const post = await steemReadService.getContent(author, permlink);
+      if (!post || !post.author) {
+        throw new Error('Post not found');
+      }
+
+      // Prepare post data
+      return this.preparePostDataFromResponse(post);
     } catch (error) {
       console.error('Failed to fetch post:', error);
       throw new Error(`Failed to fetch post: ${error.message}`);
@@ -161,9 +162,16 @@ class EditPostService {
   }
 
   async broadcastUsingAvailableMethod(postDetails) {
-    const postingKey = authService.getPostingKey();
+    if (mobileSigningService.shouldHandOff(authService.getCurrentUser(), 'posting')) {
+      return mobileSigningService.broadcast([this.buildUpdateOperation(postDetails)], {
+        action: 'post-edit',
+        data: postDetails,
+        returnRoute: `/@${postDetails.username}/${postDetails.permlink}`
+      });
+    }
+
+    const postingKey = await authService.getPostingKey();
     const hasKeychain = typeof window.steem_keychain !== 'undefined';
-    const isMobile = createPostService.isMobileDevice();
     
     let result;
     
@@ -174,10 +182,6 @@ class EditPostService {
       });
     } 
     else if (hasKeychain) {
-      if (isMobile && !window.steem_keychain) {
-        throw new Error('Steem Keychain is not available on this mobile browser. Please use a desktop browser or log in with your posting key.');
-      }
-      
       result = await this.broadcastPostUpdateWithKeychain(postDetails);
     }
     else {
@@ -189,20 +193,8 @@ class EditPostService {
 
   broadcastPostUpdateWithKeychain({ username, parentPermlink, title, body, permlink, metadata }) {
     return new Promise((resolve, reject) => {
-      const jsonMetadata = JSON.stringify(metadata);
-      
       // Create operations array for update
-      const operations = [
-        ['comment', {
-          parent_author: '',
-          parent_permlink: parentPermlink,
-          author: username,
-          permlink: permlink,
-          title: title,
-          body: body,
-          json_metadata: jsonMetadata
-        }]
-      ];
+      const operations = [this.buildUpdateOperation({ username, parentPermlink, title, body, permlink, metadata })];
       
       window.steem_keychain.requestBroadcast(
         username, 
@@ -228,9 +220,30 @@ class EditPostService {
     });
   }
   
+  /**
+   * Comment operation that rewrites an existing post
+   * @param {Object} postDetails - Prepared by preparePostUpdateDetails
+   * @returns {Array} - comment operation
+   */
+  buildUpdateOperation({ username, parentPermlink, title, body, permlink, metadata }) {
+    return ['comment', {
+      parent_author: '',
+      parent_permlink: parentPermlink,
+      author: username,
+      permlink: permlink,
+      title: title,
+      body: body,
+      json_metadata: JSON.stringify(metadata)
+    }];
+  }
+
   async broadcastPostUpdate({ username, postingKey, parentPermlink, title, body, permlink, metadata }) {
     const jsonMetadata = JSON.stringify(metadata);
     
+    await signingService.confirm([
+      this.buildUpdateOperation({ username, parentPermlink, title, body, permlink, metadata })
+    ]);
+    
     return new Promise((resolve, reject) => {
       window.steem.broadcast.comment(
         postingKey,          // Posting key
@@ -0,0 +1,254 @@
+import steemReadService from './SteemReadService.js';
+import walletService from './WalletService.js';
+import authService from './AuthService.js';
+import eventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Service for on-chain governance: witness votes, proxies and the proposal system
+ */
+class GovernanceService {
+  constructor() {
+    this.MAX_WITNESS_VOTES = 30;
+    this.WITNESS_LIST_SIZE = 150;
+    // Witnesses that disabled block production publish this null key
+    this.DISABLED_SIGNING_KEY = 'STM1111111111111111111111111111111114T1Anm';
+    // The proposal paying back to the DAO, funding stops at its vote count
+    this.RETURN_PROPOSAL_RECEIVER = 'steem.dao';
+    this.PROPOSAL_LIST_SIZE = 200;
+  }
+
+  /**
+   * Converts raw governance vote weight (VESTS * 1e6) to SP
+   * @param {string|number} votes - Raw vote weight
+   * @param {Object} props - Dynamic global properties
+   * @returns {number} Vote weight in SP
+   */
+  votesToSp(votes, props) {
+    const steemPerVest = parseFloat(props.total_vesting_fund_steem) / parseFloat(props.total_vesting_shares);
+    return parseFloat(votes) / 1e6 * steemPerVest;
+  }
+
+  /**
+   * Get witnesses ranked by received votes
+   * @param {number} limit - Number of witnesses to fetch
+   * @returns {Promise<Array>} Witnesses with rank, SP-denominated votes and price feed
+   */
+  async getWitnesses(limit = this.WITNESS_LIST_SIZE) {
+    const [witnesses, props] = await Promise.all([
+      steemReadService.condenser('get_witnesses_by_vote', ['', limit]),
+      steemReadService.getDynamicGlobalProperties()
+    ]);
+
+    return (witnesses || []).map((witness, index) => {
+      const feedBase = parseFloat(witness.sbd_exchange_rate?.base || 0);
+      const feedQuote = parseFloat(witness.sbd_exchange_rate?.quote || 0);
+
+      return {
+        rank: index + 1,
+        owner: witness.owner,
+        url: witness.url,
+        votesSp: this.votesToSp(witness.votes, props),
+        version: witness.running_version,
+        priceFeed: feedQuote > 0 ? feedBase / feedQuote : 0,
+        lastFeedUpdate: new Date(witness.last_sbd_exchange_update + 'Z'),
+        missedBlocks: witness.total_missed,
+        lastConfirmedBlock: witness.last_confirmed_block_num,
+        disabled: witness.signing_key === this.DISABLED_SIGNING_KEY
+      };
+    });
+  }
+
+  /**
+   * Get the witness votes and proxy of an account
+   * @param {string} username - Account name
+   * @returns {Promise<Object>} Votes (sorted) and proxy, empty string when none
+   */
+  async getAccountGovernance(username) {
+    const account = await steemReadService.getAccount(username);
+    if (!account) {
+      throw new Error(`Account @${username} not found`);
+    }
+
+    return {
+      witnessVotes: [...(account.witness_votes || [])].sort(),
+      proxy: account.proxy || ''
+    };
+  }
+
+  /**
+   * Vote or unvote a witness
+   * @param {string} witness - Witness account
+   * @param {boolean} approve - True to vote, false to remove the vote
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async voteWitness(witness, approve = true) {
+    const username = this.requireUser();
+
+    const voteOp = [
+      'account_witness_vote',
+      {
+        account: username,
+        witness,
+        approve
+      }
+    ];
+
+    const keychainMethod = () => {
+      return new Promise((resolve, reject) => {
+        window.steem_keychain.requestWitnessVote(username, witness, approve, function (response) {
+          if (response.success) {
+            resolve(response);
+          } else {
+            reject(new Error(response.message || 'Witness vote failed'));
+          }
+        });
+      });
+    };
+
+    const result = await walletService._broadcastOperation([voteOp], 'active', keychainMethod);
+    eventEmitter.emit('governance:witness-voted', { witness, approve });
+    return result;
+  }
+
+  /**
+   * Set a governance proxy, or clear it with an empty string
+   * @param {string} proxy - Proxy account, '' to clear
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async setProxy(proxy) {
+    const username = this.requireUser();
+    const proxyName = (proxy || '').trim().replace(/^@/, '').toLowerCase();
+
+    if (proxyName === username) {
+      throw new Error('You cannot set yourself as proxy');
+    }
+
+    if (proxyName) {
+      const account = await steemReadService.getAccount(proxyName);
+      if (!account) {
+        throw new Error(`Account @${proxyName} not found`);
+      }
+    }
+
+    const proxyOp = [
+      'account_witness_proxy',
+      {
+        account: username,
+        proxy: proxyName
+      }
+    ];
+
+    const keychainMethod = () => {
+      return new Promise((resolve, reject) => {
+        window.steem_keychain.requestProxy(username, proxyName, function (response) {
+          if (response.success) {
+            resolve(response);
+          } else {
+            reject(new Error(response.message || 'Proxy update failed'));
+          }
+        });
+      });
+    };
+
+    const result = await walletService._broadcastOperation([proxyOp], 'active', keychainMethod);
+    eventEmitter.emit('governance:proxy-changed', { proxy: proxyName });
+    return result;
+  }
+
+  /**
+   * Get all proposals with their status and position against the return proposal
+   * @returns {Promise<Object>} Proposals sorted by votes and the return proposal threshold in SP
+   */
+  async getProposals() {
+    const [proposals, props] = await Promise.all([
+      steemReadService.condenser('list_proposals', [[''], this.PROPOSAL_LIST_SIZE, 'by_creator', 'ascending', 'all']),
+      steemReadService.getDynamicGlobalProperties()
+    ]);
+
+    const now = Date.now();
+    const list = (proposals || []).map(proposal => {
+      const startDate = new Date(proposal.start_date + 'Z');
+      const endDate = new Date(proposal.end_date + 'Z');
+
+      let status = 'active';
+      if (startDate.getTime() > now) {
+        status = 'upcoming';
+      } else if (endDate.getTime() <= now) {
+        status = 'expired';
+      }
+
+      return {
+        id: proposal.proposal_id ?? proposal.id,
+        creator: proposal.creator,
+        receiver: proposal.receiver,
+        subject: proposal.subject,
+        permlink: proposal.permlink,
+        startDate,
+        endDate,
+        dailyPay: walletService.parseAsset(proposal.daily_pay).amount,
+        votesSp: this.votesToSp(proposal.total_votes, props),
+        status
+      };
+    });
+
+    list.sort((a, b) => b.votesSp - a.votesSp);
+
+    const returnProposal = list.find(proposal => proposal.receiver === this.RETURN_PROPOSAL_RECEIVER);
+
+    return {
+      proposals: list,
+      threshold: returnProposal ? returnProposal.votesSp : 0,
+      returnProposalId: returnProposal ? returnProposal.id : null
+    };
+  }
+
+  /**
+   * Get the ids of the proposals approved by an account
+   * @param {string} username - Account name
+   * @returns {Promise<Array<number>>} Approved proposal ids
+   */
+  async getProposalVotes(username) {
+    const votes = await steemReadService.condenser('list_proposal_votes', [[username], 1000, 'by_voter_proposal', 'ascending', 'all']);
+
+    // The list continues with the next voters once this account's votes end
+    return (votes || [])
+      .filter(vote => vote.voter === username)
+      .map(vote => vote.proposal.proposal_id ?? vote.proposal.id);
+  }
+
+  /**
+   * Approve or unapprove proposals
+   * @param {Array<number>} proposalIds - Proposal ids
+   * @param {boolean} approve - True to approve, false to remove the approval
+   * @returns {Promise<Object>} Result of the operation
+   */
+  async voteProposals(proposalIds, approve = true) {
+    const username = this.requireUser();
+
+    const voteOp = [
+      'update_proposal_votes',
+      {
+        voter: username,
+        proposal_ids: proposalIds,
+        approve,
+        extensions: []
+      }
+    ];
+
+    const result = await walletService._broadcastOperation([voteOp], 'active');
+    eventEmitter.emit('governance:proposal-voted', { proposalIds, approve });
+    return result;
+  }
+
+  requireUser() {
+    const currentUser = authService.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be logged in to take part in governance');
+    }
+    return currentUser.username;
+  }
+}
+
+// Create and export a singleton instance
+const governanceService = new GovernanceService();
+export default governanceService;
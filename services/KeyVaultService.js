@@ -0,0 +1,382 @@
+import eventEmitter from '../utils/EventEmitter.js';
+import vaultPassphrase from '../components/auth/VaultPassphraseComponent.js';
+
+/**
+ * Encrypted storage for the private keys of every account logged in on this device.
+ *
+ * Keys are encrypted with AES-GCM using a key derived from the user's passphrase
+ * with PBKDF2. The derived key and the decrypted WIFs only live in memory: they
+ * are dropped on lock, after AUTO_LOCK_MS of inactivity, or when the page closes.
+ */
+class KeyVaultService {
+    constructor() {
+        this.STORAGE_KEY = 'steemee_key_vault';
+        this.VAULT_VERSION = 1;
+        this.PBKDF2_ITERATIONS = 310000;
+        this.AUTO_LOCK_MS = 15 * 60 * 1000;
+        this.VERIFIER_TEXT = 'steemee-key-vault';
+        // Key types the old plaintext storage could contain
+        this.LEGACY_KEY_TYPES = ['posting', 'active', 'memo'];
+        // Account-less keys written by early versions, they belong to the current user
+        this.LEGACY_GENERIC_KEYS = { postingKey: 'posting', activeKey: 'active' };
+
+        this.cryptoKey = null;
+        this.unlockedKeys = new Map();
+        this.unlockPromise = null;
+        this.autoLockTimer = null;
+
+        this.setupActivityTracking();
+    }
+
+    loadVault() {
+        try {
+            const vault = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return vault && vault.version === this.VAULT_VERSION ? vault : null;
+        } catch (error) {
+            console.error('Failed to read key vault:', error);
+            return null;
+        }
+    }
+
+    saveVault(vault) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(vault));
+    }
+
+    isInitialized() {
+        return this.loadVault() !== null;
+    }
+
+    isUnlocked() {
+        return this.cryptoKey !== null;
+    }
+
+    entryId(username, keyType) {
+        return `${username.toLowerCase()}:${keyType}`;
+    }
+
+    /**
+     * Whether a key is stored, without unlocking the vault
+     */
+    hasKey(username, keyType) {
+        if (!username) return false;
+        const vault = this.loadVault();
+        return !!vault?.entries[this.entryId(username, keyType)];
+    }
+
+    /**
+     * Accounts with at least one key in the vault
+     * @returns {Array<string>} Usernames
+     */
+    getStoredUsernames() {
+        const vault = this.loadVault();
+        if (!vault) return [];
+        return [...new Set(Object.keys(vault.entries).map(id => id.split(':')[0]))];
+    }
+
+    // ----- Crypto helpers -----
+
+    toBase64(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encrypt(text, cryptoKey = this.cryptoKey) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            cryptoKey,
+            new TextEncoder().encode(text)
+        );
+        return { iv: this.toBase64(iv), data: this.toBase64(data) };
+    }
+
+    async decrypt(entry, cryptoKey = this.cryptoKey) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(entry.iv) },
+            cryptoKey,
+            this.fromBase64(entry.data)
+        );
+        return new TextDecoder().decode(data);
+    }
+
+    // ----- Lock state -----
+
+    /**
+     * Creates an empty vault protected by a new passphrase and unlocks it
+     * @param {string} passphrase - New passphrase
+     */
+    async create(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const cryptoKey = await this.deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+
+        this.saveVault({
+            version: this.VAULT_VERSION,
+            salt: this.toBase64(salt),
+            iterations: this.PBKDF2_ITERATIONS,
+            verifier: await this.encrypt(this.VERIFIER_TEXT, cryptoKey),
+            entries: {}
+        });
+
+        this.setUnlocked(cryptoKey);
+    }
+
+    /**
+     * Unlocks the vault for this session
+     * @param {string} passphrase - Vault passphrase
+     * @throws {Error} When the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        const vault = this.loadVault();
+        if (!vault) {
+            throw new Error('No key vault on this device');
+        }
+
+        const cryptoKey = await this.deriveKey(passphrase, this.fromBase64(vault.salt), vault.iterations);
+
+        try {
+            await this.decrypt(vault.verifier, cryptoKey);
+        } catch (error) {
+            // AES-GCM authentication fails with the wrong key
+            throw new Error('Incorrect passphrase');
+        }
+
+        this.setUnlocked(cryptoKey);
+    }
+
+    setUnlocked(cryptoKey) {
+        this.cryptoKey = cryptoKey;
+        this.resetAutoLockTimer();
+        eventEmitter.emit('vault:unlocked');
+    }
+
+    lock() {
+        if (!this.cryptoKey) return;
+
+        this.cryptoKey = null;
+        this.unlockedKeys.clear();
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = null;
+        eventEmitter.emit('vault:locked');
+    }
+
+    setupActivityTracking() {
+        const onActivity = () => {
+            if (this.cryptoKey) {
+                this.resetAutoLockTimer();
+            }
+        };
+
+        ['click', 'keydown', 'touchstart', 'scroll'].forEach(eventName => {
+            document.addEventListener(eventName, onActivity, { passive: true, capture: true });
+        });
+    }
+
+    resetAutoLockTimer() {
+        clearTimeout(this.autoLockTimer);
+        this.autoLockTimer = setTimeout(() => this.lock(), this.AUTO_LOCK_MS);
+    }
+
+    /**
+     * Makes sure the vault is unlocked, asking for the passphrase (or a new one) if needed
+     * @param {string} message - Why the passphrase is needed
+     * @returns {Promise<boolean>} False if the user cancelled
+     */
+    async ensureUnlocked(message = '') {
+        if (this.isUnlocked()) {
+            return true;
+        }
+
+        // A single prompt serves every operation waiting for the vault
+        if (!this.unlockPromise) {
+            const isCreate = !this.isInitialized();
+
+            this.unlockPromise = vaultPassphrase.promptForPassphrase({
+                mode: isCreate ? 'create' : 'unlock',
+                message,
+                submit: async (passphrase) => {
+                    try {
+                        if (isCreate) {
+                            await this.create(passphrase);
+                        } else {
+                            await this.unlock(passphrase);
+                        }
+                        return null;
+                    } catch (error) {
+                        return error.message;
+                    }
+                }
+            }).then(passphrase => passphrase !== null)
+              .finally(() => {
+                  this.unlockPromise = null;
+              });
+        }
+
+        return this.unlockPromise;
+    }
+
+    // ----- Keys -----
+
+    /**
+     * Encrypts and stores a private key
+     * @param {string} username - Account name
+     * @param {string} keyType - 'posting', 'active', 'memo'...
+     * @param {string} wif - Private key
+     */
+    async storeKey(username, keyType, wif) {
+        const unlocked = await this.ensureUnlocked(`Choose how to protect the ${keyType} key of @${username} on this device.`);
+        if (!unlocked) {
+            throw new Error('Key vault is locked');
+        }
+
+        const vault = this.loadVault();
+        const id = this.entryId(username, keyType);
+        vault.entries[id] = await this.encrypt(wif);
+        this.saveVault(vault);
+        this.unlockedKeys.set(id, wif);
+    }
+
+    /**
+     * Returns a stored private key, asking to unlock the vault if needed
+     * @param {string} username - Account name
+     * @param {string} keyType - Key type
+     * @returns {Promise<string|null>} The key, or null when none is stored
+     * @throws {Error} When the user cancels the unlock prompt
+     */
+    async getKey(username, keyType) {
+        if (!this.hasKey(username, keyType)) {
+            return null;
+        }
+
+        const id = this.entryId(username, keyType);
+        if (this.isUnlocked() && this.unlockedKeys.has(id)) {
+            return this.unlockedKeys.get(id);
+        }
+
+        const unlocked = await this.ensureUnlocked(`Enter your passphrase to use the ${keyType} key of @${username}.`);
+        if (!unlocked) {
+            const error = new Error('Operation cancelled by user');
+            error.isCancelled = true;
+            throw error;
+        }
+
+        const wif = await this.decrypt(this.loadVault().entries[id]);
+        this.unlockedKeys.set(id, wif);
+        return wif;
+    }
+
+    /**
+     * Deletes the keys of an account, or only one type
+     * @param {string} username - Account name
+     * @param {string|null} keyType - Key type, null for all
+     */
+    removeKeys(username, keyType = null) {
+        const vault = this.loadVault();
+        if (!vault) return;
+
+        const prefix = `${username.toLowerCase()}:`;
+        Object.keys(vault.entries)
+            .filter(id => id.startsWith(prefix) && (!keyType || id === prefix + keyType))
+            .forEach(id => {
+                delete vault.entries[id];
+                this.unlockedKeys.delete(id);
+            });
+
+        this.saveVault(vault);
+    }
+
+    // ----- Migration from plaintext storage -----
+
+    /**
+     * Plaintext keys left by older versions, as `${username}_${keyType}_key`
+     * or as the generic `postingKey`/`activeKey` items
+     * @param {string|null} currentUsername - Owner of the generic items, skipped when null
+     * @returns {Array<Object>} { username, keyType, storageKey }
+     */
+    findPlaintextKeys(currentUsername = null) {
+        const pattern = new RegExp(`^(.+)_(${this.LEGACY_KEY_TYPES.join('|')})_key$`);
+        const found = [];
+        const generic = [];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const storageKey = localStorage.key(i);
+            const match = storageKey.match(pattern);
+            if (match) {
+                found.push({ username: match[1], keyType: match[2], storageKey });
+            } else if (currentUsername && this.LEGACY_GENERIC_KEYS[storageKey]) {
+                generic.push({ username: currentUsername, keyType: this.LEGACY_GENERIC_KEYS[storageKey], storageKey });
+            }
+        }
+
+        // Generic items come last so per-account keys win when both exist
+        return found.concat(generic);
+    }
+
+    hasPlaintextKeys(currentUsername = null) {
+        return this.findPlaintextKeys(currentUsername).length > 0;
+    }
+
+    /**
+     * Encrypts plaintext keys into the vault and deletes the originals.
+     * Keys stay in plaintext if the user dismisses the passphrase prompt.
+     * @param {string|null} currentUsername - Logged in user, owner of the generic items
+     * @returns {Promise<number>} Number of migrated keys
+     */
+    async migratePlaintextKeys(currentUsername = null) {
+        const plaintextKeys = this.findPlaintextKeys(currentUsername);
+        if (plaintextKeys.length === 0) {
+            return 0;
+        }
+
+        const unlocked = await this.ensureUnlocked(
+            'Your saved private keys are stored unencrypted. Choose a passphrase to encrypt them on this device.'
+        );
+        if (!unlocked) {
+            return 0;
+        }
+
+        const vault = this.loadVault();
+        for (const { username, keyType, storageKey } of plaintextKeys) {
+            const wif = localStorage.getItem(storageKey);
+            const id = this.entryId(username, keyType);
+
+            if (wif && !vault.entries[id]) {
+                vault.entries[id] = await this.encrypt(wif);
+                this.unlockedKeys.set(id, wif);
+            }
+        }
+        this.saveVault(vault);
+
+        plaintextKeys.forEach(({ storageKey }) => {
+            localStorage.removeItem(storageKey);
+            localStorage.removeItem(`${storageKey}_expiry`);
+        });
+
+        eventEmitter.emit('vault:migrated', { count: plaintextKeys.length });
+        return plaintextKeys.length;
+    }
+}
+
+// Create and export a singleton instance
+const keyVault = new KeyVaultService();
+export default keyVault;
@@ -0,0 +1,161 @@
+import eventEmitter from '../utils/EventEmitter.js';
+import steemService from './SteemService.js';
+import steemReadService from './SteemReadService.js';
+import authService from './AuthService.js';
+import activeKeyInput from '../components/auth/ActiveKeyInputComponent.js';
+
+/**
+ * Service for encrypted transfer memos.
+ * A memo typed with a leading '#' is encrypted for the recipient's memo key; on chain
+ * it is stored as '#' followed by base58 ciphertext that only sender and recipient can read.
+ */
+class MemoService {
+  constructor() {
+    // Accounts without a memo key have this placeholder, nothing can be encrypted for it
+    this.NULL_MEMO_KEY = 'STM1111111111111111111111111111111114T1Anm';
+    this.ENCRYPTED_MEMO_PATTERN = /^#[1-9A-HJ-NP-Za-km-z]{50,}$/;
+
+    this.decodedMemos = new Map();
+    // Memo key typed by a user who has none stored, kept like the vault keeps its keys
+    this.promptedMemoKey = null;
+
+    eventEmitter.on('auth:changed', () => this.clear());
+    eventEmitter.on('vault:locked', () => this.clear());
+  }
+
+  clear() {
+    this.decodedMemos.clear();
+    this.promptedMemoKey = null;
+  }
+
+  /**
+   * Whether the user asked for the memo to be encrypted
+   * @param {string} memo - Memo as typed
+   */
+  shouldEncrypt(memo) {
+    return typeof memo === 'string' && memo.startsWith('#') && memo.slice(1).trim().length > 0;
+  }
+
+  /**
+   * Whether a memo read from the chain is encrypted
+   * @param {string} memo - Memo of a transfer operation
+   */
+  isEncrypted(memo) {
+    return typeof memo === 'string' && this.ENCRYPTED_MEMO_PATTERN.test(memo);
+  }
+
+  async getRecipientMemoKey(recipient) {
+    const account = await steemReadService.getAccount(recipient);
+    if (!account) {
+      throw new Error(`Account @${recipient} not found`);
+    }
+    if (!account.memo_key || account.memo_key === this.NULL_MEMO_KEY) {
+      throw new Error(`@${recipient} has no memo key, the memo cannot be encrypted`);
+    }
+    return account.memo_key;
+  }
+
+  /**
+   * Private memo key of the logged in user, from the key vault or asked once per session
+   * @returns {Promise<string>} Memo private key
+   * @throws {Error} When the user cancels or the key does not belong to the account
+   */
+  async getOwnMemoKey() {
+    const storedKey = await authService.getMemoKey();
+    if (storedKey) {
+      return storedKey;
+    }
+    if (this.promptedMemoKey) {
+      return this.promptedMemoKey;
+    }
+
+    const user = authService.getCurrentUser();
+    const steem = await steemService.ensureLibraryLoaded();
+
+    const memoKey = await activeKeyInput.promptForKey('Enter your Memo Key', {
+      placeholder: 'Your Memo Key',
+      note: 'Your memo key can only read and write private memos. It is kept until you log out or the vault locks.',
+      validate: (key) => {
+        const cleanedKey = key.trim();
+        return steem.auth.isWif(cleanedKey)
+          ? { valid: true, key: cleanedKey, error: null }
+          : { valid: false, key: cleanedKey, error: 'This is not a valid private key.' };
+      }
+    });
+    if (!memoKey) {
+      throw new Error('Operation cancelled by user');
+    }
+
+    const account = await steemReadService.getAccount(user.username);
+    if (!account || steem.auth.wifToPublic(memoKey) !== account.memo_key) {
+      throw new Error('This is not the memo key of your account');
+    }
+
+    this.promptedMemoKey = memoKey;
+    return memoKey;
+  }
+
+  /**
+   * Encrypt a '#' memo for the recipient
+   * @param {string} recipient - Account receiving the transfer
+   * @param {string} memo - Memo starting with '#'
+   * @returns {Promise<string>} Encrypted memo, ready for the transfer operation
+   */
+  async encode(recipient, memo) {
+    const steem = await steemService.ensureLibraryLoaded();
+    const recipientKey = await this.getRecipientMemoKey(recipient);
+    const memoKey = await this.getOwnMemoKey();
+
+    return steem.memo.encode(memoKey, recipientKey, memo);
+  }
+
+  /**
+   * Decrypt a memo sent or received by the logged in user
+   * @param {string} memo - Encrypted memo from the chain
+   * @returns {Promise<string>} Memo text, without the leading '#'
+   */
+  async decode(memo) {
+    if (this.decodedMemos.has(memo)) {
+      return this.decodedMemos.get(memo);
+    }
+
+    const user = authService.getCurrentUser();
+    if (!user) {
+      throw new Error('Log in to read encrypted memos');
+    }
+
+    let decoded;
+    if (user.loginMethod === 'keychain' && window.steem_keychain) {
+      decoded = await this.decodeWithKeychain(user.username, memo);
+    } else {
+      const steem = await steemService.ensureLibraryLoaded();
+      const memoKey = await this.getOwnMemoKey();
+      try {
+        decoded = steem.memo.decode(memoKey, memo);
+      } catch (error) {
+        console.error('Memo decryption failed:', error);
+        throw new Error('This memo was not encrypted for your memo key');
+      }
+    }
+
+    const text = decoded.startsWith('#') ? decoded.slice(1) : decoded;
+    this.decodedMemos.set(memo, text);
+    return text;
+  }
+
+  decodeWithKeychain(username, memo) {
+    return new Promise((resolve, reject) => {
+      window.steem_keychain.requestVerifyKey(username, memo, 'Memo', (response) => {
+        if (response.success) {
+          resolve(response.result);
+        } else {
+          reject(new Error(response.message || 'Keychain could not decrypt the memo'));
+        }
+      });
+    });
+  }
+}
+
+// Create and export a singleton instance
+const memoService = new MemoService();
+export default memoService;
@@ -0,0 +1,301 @@
+import eventEmitter from '../utils/EventEmitter.js';
+import { getSteemLoginConfig } from '../config/steemlogin.js';
+import mobileSigningPrompt from '../components/auth/MobileSigningComponent.js';
+import keyVault from './KeyVaultService.js';
+
+// Query parameter of the callback URLs: the id of the pending action
+export const RETURN_PARAM = 'mobile_signing';
+// Login method of users who log in with their username only and sign everything in another app
+export const MOBILE_LOGIN_METHOD = 'mobile';
+
+const PENDING_KEY = 'steemee_mobile_signing_pending';
+const PENDING_TTL = 15 * 60 * 1000;
+// Time Keychain Mobile gets to take over the screen before we assume it is not installed
+const APP_SWITCH_TIMEOUT = 2500;
+
+/**
+ * Signing for mobile browsers without the Keychain extension.
+ * Operations are handed off to the Keychain Mobile app (steem:// sign URIs) or to the
+ * SteemLogin sign pages; the pending action is kept in localStorage and completed
+ * by resumePending() when the app or SteemLogin sends the user back.
+ * SteemLogin sign pages take a single operation, so it is only offered for single-operation
+ * hand-offs: a post and its comment_options must go out in the same transaction.
+ */
+class MobileSigningService {
+    constructor() {
+        this.resumeHandlers = new Map();
+    }
+
+    isMobileDevice() {
+        return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    }
+
+    /**
+     * Whether the user has to sign outside the browser: on a mobile browser without the
+     * Keychain extension, when logged in with Keychain or with the username only, or when
+     * no key for the required role is stored on this device
+     * @param {Object|null} user - Current user
+     * @param {string} keyType - Role the operations need ('posting' or 'active')
+     * @returns {boolean}
+     */
+    shouldHandOff(user, keyType = 'posting') {
+        if (!user || !this.isMobileDevice() || window.steem_keychain) {
+            return false;
+        }
+
+        const loginMethod = user.loginMethod || 'privateKey';
+        if (loginMethod === 'keychain' || loginMethod === MOBILE_LOGIN_METHOD) {
+            return true;
+        }
+
+        return loginMethod === 'privateKey' && !keyVault.hasKey(user.username, keyType);
+    }
+
+    /**
+     * Registers what to do when a handed off action comes back signed
+     * @param {string} action - Action name passed to broadcast()
+     * @param {Function} handler - Called with (data, { transactionId })
+     */
+    registerResumeHandler(action, handler) {
+        this.resumeHandlers.set(action, handler);
+    }
+
+    /**
+     * Hands operations off to Keychain Mobile or SteemLogin.
+     * The page is normally left, so the returned promise only settles when the hand-off fails
+     * or the user comes back from the app without signing.
+     * @param {Array} operations - Operations to sign
+     * @param {Object} options - { action, data, keyType, returnRoute }
+     *   `data` is passed to the resume handler of `action`; `returnRoute` is the route shown
+     *   afterwards, the current one by default
+     * @returns {Promise<never>}
+     * @throws {Error} With isCancelled when the user cancels
+     */
+    async broadcast(operations, { action, data = {}, keyType = 'posting', returnRoute = null }) {
+        const app = await mobileSigningPrompt.promptForApp({
+            operations,
+            keyType,
+            allowSteemLogin: this.canUseSteemLogin(operations)
+        });
+        if (!app) {
+            throw this.cancelledError();
+        }
+
+        const pending = {
+            id: Math.random().toString(36).substring(2, 10),
+            app,
+            action,
+            data,
+            operations,
+            returnRoute: returnRoute || window.location.hash.substring(1) || '/',
+            createdAt: Date.now()
+        };
+        this.savePending(pending);
+
+        return this.openSigner(pending);
+    }
+
+    /**
+     * @param {Array} operations - Operations to sign
+     * @returns {boolean} Whether SteemLogin can sign them in one transaction
+     */
+    canUseSteemLogin(operations) {
+        return operations.length === 1;
+    }
+
+    openSigner(pending) {
+        if (pending.app === 'keychain') {
+            window.location.href = this.keychainURL(pending);
+            return this.watchAppSwitch(pending);
+        }
+
+        if (!this.canUseSteemLogin(pending.operations)) {
+            this.clearPending();
+            return Promise.reject(new Error('SteemLogin cannot sign several operations in one transaction. Use Keychain Mobile.'));
+        }
+
+        window.location.href = this.steemLoginURL(pending.operations[0], this.callbackURL(pending));
+        return new Promise(() => {});
+    }
+
+    /**
+     * steem:// URI understood by Keychain Mobile (https://github.com/steemit/steem-uri)
+     */
+    keychainURL(pending) {
+        const { operations } = pending;
+        const payload = operations.length === 1
+            ? `op/${this.base64Url(JSON.stringify(operations[0]))}`
+            : `ops/${this.base64Url(JSON.stringify(operations))}`;
+        // The app fills in {{id}} with the transaction id
+        const callback = `${this.callbackURL(pending)}&tx={{id}}`;
+
+        return `steem://sign/${payload}?cb=${this.base64Url(callback)}`;
+    }
+
+    /**
+     * SteemLogin sign page of a single operation, e.g. /sign/vote?voter=...&redirect_uri=...
+     */
+    steemLoginURL([name, params], callback) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            query.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+        query.set('redirect_uri', callback);
+
+        return `${getSteemLoginConfig().signURL}/${name}?${query}`;
+    }
+
+    callbackURL(pending) {
+        return `${getSteemLoginConfig().callbackURL}?${RETURN_PARAM}=${pending.id}`;
+    }
+
+    /**
+     * Keychain Mobile takes over the screen; when it never does the app is missing,
+     * and coming back to this page means the callback was not followed
+     */
+    watchAppSwitch(pending) {
+        return new Promise((resolve, reject) => {
+            let left = false;
+
+            const cleanup = () => {
+                document.removeEventListener('visibilitychange', handleVisibility);
+                clearTimeout(timer);
+            };
+
+            const handleVisibility = () => {
+                if (document.hidden) {
+                    left = true;
+                    return;
+                }
+                if (left) {
+                    cleanup();
+                    // The callback may have opened in another tab, which already completed the action
+                    if (this.readPending()?.id === pending.id) {
+                        this.clearPending();
+                    }
+                    reject(this.cancelledError());
+                }
+            };
+
+            const timer = setTimeout(() => {
+                if (left) return;
+                cleanup();
+                this.clearPending();
+                reject(new Error('Keychain Mobile did not open. Install it or choose SteemLogin.'));
+            }, APP_SWITCH_TIMEOUT);
+
+            document.addEventListener('visibilitychange', handleVisibility);
+        });
+    }
+
+    /**
+     * Completes an action handed off before the page was left.
+     * Call before the router starts: the URL is cleaned and the route of the action restored
+     * synchronously, the rest runs in the returned promise.
+     * @returns {Promise<boolean>} Whether the page was opened by a signing callback
+     */
+    resumePending() {
+        const url = new URL(window.location.href);
+        const id = url.searchParams.get(RETURN_PARAM);
+        if (!id) {
+            return Promise.resolve(false);
+        }
+
+        const error = url.searchParams.get('error_description') || url.searchParams.get('error');
+        const tx = url.searchParams.get('tx');
+        const transactionId = tx && tx !== '{{id}}' ? tx : null;
+        [RETURN_PARAM, 'tx', 'error', 'error_description'].forEach(param => url.searchParams.delete(param));
+
+        const pending = this.readPending();
+        const valid = pending && pending.id === id;
+        const route = valid ? pending.returnRoute : url.hash.substring(1);
+        window.history.replaceState({}, document.title, `${url.pathname}${url.search}${route ? '#' + route : ''}`);
+
+        if (!valid) {
+            return Promise.resolve(true);
+        }
+
+        if (error) {
+            this.clearPending();
+            this.notifyFailure(pending, new Error(error));
+            return Promise.resolve(true);
+        }
+
+        this.clearPending();
+        return this.complete(pending, transactionId).then(() => true);
+    }
+
+    async complete(pending, transactionId) {
+        try {
+            const handler = this.resumeHandlers.get(pending.action);
+            if (handler) {
+                await handler(pending.data, { transactionId });
+            }
+
+            eventEmitter.emit('mobile-signing:completed', {
+                action: pending.action,
+                data: pending.data,
+                transactionId
+            });
+            eventEmitter.emit('notification', {
+                type: 'success',
+                message: `Signed with ${pending.app === 'keychain' ? 'Keychain Mobile' : 'SteemLogin'}`
+            });
+        } catch (error) {
+            console.error('Error resuming signed action:', error);
+            this.notifyFailure(pending, error);
+        }
+    }
+
+    notifyFailure(pending, error) {
+        eventEmitter.emit('mobile-signing:failed', { action: pending.action, error: error.message });
+        eventEmitter.emit('notification', {
+            type: 'error',
+            message: `Signing failed: ${error.message}`,
+            duration: 6000
+        });
+    }
+
+    savePending(pending) {
+        localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+    }
+
+    readPending() {
+        try {
+            const pending = JSON.parse(localStorage.getItem(PENDING_KEY));
+            if (pending && Date.now() - pending.createdAt < PENDING_TTL) {
+                return pending;
+            }
+        } catch (error) {
+            console.error('Error reading pending signing request:', error);
+        }
+        this.clearPending();
+        return null;
+    }
+
+    clearPending() {
+        localStorage.removeItem(PENDING_KEY);
+    }
+
+    cancelledError() {
+        const error = new Error('Operation cancelled by user');
+        error.isCancelled = true;
+        return error;
+    }
+
+    base64Url(text) {
+        const bytes = new TextEncoder().encode(text);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary)
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+}
+
+// Create and export a singleton instance
+const mobileSigningService = new MobileSigningService();
+export default mobileSigningService;
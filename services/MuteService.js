@@ -0,0 +1,214 @@
+import steemService from './SteemService.js';
+import authService from './AuthService.js';
+import userPreferencesService from './UserPreferencesService.js';
+import eventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Service keeping the current user's mute list and deciding how muted content is shown
+ */
+class MuteService {
+  constructor() {
+    this.STORAGE_PREFIX = 'steemee_muted_';
+    this.username = null;
+    this.mutedUsers = new Set();
+    this.refreshPromise = null;
+
+    eventEmitter.on('auth:changed', ({ user }) => this.loadForUser(user?.username));
+    this.loadForUser(authService.getCurrentUser()?.username);
+  }
+
+  /**
+   * Loads the mute list of a user: the stored copy first, then a fresh one from the chain
+   * @param {string|null} username - Logged in username, null on logout
+   */
+  loadForUser(username) {
+    if (username === this.username) return;
+
+    this.username = username || null;
+    this.mutedUsers = new Set(this.loadFromStorage());
+    this.emitChange();
+
+    if (this.username) {
+      this.refresh().catch(error => console.error('Failed to refresh mute list:', error));
+    }
+  }
+
+  loadFromStorage() {
+    if (!this.username) return [];
+    try {
+      const stored = localStorage.getItem(this.STORAGE_PREFIX + this.username);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading mute list from storage:', error);
+      return [];
+    }
+  }
+
+  saveToStorage() {
+    if (!this.username) return;
+    try {
+      localStorage.setItem(this.STORAGE_PREFIX + this.username, JSON.stringify([...this.mutedUsers]));
+    } catch (error) {
+      console.error('Error saving mute list to storage:', error);
+    }
+  }
+
+  /**
+   * Fetches the mute list from the chain
+   * @returns {Promise<Array<string>>} - Muted account names
+   */
+  refresh() {
+    if (!this.username) return Promise.resolve([]);
+    if (this.refreshPromise) return this.refreshPromise;
+
+    const username = this.username;
+    this.refreshPromise = steemService.getMutedUsers(username)
+      .then(muted => {
+        // Ignore the result if the user switched account in the meantime
+        if (username === this.username) {
+          this.mutedUsers = new Set(muted);
+          this.saveToStorage();
+          this.emitChange();
+        }
+        return muted;
+      })
+      .finally(() => {
+        this.refreshPromise = null;
+      });
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Check if an account is muted by the current user
+   * @param {string} account - Account name
+   * @returns {boolean}
+   */
+  isMuted(account) {
+    return !!account && this.mutedUsers.has(account);
+  }
+
+  /**
+   * @returns {Array<string>} - Muted account names, sorted
+   */
+  getMutedUsers() {
+    return [...this.mutedUsers].sort();
+  }
+
+  /**
+   * @returns {string} - 'hide' or 'collapse'
+   */
+  getMode() {
+    return userPreferencesService.getMutedContentMode();
+  }
+
+  /**
+   * True when content by this account should be left out entirely
+   * @param {string} account - Account name
+   * @returns {boolean}
+   */
+  shouldHide(account) {
+    return this.isMuted(account) && this.getMode() === 'hide';
+  }
+
+  /**
+   * True when content by this account should be shown behind a placeholder
+   * @param {string} account - Account name
+   * @returns {boolean}
+   */
+  shouldCollapse(account) {
+    return this.isMuted(account) && this.getMode() === 'collapse';
+  }
+
+  /**
+   * Mute an account for the current user
+   * @param {string} account - Account to mute
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async mute(account) {
+    const username = this.requireUser();
+    account = this.normalizeAccount(account);
+
+    if (account === username) {
+      throw new Error('You cannot mute yourself');
+    }
+
+    try {
+      const result = await steemService.muteUser(username, account);
+      this.mutedUsers.add(account);
+      this.saveToStorage();
+      this.emitChange();
+
+      eventEmitter.emit('notification', {
+        type: 'success',
+        message: `@${account} muted`,
+        duration: 3000
+      });
+
+      return result;
+    } catch (error) {
+      eventEmitter.emit('notification', {
+        type: 'error',
+        message: error.message || 'Failed to mute user',
+        duration: 3000
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Unmute an account for the current user
+   * @param {string} account - Account to unmute
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async unmute(account) {
+    const username = this.requireUser();
+    account = this.normalizeAccount(account);
+
+    try {
+      const result = await steemService.unmuteUser(username, account);
+      this.mutedUsers.delete(account);
+      this.saveToStorage();
+      this.emitChange();
+
+      eventEmitter.emit('notification', {
+        type: 'success',
+        message: `@${account} unmuted`,
+        duration: 3000
+      });
+
+      return result;
+    } catch (error) {
+      eventEmitter.emit('notification', {
+        type: 'error',
+        message: error.message || 'Failed to unmute user',
+        duration: 3000
+      });
+      throw error;
+    }
+  }
+
+  requireUser() {
+    const currentUser = authService.getCurrentUser();
+    if (!currentUser) {
+      throw new Error('You must be logged in to manage muted users');
+    }
+    return currentUser.username;
+  }
+
+  normalizeAccount(account) {
+    const name = (account || '').trim().replace(/^@/, '').toLowerCase();
+    if (!name) {
+      throw new Error('Please enter a username');
+    }
+    return name;
+  }
+
+  emitChange() {
+    eventEmitter.emit('mute:changed', { mutedUsers: this.getMutedUsers() });
+  }
+}
+
+// Create and export a singleton instance
+const muteService = new MuteService();
+export default muteService;
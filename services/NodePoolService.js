@@ -0,0 +1,465 @@
+import eventEmitter from '../utils/EventEmitter.js';
+
+/**
+ * Public RPC nodes shipped with the app. Users can add their own from Settings.
+ */
+const DEFAULT_NODES = [
+    'https://api.moecki.online',
+    'https://api.steemit.com',
+    'https://api.steemitdev.com',
+    'https://api.steemzzang.com',
+    'https://api.steemitstage.com',
+    'https://api.steem.house',
+    'https://api.steem.place',
+    'https://api.steem.press',
+    'https://api.steemstack.io',
+    'https://api.steemtools.com',
+    'https://api.steemul.com',
+    'https://api.steemworld.org',
+    'https://api.steemyy.com',
+];
+
+/**
+ * Health-scored pool of Steem RPC nodes.
+ *
+ * Every node is scored on measured latency, head-block lag against the rest of
+ * the pool and recent error rate. Failing or stale nodes are quarantined with
+ * exponential backoff, and the user can pin a node or add custom ones.
+ */
+class NodePoolService {
+    constructor() {
+        this.STORAGE_KEY = 'steemee_rpc_nodes';
+        this.HEALTH_CHECK_INTERVAL = 60 * 1000;
+        this.PROBE_TIMEOUT = 5000;
+        this.MAX_BLOCK_LAG = 20; // ~1 minute of blocks
+        this.FAILURES_BEFORE_QUARANTINE = 2;
+        this.BASE_QUARANTINE_MS = 30 * 1000;
+        this.MAX_QUARANTINE_MS = 15 * 60 * 1000;
+        this.RESULT_WINDOW = 20;
+
+        this.settings = this.loadSettings();
+        this.stats = new Map();
+        this.getNodes().forEach(url => this.ensureStats(url));
+
+        this.currentNode = this.selectBestNode();
+        this.lastHealthCheck = 0;
+        this.healthCheckPromise = null;
+    }
+
+    /**
+     * Loads pinned and custom nodes from localStorage
+     * @returns {Object} Node settings
+     */
+    loadSettings() {
+        const defaults = { customNodes: [], pinnedNode: null };
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            if (!stored || typeof stored !== 'object') {
+                return defaults;
+            }
+            return {
+                customNodes: Array.isArray(stored.customNodes) ? stored.customNodes : [],
+                pinnedNode: typeof stored.pinnedNode === 'string' ? stored.pinnedNode : null
+            };
+        } catch (error) {
+            console.error('Failed to load RPC node settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Failed to save RPC node settings:', error);
+        }
+    }
+
+    /**
+     * All nodes in the pool, default ones first
+     * @returns {Array<string>} Node URLs
+     */
+    getNodes() {
+        return [...new Set([...DEFAULT_NODES, ...this.settings.customNodes])];
+    }
+
+    ensureStats(url) {
+        if (!this.stats.has(url)) {
+            this.stats.set(url, {
+                url,
+                latency: null,
+                headBlock: null,
+                blockLag: 0,
+                recentResults: [],
+                consecutiveFailures: 0,
+                quarantineCount: 0,
+                quarantinedUntil: 0,
+                lastError: null,
+                lastChecked: null
+            });
+        }
+        return this.stats.get(url);
+    }
+
+    /**
+     * Normalizes a node URL and checks it is usable from the browser
+     * @param {string} url - Node URL entered by the user
+     * @returns {string|null} Normalized URL or null if invalid
+     */
+    normalizeUrl(url) {
+        try {
+            const parsed = new URL(String(url).trim());
+            const isLocal = ['localhost', '127.0.0.1'].includes(parsed.hostname);
+            if (parsed.protocol !== 'https:' && !(isLocal && parsed.protocol === 'http:')) {
+                return null;
+            }
+            return parsed.href.replace(/\/$/, '');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isQuarantined(url) {
+        const stats = this.stats.get(url);
+        return Boolean(stats && stats.quarantinedUntil > Date.now());
+    }
+
+    getErrorRate(stats) {
+        if (stats.recentResults.length === 0) return 0;
+        const failures = stats.recentResults.filter(ok => !ok).length;
+        return failures / stats.recentResults.length;
+    }
+
+    /**
+     * Lower is better. Unmeasured nodes get a neutral latency so they are still tried.
+     * @param {Object} stats - Node statistics
+     * @returns {number} Node score
+     */
+    scoreNode(stats) {
+        if (stats.quarantinedUntil > Date.now()) return Infinity;
+        const latency = stats.latency ?? 1500;
+        return latency + stats.blockLag * 250 + this.getErrorRate(stats) * 5000;
+    }
+
+    selectBestNode(excludeUrl = null) {
+        const pinned = this.settings.pinnedNode;
+        if (pinned && pinned !== excludeUrl && !this.isQuarantined(pinned)) {
+            return pinned;
+        }
+
+        const candidates = this.getNodes()
+            .filter(url => url !== excludeUrl)
+            .map(url => this.ensureStats(url))
+            .sort((a, b) => this.scoreNode(a) - this.scoreNode(b));
+
+        if (candidates.length === 0) {
+            return excludeUrl || DEFAULT_NODES[0];
+        }
+
+        // When every node is quarantined, fall back to the one released soonest
+        if (candidates[0].quarantinedUntil > Date.now()) {
+            candidates.sort((a, b) => a.quarantinedUntil - b.quarantinedUntil);
+        }
+
+        return candidates[0].url;
+    }
+
+    /**
+     * Node that should serve the next request
+     * @returns {string} Node URL
+     */
+    getBestNode() {
+        this.scheduleHealthCheck();
+        return this.currentNode;
+    }
+
+    /**
+     * Moves away from a node after a failed request
+     * @param {string} failedUrl - Node that just failed
+     * @returns {string} Node URL to use next
+     */
+    getNextNode(failedUrl) {
+        this.setCurrentNode(this.selectBestNode(failedUrl));
+        return this.currentNode;
+    }
+
+    setCurrentNode(url) {
+        if (url === this.currentNode) return;
+        const previous = this.currentNode;
+        this.currentNode = url;
+        console.log(`RPC node switched: ${previous} -> ${url}`);
+        eventEmitter.emit('nodes:current-changed', { url, previous });
+    }
+
+    recordResult(stats, ok) {
+        stats.recentResults.push(ok);
+        if (stats.recentResults.length > this.RESULT_WINDOW) {
+            stats.recentResults.shift();
+        }
+    }
+
+    /**
+     * Records a successful request against a node
+     * @param {string} url - Node URL
+     * @param {number} latency - Round trip in milliseconds
+     */
+    reportSuccess(url, latency) {
+        const stats = this.ensureStats(url);
+        this.recordResult(stats, true);
+        stats.consecutiveFailures = 0;
+        if (typeof latency === 'number') {
+            // Exponential moving average smooths out single slow responses
+            stats.latency = stats.latency === null ? latency : Math.round(stats.latency * 0.7 + latency * 0.3);
+        }
+    }
+
+    /**
+     * Records a failed request and quarantines the node if it keeps failing
+     * @param {string} url - Node URL
+     * @param {Error} error - Failure reason
+     */
+    reportFailure(url, error) {
+        const stats = this.ensureStats(url);
+        this.recordResult(stats, false);
+        stats.consecutiveFailures++;
+        stats.lastError = error?.message || String(error || 'Unknown error');
+
+        if (stats.consecutiveFailures >= this.FAILURES_BEFORE_QUARANTINE) {
+            this.quarantine(url, stats.lastError);
+        }
+        this.emitStatus();
+    }
+
+    quarantine(url, reason) {
+        const stats = this.ensureStats(url);
+        const duration = Math.min(
+            this.BASE_QUARANTINE_MS * Math.pow(2, stats.quarantineCount),
+            this.MAX_QUARANTINE_MS
+        );
+        stats.quarantineCount++;
+        stats.quarantinedUntil = Date.now() + duration;
+        stats.lastError = reason;
+        console.warn(`RPC node ${url} quarantined for ${Math.round(duration / 1000)}s: ${reason}`);
+
+        if (url === this.currentNode) {
+            this.setCurrentNode(this.selectBestNode(url));
+        }
+    }
+
+    /**
+     * Starts a background health check if the last one is older than the interval
+     */
+    scheduleHealthCheck() {
+        if (this.healthCheckPromise || Date.now() - this.lastHealthCheck < this.HEALTH_CHECK_INTERVAL) {
+            return;
+        }
+        if (typeof document !== 'undefined' && document.hidden && this.lastHealthCheck > 0) {
+            return;
+        }
+        this.checkHealth().catch(error => console.error('RPC node health check failed:', error));
+    }
+
+    /**
+     * Probes every node, computes head-block lag and picks the healthiest node
+     * @returns {Promise<Array>} Updated node status list
+     */
+    async checkHealth() {
+        if (this.healthCheckPromise) {
+            return this.healthCheckPromise;
+        }
+
+        this.healthCheckPromise = (async () => {
+            const nodes = this.getNodes().filter(url =>
+                !this.isQuarantined(url) || url === this.settings.pinnedNode
+            );
+            const probes = await Promise.all(nodes.map(url => this.probeNode(url)));
+
+            const headBlocks = probes.filter(p => p.ok).map(p => p.headBlock);
+            const highestBlock = headBlocks.length > 0 ? Math.max(...headBlocks) : null;
+
+            const staleNodes = [];
+            probes.forEach(probe => {
+                const stats = this.ensureStats(probe.url);
+                stats.lastChecked = Date.now();
+
+                if (!probe.ok) {
+                    this.reportFailure(probe.url, probe.error);
+                    return;
+                }
+
+                stats.headBlock = probe.headBlock;
+                stats.blockLag = highestBlock !== null ? highestBlock - probe.headBlock : 0;
+                this.reportSuccess(probe.url, probe.latency);
+
+                // Stale nodes answer without errors, so lag is the only signal
+                if (stats.blockLag > this.MAX_BLOCK_LAG) {
+                    staleNodes.push(stats);
+                } else {
+                    stats.quarantineCount = 0;
+                }
+            });
+            staleNodes.forEach(stats => this.quarantine(stats.url, `Stale: ${stats.blockLag} blocks behind`));
+
+            this.lastHealthCheck = Date.now();
+            this.setCurrentNode(this.selectBestNode());
+            this.emitStatus();
+            return this.getStatus();
+        })();
+
+        try {
+            return await this.healthCheckPromise;
+        } finally {
+            this.healthCheckPromise = null;
+        }
+    }
+
+    /**
+     * Requests dynamic global properties from a node and measures the round trip
+     * @param {string} url - Node URL
+     * @returns {Promise<Object>} Probe result
+     */
+    async probeNode(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = setTimeout(() => controller?.abort(), this.PROBE_TIMEOUT);
+        const start = performance.now();
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jsonrpc: '2.0',
+                    method: 'condenser_api.get_dynamic_global_properties',
+                    params: [],
+                    id: 1
+                }),
+                signal: controller?.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP error! Status: ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (data.error || !data.result?.head_block_number) {
+                throw new Error(data.error?.message || 'Invalid response');
+            }
+
+            return {
+                url,
+                ok: true,
+                latency: Math.round(performance.now() - start),
+                headBlock: data.result.head_block_number
+            };
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? new Error('Timeout') : error;
+            return { url, ok: false, error: reason };
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /**
+     * Snapshot of every node for display in Settings
+     * @returns {Array<Object>} Node status list, best first
+     */
+    getStatus() {
+        const now = Date.now();
+        return this.getNodes()
+            .map(url => {
+                const stats = this.ensureStats(url);
+                const quarantined = stats.quarantinedUntil > now;
+                return {
+                    url,
+                    latency: stats.latency,
+                    headBlock: stats.headBlock,
+                    blockLag: stats.blockLag,
+                    errorRate: this.getErrorRate(stats),
+                    quarantined,
+                    quarantineRemaining: quarantined ? stats.quarantinedUntil - now : 0,
+                    lastError: stats.lastError,
+                    lastChecked: stats.lastChecked,
+                    isCurrent: url === this.currentNode,
+                    isPinned: url === this.settings.pinnedNode,
+                    isCustom: !DEFAULT_NODES.includes(url),
+                    score: this.scoreNode(stats)
+                };
+            })
+            .sort((a, b) => a.score - b.score);
+    }
+
+    emitStatus() {
+        eventEmitter.emit('nodes:status-updated', this.getStatus());
+    }
+
+    /**
+     * Pins a node so it is always preferred while it stays healthy
+     * @param {string|null} url - Node URL, or null to unpin
+     */
+    pinNode(url) {
+        if (url && !this.getNodes().includes(url)) {
+            throw new Error('Node is not part of the pool');
+        }
+        this.settings.pinnedNode = url || null;
+        this.saveSettings();
+
+        if (url) {
+            // A pinned node gets a fresh chance even if it was quarantined
+            this.ensureStats(url).quarantinedUntil = 0;
+        }
+        this.setCurrentNode(this.selectBestNode());
+        this.emitStatus();
+    }
+
+    /**
+     * Adds a user-supplied node after checking that it answers
+     * @param {string} url - Node URL
+     * @returns {Promise<string>} Normalized URL of the added node
+     */
+    async addCustomNode(url) {
+        const normalized = this.normalizeUrl(url);
+        if (!normalized) {
+            throw new Error('Please enter a valid https:// node URL');
+        }
+        if (this.getNodes().includes(normalized)) {
+            throw new Error('This node is already in the list');
+        }
+
+        const probe = await this.probeNode(normalized);
+        if (!probe.ok) {
+            throw new Error(`Node did not respond correctly: ${probe.error.message}`);
+        }
+
+        this.settings.customNodes.push(normalized);
+        this.saveSettings();
+
+        const stats = this.ensureStats(normalized);
+        stats.headBlock = probe.headBlock;
+        stats.lastChecked = Date.now();
+        this.reportSuccess(normalized, probe.latency);
+        this.emitStatus();
+        return normalized;
+    }
+
+    /**
+     * Removes a user-supplied node
+     * @param {string} url - Node URL
+     */
+    removeCustomNode(url) {
+        this.settings.customNodes = this.settings.customNodes.filter(node => node !== url);
+        if (this.settings.pinnedNode === url) {
+            this.settings.pinnedNode = null;
+        }
+        this.saveSettings();
+        this.stats.delete(url);
+
+        if (this.currentNode === url) {
+            this.setCurrentNode(this.selectBestNode());
+        }
+        this.emitStatus();
+    }
+}
+
+// Create and export a singleton instance
+const nodePoolService = new NodePoolService();
+export default nodePoolService;
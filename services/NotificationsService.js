@@ -1,57 +1,99 @@
 import steemService from './SteemService.js';
 import authService from './AuthService.js';
+import muteService from './MuteService.js';
 import eventEmitter from '../utils/EventEmitter.js';
 import { TYPES } from '../models/Notification.js';
 import transactionHistoryService from './TransactionHistoryService.js';
+import cacheService from './CacheService.js';
+import { readAccountItem, writeAccountItem, migrateLegacyItem } from '../utils/AccountStorage.js';
 
 /**
  * Service for managing user notifications in the Steem application
  */
 class NotificationsService {
     constructor() {
-        this.notificationsCache = new Map();
-        this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
         this.unreadCount = 0;
-        this.allNotificationsCache = null;
         this.debugMode = true; // Attiva debugging esteso
         
-        // Initialize read status tracking from localStorage
-        this.readNotificationsMap = this.loadReadStatusFromStorage();
+        // Initialize read status tracking from localStorage, scoped to the logged in account
+        this.username = authService.getCurrentUser()?.username || null;
+        this.readNotificationsMap = this.loadReadStatusFromStorage(this.username);
+        
+        // Read status and unread count belong to the account, not to the browser
+        eventEmitter.on('auth:account-switched', ({ username }) => {
+            this.loadForAccount(username);
+        });
+        
+        // Cached notifications may include users that have just been muted
+        eventEmitter.on('mute:changed', () => {
+            cacheService.removeEntity('notifications');
+        });
         
         // Preload notifications on application start
         this.preloadNotifications();
     }
     
     /**
-     * Loads the read status of notifications from localStorage
+     * Loads the read status of an account's notifications from localStorage
+     * @param {string|null} username - Account whose read status is loaded
      * @returns {Map} Map of notification IDs that have been read
      */
-    loadReadStatusFromStorage() {
+    loadReadStatusFromStorage(username) {
         const map = new Map();
-        try {
-            const savedData = localStorage.getItem('steemee_read_notifications');
-            if (savedData) {
-                const parsedData = JSON.parse(savedData);
-                if (Array.isArray(parsedData)) {
-                    parsedData.forEach(id => map.set(id, true));
-                }
-            }
-        } catch (error) {
-            console.error('Errore nel caricamento dello stato di lettura delle notifiche:', error);
+        if (!username) {
+            return map;
+        }
+        
+        // Read status used to be shared by every account of the browser
+        migrateLegacyItem('steemee_read_notifications', username, 'read_notifications');
+        
+        const parsedData = readAccountItem(username, 'read_notifications', []);
+        if (Array.isArray(parsedData)) {
+            parsedData.forEach(id => map.set(id, true));
         }
         return map;
     }
     
     /**
-     * Saves the read status of notifications to localStorage
+     * Saves the read status of the current account's notifications to localStorage
      */
     saveReadStatusToStorage() {
-        try {
-            const readIds = Array.from(this.readNotificationsMap.keys());
-            localStorage.setItem('steemee_read_notifications', JSON.stringify(readIds));
-        } catch (error) {
-            console.error('Errore nel salvataggio dello stato di lettura delle notifiche:', error);
+        writeAccountItem(this.username, 'read_notifications', Array.from(this.readNotificationsMap.keys()));
+    }
+    
+    /**
+     * Swaps the read status and unread count for those of another account
+     * @param {string|null} username - Account now logged in, null on logout
+     */
+    loadForAccount(username) {
+        this.username = username || null;
+        this.readNotificationsMap = this.loadReadStatusFromStorage(this.username);
+        this.unreadCount = 0;
+        eventEmitter.emit('notifications:unread_count_updated', this.unreadCount);
+        
+        this.preloadNotifications();
+    }
+    
+    /**
+     * Counts the unread notifications of any stored account, using the notifications
+     * cached while it was logged in. No request is made for accounts never loaded here.
+     * @param {string} username - Stored account
+     * @returns {Promise<number|null>} Unread count, null when nothing is cached
+     */
+    async getUnreadCountForAccount(username) {
+        if (username === this.username) {
+            return this.unreadCount;
         }
+        
+        const cachedData = await this.getCachedNotifications(username);
+        if (!cachedData || !cachedData.notifications) {
+            return null;
+        }
+        
+        const readMap = this.loadReadStatusFromStorage(username);
+        return cachedData.notifications.filter(notification =>
+            !readMap.has(this.generateNotificationId(notification, true))
+        ).length;
     }
     
     /**
@@ -68,7 +110,7 @@ class NotificationsService {
             const result = await this.getNotifications(TYPES.ALL, 1, 30, false);
             
             // Aggiorna il conteggio non lette
-            this.updateUnreadCount();
+            await this.updateUnreadCount();
         } catch (error) {
             console.error('Errore nel precaricamento delle notifiche:', error);
         }
@@ -77,7 +119,7 @@ class NotificationsService {
     /**
      * Updates the unread count based on notifications data
      */
-    updateUnreadCount() {
+    async updateUnreadCount() {
         // Get current user
         const currentUser = authService.getCurrentUser();
         if (!currentUser) {
@@ -86,8 +128,7 @@ class NotificationsService {
         }
         
         // Get all notifications from cache if available
-        const cacheKey = `${currentUser.username}_ALL_NOTIFICATIONS`;
-        const cachedData = this.getCachedNotifications(cacheKey);
+        const cachedData = await this.getCachedNotifications(currentUser.username);
         
         if (cachedData && cachedData.notifications) {
             // Count unread notifications using the readNotificationsMap
@@ -126,7 +167,7 @@ class NotificationsService {
         notification.isRead = true;
         
         // Update count
-        this.updateUnreadCount();
+        await this.updateUnreadCount();
         
         return notification;
     }
@@ -147,8 +188,7 @@ class NotificationsService {
         const currentUser = authService.getCurrentUser();
         if (!currentUser) return;
         
-        const cacheKey = `${currentUser.username}_ALL_NOTIFICATIONS`;
-        const cachedData = this.getCachedNotifications(cacheKey);
+        const cachedData = await this.getCachedNotifications(currentUser.username);
         
         if (cachedData && cachedData.notifications) {
             // Mark all as read in memory and localStorage
@@ -159,7 +199,7 @@ class NotificationsService {
             });
             
             // Update cache
-            this.setCachedNotifications(cacheKey, cachedData);
+            await this.setCachedNotifications(currentUser.username, cachedData);
             
             // Save to localStorage
             this.saveReadStatusToStorage();
@@ -183,25 +223,19 @@ class NotificationsService {
         const username = currentUser.username;
         
         try {
-            // Se in cache e non forzato, usa la cache
-            const cacheKey = `${username}_ALL_NOTIFICATIONS`;
-            let allNotifications = null;
-            
-            if (!forceRefresh) {
-                allNotifications = this.getCachedNotifications(cacheKey)?.notifications;
-            }
-            
-            // Se la cache non esiste o è forzato il refresh, recupera tutto
-            if (!allNotifications || forceRefresh) {
-                // Recupera TUTTE le notifiche storiche
-                allNotifications = await this.fetchAllHistoricalNotifications(username);
-                
-                // Salva in cache
-                this.setCachedNotifications(cacheKey, { 
-                    notifications: allNotifications,
+            // Usa la cache se non forzato, altrimenti recupera TUTTE le notifiche storiche
+            const { notifications: allNotifications } = await cacheService.getOrFetch(
+                'notifications',
+                username,
+                async () => ({
+                    notifications: await this.fetchAllHistoricalNotifications(username),
                     hasMore: false
-                });
-            }
+                }),
+                {
+                    forceRefresh,
+                    onRevalidate: () => this.updateUnreadCount()
+                }
+            );
             
             // Filtra per tipo (se non è ALL)
             let filteredNotifications = allNotifications;
@@ -233,32 +267,18 @@ class NotificationsService {
     }
 
     /**
-     * Get notifications from cache
+     * Get notifications from cache, stale entries included
      */
-    getCachedNotifications(cacheKey) {
-        const cacheEntry = this.notificationsCache.get(cacheKey);
-        
-        if (!cacheEntry) {
-            return null;
-        }
-        
-        const now = Date.now();
-        if (now - cacheEntry.timestamp > this.cacheExpiry) {
-            this.notificationsCache.delete(cacheKey);
-            return null;
-        }
-        
-        return cacheEntry.data;
+    async getCachedNotifications(username) {
+        const cached = await cacheService.read('notifications', username);
+        return cached ? cached.value : null;
     }
 
     /**
      * Cache notifications
      */
-    setCachedNotifications(cacheKey, data) {
-        this.notificationsCache.set(cacheKey, {
-            data,
-            timestamp: Date.now()
-        });
+    async setCachedNotifications(username, data) {
+        await cacheService.write('notifications', username, data);
     }
 
     /**
@@ -497,7 +517,11 @@ class NotificationsService {
             }
         });
         
-        return notifications;
+        // Nessuna notifica dagli utenti silenziati
+        return notifications.filter(notification => {
+            const { author, voter, follower, account } = notification.data;
+            return !muteService.isMuted(author || voter || follower || account);
+        });
     }
 
     // UI helpers per il feedback durante recupero
@@ -547,17 +571,9 @@ class NotificationsService {
     /**
      * Clear the notifications cache completely
      */
-    clearCache() {
-        this.notificationsCache.clear();
-        this.allNotificationsCache = null; // Direct reset instead of calling non-existent method
+    async clearCache() {
         this.unreadCount = 0;
-    }
-
-    /**
-     * Clear the specific all-notifications cache
-     */
-    clearAllNotificationsCache() {
-        this.allNotificationsCache = null;
+        await cacheService.removeEntity('notifications');
     }
 
     /**
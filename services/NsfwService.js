@@ -0,0 +1,105 @@
+import communityService from './CommunityService.js';
+import userPreferencesService from './UserPreferencesService.js';
+
+const NSFW_TAG = 'nsfw';
+
+/**
+ * Service deciding which posts are NSFW and how they are shown.
+ * A post is NSFW when it carries the nsfw tag, when its author labelled it
+ * (json_metadata.nsfw, set by CreatePostView) or when its community is flagged NSFW.
+ */
+class NsfwService {
+  /**
+   * @returns {string} - 'hide', 'blur' or 'show'
+   */
+  getMode() {
+    return userPreferencesService.getNsfwContentMode();
+  }
+
+  /**
+   * Checks a post against the tag, the self-label and the communities known so far.
+   * Card lists use this synchronous check; PostView uses isNsfwAsync to look the community up.
+   * @param {Object} post - Post as returned by the API
+   * @returns {boolean}
+   */
+  isNsfw(post) {
+    if (!post) return false;
+
+    const metadata = this.parseMetadata(post.json_metadata);
+    if (this.isLabelled(post, metadata)) return true;
+
+    const community = this.getCommunity(post, metadata);
+    if (!community || !communityService.cachedCommunities) return false;
+
+    const cleanName = community.replace(/^hive-/, '');
+    const known = communityService.cachedCommunities.find(c => c.name === community || c.name === cleanName);
+    return !!known?.is_nsfw;
+  }
+
+  /**
+   * Like isNsfw, loading the community when it is not among the cached ones
+   * @param {Object} post - Post as returned by the API
+   * @returns {Promise<boolean>}
+   */
+  async isNsfwAsync(post) {
+    if (!post) return false;
+
+    const metadata = this.parseMetadata(post.json_metadata);
+    if (this.isLabelled(post, metadata)) return true;
+
+    const community = this.getCommunity(post, metadata);
+    if (!community) return false;
+
+    try {
+      const data = await communityService.findCommunityByName(community);
+      return !!data?.is_nsfw;
+    } catch (error) {
+      console.error('Error checking community NSFW flag:', error);
+      return false;
+    }
+  }
+
+  /**
+   * True when the post should be left out of lists
+   * @param {Object} post - Post as returned by the API
+   * @returns {boolean}
+   */
+  shouldHide(post) {
+    return this.getMode() === 'hide' && this.isNsfw(post);
+  }
+
+  /**
+   * True when the images and text of the post should be blurred until revealed
+   * @param {Object} post - Post as returned by the API
+   * @returns {boolean}
+   */
+  shouldBlur(post) {
+    return this.getMode() === 'blur' && this.isNsfw(post);
+  }
+
+  isLabelled(post, metadata) {
+    const tags = Array.isArray(metadata.tags) ? metadata.tags : [];
+    return metadata.nsfw === true ||
+      post.category === NSFW_TAG ||
+      tags.some(tag => String(tag).toLowerCase() === NSFW_TAG);
+  }
+
+  getCommunity(post, metadata) {
+    const candidate = metadata.community || post.category || '';
+    const name = candidate.startsWith('hive-') ? candidate : `hive-${candidate}`;
+    return /^hive-\d+$/.test(name) ? name : null;
+  }
+
+  parseMetadata(jsonMetadata) {
+    try {
+      const metadata = typeof jsonMetadata === 'string' ? JSON.parse(jsonMetadata) : jsonMetadata;
+      return metadata && typeof metadata === 'object' ? metadata : {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+// Create and export a singleton instance
+const nsfwService = new NsfwService();
+export default nsfwService;
@@ -1,15 +1,20 @@
 import steemService from './SteemService.js';
 import Profile from '../models/Profile.js';
 import eventEmitter from '../utils/EventEmitter.js';
+import cacheService from './CacheService.js';
 
 /**
  * Service for managing Steem user profiles
  */
 class ProfileService {
     constructor() {
-        this.profileCache = new Map();
-        this.postCache = new Map();
-        this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
+        // The accounts leaving and joining the session are the ones most likely to have
+        // changed under it (follows, profile edits): refetch them rather than serve the cache
+        eventEmitter.on('auth:account-switched', ({ previousUsername, username }) => {
+            [previousUsername, username].filter(Boolean).forEach(account => {
+                this.clearUserCache(account);
+            });
+        });
     }
 
     async getProfile(username, forceRefresh = false) {
@@ -17,29 +22,20 @@ class ProfileService {
             throw new Error('Username is required');
         }
 
-        // Check cache first unless forceRefresh is true
-        if (!forceRefresh) {
-            const cachedProfile = this.getCachedProfile(username);
-            if (cachedProfile) {
-                return cachedProfile;
-            }
-        }
-
         try {
-            // Fetch user data from Steem blockchain
-            const userData = await steemService.getUserData(username, { includeProfile: true });
+            // Raw user data is cached, the Profile model is rebuilt on every read
+            const userData = await cacheService.getOrFetch(
+                'profile',
+                username,
+                () => steemService.getUserData(username, { includeProfile: true }),
+                { forceRefresh }
+            );
 
             if (!userData) {
                 throw new Error(`User ${username} not found`);
             }
 
-            // Create a Profile model from raw data
-            const profile = new Profile(userData);
-
-            // Cache the profile
-            this.cacheProfile(username, profile);
-
-            return profile;
+            return new Profile(userData);
         } catch (error) {
             console.error(`Error fetching profile for ${username}:`, error);
             eventEmitter.emit('notification', {
@@ -91,7 +87,7 @@ class ProfileService {
             const result = await steemService.updateUserProfile(username, mergedProfile, activeKey);
             
             // Clear the cache for this user to ensure fresh data on next load
-            this.clearUserCache(username);
+            await this.clearUserCache(username);
             
             return result;
         } catch (error) {
@@ -112,7 +108,7 @@ class ProfileService {
         try {
             // Force refresh handling
             if (params?.forceRefresh) {
-                this.clearUserPostsCache(username);
+                await this.clearUserPostsCache(username);
                 // Reset anche i dati di paginazione nel SteemService
                 if (steemService._lastPostByUser) {
                     delete steemService._lastPostByUser[username];
@@ -122,104 +118,100 @@ class ProfileService {
             // Cache key per questa pagina
             const cacheKey = `${username}_posts_page_${page}`;
             
-            // Check cache first (unless forcing refresh)
-            if (!params?.forceRefresh) {
-                const cachedPosts = this.getCachedPosts(cacheKey);
-                if (cachedPosts) {
-                    return cachedPosts;
-                }
-            }
+            const posts = await cacheService.getOrFetch(
+                'posts',
+                cacheKey,
+                () => this.fetchUserPostsPage(username, limit, page),
+                { forceRefresh: params?.forceRefresh }
+            );
             
-            // Recupero parametri di paginazione
-            let paginationParams = {};
+            return posts || [];
+        } catch (error) {
+            console.error(`Error fetching posts for ${username}:`, error);
+            return [];
+        }
+    }
+    
+    /**
+     * Scarica una pagina di post dalla blockchain
+     * @param {string} username - Username
+     * @param {number} limit - Post per pagina
+     * @param {number} page - Numero di pagina
+     * @returns {Promise<Array|null>} - Post della pagina, null se vuota
+     * @private
+     */
+    async fetchUserPostsPage(username, limit, page) {
+        // Recupero parametri di paginazione
+        let paginationParams = {};
+        
+        // Per la prima pagina non serve paginazione
+        if (page > 1) {
+            // Ottieni l'ultimo post della pagina precedente
+            const prevPageKey = `${username}_posts_page_${page-1}`;
+            const prevPagePosts = (await cacheService.read('posts', prevPageKey))?.value;
             
-            // Per la prima pagina non serve paginazione
-            if (page > 1) {
-                // Ottieni l'ultimo post della pagina precedente
-                const prevPageKey = `${username}_posts_page_${page-1}`;
-                const prevPagePosts = this.getCachedPosts(prevPageKey);
-                
-                if (prevPagePosts && prevPagePosts.length > 0) {
-                    // Usa l'ultimo post della pagina precedente come riferimento
-                    const lastPost = prevPagePosts[prevPagePosts.length - 1];
+            if (prevPagePosts && prevPagePosts.length > 0) {
+                // Usa l'ultimo post della pagina precedente come riferimento
+                const lastPost = prevPagePosts[prevPagePosts.length - 1];
+                paginationParams = {
+                    start_author: lastPost.author,
+                    start_permlink: lastPost.permlink
+                };
+            } else {
+                // Se non abbiamo la pagina precedente in cache, chiedi al service
+                const lastPostRef = steemService.getLastPostForUser(username);
+                if (lastPostRef) {
                     paginationParams = {
-                        start_author: lastPost.author,
-                        start_permlink: lastPost.permlink
+                        start_author: lastPostRef.author,
+                        start_permlink: lastPostRef.permlink
                     };
                 } else {
-                    // Se non abbiamo la pagina precedente in cache, chiedi al service
-                    const lastPostRef = steemService.getLastPostForUser(username);
-                    if (lastPostRef) {
-                        paginationParams = {
-                            start_author: lastPostRef.author,
-                            start_permlink: lastPostRef.permlink
-                        };
-                    } else {
-                        console.warn(`No pagination reference for page ${page}, results may be incorrect`);
+                    console.warn(`No pagination reference for page ${page}, results may be incorrect`);
+                    
+                    // Se siamo a pagina > 1 ma non abbiamo un punto di riferimento,
+                    // potremmo dover caricare tutte le pagine precedenti
+                    if (page > 2) { // Solo se siamo oltre pagina 2, per evitare loop
+                        const prevPagePosts = await this.getUserPosts(username, limit, page-1);
                         
-                        // Se siamo a pagina > 1 ma non abbiamo un punto di riferimento,
-                        // potremmo dover caricare tutte le pagine precedenti
-                        if (page > 2) { // Solo se siamo oltre pagina 2, per evitare loop
-                            const prevPagePosts = await this.getUserPosts(username, limit, page-1);
-                            
-                            if (prevPagePosts && prevPagePosts.length > 0) {
-                                const lastPost = prevPagePosts[prevPagePosts.length - 1];
-                                paginationParams = {
-                                    start_author: lastPost.author,
-                                    start_permlink: lastPost.permlink
-                                };
-                            }
+                        if (prevPagePosts && prevPagePosts.length > 0) {
+                            const lastPost = prevPagePosts[prevPagePosts.length - 1];
+                            paginationParams = {
+                                start_author: lastPost.author,
+                                start_permlink: lastPost.permlink
+                            };
                         }
                     }
                 }
             }
-            
-            // Aumenta la probabilità di ottenere risultati completi richiedendo più post di quelli necessari
-            const fetchLimit = Math.min(limit + 5, 100); // Massimo 100 per non stressare l'API
-            
-            // Richiesta al service - versione aggiornata che ritorna info di paginazione
-            const result = await steemService.getUserPosts(username, fetchLimit, paginationParams);
-            
-            // Salva i post in cache se ne abbiamo
-            if (result.posts && result.posts.length > 0) {
-                // Limita il numero di post alla quantità richiesta per la cache
-                const postsToCache = result.posts.slice(0, limit);
-                this.cachePosts(cacheKey, postsToCache);
-                
-                // Memorizza l'ultimo post per future richieste
-                if (result.lastPost) {
-                    this.lastPosts = this.lastPosts || {};
-                    this.lastPosts[username] = result.lastPost;
-                }
-                
-                // Ritorna solo il numero di post richiesti
-                return result.posts.slice(0, limit);
-            } else {
-                return [];
-            }
-        } catch (error) {
-            console.error(`Error fetching posts for ${username}:`, error);
-            return [];
         }
+        
+        // Aumenta la probabilità di ottenere risultati completi richiedendo più post di quelli necessari
+        const fetchLimit = Math.min(limit + 5, 100); // Massimo 100 per non stressare l'API
+        
+        // Richiesta al service - versione aggiornata che ritorna info di paginazione
+        const result = await steemService.getUserPosts(username, fetchLimit, paginationParams);
+        
+        // Le pagine vuote non vengono salvate in cache
+        if (!result.posts || result.posts.length === 0) {
+            return null;
+        }
+        
+        // Memorizza l'ultimo post per future richieste
+        if (result.lastPost) {
+            this.lastPosts = this.lastPosts || {};
+            this.lastPosts[username] = result.lastPost;
+        }
+        
+        // Ritorna (e salva in cache) solo il numero di post richiesti
+        return result.posts.slice(0, limit);
     }
     
     /**
      * Pulisce la cache dei post per uno specifico utente
      * @param {string} username - Username
      */
-    clearUserPostsCache(username) {
-        // Cancella tutte le chiavi della cache che contengono questo username
-        const keysToDelete = [];
-        
-        this.postCache.forEach((value, key) => {
-            if (key.includes(username)) {
-                keysToDelete.push(key);
-            }
-        });
-        
-        keysToDelete.forEach(key => {
-            this.postCache.delete(key);
-        });
+    async clearUserPostsCache(username) {
+        await cacheService.removeEntity('posts', `${username}_posts_page_`);
         
         // Cancella anche i dati di paginazione
         if (this.lastPosts) {
@@ -340,99 +332,41 @@ class ProfileService {
         }
     }
 
-    getCachedProfile(username) {
-        const cacheEntry = this.profileCache.get(username);
-
-        if (!cacheEntry) {
-            return null;
-        }
-
-        // Check if cache is expired
-        const now = Date.now();
-        if (now - cacheEntry.timestamp > this.cacheExpiry) {
-            this.profileCache.delete(username);
-            return null;
-        }
-
-        return cacheEntry.profile;
-    }
-
-    cacheProfile(username, profile) {
-        this.profileCache.set(username, {
-            profile,
-            timestamp: Date.now()
-        });
-    }
-
-    getCachedPosts(cacheKey) {
-        const cacheEntry = this.postCache.get(cacheKey);
-
-        if (!cacheEntry) {
-            return null;
-        }
-
-        // Check if cache is expired
-        const now = Date.now();
-        if (now - cacheEntry.timestamp > this.cacheExpiry) {
-            this.postCache.delete(cacheKey);
-            return null;
-        }
-
-        return cacheEntry.posts;
+    async clearUserCache(username) {
+        await cacheService.remove('profile', username);
     }
 
-    cachePosts(cacheKey, posts) {
-        this.postCache.set(cacheKey, {
-            posts,
-            timestamp: Date.now()
-        });
-    }
-
-    clearUserCache(username) {
-        this.profileCache.delete(username);
-        this.postCache.delete(`${username}_posts`);
-    }
-
-    clearAllCache() {
-        this.profileCache.clear();
-        this.postCache.clear();
+    async clearAllCache() {
+        await Promise.all([
+            cacheService.removeEntity('profile'),
+            cacheService.removeEntity('posts'),
+            cacheService.removeEntity('comments')
+        ]);
     }
 
 
     async getUserComments(username, limit = 30, page = 1, forceRefresh = false) {
-        const COMMENTS_CACHE_KEY = `${username}_comments`;
-        const COMMENTS_CACHE_DURATION_MS = 120 * 60 * 1000; // 2 hours in milliseconds
+        let source = 'cache';
         
         try {
-            // Check cache if not forcing refresh
-            if (!forceRefresh) {
-                const paginatedCachedComments = this.getPaginatedCachedComments(
-                    COMMENTS_CACHE_KEY, page, limit, username
-                );
-                if (paginatedCachedComments) {
-                    return paginatedCachedComments;
-                }
-            }
+            const comments = await cacheService.getOrFetch('comments', username, async () => {
+                // Load comments from blockchain
+                const result = await steemService.getCommentsByAuthor(username, -1);
+                source = 'network';
+                return this.isValidCommentsResponse(result) && result.length > 0 ? result : null;
+            }, { forceRefresh });
             
-            // Load comments from blockchain
-            const comments = await steemService.getCommentsByAuthor(username, -1);
-            
-            if (!this.isValidCommentsResponse(comments)) {
+            if (!comments) {
                 return [];
             }
             
-            // Cache the comments
-            if (comments.length > 0) {
-                this.cacheUserComments(COMMENTS_CACHE_KEY, comments, COMMENTS_CACHE_DURATION_MS);
-                this.storeCommentsInSessionStorage(COMMENTS_CACHE_KEY, comments);
-                this.emitCommentsLoadedEvent(username, comments.length, 'network', page);
-            }
+            this.emitCommentsLoadedEvent(username, comments.length, source, page);
             
             // Return paginated results
             return this.paginateResults(comments, page, limit);
         } catch (error) {
             console.error(`Error fetching comments for ${username}:`, error);
-            return this.getFallbackComments(COMMENTS_CACHE_KEY, page, limit);
+            return this.getFallbackComments(username, page, limit);
         }
     }
     
@@ -448,25 +382,6 @@ class ProfileService {
         return true;
     }
     
-    /**
-     * Gets paginated comments from cache if available
-     * @private
-     */
-    getPaginatedCachedComments(cacheKey, page, limit, username) {
-        const cachedComments = this.getCachedPosts(cacheKey);
-        if (!cachedComments) {
-            return null;
-        }
-        
-        const paginatedComments = this.paginateResults(cachedComments, page, limit);
-        
-        if (page === 1) {
-            this.emitCommentsLoadedEvent(username, cachedComments.length, 'cache', page);
-        }
-        
-        return paginatedComments;
-    }
-    
     /**
      * Paginates an array of results
      * @private
@@ -477,39 +392,6 @@ class ProfileService {
         return items.slice(startIndex, endIndex);
     }
     
-    /**
-     * Stores comments in cache with extended expiration
-     * @private
-     */
-    cacheUserComments(cacheKey, comments, cacheDuration) {
-        this.cachePosts(cacheKey, comments);
-        
-        const cacheEntry = this.postCache.get(cacheKey);
-        if (cacheEntry) {
-            this.postCache.set(cacheKey, {
-                ...cacheEntry,
-                timestamp: Date.now(),
-                expiry: Date.now() + cacheDuration
-            });
-        }
-    }
-    
-    /**
-     * Attempts to store comments in sessionStorage
-     * @private
-     */
-    storeCommentsInSessionStorage(cacheKey, comments) {
-        if (typeof window === 'undefined' || !window.sessionStorage) {
-            return;
-        }
-        
-        try {
-            sessionStorage.setItem(cacheKey, JSON.stringify(comments));
-        } catch (storageError) {
-            console.warn('Unable to save all comments in sessionStorage:', storageError);
-        }
-    }
-    
     /**
      * Emits comments loaded event
      * @private
@@ -527,27 +409,13 @@ class ProfileService {
     }
     
     /**
-     * Gets fallback comments from cache or sessionStorage after an error
+     * Gets fallback comments from cache after an error, stale entries included
      * @private
      */
-    getFallbackComments(cacheKey, page, limit) {
-        // Try using cached data
-        const cachedComments = this.getCachedPosts(cacheKey);
-        if (cachedComments && cachedComments.length > 0) {
-            return this.paginateResults(cachedComments, page, limit);
-        }
-        
-        // Try sessionStorage as last resort
-        if (typeof window !== 'undefined' && window.sessionStorage) {
-            try {
-                const savedComments = sessionStorage.getItem(cacheKey);
-                if (savedComments) {
-                    const parsedComments = JSON.parse(savedComments);
-                    return this.paginateResults(parsedComments, page, limit);
-                }
-            } catch (e) {
-                console.warn('Unable to recover from sessionStorage:', e);
-            }
+    async getFallbackComments(username, page, limit) {
+        const cached = await cacheService.read('comments', username);
+        if (cached && cached.value.length > 0) {
+            return this.paginateResults(cached.value, page, limit);
         }
         
         return [];
@@ -1,4 +1,5 @@
 import steemService from './SteemService.js';
+import steemReadService from './SteemReadService.js';
 import eventEmitter from '../utils/EventEmitter.js';
 
 /**
@@ -90,21 +91,8 @@ class RegisterService {
    */
   async checkAccountExists(username) {
     try {
-      const response = await fetch('https://api.moecki.online', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          jsonrpc: "2.0",
-          method: "condenser_api.get_accounts",
-          params: [[username]],
-          id: 1
-        })
-      });
-
-      const data = await response.json();
-      return data.result && data.result.length > 0;
+      const account = await steemReadService.getAccount(username);
+      return account !== null;
     } catch (error) {
       console.error('Failed to check account existence:', error);
       throw new Error('Failed to check account availability');
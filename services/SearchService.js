@@ -1,4 +1,6 @@
 import router from '../utils/Router.js';
+import steemReadService from './SteemReadService.js';
+import muteService from './MuteService.js';
 
 export class SearchService {
     constructor() {
@@ -7,7 +9,6 @@ export class SearchService {
             TAG: '#',
             COMMUNITY: 'hive-'
         };
-        this.API_ENDPOINT = 'https://api.steemit.com';  // Usa sempre l'API di Hive per coerenza
         this.suggestionsContainer = null;
         this.currentSearchTerm = '';
         this.debounceTimeout = null;
@@ -108,30 +109,13 @@ export class SearchService {
             // Converti in lowercase per garantire risultati più accurati
             const normalizedQuery = cleanQuery.toLowerCase();
             
-            // Usa l'API Hive per cercare account simili
-            const params = {
-                jsonrpc: '2.0',
-                id: 1,
-                method: 'condenser_api.lookup_accounts',
-                params: [normalizedQuery, limit + offset]
-            };
-            
             console.log('Looking up accounts with query:', normalizedQuery);
             
-            const response = await fetch(this.API_ENDPOINT, {
-                method: 'POST',
-                body: JSON.stringify(params),
-                headers: { 'Content-Type': 'application/json' }
-            });
-            
-            const result = await response.json();
-            
-            if (result.error) {
-                throw new Error(result.error.message);
-            }
+            // Usa l'API Steem per cercare account simili
+            const result = await steemReadService.condenser('lookup_accounts', [normalizedQuery, limit + offset]);
             
             // Prendi solo gli account a partire dall'offset
-            const accountNames = result.result || [];
+            const accountNames = result || [];
             
             if (accountNames.length === 0) {
                 return [];
@@ -159,27 +143,10 @@ export class SearchService {
                 return [];
             }
             
-            const params = {
-                jsonrpc: '2.0',
-                id: 1,
-                method: 'condenser_api.get_accounts',
-                params: [accountNames]
-            };
-            
-            const response = await fetch(this.API_ENDPOINT, {
-                method: 'POST',
-                body: JSON.stringify(params),
-                headers: { 'Content-Type': 'application/json' }
-            });
-            
-            const result = await response.json();
-            
-            if (result.error) {
-                throw new Error(result.error.message);
-            }
+            const accounts = await steemReadService.getAccounts(accountNames);
             
             // Arricchisci il risultato con i dati del profilo già estratti
-            return (result.result || []).map(account => {
+            return accounts.map(account => {
                 try {
                     // Estrai i dati del profilo dai metadati JSON
                     const metadata = typeof account.json_metadata === 'string' 
@@ -268,27 +235,11 @@ export class SearchService {
             // Converti in lowercase per garantire risultati più coerenti
             const normalizedQuery = cleanQuery.trim().toLowerCase();
 
-            const params = {
-                jsonrpc: '2.0',
-                id: 1,
-                method: 'condenser_api.get_trending_tags',
-                params: [normalizedQuery, 10]  // Limit to 10 suggestions
-            };
-
-            const response = await fetch(this.API_ENDPOINT, {
-                method: 'POST',
-                body: JSON.stringify(params),
-                headers: { 'Content-Type': 'application/json' }
-            });
-
-            const result = await response.json();
-
-            if (result.error) {
-                throw new Error(result.error.message);
-            }
+            // Limit to 10 suggestions
+            const result = await steemReadService.condenser('get_trending_tags', [normalizedQuery, 10]);
 
             // Filter and map the results
-            return (result.result || [])
+            return (result || [])
                 .filter(tag => tag.name.toLowerCase().startsWith(normalizedQuery))
                 .map(tag => ({
                     type: 'tag',
@@ -338,12 +289,15 @@ export class SearchService {
             if (searchMethod === 'users') {
                 const accounts = await this.findSimilarAccounts(query, 5);
                 if (accounts && accounts.length > 0) {
-                    suggestions = accounts.map(account => ({
-                        type: 'user',
-                        text: `@${account.name}`,
-                        name: account.name,
-                        profile: account.profile
-                    }));
+                    suggestions = accounts
+                        .filter(account => !muteService.shouldHide(account.name))
+                        .map(account => ({
+                            type: 'user',
+                            text: `@${account.name}`,
+                            name: account.name,
+                            profile: account.profile,
+                            muted: muteService.isMuted(account.name)
+                        }));
                 }
             } else if (searchMethod === 'tags') {
                 const tags = await this.searchTags(query);
@@ -452,6 +406,14 @@ export class SearchService {
                     textContainer.appendChild(displayName);
                     textContainer.appendChild(username);
                     
+                    if (suggestion.muted) {
+                        item.classList.add('muted');
+                        const mutedLabel = document.createElement('span');
+                        mutedLabel.className = 'muted-label';
+                        mutedLabel.textContent = 'Muted';
+                        textContainer.appendChild(mutedLabel);
+                    }
+                    
                     item.appendChild(avatarContainer);
                     item.appendChild(textContainer);
                     
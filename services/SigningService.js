@@ -0,0 +1,165 @@
+import userPreferencesService from './UserPreferencesService.js';
+import signingConfirmation from '../components/auth/SigningConfirmationComponent.js';
+
+/**
+ * Last step before the app signs a transaction with a key it holds (or a SteemLogin token).
+ * Every broadcast path calls confirm() with the operations it is about to sign; depending on
+ * the user's per-operation rules a confirmation sheet lists them first.
+ *
+ * Keychain paths do not go through here: the extension shows its own confirmation.
+ */
+class SigningService {
+    constructor() {
+        // Operation types listed in the settings, in display order
+        this.OPERATION_LABELS = {
+            transfer: 'Transfers',
+            transfer_to_vesting: 'Power up',
+            withdraw_vesting: 'Power down',
+            delegate_vesting_shares: 'Delegations',
+            transfer_to_savings: 'Deposits to savings',
+            transfer_from_savings: 'Withdrawals from savings',
+            limit_order_create: 'Market orders',
+            convert: 'SBD conversions',
+            account_update: 'Account and key changes',
+            account_witness_vote: 'Witness votes',
+            account_witness_proxy: 'Witness proxy',
+            update_proposal_votes: 'Proposal votes',
+            claim_reward_balance: 'Reward claims',
+            vote: 'Votes',
+            comment: 'Posts and comments',
+            comment_options: 'Payout options',
+            delete_comment: 'Deletions',
+            custom_json: 'Follows, reblogs and community actions'
+        };
+        // Without a rule, anything signed with these keys is confirmed
+        this.CONFIRM_BY_DEFAULT = ['active', 'owner'];
+    }
+
+    /**
+     * Whether the confirmation sheet should be shown
+     * @param {Array} operations - Operations about to be signed
+     * @param {string} keyType - Key that signs them
+     */
+    shouldConfirm(operations, keyType) {
+        const rules = operations.map(([type]) => userPreferencesService.getSigningRule(type));
+
+        if (rules.includes('always')) return true;
+        if (rules.every(rule => rule === 'never')) return false;
+        return this.CONFIRM_BY_DEFAULT.includes(keyType);
+    }
+
+    /**
+     * Shows the operations about to be signed when the user's rules ask for it
+     * @param {Array} operations - Operations as [type, data]
+     * @param {Object} options - { keyType: key that signs, reviewed: the caller already showed them }
+     * @throws {Error} With isCancelled when the user rejects the transaction
+     */
+    async confirm(operations, { keyType = 'posting', reviewed = false } = {}) {
+        if (reviewed || !this.shouldConfirm(operations, keyType)) {
+            return;
+        }
+
+        const types = [...new Set(operations.map(([type]) => type))];
+        const result = await signingConfirmation.promptForConfirmation({
+            operations: operations.map(operation => this.describeOperation(operation)),
+            keyType,
+            // "Don't ask again" only makes sense when a single rule would change
+            rememberLabel: types.length === 1 ? this.getLabel(types[0]).toLowerCase() : null
+        });
+
+        if (!result.confirmed) {
+            const error = new Error('Operation cancelled by user');
+            error.isCancelled = true;
+            throw error;
+        }
+
+        if (result.remember) {
+            userPreferencesService.setSigningRule(types[0], 'never');
+        }
+    }
+
+    getLabel(type) {
+        return this.OPERATION_LABELS[type] || type.replace(/_/g, ' ');
+    }
+
+    /**
+     * Human readable summary of an operation
+     * @param {Array} operation - [type, data]
+     * @returns {Object} { type, title, fields: [{ label, value }], payload }
+     */
+    describeOperation([type, data]) {
+        const fields = [];
+        const add = (label, value) => {
+            if (value !== undefined && value !== null && value !== '') {
+                fields.push({ label, value: String(value) });
+            }
+        };
+
+        switch (type) {
+            case 'transfer':
+            case 'transfer_to_savings':
+            case 'transfer_from_savings':
+            case 'transfer_to_vesting':
+                add('From', `@${data.from}`);
+                add('To', data.to ? `@${data.to}` : null);
+                add('Amount', data.amount);
+                add('Memo', data.memo);
+                break;
+            case 'withdraw_vesting':
+                add('Account', `@${data.account}`);
+                add('Amount', data.vesting_shares);
+                break;
+            case 'delegate_vesting_shares':
+                add('From', `@${data.delegator}`);
+                add('To', `@${data.delegatee}`);
+                add('Amount', data.vesting_shares);
+                break;
+            case 'vote':
+                add('Voter', `@${data.voter}`);
+                add('Post', `@${data.author}/${data.permlink}`);
+                add('Weight', `${data.weight / 100}%`);
+                break;
+            case 'comment':
+                add('Author', `@${data.author}`);
+                add('Title', data.title);
+                add('Reply to', data.parent_author ? `@${data.parent_author}/${data.parent_permlink}` : null);
+                add('Permlink', data.permlink);
+                break;
+            case 'comment_options':
+                add('Post', `@${data.author}/${data.permlink}`);
+                add('Max payout', data.max_accepted_payout);
+                add('SBD share', `${data.percent_steem_dollars / 100}%`);
+                add('Votes', data.allow_votes === false ? 'Disabled' : null);
+                break;
+            case 'custom_json':
+                add('Type', data.id);
+                add('Signed by', [...(data.required_auths || []), ...(data.required_posting_auths || [])]
+                    .map(account => `@${account}`).join(', '));
+                break;
+            case 'account_update':
+                add('Account', `@${data.account}`);
+                add('Changes', ['owner', 'active', 'posting'].filter(role => data[role])
+                    .concat(data.memo_key ? ['memo key'] : []).join(', '));
+                break;
+            case 'account_witness_vote':
+                add('Witness', `@${data.witness}`);
+                add('Vote', data.approve ? 'Approve' : 'Remove approval');
+                break;
+            default:
+                Object.entries(data || {})
+                    .filter(([, value]) => typeof value !== 'object')
+                    .forEach(([key, value]) => add(key.replace(/_/g, ' '), value));
+        }
+
+        return {
+            type,
+            title: type.charAt(0).toUpperCase() + type.slice(1).replace(/_/g, ' '),
+            fields,
+            payload: JSON.stringify(data, null, 2)
+        };
+    }
+}
+
+// Create and export a singleton instance
+const signingService = new SigningService();
+export default signingService;
@@ -0,0 +1,424 @@
+import eventEmitter from '../utils/EventEmitter.js';
+import { getSteemLoginConfig } from '../config/steemlogin.js';
+import steemLoginReauth from '../components/auth/SteemLoginReauthComponent.js';
+import { RETURN_PARAM as SIGNING_RETURN_PARAM } from './MobileSigningService.js';
+
+// States starting with this prefix belong to a login running in a popup
+const POPUP_STATE_PREFIX = 'popup.';
+// Time a popup's last message gets to arrive after the popup is seen closed
+const POPUP_CLOSED_GRACE = 300;
+
+/**
+ * SteemLogin OAuth client: login redirect (authorization code with PKCE, or implicit token),
+ * token storage and refresh, and broadcasts signed by SteemLogin.
+ * App name, callback, scopes and endpoints come from config/steemlogin.js.
+ */
+class SteemLoginService {
+    constructor() {
+        this.config = getSteemLoginConfig();
+        this.refreshTimer = null;
+        this.reauthPromise = null;
+        // True in the popup that only passes a callback back to its opener
+        this.isCallbackPopup = false;
+    }
+
+    tokenStorageKey(username) {
+        return `${username}_steemlogin_token`;
+    }
+
+    /**
+     * Builds the authorize URL
+     * @param {boolean} popup - The callback runs in a popup and hands the result back to this page
+     * @returns {Promise<Object>} { url, state, codeVerifier }
+     */
+    async createAuthorizationRequest(popup = false) {
+        const state = (popup ? POPUP_STATE_PREFIX : '') + this.randomString(16);
+        const params = new URLSearchParams({
+            client_id: this.config.app,
+            redirect_uri: this.config.callbackURL,
+            response_type: this.config.responseType,
+            scope: this.config.scope.join(','),
+            state
+        });
+
+        let codeVerifier = null;
+        if (this.config.responseType === 'code') {
+            codeVerifier = this.randomString(32);
+            params.set('code_challenge', await this.createCodeChallenge(codeVerifier));
+            params.set('code_challenge_method', 'S256');
+        }
+
+        return { url: `${this.config.authorizeURL}?${params}`, state, codeVerifier };
+    }
+
+    /**
+     * Leaves the app for the SteemLogin login page
+     */
+    async redirectToLogin() {
+        const request = await this.createAuthorizationRequest();
+
+        sessionStorage.setItem('steemLoginState', request.state);
+        if (request.codeVerifier) {
+            sessionStorage.setItem('steemLoginVerifier', request.codeVerifier);
+        } else {
+            sessionStorage.removeItem('steemLoginVerifier');
+        }
+
+        window.location.href = request.url;
+    }
+
+    /**
+     * SteemLogin parameters of the current URL
+     * @returns {Object|null} { code, accessToken, expiresIn, username, state, error, errorDescription },
+     *   null when the page was not opened by a SteemLogin callback
+     */
+    readCallbackParams() {
+        const params = new URLSearchParams(window.location.search);
+        // Sign pages come back with their own parameter, handled by MobileSigningService
+        if (params.has(SIGNING_RETURN_PARAM) || (!params.has('state') && !params.has('error'))) {
+            return null;
+        }
+
+        return {
+            code: params.get('code'),
+            accessToken: params.get('access_token'),
+            expiresIn: params.get('expires_in'),
+            username: params.get('username'),
+            state: params.get('state'),
+            error: params.get('error'),
+            errorDescription: params.get('error_description')
+        };
+    }
+
+    /**
+     * In the re-authentication popup: passes the callback to the page that opened it and closes
+     * @param {Object} params - Callback parameters
+     * @returns {boolean} Whether this window was such a popup
+     */
+    handOffToOpener(params) {
+        if (!params.state?.startsWith(POPUP_STATE_PREFIX) || !window.opener) {
+            return false;
+        }
+
+        this.isCallbackPopup = true;
+        window.opener.postMessage({ type: 'steemlogin:callback', params }, window.location.origin);
+        window.close();
+        return true;
+    }
+
+    /**
+     * Turns callback parameters into a token response
+     * @param {Object} params - Callback parameters
+     * @param {string|null} codeVerifier - PKCE verifier of the request, for the code flow
+     * @returns {Promise<Object>} { access_token, expires_in, refresh_token, username }
+     */
+    async tokenFromCallback(params, codeVerifier) {
+        if (params.code) {
+            if (!codeVerifier) {
+                throw new Error('Missing PKCE verifier, start the login again');
+            }
+            return this.exchangeCode(params.code, codeVerifier);
+        }
+
+        if (params.accessToken) {
+            return {
+                access_token: params.accessToken,
+                expires_in: params.expiresIn,
+                username: params.username
+            };
+        }
+
+        throw new Error('SteemLogin did not return a token');
+    }
+
+    /**
+     * Exchanges an authorization code for a token. The PKCE verifier proves this browser
+     * started the login, so no client secret (and no server-side proxy) is involved.
+     */
+    async exchangeCode(code, codeVerifier) {
+        return this.requestToken({
+            grant_type: 'authorization_code',
+            code,
+            code_verifier: codeVerifier,
+            client_id: this.config.app,
+            redirect_uri: this.config.callbackURL
+        });
+    }
+
+    async requestToken(body) {
+        const response = await fetch(`${this.config.apiURL}/api/oauth2/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.access_token) {
+            throw new Error(data.error_description || data.error || `Token request failed: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Saves the token of an account with its expiry
+     * @param {string} username - Account the token belongs to
+     * @param {Object} tokenResponse - { access_token, expires_in (seconds), refresh_token }
+     */
+    saveToken(username, { access_token, expires_in, refresh_token }) {
+        const lifetime = expires_in ? Number(expires_in) * 1000 : this.config.defaultTokenLifetime;
+        const previous = this.getTokenData(username);
+
+        localStorage.setItem(this.tokenStorageKey(username), JSON.stringify({
+            token: access_token,
+            expires: Date.now() + lifetime,
+            refreshToken: refresh_token || previous?.refreshToken || null
+        }));
+
+        eventEmitter.emit('steemlogin:token-updated', { username, token: access_token });
+        this.scheduleRefresh(username);
+    }
+
+    getTokenData(username) {
+        try {
+            const stored = localStorage.getItem(this.tokenStorageKey(username));
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.error('Error reading SteemLogin token:', error);
+            return null;
+        }
+    }
+
+    removeToken(username) {
+        localStorage.removeItem(this.tokenStorageKey(username));
+        clearTimeout(this.refreshTimer);
+    }
+
+    /**
+     * Token of an account, if it has not expired
+     * @returns {string|null}
+     */
+    getStoredToken(username) {
+        const data = this.getTokenData(username);
+        return data && data.expires > Date.now() ? data.token : null;
+    }
+
+    /**
+     * Token of an account, refreshed first when it is about to expire
+     * @returns {Promise<string|null>} null when the user has to sign in again
+     */
+    async getValidToken(username) {
+        const data = this.getTokenData(username);
+        if (!data) return null;
+
+        if (data.refreshToken && data.expires - Date.now() < this.config.refreshBeforeExpiry) {
+            try {
+                await this.refreshToken(username);
+            } catch (error) {
+                console.warn('SteemLogin token refresh failed:', error);
+            }
+        }
+
+        return this.getStoredToken(username);
+    }
+
+    async refreshToken(username) {
+        const data = this.getTokenData(username);
+        if (!data?.refreshToken) {
+            throw new Error('No SteemLogin refresh token');
+        }
+
+        this.saveToken(username, await this.requestToken({
+            grant_type: 'refresh_token',
+            refresh_token: data.refreshToken,
+            client_id: this.config.app
+        }));
+    }
+
+    /**
+     * Refreshes the token of the logged in account shortly before it expires
+     * @param {string} username - Logged in account
+     */
+    scheduleRefresh(username) {
+        clearTimeout(this.refreshTimer);
+
+        const data = this.getTokenData(username);
+        if (!data?.refreshToken) return;
+
+        const delay = Math.max(data.expires - Date.now() - this.config.refreshBeforeExpiry, 0);
+        // setTimeout cannot wait longer than ~24 days; getValidToken covers those tokens
+        if (delay > 0x7FFFFFFF) return;
+
+        this.refreshTimer = setTimeout(() => {
+            this.refreshToken(username).catch(error => {
+                console.warn('Scheduled SteemLogin token refresh failed:', error);
+            });
+        }, delay);
+    }
+
+    /**
+     * Account data of a token
+     * @param {string} token - Access token
+     * @param {number} timeout - Milliseconds before giving up
+     * @returns {Promise<Object>} The /api/me response
+     */
+    async fetchMe(token, timeout = 8000) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(`${this.config.apiURL}/api/me`, {
+                headers: { 'Authorization': `Bearer ${token}` },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`Failed to fetch user data from SteemLogin: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Broadcasts operations signed by SteemLogin for an account.
+     * Without a valid token the user is asked to sign in again, and a token rejected
+     * by SteemLogin gets one more attempt after re-authenticating.
+     * @param {string} username - Account signing the operations
+     * @param {Array} operations - Operations to broadcast
+     * @returns {Promise<Object>} SteemLogin response
+     */
+    async broadcast(username, operations) {
+        let token = await this.getValidToken(username) || await this.reauthenticate(username);
+        let response = await this.postBroadcast(token, operations);
+
+        if (response.status === 401) {
+            token = await this.reauthenticate(username);
+            response = await this.postBroadcast(token, operations);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error_description || data.error || `SteemLogin broadcast failed: ${response.status}`);
+        }
+        return data;
+    }
+
+    postBroadcast(token, operations) {
+        return fetch(`${this.config.apiURL}/api/broadcast`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            },
+            body: JSON.stringify({ operations })
+        });
+    }
+
+    /**
+     * Asks the user to sign in to SteemLogin again in a popup, keeping the current page.
+     * Concurrent callers share the same prompt.
+     * @param {string} username - Account that has to sign in
+     * @returns {Promise<string>} The new token
+     * @throws {Error} With isCancelled when the user dismisses the prompt or closes the popup
+     */
+    reauthenticate(username) {
+        if (!this.reauthPromise) {
+            this.reauthPromise = this.runReauthentication(username).finally(() => {
+                this.reauthPromise = null;
+            });
+        }
+        return this.reauthPromise;
+    }
+
+    async runReauthentication(username) {
+        const request = await this.createAuthorizationRequest(true);
+
+        const popup = await steemLoginReauth.promptForReauth({
+            username,
+            onSignIn: () => window.open(request.url, 'steemlogin', 'width=520,height=720') || false
+        });
+
+        if (popup === null) {
+            throw this.cancelledError();
+        }
+        if (!popup) {
+            throw new Error('The SteemLogin window was blocked. Allow pop-ups for this site and try again.');
+        }
+
+        const params = await this.waitForPopupCallback(popup, request.state);
+        if (params.error) {
+            throw new Error(params.errorDescription || params.error);
+        }
+
+        const tokenResponse = await this.tokenFromCallback(params, request.codeVerifier);
+        const me = await this.fetchMe(tokenResponse.access_token);
+        const signedInAs = me?.name || me?.username || me?.user;
+        if (signedInAs !== username) {
+            throw new Error(`Signed in as @${signedInAs} instead of @${username}`);
+        }
+
+        this.saveToken(username, tokenResponse);
+        return tokenResponse.access_token;
+    }
+
+    waitForPopupCallback(popup, state) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                window.removeEventListener('message', handleMessage);
+                clearInterval(closedCheck);
+            };
+
+            const handleMessage = (event) => {
+                if (event.origin !== window.location.origin) return;
+                if (event.data?.type !== 'steemlogin:callback' || event.data.params?.state !== state) return;
+
+                cleanup();
+                resolve(event.data.params);
+            };
+
+            // Closing the popup without signing in counts as cancelling. The popup closes itself
+            // right after posting the callback, so give a queued message the chance to arrive first
+            const closedCheck = setInterval(() => {
+                if (popup.closed) {
+                    clearInterval(closedCheck);
+                    setTimeout(() => {
+                        cleanup();
+                        reject(this.cancelledError());
+                    }, POPUP_CLOSED_GRACE);
+                }
+            }, 500);
+
+            window.addEventListener('message', handleMessage);
+        });
+    }
+
+    cancelledError() {
+        const error = new Error('Operation cancelled by user');
+        error.isCancelled = true;
+        return error;
+    }
+
+    randomString(bytes) {
+        return this.base64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+    }
+
+    async createCodeChallenge(codeVerifier) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+        return this.base64Url(new Uint8Array(digest));
+    }
+
+    base64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+}
+
+// Create and export a singleton instance
+const steemLoginService = new SteemLoginService();
+export default steemLoginService;
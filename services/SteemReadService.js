@@ -0,0 +1,266 @@
+import nodePool from './NodePoolService.js';
+
+/**
+ * Shared read layer for Steem API calls.
+ *
+ * - Identical calls that are already in flight share one request
+ * - Calls issued in the same tick are sent together as a JSON-RPC batch
+ * - get_accounts lookups from different components are merged into one call
+ * - Chain-global values are cached for a short TTL
+ */
+class SteemReadService {
+    constructor() {
+        this.BATCH_WINDOW_MS = 10;
+        this.MAX_BATCH_SIZE = 50;
+        this.MAX_ACCOUNTS_PER_CALL = 100;
+        this.MAX_ATTEMPTS = 3;
+
+        // TTLs in milliseconds for chain-global values
+        this.CACHE_TTL = {
+            'condenser_api.get_dynamic_global_properties': 3 * 1000,
+            'condenser_api.get_reward_fund': 60 * 1000,
+            'condenser_api.get_current_median_history_price': 60 * 1000,
+            'condenser_api.get_feed_history': 60 * 1000,
+            'condenser_api.get_chain_properties': 5 * 60 * 1000,
+            'condenser_api.get_config': 60 * 60 * 1000,
+            'market_history_api.get_ticker': 60 * 1000
+        };
+
+        this.cache = new Map();
+        this.inFlight = new Map();
+        this.queue = [];
+        this.accountQueue = new Map();
+        this.flushTimer = null;
+        this.nextId = 1;
+    }
+
+    getKey(method, params) {
+        return `${method}:${JSON.stringify(params)}`;
+    }
+
+    /**
+     * Calls an API method through the shared layer
+     * @param {string} method - Full API method name, e.g. 'condenser_api.get_content'
+     * @param {Array|Object} params - Method parameters
+     * @param {Object} options - Call options
+     * @param {number} [options.ttl] - Cache TTL in ms, overrides the default for the method
+     * @returns {Promise<any>} The API result
+     */
+    call(method, params = [], options = {}) {
+        const key = this.getKey(method, params);
+        const ttl = options.ttl ?? this.CACHE_TTL[method] ?? 0;
+
+        if (ttl > 0) {
+            const cached = this.cache.get(key);
+            if (cached && cached.expires > Date.now()) {
+                return Promise.resolve(cached.value);
+            }
+        }
+
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({ method, params, resolve, reject });
+            this.scheduleFlush();
+        })
+            .then(result => {
+                if (ttl > 0) {
+                    this.cache.set(key, { value: result, expires: Date.now() + ttl });
+                }
+                return result;
+            })
+            .finally(() => this.inFlight.delete(key));
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Shorthand for condenser_api methods
+     * @param {string} method - Method name without the api prefix, e.g. 'get_content'
+     * @param {Array} params - Positional parameters
+     * @returns {Promise<any>} The API result
+     */
+    condenser(method, params = []) {
+        return this.call(`condenser_api.${method}`, params);
+    }
+
+    /**
+     * Fetches accounts, merging concurrent lookups into batched get_accounts calls
+     * @param {Array<string>} names - Account names
+     * @returns {Promise<Array>} Found accounts in request order (missing ones omitted, like get_accounts)
+     */
+    async getAccounts(names) {
+        const unique = [...new Set((names || []).filter(Boolean))];
+        const accounts = await Promise.all(unique.map(name => this.getAccount(name)));
+        const byName = new Map(accounts.filter(Boolean).map(account => [account.name, account]));
+        return (names || []).map(name => byName.get(name)).filter(Boolean);
+    }
+
+    /**
+     * Fetches a single account through the shared get_accounts batch
+     * @param {string} name - Account name
+     * @returns {Promise<Object|null>} Account or null if it does not exist
+     */
+    getAccount(name) {
+        const key = this.getKey('condenser_api.get_accounts', [name]);
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            if (!this.accountQueue.has(name)) {
+                this.accountQueue.set(name, []);
+            }
+            this.accountQueue.get(name).push({ resolve, reject });
+            this.scheduleFlush();
+        }).finally(() => this.inFlight.delete(key));
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+
+    getDynamicGlobalProperties() {
+        return this.condenser('get_dynamic_global_properties');
+    }
+
+    getRewardFund(name = 'post') {
+        return this.condenser('get_reward_fund', [name]);
+    }
+
+    getCurrentMedianHistoryPrice() {
+        return this.condenser('get_current_median_history_price');
+    }
+
+    getContent(author, permlink) {
+        return this.condenser('get_content', [author, permlink]);
+    }
+
+    getContentReplies(author, permlink) {
+        return this.condenser('get_content_replies', [author, permlink]);
+    }
+
+    getActiveVotes(author, permlink) {
+        return this.condenser('get_active_votes', [author, permlink]);
+    }
+
+    /**
+     * Drops cached values, for a single method or all of them
+     * @param {string} [method] - Full API method name
+     */
+    invalidate(method = null) {
+        if (!method) {
+            this.cache.clear();
+            return;
+        }
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(`${method}:`)) {
+                this.cache.delete(key);
+            }
+        }
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, this.BATCH_WINDOW_MS);
+    }
+
+    /**
+     * Sends everything queued during the batch window
+     */
+    flush() {
+        const requests = this.queue.splice(0);
+
+        if (this.accountQueue.size > 0) {
+            const pending = this.accountQueue;
+            this.accountQueue = new Map();
+            const names = [...pending.keys()];
+
+            for (let i = 0; i < names.length; i += this.MAX_ACCOUNTS_PER_CALL) {
+                const chunk = names.slice(i, i + this.MAX_ACCOUNTS_PER_CALL);
+                requests.push({
+                    method: 'condenser_api.get_accounts',
+                    params: [chunk],
+                    resolve: (accounts) => {
+                        const byName = new Map((accounts || []).map(account => [account.name, account]));
+                        chunk.forEach(name => pending.get(name).forEach(waiter => waiter.resolve(byName.get(name) || null)));
+                    },
+                    reject: (error) => {
+                        chunk.forEach(name => pending.get(name).forEach(waiter => waiter.reject(error)));
+                    }
+                });
+            }
+        }
+
+        for (let i = 0; i < requests.length; i += this.MAX_BATCH_SIZE) {
+            this.sendBatch(requests.slice(i, i + this.MAX_BATCH_SIZE));
+        }
+    }
+
+    /**
+     * Posts a JSON-RPC batch, failing over to another node on transport errors
+     * @param {Array<Object>} requests - Queued requests
+     */
+    async sendBatch(requests) {
+        const payload = requests.map(request => ({
+            jsonrpc: '2.0',
+            method: request.method,
+            params: request.params,
+            id: this.nextId++
+        }));
+        // A lone request goes out unwrapped so nodes without batch support still work
+        const body = JSON.stringify(payload.length === 1 ? payload[0] : payload);
+
+        let node = nodePool.getBestNode();
+        let lastError = null;
+
+        for (let attempt = 0; attempt < this.MAX_ATTEMPTS; attempt++) {
+            const start = performance.now();
+            try {
+                const response = await fetch(node, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body
+                });
+
+                if (!response.ok) {
+                    throw new Error(`HTTP error! Status: ${response.status}`);
+                }
+
+                const data = await response.json();
+                const responses = Array.isArray(data) ? data : [data];
+                nodePool.reportSuccess(node, Math.round(performance.now() - start));
+
+                const byId = new Map(responses.map(item => [item.id, item]));
+                requests.forEach((request, index) => {
+                    const item = byId.get(payload[index].id);
+                    if (!item) {
+                        request.reject(new Error(`No response for ${request.method}`));
+                    } else if (item.error) {
+                        request.reject(new Error(`API error: ${item.error.message || JSON.stringify(item.error)}`));
+                    } else {
+                        request.resolve(item.result);
+                    }
+                });
+                return;
+            } catch (error) {
+                console.error(`Batch request failed on ${node}:`, error);
+                lastError = error;
+                nodePool.reportFailure(node, error);
+                node = nodePool.getNextNode(node);
+            }
+        }
+
+        const error = lastError || new Error('Failed to call API after multiple retries');
+        requests.forEach(request => request.reject(error));
+    }
+}
+
+// Create and export a singleton instance
+const steemReadService = new SteemReadService();
+export default steemReadService;
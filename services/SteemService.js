@@ -3,6 +3,8 @@ import PostService from './steem-service-classes/PostService.js';
 import CommentService from './steem-service-classes/CommentService.js';
 import UserServiceCore from './steem-service-classes/UserServiceCore.js';
 import authService from './AuthService.js';
+import signingService from './SigningService.js';
+import steemReadService from './SteemReadService.js';
 
 /**
  * Main service facade that delegates to specialized services
@@ -62,6 +64,14 @@ class SteemService {
         return this.getPostsByCategory('promoted', page, limit);
     }
 
+    async getFeedPosts(username, page = 1, limit = 20) {
+        return this.postService.getFeedPosts(username, page, limit);
+    }
+
+    async getCustomFeedPosts(feed, page = 1, limit = 20) {
+        return this.postService.getCustomFeedPosts(feed, page, limit);
+    }
+
     async getContent(author, permlink) {
         return this.postService.getContent(author, permlink);
     }
@@ -177,7 +187,7 @@ class SteemService {
         
         // Determine authentication method
         const hasKeychain = typeof window.steem_keychain !== 'undefined';
-        const postingKey = authService.getPostingKey();
+        const postingKey = await authService.getPostingKey();
         const loginMethod = authService.getCurrentUser()?.loginMethod || 'privateKey';
         
         console.log('Authentication details:', {
@@ -285,6 +295,7 @@ class SteemService {
      * @returns {Promise<Object>} - The result of the broadcast
      */
     async broadcastWithPostingKey(operations, postingKey) {
+        await signingService.confirm(operations);
         await this.ensureLibraryLoaded();
         console.log('SteemService: Broadcasting with posting key');
         
@@ -305,6 +316,77 @@ class SteemService {
         });
     }
 
+    /**
+     * Helper method to broadcast operations that need the owner authority
+     * @param {Array} operations - The operations to broadcast
+     * @param {string} ownerKey - The owner key to use
+     * @returns {Promise<Object>} - The result of the broadcast
+     */
+    async broadcastWithOwnerKey(operations, ownerKey) {
+        await this.ensureLibraryLoaded();
+        
+        return new Promise((resolve, reject) => {
+            this.core.steem.broadcast.send(
+                { operations, extensions: [] },
+                { owner: ownerKey },
+                (err, result) => {
+                    if (err) {
+                        console.error('Owner broadcast error:', err);
+                        reject(err);
+                    } else {
+                        resolve(result);
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Builds an unsigned transaction, ready to be signed on another device
+     * @param {Array} operations - The operations to include
+     * @param {number} expirationSeconds - Lifetime of the transaction; the chain accepts at most an hour
+     * @returns {Promise<Object>} - The transaction without signatures
+     */
+    async prepareTransaction(operations, expirationSeconds = 3600) {
+        const properties = await steemReadService.getDynamicGlobalProperties();
+
+        // The reference block ties the transaction to this chain: its number and
+        // bytes 4-7 of its id, read as a little-endian integer
+        const refBlockPrefix = parseInt(
+            properties.head_block_id.substring(8, 16).match(/../g).reverse().join(''),
+            16
+        );
+        const expiration = new Date(new Date(properties.time + 'Z').getTime() + expirationSeconds * 1000);
+
+        return {
+            ref_block_num: properties.head_block_number & 0xFFFF,
+            ref_block_prefix: refBlockPrefix,
+            expiration: expiration.toISOString().slice(0, -5),
+            operations,
+            extensions: []
+        };
+    }
+
+    /**
+     * Broadcasts a transaction that was signed elsewhere
+     * @param {Object} transaction - The signed transaction
+     * @returns {Promise<Object>} - The result of the broadcast
+     */
+    async broadcastTransaction(transaction) {
+        await this.ensureLibraryLoaded();
+
+        return new Promise((resolve, reject) => {
+            this.core.steem.api.broadcastTransaction(transaction, (err, result) => {
+                if (err) {
+                    console.error('Signed transaction broadcast error:', err);
+                    reject(err);
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    }
+
     async getFollowers(username) {
         return this.userService.getFollowers(username);
     }
@@ -333,6 +415,35 @@ class SteemService {
         return this.userService.unfollowUser(follower, following);
     }
     
+    /**
+     * Mute a user on the Steem blockchain
+     * @param {string} follower - Username of the muting user
+     * @param {string} following - Username of the person to mute
+     * @returns {Promise<Object>} - Result of the operation
+     */
+    async muteUser(follower, following) {
+        return this.userService.muteUser(follower, following);
+    }
+    
+    /**
+     * Unmute a user on the Steem blockchain
+     * @param {string} follower - Username of the muting user
+     * @param {string} following - Username of the person to unmute
+     * @returns {Promise<Object>} - Result of the operation
+     */
+    async unmuteUser(follower, following) {
+        return this.userService.unmuteUser(follower, following);
+    }
+    
+    /**
+     * Get the accounts muted by a user
+     * @param {string} username - Username whose mute list to fetch
+     * @returns {Promise<Array<string>>} - Muted account names
+     */
+    async getMutedUsers(username) {
+        return this.userService.getMutedUsers(username);
+    }
+    
     /**
      * Check if a user follows another user
      * @param {string} follower - Username of the potential follower
@@ -1,12 +1,14 @@
-import steemService from './SteemService.js';
+import steemReadService from './SteemReadService.js';
 import walletService from './WalletService.js';
 import filterService from './FilterService.js';
+import memoService from './MemoService.js';
 import { formatDate } from '../utils/DateUtils.js';
 
 class TransactionHistoryService {
   constructor() {
     // Cache per le conversioni VESTS -> SP per evitare calcoli ripetuti
     this.vestsToSPCache = new Map();
+    this.ENCRYPTED_MEMO_LABEL = '[encrypted]';
   }
 
   /**
@@ -20,14 +22,7 @@ class TransactionHistoryService {
     if (!username) return [];
     
     try {
-      const steem = await steemService.ensureLibraryLoaded();
-      
-      return new Promise((resolve, reject) => {
-        steem.api.getAccountHistory(username, from, limit, (err, result) => {
-          if (err) reject(err);
-          else resolve(result);
-        });
-      });
+      return await steemReadService.condenser('get_account_history', [username, from, limit]);
     } catch (error) {
       console.error('Error fetching transaction history for %s:', username, error);
       return [];
@@ -223,6 +218,14 @@ class TransactionHistoryService {
     }
   }
 
+  /**
+   * Parte della descrizione con il memo; i memo cifrati non vengono mostrati finché non sono decifrati
+   */
+  formatMemo(memo) {
+    if (!memo) return '';
+    return `- Memo: ${memoService.isEncrypted(memo) ? this.ENCRYPTED_MEMO_LABEL : memo}`;
+  }
+
   /**
    * Formatta la descrizione di una transazione con conversione VESTS->SP
    */
@@ -234,12 +237,12 @@ class TransactionHistoryService {
       case 'transfer':
         if (currentUsername) {
           if (data.from === currentUsername) {
-            return `To @${data.to}: ${data.amount} ${data.memo ? `- Memo: ${data.memo}` : ''}`;
+            return `To @${data.to}: ${data.amount} ${this.formatMemo(data.memo)}`;
           } else if (data.to === currentUsername) {
-            return `From @${data.from}: ${data.amount} ${data.memo ? `- Memo: ${data.memo}` : ''}`;
+            return `From @${data.from}: ${data.amount} ${this.formatMemo(data.memo)}`;
           }
         }
-        return `${data.from} → ${data.to}: ${data.amount} ${data.memo ? `- Memo: ${data.memo}` : ''}`;
+        return `${data.from} → ${data.to}: ${data.amount} ${this.formatMemo(data.memo)}`;
         
       case 'vote':
         const weightPercent = (data.weight / 100).toFixed(0);
@@ -1,9 +1,20 @@
 /**
  * Service for managing user preferences
  */
+// Marks JSON blobs produced by exportCustomFeed
+const CUSTOM_FEED_EXPORT_TYPE = 'steemee-custom-feed';
+
+// Reputation 25 is where raw reputation turns negative
+const DEFAULT_LOW_QUALITY_RULES = {
+    mode: 'collapse',
+    minReputation: 25,
+    includeDownvoted: true
+};
+
 class UserPreferencesService {
     constructor() {
         this.PREFERENCES_KEY = 'steemee_user_preferences';
+        this.MAX_CUSTOM_FEEDS = 10;
         this.preferences = this.loadPreferences();
     }    /**
      * Loads user preferences from localStorage
@@ -15,7 +26,9 @@ class UserPreferencesService {
             const defaultPreferences = {
                 // Default preferences
                 preferredTags: [],
-                homeViewMode: 'trending', // Default view mode (trending, hot, new, custom)
+                homeViewMode: 'trending', // Default view mode (trending, hot, new, custom, feed)
+                mutedContentMode: 'hide', // How content from muted users is shown (hide, collapse)
+                nsfwContentMode: 'blur', // How NSFW posts are shown (hide, blur, show)
                 theme: 'light' // Default theme
             };
             
@@ -32,7 +45,7 @@ class UserPreferencesService {
                 preferences.preferredTags = [];
             }
             
-            if (!['trending', 'hot', 'new', 'custom'].includes(preferences.homeViewMode)) {
+            if (!['trending', 'hot', 'new', 'custom', 'feed'].includes(preferences.homeViewMode)) {
                 preferences.homeViewMode = 'trending';
             }
             
@@ -41,6 +54,16 @@ class UserPreferencesService {
                 preferences.homeViewMode = 'trending';
             }
             
+            if (!['hide', 'collapse'].includes(preferences.mutedContentMode)) {
+                preferences.mutedContentMode = 'hide';
+            }
+            
+            if (!['hide', 'blur', 'show'].includes(preferences.nsfwContentMode)) {
+                preferences.nsfwContentMode = 'blur';
+            }
+            
+            preferences.lowQualityContent = this.normalizeLowQualityRules(preferences.lowQualityContent);
+            
             if (!preferences.theme) {
                 preferences.theme = 'light';
             }
@@ -51,6 +74,9 @@ class UserPreferencesService {
             return {
                 preferredTags: [],
                 homeViewMode: 'trending',
+                mutedContentMode: 'hide',
+                nsfwContentMode: 'blur',
+                lowQualityContent: { ...DEFAULT_LOW_QUALITY_RULES },
                 theme: 'light'
             };
         }
@@ -98,7 +124,7 @@ class UserPreferencesService {
         }
         
         // Validate homeViewMode is valid
-        if (!['trending', 'hot', 'new', 'custom'].includes(this.preferences.homeViewMode)) {
+        if (!['trending', 'hot', 'new', 'custom', 'feed'].includes(this.preferences.homeViewMode)) {
             this.preferences.homeViewMode = 'trending';
         }
         
@@ -106,6 +132,29 @@ class UserPreferencesService {
         if (this.preferences.homeViewMode === 'custom' && this.preferences.preferredTags.length === 0) {
             this.preferences.homeViewMode = 'trending';
         }
+        
+        // Validate mutedContentMode
+        if (!['hide', 'collapse'].includes(this.preferences.mutedContentMode)) {
+            this.preferences.mutedContentMode = 'hide';
+        }
+        
+        // Validate nsfwContentMode
+        if (!['hide', 'blur', 'show'].includes(this.preferences.nsfwContentMode)) {
+            this.preferences.nsfwContentMode = 'blur';
+        }
+        
+        // Validate low quality content rules
+        this.preferences.lowQualityContent = this.normalizeLowQualityRules(this.preferences.lowQualityContent);
+        
+        // Ensure signingRules is a plain object
+        if (!this.preferences.signingRules || typeof this.preferences.signingRules !== 'object') {
+            this.preferences.signingRules = {};
+        }
+        
+        // Ensure customFeeds is an array
+        if (!Array.isArray(this.preferences.customFeeds)) {
+            this.preferences.customFeeds = [];
+        }
     }
 
     /**
@@ -215,7 +264,7 @@ class UserPreferencesService {
         return this.preferences.homeViewMode || 'trending';
     }    /**
      * Set home view mode
-     * @param {string} mode - View mode ('trending', 'hot', 'new', 'custom')
+     * @param {string} mode - View mode ('trending', 'hot', 'new', 'custom', 'feed')
      * @returns {boolean} Success status
      */
     setHomeViewMode(mode) {
@@ -226,7 +275,7 @@ class UserPreferencesService {
             mode = 'trending';
         }
         
-        if (!['trending', 'hot', 'new', 'custom'].includes(mode)) {
+        if (!['trending', 'hot', 'new', 'custom', 'feed'].includes(mode)) {
             console.error('Invalid home view mode:', mode);
             // Use a default value if invalid
             mode = 'trending';
@@ -236,6 +285,284 @@ class UserPreferencesService {
         return this.savePreferences();
     }
     
+    /**
+     * Get how content from muted users is displayed
+     * @returns {string} 'hide' or 'collapse'
+     */
+    getMutedContentMode() {
+        return this.preferences.mutedContentMode || 'hide';
+    }
+    
+    /**
+     * Set how content from muted users is displayed
+     * @param {string} mode - 'hide' removes it, 'collapse' shows a placeholder that can be expanded
+     * @returns {boolean} Success status
+     */
+    setMutedContentMode(mode) {
+        if (!['hide', 'collapse'].includes(mode)) {
+            console.error('Invalid muted content mode:', mode);
+            mode = 'hide';
+        }
+        
+        this.preferences.mutedContentMode = mode;
+        return this.savePreferences();
+    }
+    
+    /**
+     * Get how posts marked NSFW are displayed
+     * @returns {string} 'hide', 'blur' or 'show'
+     */
+    getNsfwContentMode() {
+        return this.preferences.nsfwContentMode || 'blur';
+    }
+    
+    /**
+     * Set how posts marked NSFW are displayed
+     * @param {string} mode - 'hide' leaves them out of lists, 'blur' covers images and text until clicked, 'show' displays them normally
+     * @returns {boolean} Success status
+     */
+    setNsfwContentMode(mode) {
+        if (!['hide', 'blur', 'show'].includes(mode)) {
+            console.error('Invalid NSFW content mode:', mode);
+            mode = 'blur';
+        }
+        
+        this.preferences.nsfwContentMode = mode;
+        return this.savePreferences();
+    }
+    
+    /**
+     * Get the rules for content from low reputation authors and downvoted content
+     * @returns {Object} { mode: 'collapse'|'gray'|'show', minReputation, includeDownvoted }
+     */
+    getLowQualityRules() {
+        return this.normalizeLowQualityRules(this.preferences.lowQualityContent);
+    }
+    
+    /**
+     * Set the rules for content from low reputation authors and downvoted content
+     * @param {Object} rules - Any of mode, minReputation (authors below it are affected) and includeDownvoted
+     * @returns {boolean} Success status
+     */
+    setLowQualityRules(rules) {
+        this.preferences.lowQualityContent = this.normalizeLowQualityRules({
+            ...this.getLowQualityRules(),
+            ...rules
+        });
+        return this.savePreferences();
+    }
+    
+    normalizeLowQualityRules(rules) {
+        const normalized = { ...DEFAULT_LOW_QUALITY_RULES, ...(rules && typeof rules === 'object' ? rules : {}) };
+        
+        if (!['collapse', 'gray', 'show'].includes(normalized.mode)) {
+            normalized.mode = DEFAULT_LOW_QUALITY_RULES.mode;
+        }
+        
+        const minReputation = parseFloat(normalized.minReputation);
+        normalized.minReputation = Number.isFinite(minReputation)
+            ? Math.min(Math.max(minReputation, 0), 100)
+            : DEFAULT_LOW_QUALITY_RULES.minReputation;
+        normalized.includeDownvoted = normalized.includeDownvoted !== false;
+        
+        return {
+            mode: normalized.mode,
+            minReputation: normalized.minReputation,
+            includeDownvoted: normalized.includeDownvoted
+        };
+    }
+    
+    /**
+     * Get the confirmation rules set per operation type
+     * @returns {Object} Map of operation type to 'always' or 'never'
+     */
+    getSigningRules() {
+        return { ...(this.preferences.signingRules || {}) };
+    }
+    
+    /**
+     * Get whether operations of a type are confirmed before signing
+     * @param {string} operationType - Operation name, e.g. 'transfer'
+     * @returns {string} 'always', 'never', or 'default' to decide by the key used
+     */
+    getSigningRule(operationType) {
+        return (this.preferences.signingRules || {})[operationType] || 'default';
+    }
+    
+    /**
+     * Set whether operations of a type are confirmed before signing
+     * @param {string} operationType - Operation name, e.g. 'transfer'
+     * @param {string} rule - 'always', 'never' or 'default'
+     * @returns {boolean} Success status
+     */
+    setSigningRule(operationType, rule) {
+        if (!['always', 'never', 'default'].includes(rule)) {
+            console.error('Invalid signing rule:', rule);
+            rule = 'default';
+        }
+        
+        const signingRules = { ...(this.preferences.signingRules || {}) };
+        if (rule === 'default') {
+            delete signingRules[operationType];
+        } else {
+            signingRules[operationType] = rule;
+        }
+        
+        this.preferences.signingRules = signingRules;
+        return this.savePreferences();
+    }
+    
+    /**
+     * Get the user-defined feeds, in tab order
+     * @returns {Array} Feed definitions (see normalizeCustomFeed)
+     */
+    getCustomFeeds() {
+        return Array.isArray(this.preferences.customFeeds) ? [...this.preferences.customFeeds] : [];
+    }
+    
+    /**
+     * Get a user-defined feed
+     * @param {string} id - Feed id
+     * @returns {Object|null} Feed definition
+     */
+    getCustomFeed(id) {
+        return this.getCustomFeeds().find(feed => feed.id === id) || null;
+    }
+    
+    /**
+     * Create or update a user-defined feed
+     * @param {Object} feed - Feed definition; without id a new feed is created
+     * @returns {Object} The saved feed
+     * @throws {Error} When the definition is invalid or the feed limit is reached
+     */
+    saveCustomFeed(feed) {
+        const normalized = this.normalizeCustomFeed(feed);
+        const feeds = this.getCustomFeeds();
+        const index = feeds.findIndex(existing => existing.id === normalized.id);
+        
+        if (index >= 0) {
+            feeds[index] = normalized;
+        } else {
+            if (feeds.length >= this.MAX_CUSTOM_FEEDS) {
+                throw new Error(`You can pin up to ${this.MAX_CUSTOM_FEEDS} custom feeds`);
+            }
+            feeds.push(normalized);
+        }
+        
+        this.preferences.customFeeds = feeds;
+        this.savePreferences();
+        return normalized;
+    }
+    
+    /**
+     * Delete a user-defined feed
+     * @param {string} id - Feed id
+     * @returns {boolean} Success status
+     */
+    removeCustomFeed(id) {
+        this.preferences.customFeeds = this.getCustomFeeds().filter(feed => feed.id !== id);
+        return this.savePreferences();
+    }
+    
+    /**
+     * Serialize a feed so it can be shared with other users
+     * @param {string} id - Feed id
+     * @returns {string} JSON accepted by importCustomFeed
+     */
+    exportCustomFeed(id) {
+        const feed = this.getCustomFeed(id);
+        if (!feed) {
+            throw new Error('Feed not found');
+        }
+        
+        const { id: _id, ...definition } = feed;
+        return JSON.stringify({ type: CUSTOM_FEED_EXPORT_TYPE, version: 1, feed: definition }, null, 2);
+    }
+    
+    /**
+     * Add a feed shared by someone else
+     * @param {string} json - Output of exportCustomFeed, or a bare feed definition
+     * @returns {Object} The saved feed
+     * @throws {Error} When the JSON is not a valid feed
+     */
+    importCustomFeed(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('The feed is not valid JSON');
+        }
+        
+        if (data && data.type !== undefined && data.type !== CUSTOM_FEED_EXPORT_TYPE) {
+            throw new Error('This JSON is not a custom feed');
+        }
+        
+        // Imported feeds always get a new id; a name already in use gets a suffix
+        const definition = { ...(data && data.feed ? data.feed : data), id: null };
+        const names = this.getCustomFeeds().map(feed => feed.name);
+        const baseName = String(definition.name || '').trim();
+        let name = baseName;
+        for (let copy = 2; names.includes(name); copy++) {
+            name = `${baseName} (${copy})`;
+        }
+        
+        return this.saveCustomFeed({ ...definition, name });
+    }
+    
+    /**
+     * Validate a feed definition and fill in defaults
+     * @param {Object} feed - { id, name, includeTags, excludeTags, communities, authors,
+     *   minReputation, minPendingPayout, minAgeHours, maxAgeHours }
+     *   Numeric limits are null when not set
+     * @returns {Object} Normalized feed
+     * @private
+     */
+    normalizeCustomFeed(feed) {
+        if (!feed || typeof feed !== 'object') {
+            throw new Error('Invalid feed definition');
+        }
+        
+        const name = String(feed.name || '').trim();
+        if (!name) {
+            throw new Error('Give the feed a name');
+        }
+        
+        const list = (value, clean) => (Array.isArray(value) ? value : [])
+            .map(item => clean(String(item).toLowerCase().trim()))
+            .filter((item, index, self) => item.length > 0 && self.indexOf(item) === index);
+        const limit = (value) => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) && number >= 0 ? number : null;
+        };
+        
+        const normalized = {
+            id: feed.id || `feed-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`,
+            name: name.substring(0, 40),
+            includeTags: list(feed.includeTags, tag => tag.replace(/^#/, '')),
+            excludeTags: list(feed.excludeTags, tag => tag.replace(/^#/, '')),
+            communities: list(feed.communities, community => community.replace(/^hive-/, '')),
+            authors: list(feed.authors, author => author.replace(/^@/, '')),
+            minReputation: limit(feed.minReputation),
+            minPendingPayout: limit(feed.minPendingPayout),
+            minAgeHours: limit(feed.minAgeHours),
+            maxAgeHours: limit(feed.maxAgeHours)
+        };
+        
+        // Community posts are tagged with the numeric id; any other name would match nothing
+        const invalidCommunity = normalized.communities.find(community => !/^\d+$/.test(community));
+        if (invalidCommunity) {
+            throw new Error(`"${invalidCommunity}" is not a community id, such as hive-123456`);
+        }
+        normalized.communities = normalized.communities.map(community => `hive-${community}`);
+        
+        if (normalized.minAgeHours !== null && normalized.maxAgeHours !== null &&
+            normalized.minAgeHours > normalized.maxAgeHours) {
+            throw new Error('The minimum post age is greater than the maximum');
+        }
+        
+        return normalized;
+    }
+    
     /**
      * Check if custom home is configured
      * @returns {boolean} True if custom home is configured with tags
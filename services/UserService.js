@@ -1,3 +1,5 @@
+import steemReadService from './SteemReadService.js';
+
 class UserService {
     constructor() {
         // Nessun parametro apiClient - useremo direttamente l'API di Steem
@@ -41,25 +43,14 @@ class UserService {
                 return [];
             }
             
-            // Assicurati che la libreria steem sia caricata
-            await this.ensureSteemLibraryLoaded();
-            
-            return new Promise((resolve, reject) => {
-                window.steem.api.lookupAccounts(query, limit, (err, result) => {
-                    if (err) {
-                        console.error('Error searching for users:', err);
-                        reject(err);
-                    } else {
-                        // Trasforma i risultati in oggetti con struttura coerente
-                        const formattedResults = result.map(username => ({
-                            name: username,
-                            username: username, // Duplicato per compatibilità
-                            id: username
-                        }));
-                        resolve(formattedResults);
-                    }
-                });
-            });
+            const result = await steemReadService.condenser('lookup_accounts', [query, limit]);
+
+            // Trasforma i risultati in oggetti con struttura coerente
+            return (result || []).map(username => ({
+                name: username,
+                username: username, // Duplicato per compatibilità
+                id: username
+            }));
         } catch (error) {
             console.error('Error in searchUsers:', error);
             throw error;
@@ -76,37 +67,26 @@ class UserService {
             // Assicurati che la libreria steem sia caricata
             await this.ensureSteemLibraryLoaded();
             
-            return new Promise((resolve, reject) => {
-                window.steem.api.getAccounts([username], (err, result) => {
-                    if (err) {
-                        console.error('Error fetching user profile:', err);
-                        reject(err);
-                    } else if (result && result.length > 0) {
-                        // Parse JSON metadata if available
-                        try {
-                            const account = result[0];
-                            if (account.json_metadata) {
-                                try {
-                                    const metadata = JSON.parse(account.json_metadata);
-                                    account.metadata = metadata;
-                                    account.profile = metadata.profile || {};
-                                    account.about = account.profile.about || '';
-                                } catch (e) {
-                                    console.warn('Failed to parse account metadata', e);
-                                    account.metadata = {};
-                                    account.profile = {};
-                                }
-                            }
-                            resolve(account);
-                        } catch (parseError) {
-                            console.error('Error parsing profile data:', parseError);
-                            reject(parseError);
-                        }
-                    } else {
-                        reject(new Error('User not found'));
-                    }
-                });
-            });
+            const result = await steemReadService.getAccounts([username]);
+            if (!result || result.length === 0) {
+                throw new Error('User not found');
+            }
+
+            // Parse JSON metadata if available
+            const account = { ...result[0] };
+            if (account.json_metadata) {
+                try {
+                    const metadata = JSON.parse(account.json_metadata);
+                    account.metadata = metadata;
+                    account.profile = metadata.profile || {};
+                    account.about = account.profile.about || '';
+                } catch (e) {
+                    console.warn('Failed to parse account metadata', e);
+                    account.metadata = {};
+                    account.profile = {};
+                }
+            }
+            return account;
         } catch (error) {
             console.error('Error in getUserProfile:', error);
             throw error;
@@ -2,6 +2,11 @@ import eventEmitter from '../utils/EventEmitter.js';
 import steemService from './SteemService.js';
 import authService from './AuthService.js';
 import router from '../utils/Router.js'; // Add router import
+import steemReadService from './SteemReadService.js';
+import walletService from './WalletService.js';
+import signingService from './SigningService.js';
+import steemLoginService from './SteemLoginService.js';
+import mobileSigningService from './MobileSigningService.js';
 
 /**
  * Service for handling social interactions like votes and comments
@@ -10,20 +15,26 @@ class VoteService {
   constructor() {
     this.votingInProgress = new Set(); // Track ongoing votes to prevent duplicates
     
-    // Listen for auth changes
-    eventEmitter.on('auth:changed', ({ user }) => {
-      // Clear cache when user changes
+    // Vote indicators are computed for the logged in voter: drop them with the account
+    eventEmitter.on('auth:account-switched', () => {
       this.voteCache = new Map();
+      this.votingInProgress.clear();
     });
     
     this.voteCache = new Map(); // Cache user votes for performance
+    
+    // Votes signed in Keychain Mobile or on SteemLogin complete when the user comes back
+    mobileSigningService.registerResumeHandler('vote', ({ author, permlink, voter, weight }) => {
+      this._cacheVote(author, permlink, voter, weight);
+      eventEmitter.emit('social:vote-completed', { success: true, author, permlink, voter, weight });
+    });
   }
   
   /**
    * Determine se siamo su un dispositivo mobile
    */
   isMobileDevice() {
-    return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    return mobileSigningService.isMobileDevice();
   }
   
   /**
@@ -44,6 +55,11 @@ class VoteService {
     const { author, permlink, weight = 10000 } = options;
     const voter = currentUser.username;
     
+    // Negative weights are downvotes, 0 removes an existing vote
+    if (!Number.isInteger(weight) || weight < -10000 || weight > 10000) {
+      throw new Error('Vote weight must be a whole number between -10000 and 10000');
+    }
+    
     // Generate unique vote identifier to prevent duplicates
     const voteId = `${voter}_${author}_${permlink}`;
     
@@ -60,21 +76,23 @@ class VoteService {
       
       // Determine login method and platform
       const loginMethod = currentUser.loginMethod || 'privateKey';
-      const isMobile = this.isMobileDevice();
       
       let result;
       
-      // Su mobile, se l'utente ha usato keychain ma non è disponibile, possiamo notificarlo
-      if (loginMethod === 'keychain' && isMobile && !window.steem_keychain) {
-        throw new Error('Steem Keychain not available on this mobile browser. Please use a desktop browser or log in with your posting key.');
-      }
-      
-      if (loginMethod === 'keychain' && window.steem_keychain) {
+      // Su mobile senza estensione, se l'utente usa keychain o non ha la posting key sul dispositivo, firma in Keychain Mobile o su SteemLogin
+      if (mobileSigningService.shouldHandOff(currentUser)) {
+        result = await mobileSigningService.broadcast([['vote', { voter, author, permlink, weight }]], {
+          action: 'vote',
+          data: { author, permlink, voter, weight }
+        });
+      } else if (loginMethod === 'keychain' && window.steem_keychain) {
         result = await this._voteWithKeychain(voter, author, permlink, weight);
       } else if (loginMethod === 'steemlogin') {
+        await signingService.confirm([['vote', { voter, author, permlink, weight }]]);
         result = await this._voteWithSteemLogin(voter, author, permlink, weight);
       } else {
-        const postingKey = authService.getPostingKey();
+        await signingService.confirm([['vote', { voter, author, permlink, weight }]]);
+        const postingKey = await authService.getPostingKey();
         if (!postingKey) {
           // Create an auth error with flag directly at the source
           const authError = new Error('Posting key not available. Please login again.');
@@ -196,37 +214,15 @@ class VoteService {
    * @private
    */
   async _voteWithSteemLogin(voter, author, permlink, weight) {
-    const token = authService.getSteemLoginToken();
-    if (!token) {
-        throw new Error('SteemLogin token not available');
-    }
-    
     try {
-        // Chiamata all'API SteemLogin per votare
-        const response = await fetch('https://api.steemlogin.com/api/broadcast', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({
-                operations: [
-                    ['vote', {
-                        voter,
-                        author,
-                        permlink,
-                        weight
-                    }]
-                ]
-            })
-        });
-        
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error || 'Failed to vote through SteemLogin');
-        }
-        
-        return await response.json();
+        return await steemLoginService.broadcast(voter, [
+            ['vote', {
+                voter,
+                author,
+                permlink,
+                weight
+            }]
+        ]);
     } catch (error) {
         console.error('SteemLogin vote error:', error);
         throw error;
@@ -299,16 +295,9 @@ class VoteService {
    * Get active votes on a post
    * @private
    */
-  _getActiveVotes(author, permlink) {
-    return new Promise((resolve, reject) => {
-      window.steem.api.getActiveVotes(author, permlink, (err, votes) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(votes || []);
-        }
-      });
-    });
+  async _getActiveVotes(author, permlink) {
+    const votes = await steemReadService.getActiveVotes(author, permlink);
+    return votes || [];
   }
   
   /**
@@ -391,6 +380,25 @@ class VoteService {
     }
   }
   
+  /**
+   * Get the current downvote mana of a user
+   * @param {string} username - Steem username, defaults to the current user
+   * @returns {Promise<number>} - Downvote mana as percentage (0-100)
+   */
+  async getDownvoteMana(username = null) {
+    const user = username || authService.getCurrentUser()?.username;
+    if (!user) throw new Error('Username required');
+    
+    const [account, props] = await Promise.all([
+      steemReadService.getAccount(user),
+      this._getDynamicGlobalProperties()
+    ]);
+    
+    if (!account) throw new Error('Account not found');
+    
+    return walletService.calculateDownvoteMana(account, props?.downvote_pool_percent);
+  }
+  
   /**
    * Checks if an error is authentication related
    * @private
@@ -426,15 +434,7 @@ class VoteService {
    * @private
    */
   _getDynamicGlobalProperties() {
-    return new Promise((resolve, reject) => {
-      window.steem.api.getDynamicGlobalProperties((err, result) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(result);
-        }
-      });
-    });
+    return steemReadService.getDynamicGlobalProperties();
   }
   
   /**
@@ -442,15 +442,7 @@ class VoteService {
    * @private
    */
   _getRewardFund() {
-    return new Promise((resolve, reject) => {
-      window.steem.api.getRewardFund('post', (err, result) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(result);
-        }
-      });
-    });
+    return steemReadService.getRewardFund('post');
   }
   
   /**
@@ -464,11 +456,17 @@ class VoteService {
     // Remove existing vote by this voter if any
     votes = votes.filter(v => v.voter !== voter);
     
+    // A zero weight removes the vote, nothing to add
+    if (weight === 0) {
+      this.voteCache.set(cacheKey, votes);
+      return;
+    }
+    
     // Add the new vote
     votes.push({
       voter,
       weight,
-      percent: weight / 100,
+      percent: weight, // Basis points, like active_votes
       time: new Date().toISOString(),
       rshares: 0 // We don't know actual rshares yet
     });
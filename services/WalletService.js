@@ -1,6 +1,12 @@
 import eventEmitter from '../utils/EventEmitter.js';
 import steemService from './SteemService.js';
 import authService from './AuthService.js';
+import steemReadService from './SteemReadService.js';
+import memoService from './MemoService.js';
+import signingService from './SigningService.js';
+import mobileSigningService from './MobileSigningService.js';
+import activeKeyInput from '../components/auth/ActiveKeyInputComponent.js';
+import offlineSigning from '../components/auth/OfflineSigningComponent.js';
 //router
 import router from '../utils/Router.js';
 
@@ -26,6 +32,11 @@ class WalletService {
     if (user) {
       this.currentUser = user.username;
     }
+
+    // Operations signed in Keychain Mobile come back on a reloaded page: refresh the wallet data
+    mobileSigningService.registerResumeHandler('wallet', () => {
+      this.updateBalances(3000);
+    });
   }
 
   /**
@@ -33,20 +44,11 @@ class WalletService {
    */
   async vestsToSteem(vests) {
     try {
-      const steem = await steemService.ensureLibraryLoaded();
-      return new Promise((resolve, reject) => {
-        steem.api.getDynamicGlobalProperties(function (err, result) {
-          if (err) {
-            reject(err);
-            return;
-          }
-          const totalVests = parseFloat(result.total_vesting_shares.split(' ')[0]);
-          const totalSteem = parseFloat(result.total_vesting_fund_steem.split(' ')[0]);
-          const steemPerVest = totalSteem / totalVests;
-          const steemPower = parseFloat(vests) * steemPerVest;
-          resolve(steemPower);
-        });
-      });
+      const result = await steemReadService.getDynamicGlobalProperties();
+      const totalVests = parseFloat(result.total_vesting_shares.split(' ')[0]);
+      const totalSteem = parseFloat(result.total_vesting_fund_steem.split(' ')[0]);
+      const steemPerVest = totalSteem / totalVests;
+      return parseFloat(vests) * steemPerVest;
     } catch (error) {
       console.error('Error converting vests:', error);
       throw error;
@@ -58,20 +60,12 @@ class WalletService {
    */
   async steemToVests(steemPower) {
     try {
-      const steem = await steemService.ensureLibraryLoaded();
-      return new Promise((resolve, reject) => {
-        steem.api.getDynamicGlobalProperties(function (err, result) {
-          if (err) {
-            reject(err);
-            return;
-          }
-          const totalVests = parseFloat(result.total_vesting_shares.split(' ')[0]);
-          const totalSteem = parseFloat(result.total_vesting_fund_steem.split(' ')[0]);
-          const vestsPerSteem = totalVests / totalSteem;
-          const vests = parseFloat(steemPower) * vestsPerSteem;
-          resolve(vests.toFixed(6));
-        });
-      });
+      const result = await steemReadService.getDynamicGlobalProperties();
+      const totalVests = parseFloat(result.total_vesting_shares.split(' ')[0]);
+      const totalSteem = parseFloat(result.total_vesting_fund_steem.split(' ')[0]);
+      const vestsPerSteem = totalVests / totalSteem;
+      const vests = parseFloat(steemPower) * vestsPerSteem;
+      return vests.toFixed(6);
     } catch (error) {
       console.error('Error converting steem power to vests:', error);
       throw error;
@@ -117,6 +111,10 @@ class WalletService {
           steem: steemBalance,
           sbd: sbdBalance,
           steemPower: steemPower.toFixed(3),
+          savings: {
+            steem: parseFloat(account.savings_balance).toFixed(3),
+            sbd: parseFloat(account.savings_sbd_balance).toFixed(3)
+          },
           // Add detailed delegation information
           steemPowerDetails: {
             total: steemPower.toFixed(3),
@@ -147,12 +145,7 @@ class WalletService {
       const username = authService.getCurrentUser()?.username;
       if (!username) return [];
 
-      const delegations = await new Promise((resolve, reject) => {
-        window.steem.api.getVestingDelegations(username, null, 100, (err, result) => {
-          if (err) reject(err);
-          else resolve(result);
-        });
-      });
+      const delegations = await steemReadService.condenser('get_vesting_delegations', [username, '', 100]);
 
       // Convert vests to SP for each delegation
       return Promise.all(delegations.map(async (delegation) => {
@@ -172,14 +165,23 @@ class WalletService {
    * Transfer STEEM to another account
    * @param {string} recipient - Recipient username
    * @param {string|number} amount - Amount to transfer
-   * @param {string} memo - Optional memo
+   * @param {string} memo - Optional memo, encrypted for the recipient when it starts with '#'
+   * @param {Object} options - { unsigned: sign the transaction on an offline device }
    * @returns {Promise<Object>} Response object with success status
    */
-  async transferSteem(recipient, amount, memo = '') {
+  async transferSteem(recipient, amount, memo = '', options = {}) {
+    return this._transfer(recipient, amount, memo, 'STEEM', options);
+  }
+
+  /**
+   * Send a transfer, encrypting '#' memos for the recipient
+   * @private
+   */
+  async _transfer(recipient, amount, memo, currency, options = {}) {
     if (!this.currentUser) throw new Error('Not logged in');
 
     try {
-      const formattedAmount = `${parseFloat(amount).toFixed(3)} STEEM`;
+      const formattedAmount = `${parseFloat(amount).toFixed(3)} ${currency}`;
 
       // Create the transfer operation
       const transferOp = [
@@ -188,7 +190,7 @@ class WalletService {
           from: this.currentUser,
           to: recipient,
           amount: formattedAmount,
-          memo: memo
+          memo: await this._prepareMemo(recipient, memo, options)
         }
       ];
 
@@ -200,7 +202,7 @@ class WalletService {
             recipient,
             parseFloat(amount).toFixed(3),
             memo,
-            'STEEM',
+            currency,
             function (response) {
               if (response.success) {
                 resolve(response);
@@ -212,13 +214,31 @@ class WalletService {
         });
       };
 
-      return this._broadcastOperation([transferOp], 'active', keychainMethod);
+      return this._broadcastOperation([transferOp], 'active', keychainMethod, options);
     } catch (error) {
-      console.error('Error transferring STEEM:', error);
+      console.error(`Error transferring ${currency}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Memo to put in the operation signed by the app.
+   * Keychain encrypts '#' memos itself, so they are only encoded here when Keychain will not sign.
+   * @private
+   */
+  async _prepareMemo(recipient, memo, options = {}) {
+    if (!memoService.shouldEncrypt(memo)) {
+      return memo;
+    }
+
+    const user = authService.getCurrentUser();
+    if (!options.unsigned && user && user.loginMethod === 'keychain' && window.steem_keychain) {
+      return memo;
+    }
+
+    return memoService.encode(recipient, memo);
+  }
+
   /**
    * Power up STEEM to STEEM POWER
    */
@@ -265,9 +285,10 @@ class WalletService {
    * Delegate STEEM POWER to another account
    * @param {string} delegatee - Username to delegate to
    * @param {string|number} amount - Amount of SP to delegate
+   * @param {Object} options - { unsigned: sign the transaction on an offline device }
    * @returns {Promise<Object>} Response object with success status
    */
-  async delegateSteemPower(delegatee, amount) {
+  async delegateSteemPower(delegatee, amount, options = {}) {
     if (!this.currentUser) throw new Error('Not logged in');
 
     try {
@@ -303,7 +324,7 @@ class WalletService {
         });
       };
 
-      return this._broadcastOperation([delegateOp], 'active', keychainMethod);
+      return this._broadcastOperation([delegateOp], 'active', keychainMethod, options);
     } catch (error) {
       console.error('Error delegating STEEM POWER:', error);
       throw error;
@@ -317,16 +338,7 @@ class WalletService {
     if (!this.currentUser) return [];
 
     try {
-      const steem = await steemService.ensureLibraryLoaded();
-
-      const result = await new Promise((resolve, reject) => {
-        steem.api.getAccountHistory(this.currentUser, -1, limit, (err, result) => {
-          if (err) reject(err);
-          else resolve(result);
-        });
-      });
-
-      return result;
+      return await steemReadService.condenser('get_account_history', [this.currentUser, -1, limit]);
     } catch (error) {
       console.error('Error fetching transaction history:', error);
       return [];
@@ -343,14 +355,7 @@ class WalletService {
     if (!username) return [];
 
     try {
-      const steem = await steemService.ensureLibraryLoaded();
-
-      return new Promise((resolve, reject) => {
-        steem.api.getAccountHistory(username, -1, limit, (err, result) => {
-          if (err) reject(err);
-          else resolve(result);
-        });
-      });
+      return await steemReadService.condenser('get_account_history', [username, -1, limit]);
     } catch (error) {
       console.error(`Error fetching transaction history for ${username}:`, error);
       return [];
@@ -360,9 +365,10 @@ class WalletService {
   /**
    * Power down STEEM POWER
    * @param {string|number} amount - Amount to power down
+   * @param {Object} options - { unsigned: sign the transaction on an offline device }
    * @returns {Promise<Object>} Response object with success status
    */
-  async powerDown(amount) {
+  async powerDown(amount, options = {}) {
     if (!this.currentUser) throw new Error('Not logged in');
 
     try {
@@ -396,7 +402,7 @@ class WalletService {
         });
       };
 
-      return this._broadcastOperation([powerDownOp], 'active', keychainMethod);
+      return this._broadcastOperation([powerDownOp], 'active', keychainMethod, options);
     } catch (error) {
       console.error('Error powering down STEEM:', error);
       throw error;
@@ -456,34 +462,368 @@ class WalletService {
   }
 
   /**
-   * Transfer SBD to another account
+   * Move STEEM or SBD from the liquid balance into savings
+   * @param {string|number} amount - Amount to deposit
+   * @param {string} currency - 'STEEM' or 'SBD'
+   * @param {string} memo - Optional memo
+   * @returns {Promise<Object>} Response object with success status
    */
-  async transferSBD(recipient, amount, memo = '') {
+  async transferToSavings(amount, currency, memo = '') {
     if (!this.currentUser) throw new Error('Not logged in');
 
     try {
-      return new Promise((resolve, reject) => {
-        window.steem_keychain.requestTransfer(
-          this.currentUser,
-          recipient,
-          parseFloat(amount).toFixed(3),
-          memo,
-          'SBD',
-          function (response) {
-            if (response.success) {
-              resolve(response);
-            } else {
-              reject(new Error(response.message || 'Transfer failed'));
-            }
-          }
-        );
-      });
+      const savingsOp = [
+        'transfer_to_savings',
+        {
+          from: this.currentUser,
+          to: this.currentUser,
+          amount: `${parseFloat(amount).toFixed(3)} ${currency}`,
+          memo: memo
+        }
+      ];
+
+      return this._broadcastOperation([savingsOp], 'active');
+    } catch (error) {
+      console.error('Error depositing to savings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a withdrawal from savings. Funds are released after 3 days.
+   * @param {string|number} amount - Amount to withdraw
+   * @param {string} currency - 'STEEM' or 'SBD'
+   * @param {string} memo - Optional memo
+   * @returns {Promise<Object>} Response object with success status
+   */
+  async transferFromSavings(amount, currency, memo = '') {
+    if (!this.currentUser) throw new Error('Not logged in');
+
+    try {
+      const savingsOp = [
+        'transfer_from_savings',
+        {
+          from: this.currentUser,
+          // request_id is a uint32 that must be unique among the account's pending withdrawals
+          request_id: Date.now() % 4294967296,
+          to: this.currentUser,
+          amount: `${parseFloat(amount).toFixed(3)} ${currency}`,
+          memo: memo
+        }
+      ];
+
+      return this._broadcastOperation([savingsOp], 'active');
+    } catch (error) {
+      console.error('Error withdrawing from savings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending savings withdrawal
+   * @param {number} requestId - request_id of the pending withdrawal
+   * @returns {Promise<Object>} Response object with success status
+   */
+  async cancelTransferFromSavings(requestId) {
+    if (!this.currentUser) throw new Error('Not logged in');
+
+    try {
+      const cancelOp = [
+        'cancel_transfer_from_savings',
+        {
+          from: this.currentUser,
+          request_id: parseInt(requestId, 10)
+        }
+      ];
+
+      return this._broadcastOperation([cancelOp], 'active');
+    } catch (error) {
+      console.error('Error canceling savings withdrawal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get savings balances, SBD interest accrual and pending withdrawals
+   * @returns {Promise<Object|null>} Savings details, null when not logged in
+   */
+  async getSavingsInfo() {
+    if (!this.currentUser) return null;
+
+    try {
+      const [account, props, withdrawals] = await Promise.all([
+        steemReadService.getAccount(this.currentUser),
+        steemReadService.getDynamicGlobalProperties(),
+        steemReadService.condenser('get_savings_withdraw_from', [this.currentUser])
+      ]);
+
+      if (!account) return null;
+
+      const sbdSavings = parseFloat(account.savings_sbd_balance);
+      const interestRate = (props.sbd_interest_rate || 0) / 100;
+
+      // The chain accrues SBD-seconds (in 0.001 SBD units) and pays interest on them
+      // with the next savings operation once 30 days have passed since the last payment
+      const lastUpdate = new Date(account.savings_sbd_seconds_last_update + 'Z').getTime();
+      const elapsedSeconds = Math.max(0, (Date.now() - lastUpdate) / 1000);
+      const sbdSeconds = parseFloat(account.savings_sbd_seconds || 0) + sbdSavings * 1000 * elapsedSeconds;
+      const accruedInterest = sbdSeconds / (60 * 60 * 24 * 365) * (props.sbd_interest_rate || 0) / 10000 / 1000;
+
+      const lastPayment = new Date(account.savings_sbd_last_interest_payment + 'Z');
+      const hasPayment = lastPayment.getTime() > 0;
+      const nextPayment = hasPayment ? new Date(lastPayment.getTime() + 30 * 24 * 60 * 60 * 1000) : null;
+
+      return {
+        steem: parseFloat(account.savings_balance).toFixed(3),
+        sbd: sbdSavings.toFixed(3),
+        liquid: {
+          steem: parseFloat(account.balance).toFixed(3),
+          sbd: parseFloat(account.sbd_balance).toFixed(3)
+        },
+        interestRate,
+        accruedInterest: accruedInterest.toFixed(3),
+        lastInterestPayment: hasPayment ? lastPayment : null,
+        nextInterestPayment: nextPayment,
+        withdrawals: (withdrawals || [])
+          .map(withdrawal => ({
+            requestId: withdrawal.request_id,
+            amount: withdrawal.amount,
+            to: withdrawal.to,
+            memo: withdrawal.memo,
+            complete: new Date(withdrawal.complete + 'Z')
+          }))
+          .sort((a, b) => a.complete - b.complete)
+      };
+    } catch (error) {
+      console.error('Error getting savings info:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse an asset returned by the API, either a legacy string ('1.000 STEEM') or a NAI object
+   * @param {string|Object} asset - Asset to parse
+   * @returns {{amount: number, symbol: string}} Parsed asset
+   */
+  parseAsset(asset) {
+    if (typeof asset === 'string') {
+      const [amount, symbol] = asset.split(' ');
+      return { amount: parseFloat(amount), symbol };
+    }
+
+    const symbols = { '@@000000021': 'STEEM', '@@000000013': 'SBD', '@@000000037': 'VESTS' };
+    return {
+      amount: parseInt(asset.amount, 10) / Math.pow(10, asset.precision),
+      symbol: symbols[asset.nai] || asset.nai
+    };
+  }
+
+  /**
+   * Get the internal market ticker
+   * @returns {Promise<Object>} Latest price, best bid/ask and 24h volume
+   */
+  async getMarketTicker() {
+    const ticker = await steemReadService.call('market_history_api.get_ticker', {});
+    return {
+      latest: parseFloat(ticker.latest),
+      lowestAsk: parseFloat(ticker.lowest_ask),
+      highestBid: parseFloat(ticker.highest_bid),
+      percentChange: parseFloat(ticker.percent_change),
+      steemVolume: this.parseAsset(ticker.steem_volume).amount,
+      sbdVolume: this.parseAsset(ticker.sbd_volume).amount
+    };
+  }
+
+  /**
+   * Get the internal market order book
+   * @param {number} limit - Orders per side
+   * @returns {Promise<Object>} Bids (buying STEEM) and asks (selling STEEM), best price first
+   */
+  async getOrderBook(limit = 20) {
+    const book = await steemReadService.call('market_history_api.get_order_book', { limit });
+
+    // steem and sbd are integer amounts in 0.001 units
+    const mapOrder = order => {
+      const steem = order.steem / 1000;
+      const sbd = order.sbd / 1000;
+      return { price: sbd / steem, steem, sbd };
+    };
+
+    return {
+      bids: (book.bids || []).map(mapOrder),
+      asks: (book.asks || []).map(mapOrder)
+    };
+  }
+
+  /**
+   * Get the latest fills on the internal market
+   * @param {number} limit - Number of trades
+   * @returns {Promise<Array>} Trades, newest first
+   */
+  async getRecentTrades(limit = 25) {
+    const result = await steemReadService.call('market_history_api.get_recent_trades', { limit });
+
+    return (result.trades || []).map(trade => {
+      const currentPays = this.parseAsset(trade.current_pays);
+      const openPays = this.parseAsset(trade.open_pays);
+      const steem = currentPays.symbol === 'STEEM' ? currentPays.amount : openPays.amount;
+      const sbd = currentPays.symbol === 'SBD' ? currentPays.amount : openPays.amount;
+
+      return {
+        date: new Date(trade.date + 'Z'),
+        // The taker paying SBD means STEEM was bought
+        type: currentPays.symbol === 'SBD' ? 'buy' : 'sell',
+        price: sbd / steem,
+        steem,
+        sbd
+      };
+    });
+  }
+
+  /**
+   * Get the open limit orders of the current user
+   * @returns {Promise<Array>} Open orders
+   */
+  async getOpenOrders() {
+    if (!this.currentUser) return [];
+
+    const orders = await steemReadService.condenser('get_open_orders', [this.currentUser]);
+
+    return (orders || []).map(order => {
+      const base = this.parseAsset(order.sell_price.base);
+      const quote = this.parseAsset(order.sell_price.quote);
+      const isSellingSteem = base.symbol === 'STEEM';
+      const price = isSellingSteem ? quote.amount / base.amount : base.amount / quote.amount;
+      const remaining = order.for_sale / 1000;
+
+      return {
+        orderId: order.orderid,
+        type: isSellingSteem ? 'sell' : 'buy',
+        price,
+        steem: isSellingSteem ? remaining : remaining / price,
+        sbd: isSellingSteem ? remaining * price : remaining,
+        created: new Date(order.created + 'Z'),
+        expiration: new Date(order.expiration + 'Z')
+      };
+    });
+  }
+
+  /**
+   * Place a limit order on the internal market
+   * @param {string} type - 'buy' to buy STEEM with SBD, 'sell' to sell STEEM for SBD
+   * @param {string|number} amount - Amount of STEEM
+   * @param {string|number} price - Price in SBD per STEEM
+   * @returns {Promise<Object>} Response object with success status
+   */
+  async placeLimitOrder(type, amount, price) {
+    if (!this.currentUser) throw new Error('Not logged in');
+
+    try {
+      const steem = `${parseFloat(amount).toFixed(3)} STEEM`;
+      const sbd = `${(parseFloat(amount) * parseFloat(price)).toFixed(3)} SBD`;
+
+      // Orders stay on the book for up to 28 days
+      const expiration = new Date(Date.now() + 28 * 24 * 60 * 60 * 1000).toISOString().split('.')[0];
+
+      const orderOp = [
+        'limit_order_create',
+        {
+          owner: this.currentUser,
+          // orderid is a uint32 that must be unique among the account's open orders
+          orderid: Date.now() % 4294967296,
+          amount_to_sell: type === 'buy' ? sbd : steem,
+          min_to_receive: type === 'buy' ? steem : sbd,
+          fill_or_kill: false,
+          expiration
+        }
+      ];
+
+      return this._broadcastOperation([orderOp], 'active');
     } catch (error) {
-      console.error('Error transferring SBD:', error);
+      console.error('Error placing limit order:', error);
       throw error;
     }
   }
 
+  /**
+   * Cancel an open limit order
+   * @param {number} orderId - orderid of the order
+   * @returns {Promise<Object>} Response object with success status
+   */
+  async cancelLimitOrder(orderId) {
+    if (!this.currentUser) throw new Error('Not logged in');
+
+    try {
+      const cancelOp = [
+        'limit_order_cancel',
+        {
+          owner: this.currentUser,
+          orderid: parseInt(orderId, 10)
+        }
+      ];
+
+      return this._broadcastOperation([cancelOp], 'active');
+    } catch (error) {
+      console.error('Error canceling limit order:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert SBD to STEEM at the median price of the next 3.5 days
+   * @param {string|number} amount - Amount of SBD to convert
+   * @returns {Promise<Object>} Response object with success status
+   */
+  async convertSbd(amount) {
+    if (!this.currentUser) throw new Error('Not logged in');
+
+    try {
+      const convertOp = [
+        'convert',
+        {
+          owner: this.currentUser,
+          requestid: Date.now() % 4294967296,
+          amount: `${parseFloat(amount).toFixed(3)} SBD`
+        }
+      ];
+
+      return this._broadcastOperation([convertOp], 'active');
+    } catch (error) {
+      console.error('Error converting SBD:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the pending SBD to STEEM conversions of the current user
+   * @returns {Promise<Array>} Conversions, soonest first
+   */
+  async getConversionRequests() {
+    if (!this.currentUser) return [];
+
+    const requests = await steemReadService.condenser('get_conversion_requests', [this.currentUser]);
+
+    return (requests || [])
+      .map(request => ({
+        requestId: request.requestid,
+        amount: request.amount,
+        conversionDate: new Date(request.conversion_date + 'Z')
+      }))
+      .sort((a, b) => a.conversionDate - b.conversionDate);
+  }
+
+  /**
+   * Transfer SBD to another account
+   * @param {string} recipient - Recipient username
+   * @param {string|number} amount - Amount to transfer
+   * @param {string} memo - Optional memo, encrypted for the recipient when it starts with '#'
+   * @param {Object} options - { unsigned: sign the transaction on an offline device }
+   * @returns {Promise<Object>} Response object with success status
+   */
+  async transferSBD(recipient, amount, memo = '', options = {}) {
+    return this._transfer(recipient, amount, memo, 'SBD', options);
+  }
+
   /**
    * Claim rewards (STEEM, STEEM POWER, SBD)
    * @returns {Promise<Object>} Response object with success status and rewards claimed
@@ -914,16 +1254,9 @@ class WalletService {
    */
   async _getAccountHistory(username, from = -1, limit = 1000) {
     try {
-      const steem = await steemService.ensureLibraryLoaded();
-
-      return new Promise((resolve, reject) => {
-        steem.api.getAccountHistory(username, from, limit, (err, result) => {
-          if (err) reject(err);
-          else resolve(result);
-        });
-      });
+      return await steemReadService.condenser('get_account_history', [username, from, limit]);
     } catch (error) {
-      console.error('Error loading Steem library:', error);
+      console.error(`Error fetching account history for ${username}:`, error);
       throw error;
     }
   }
@@ -934,20 +1267,12 @@ class WalletService {
    */
   async _getPostDetails(author, permlink) {
     try {
-      const steem = await steemService.ensureLibraryLoaded();
-
-      return new Promise((resolve, reject) => {
-        steem.api.getContent(author, permlink, (err, post) => {
-          if (err) reject(err);
-          else {
-            // Get voters on this post
-            steem.api.getActiveVotes(author, permlink, (voteErr, votes) => {
-              if (voteErr) reject(voteErr);
-              else resolve({ post, votes });
-            });
-          }
-        });
-      });
+      const [post, votes] = await Promise.all([
+        steemReadService.getContent(author, permlink),
+        // Get voters on this post
+        steemReadService.getActiveVotes(author, permlink)
+      ]);
+      return { post, votes };
     } catch (error) {
       console.error('Error loading Steem library:', error);
       throw error;
@@ -963,15 +1288,8 @@ class WalletService {
   */
   async calculateVoteValue(votePercent, effectiveVests = null, votingPower = 10000) {
     try {
-      const steem = await steemService.ensureLibraryLoaded();
-
       // Step 1: Get dynamic global properties
-      const props = await new Promise((resolve, reject) => {
-        steem.api.getDynamicGlobalProperties((error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        });
-      });
+      const props = await steemReadService.getDynamicGlobalProperties();
 
       // Step 2: Calculate SP/VESTS ratio
       const totalVestingFundSteem = parseFloat(props.total_vesting_fund_steem.split(' ')[0]);
@@ -1001,12 +1319,7 @@ class WalletService {
       const p = (votingPower * weight / 10000 + 49) / 50;
 
       // Step 7: Get reward fund
-      const rewardFund = await new Promise((resolve, reject) => {
-        steem.api.getRewardFund('post', (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        });
-      });
+      const rewardFund = await steemReadService.getRewardFund('post');
 
       // Step 8: Calculate rbPrc
       const recentClaims = parseFloat(rewardFund.recent_claims);
@@ -1014,12 +1327,7 @@ class WalletService {
       const rbPrc = rewardBalance / recentClaims;
 
       // Step 9: Get median price from Steem API
-      const priceInfo = await new Promise((resolve, reject) => {
-        steem.api.getCurrentMedianHistoryPrice((error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        });
-      });
+      const priceInfo = await steemReadService.getCurrentMedianHistoryPrice();
 
       const baseAmount = parseFloat(priceInfo.base.split(' ')[0]);
       const quoteAmount = parseFloat(priceInfo.quote.split(' ')[0]);
@@ -1071,26 +1379,13 @@ class WalletService {
       if (!user) throw new Error('No username provided');
 
       // Fetch RC data using Steem API
-      const response = await fetch('https://api.steemit.com', {
-        method: 'POST',
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          method: 'rc_api.find_rc_accounts',
-          params: { accounts: [user] },
-          id: 1
-        }),
-        headers: { 'Content-Type': 'application/json' }
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch RC data');
+      const result = await steemReadService.call('rc_api.find_rc_accounts', { accounts: [user] });
 
-      const data = await response.json();
-
-      if (!data.result || !data.result.rc_accounts || !data.result.rc_accounts[0]) {
+      if (!result || !result.rc_accounts || !result.rc_accounts[0]) {
         throw new Error('Invalid RC data response');
       }
 
-      const rcAccount = data.result.rc_accounts[0];
+      const rcAccount = result.rc_accounts[0];
       const currentMana = parseInt(rcAccount.rc_manabar.current_mana);
       const maxMana = parseInt(rcAccount.max_rc); // Max mana from account
 
@@ -1141,17 +1436,24 @@ class WalletService {
       // Calculate voting power
       const votingPower = this.calculateVotingPower(account);
 
-      // Get RC data
-      const rc = await this.getResourceCredits(user);
+      // Get RC data and the downvote pool size
+      const [rc, props] = await Promise.all([
+        this.getResourceCredits(user),
+        steemReadService.getDynamicGlobalProperties()
+      ]);
+
+      const downvoteMana = this.calculateDownvoteMana(account, props?.downvote_pool_percent);
 
       return {
         voting: votingPower,
+        downvote: downvoteMana,
         rc: rc.percentage
       };
     } catch (error) {
       console.error('Error fetching account resources:', error);
       return {
         voting: 0,
+        downvote: 0,
         rc: 0,
         error: error.message
       };
@@ -1173,6 +1475,32 @@ class WalletService {
     return Math.floor(currentVotingPower);
   }
 
+  /**
+   * Calculate current downvote mana. Downvotes use their own manabar,
+   * sized as a fraction (downvote_pool_percent) of the upvote one
+   * @param {Object} account - The account data object
+   * @param {number} downvotePoolPercent - Pool size from global properties (2500 = 25%)
+   * @returns {number} Current downvote mana as percentage (0-100)
+   */
+  calculateDownvoteMana(account, downvotePoolPercent = 2500) {
+    if (!account.downvote_manabar) return 0;
+
+    const vestingShares = parseFloat(account.vesting_shares);
+    const receivedShares = parseFloat(account.received_vesting_shares);
+    const delegatedShares = parseFloat(account.delegated_vesting_shares);
+    const maxVoteMana = (vestingShares + receivedShares - delegatedShares) * 1000000;
+    const maxDownvoteMana = maxVoteMana * (downvotePoolPercent ?? 2500) / 10000;
+
+    if (maxDownvoteMana <= 0) return 0;
+
+    // Mana regenerates linearly to full over 5 days
+    const secondsSinceUpdate = Date.now() / 1000 - account.downvote_manabar.last_update_time;
+    const regeneratedMana = secondsSinceUpdate * maxDownvoteMana / (5 * 24 * 60 * 60);
+    const currentMana = Math.min(maxDownvoteMana, parseFloat(account.downvote_manabar.current_mana) + regeneratedMana);
+
+    return Math.floor(currentMana / maxDownvoteMana * 100);
+  }
+
   /**
    * Fetch current STEEM and SBD prices from CoinGecko API
    * @returns {Promise<Object>} Current prices in USD
@@ -1206,23 +1534,11 @@ class WalletService {
       if (steemPrice === 0) {
         console.warn('Could not extract STEEM price from CoinGecko API response', coingeckoData);
 
-        // Fallback to Steemit API
-        const fallbackResponse = await fetch('https://api.steemit.com', {
-          method: 'POST',
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'market_history_api.get_ticker',
-            id: 1
-          }),
-          headers: { 'Content-Type': 'application/json' }
-        });
-
-        if (fallbackResponse.ok) {
-          const fallbackData = await fallbackResponse.json();
-          if (fallbackData.result && fallbackData.result.latest) {
-            steemPrice = parseFloat(fallbackData.result.latest);
-            console.log('Using fallback STEEM price:', steemPrice);
-          }
+        // Fallback to the internal market ticker
+        const ticker = await steemReadService.call('market_history_api.get_ticker', {});
+        if (ticker && ticker.latest) {
+          steemPrice = parseFloat(ticker.latest);
+          console.log('Using fallback STEEM price:', steemPrice);
         }
       }
 
@@ -1234,26 +1550,14 @@ class WalletService {
       console.error('Error fetching crypto prices:', error);
       // Try fallback to Steemit API if CoinGecko API fails
       try {
-        const fallbackResponse = await fetch('https://api.steemit.com', {
-          method: 'POST',
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            method: 'market_history_api.get_ticker',
-            id: 1
-          }),
-          headers: { 'Content-Type': 'application/json' }
-        });
-
-        if (fallbackResponse.ok) {
-          const fallbackData = await fallbackResponse.json();
-          if (fallbackData.result && fallbackData.result.latest) {
-            const steemPrice = parseFloat(fallbackData.result.latest);
-            console.log('Using fallback STEEM price after error:', steemPrice);
-            return {
-              steem: steemPrice,
-              sbd: 1
-            };
-          }
+        const ticker = await steemReadService.call('market_history_api.get_ticker', {});
+        if (ticker && ticker.latest) {
+          const steemPrice = parseFloat(ticker.latest);
+          console.log('Using fallback STEEM price after error:', steemPrice);
+          return {
+            steem: steemPrice,
+            sbd: 1
+          };
         }
       } catch (fallbackError) {
         console.error('Fallback price fetch also failed:', fallbackError);
@@ -1283,6 +1587,8 @@ class WalletService {
       // Extract balances
       const steemBalance = parseFloat(account.balance).toFixed(3);
       const sbdBalance = parseFloat(account.sbd_balance).toFixed(3);
+      const savingsSteem = parseFloat(account.savings_balance).toFixed(3);
+      const savingsSbd = parseFloat(account.savings_sbd_balance).toFixed(3);
 
       // Calculate STEEM Power
       const vestingShares = parseFloat(account.vesting_shares);
@@ -1305,18 +1611,27 @@ class WalletService {
       const steemUsdValue = (parseFloat(steemBalance) * prices.steem).toFixed(2);
       const sbdUsdValue = (parseFloat(sbdBalance) * prices.sbd).toFixed(2);
       const spUsdValue = (parseFloat(steemPower) * prices.steem).toFixed(2);
+      const savingsUsdValue = (
+        parseFloat(savingsSteem) * prices.steem +
+        parseFloat(savingsSbd) * prices.sbd
+      ).toFixed(2);
 
       // Calculate total USD value
       const totalUsdValue = (
         parseFloat(steemUsdValue) +
         parseFloat(sbdUsdValue) +
-        parseFloat(spUsdValue)
+        parseFloat(spUsdValue) +
+        parseFloat(savingsUsdValue)
       ).toFixed(2);
 
       return {
         steem: steemBalance,
         sbd: sbdBalance,
         steemPower: steemPower.toFixed(3),
+        savings: {
+          steem: savingsSteem,
+          sbd: savingsSbd
+        },
         steemPowerDetails: {
           total: steemPower.toFixed(3),
           own: ownSteemPower.toFixed(3),
@@ -1332,6 +1647,7 @@ class WalletService {
           steem: steemUsdValue,
           sbd: sbdUsdValue,
           steemPower: spUsdValue,
+          savings: savingsUsdValue,
           total: totalUsdValue
         },
         account // Include the full account for advanced usage
@@ -1348,9 +1664,11 @@ class WalletService {
    * @param {Array} operations - Array of operations to broadcast
    * @param {string} requiredKey - Key type required ('posting' or 'active')
    * @param {Function} keychainMethod - Metodo Keychain alternativo per l'operazione
+   * @param {Object} options - { reviewed: il chiamante ha già mostrato le operazioni all'utente,
+   *   unsigned: la transazione viene esportata e firmata su un dispositivo offline }
    * @returns {Promise<Object>} Result of the operation
    */
-  async _broadcastOperation(operations, requiredKey = 'active', keychainMethod = null) {
+  async _broadcastOperation(operations, requiredKey = 'active', keychainMethod = null, options = {}) {
     if (!this.currentUser) {
       // Utente non loggato, reindirizza al login
       eventEmitter.emit('auth:logout-required', { message: 'Sessione scaduta, effettua nuovamente il login' });
@@ -1368,6 +1686,21 @@ class WalletService {
 
       const loginMethod = user.loginMethod;
 
+      // 1.0 Firma offline: nessuna chiave nel browser, nemmeno tramite Keychain
+      if (options.unsigned) {
+        return await this._broadcastSignedOffline(operations, requiredKey);
+      }
+
+      // 1.0.1 Mobile senza estensione e senza la chiave richiesta sul dispositivo:
+      // firma in Keychain Mobile o su SteemLogin
+      if (mobileSigningService.shouldHandOff(user, requiredKey)) {
+        return await mobileSigningService.broadcast(operations, {
+          action: 'wallet',
+          keyType: requiredKey,
+          data: { operation: operations[0][0] }
+        });
+      }
+
       // 1.1 Se l'utente è loggato con Keychain, usa sempre Keychain quando disponibile
       if (loginMethod === 'keychain' && window.steem_keychain) {
         console.log(`User logged in with Keychain, using it for ${operations[0][0]}`);
@@ -1454,25 +1787,27 @@ class WalletService {
       }
       // 2. Per gli utenti NON loggati con Keychain, usa le chiavi private
       // Continua con il comportamento normale per gli utenti con login a chiave privata
+      await signingService.confirm(operations, { keyType: requiredKey, reviewed: options.reviewed });
+
       let privateKey = null;
       if (requiredKey === 'active') {
-        privateKey = authService.getActiveKey();
+        privateKey = await authService.getActiveKey();
       } else if (requiredKey === 'posting') {
-        privateKey = authService.getPostingKey();
+        privateKey = await authService.getPostingKey();
       }
 
-      // Verifica se la chiave è stata ottenuta o se è scaduta
+      // Le chiavi salvate sono nel key vault, che chiede la passphrase se è bloccato
       if (!privateKey) {
-        console.log(`${requiredKey} key not available or expired`);
-        // Verifica se le chiavi sono scadute (controlliamo il timestamp di scadenza)
-        const keyExpiry = localStorage.getItem(`${user.username}_${requiredKey}_key_expiry`);
-        if (keyExpiry && parseInt(keyExpiry) < Date.now()) {
-          console.log('Key is expired, redirecting to login');
-          // La chiave è scaduta, notifichiamo l'utente e reindirizziamo al login
-          eventEmitter.emit('auth:logout-required', {
-            message: 'La tua chiave di autenticazione è scaduta. Effettua nuovamente il login per continuare.'
-          });
-          throw new Error('La tua sessione è scaduta. Effettua nuovamente il login.');
+        console.log(`${requiredKey} key not available`);
+
+        // Senza active key salvata, chiediamo la chiave solo per questa operazione (non viene memorizzata)
+        if (requiredKey === 'active') {
+          privateKey = await activeKeyInput.promptForActiveKey(
+            `Enter Active Key to sign ${operations[0][0].replace(/_/g, ' ')}`
+          );
+          if (!privateKey) {
+            throw new Error('Operation cancelled by user');
+          }
         }
       }
 
@@ -1548,6 +1883,60 @@ class WalletService {
 
 
 
+  /**
+   * Exports the operations as an unsigned transaction and broadcasts the copy
+   * signed on an offline device
+   * @private
+   */
+  async _broadcastSignedOffline(operations, requiredKey) {
+    const transaction = await steemService.prepareTransaction(operations);
+
+    const result = await offlineSigning.promptForSignedTransaction({
+      transaction,
+      keyType: requiredKey,
+      onSubmit: async (signedTransaction) => {
+        this._checkSignedTransaction(transaction, signedTransaction);
+        return {
+          success: true,
+          result: await steemService.broadcastTransaction(signedTransaction),
+          operation: operations[0][0]
+        };
+      }
+    });
+
+    if (!result) {
+      const error = new Error('Operation cancelled by user');
+      error.isCancelled = true;
+      throw error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Makes sure a transaction coming back from the offline device is the one that was exported
+   * @private
+   * @throws {Error} When it is unsigned or was changed
+   */
+  _checkSignedTransaction(unsigned, signed) {
+    if (!signed || !Array.isArray(signed.signatures) || signed.signatures.length === 0) {
+      throw new Error('The transaction is not signed');
+    }
+
+    const sameTransaction = signed.ref_block_num === unsigned.ref_block_num &&
+      signed.ref_block_prefix === unsigned.ref_block_prefix &&
+      signed.expiration === unsigned.expiration &&
+      JSON.stringify(signed.operations) === JSON.stringify(unsigned.operations);
+
+    if (!sameTransaction) {
+      throw new Error('The signed transaction does not match the one that was exported');
+    }
+
+    if (new Date(signed.expiration + 'Z') <= new Date()) {
+      throw new Error('The transaction has expired, start the operation again');
+    }
+  }
+
   _showAuthErrorPopup(title, message) {
     // Create popup elements
     const overlayDiv = document.createElement('div');
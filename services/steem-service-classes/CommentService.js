@@ -1,3 +1,7 @@
+import keyVault from '../KeyVaultService.js';
+import signingService from '../SigningService.js';
+import steemReadService from '../SteemReadService.js';
+
 /**
  * Service for comment-related operations
  */
@@ -45,12 +49,24 @@ export default class CommentService {
             });
         } else {
             // Fallback to posting key method
-            const postingKey = localStorage.getItem('postingKey');
+            const postingKey = await keyVault.getKey(author, 'posting');
 
             if (!postingKey) {
                 throw new Error('No posting key found and Keychain not available. Please log in to comment.');
             }
 
+            await signingService.confirm([
+                ['comment', {
+                    parent_author: parentAuthor,
+                    parent_permlink: parentPermlink,
+                    author: author,
+                    permlink: sanitizedPermlink,
+                    title: title,
+                    body: body,
+                    json_metadata: typeof jsonMetadata === 'string' ? jsonMetadata : JSON.stringify(jsonMetadata)
+                }]
+            ]);
+
             // Use the standard broadcast.comment method with a Promise wrapper
             return new Promise((resolve, reject) => {
                 this.core.steem.broadcast.comment(
@@ -232,35 +248,13 @@ export default class CommentService {
         };
         
         try {
-            // Utilizziamo la versione sincrona con Promise
-            return await new Promise((resolve, reject) => {
-                this.core.steem.api.getDiscussionsByComments(query, (err, result) => {
-                    if (err) {
-                        console.error('Error in getDiscussionsByComments:', err);
-                        reject(err);
-                    } else {
-                        console.log(`Retrieved ${result ? result.length : 0} comments`);
-                        resolve(result || []);
-                    }
-                });
-            });
+            // Il livello di lettura condiviso ritenta già su altri nodi
+            const result = await steemReadService.condenser('get_discussions_by_comments', [query]);
+            console.log(`Retrieved ${result ? result.length : 0} comments`);
+            return result || [];
         } catch (error) {
             console.error('Error fetching author comments:', error);
-            // Prova con un altro endpoint in caso di errore
-            this.core.switchEndpoint();
-            
-            // Ritenta una volta con il nuovo endpoint
-            try {
-                return await new Promise((resolve, reject) => {
-                    this.core.steem.api.getDiscussionsByComments(query, (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result || []);
-                    });
-                });
-            } catch (retryError) {
-                console.error('Retry for comments also failed:', retryError);
-                return [];
-            }
+            return [];
         }
     }
 }
\ No newline at end of file
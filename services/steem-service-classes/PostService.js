@@ -1,3 +1,11 @@
+import steemReadService from '../SteemReadService.js';
+import { calculateReputation } from '../../utils/ReputationUtils.js';
+
+// Posts requested per source when filling a custom feed page
+const CUSTOM_FEED_BATCH = 20;
+// Requests per page before giving up on filters that reject almost everything
+const CUSTOM_FEED_MAX_REQUESTS = 12;
+
 /**
  * Service for post-related operations
  */
@@ -8,6 +16,7 @@ export default class PostService {
         this.lastPostByCategory = {};
         this.lastPost = null;
         this._lastPostByUser = {};
+        this.customFeedState = {};
     }
 
     _initializePostTracking() {
@@ -16,19 +25,21 @@ export default class PostService {
         }
     }
 
-    _isNewPost(post, category) {
+    _getSeenPosts(category) {
         this._initializePostTracking();
         if (!this.seenPostIds[category]) {
             this.seenPostIds[category] = new Set();
         }
+        return this.seenPostIds[category];
+    }
 
-        const postId = `${post.author}_${post.permlink}`;
-        if (this.seenPostIds[category].has(postId)) {
-            return false;
-        }
+    _isNewPost(post, category) {
+        return !this._getSeenPosts(category).has(`${post.author}_${post.permlink}`);
+    }
 
-        this.seenPostIds[category].add(postId);
-        return true;
+    _markPostsSeen(posts, category) {
+        const seen = this._getSeenPosts(category);
+        posts.forEach(post => seen.add(`${post.author}_${post.permlink}`));
     }
 
     resetCategoryTracking(category) {
@@ -81,10 +92,16 @@ export default class PostService {
         // Filter out any posts we've seen before
         posts = posts.filter(post => this._isNewPost(post, category));
 
-        this.updateLastPostReference(posts, category);
-
         // Trim back to requested limit
-        return posts.length > limit ? posts.slice(0, limit) : posts;
+        if (posts.length > limit) {
+            posts = posts.slice(0, limit);
+        }
+
+        // Only the returned posts count as seen: the trimmed ones come back on the next page,
+        // which starts after the last post returned
+        this._markPostsSeen(posts, category);
+        this.updateLastPostReference(posts, category);
+        return posts;
     }
 
     updateLastPostReference(posts, category) {
@@ -126,16 +143,187 @@ export default class PostService {
         }
     }
 
+    /**
+     * Posts and reblogs of the accounts a user follows (get_discussions_by_feed).
+     * Reblogs carry `reblogged_by`, the followed accounts that resteemed them.
+     * @param {string} username - Account whose feed is loaded
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Posts per page
+     * @returns {Promise<Object>} { posts, hasMore }
+     */
+    async getFeedPosts(username, page = 1, limit = 20) {
+        await this.core.ensureLibraryLoaded();
+
+        const category = `feed:${username}`;
+
+        try {
+            if (page === 1) {
+                this.resetCategoryTracking(category);
+            }
+
+            const MAX_REQUEST_LIMIT = 100;
+            const query = this.buildCategoryQuery(category, page, limit, MAX_REQUEST_LIMIT);
+            query.tag = username;
+
+            const posts = await this.fetchAndProcessPosts('getDiscussionsByFeed', query, category, limit);
+
+            return {
+                posts,
+                hasMore: posts.length > 0
+            };
+        } catch (error) {
+            console.error(`Error fetching feed of ${username}:`, error);
+            return { posts: [], hasMore: false };
+        }
+    }
+
+    /**
+     * Posts of a user-defined feed: the newest posts of its tags, communities and authors
+     * merged by date, then filtered by its exclusion rules and limits
+     * @param {Object} feed - Feed definition from UserPreferencesService
+     * @param {number} page - Page number (1-based)
+     * @param {number} limit - Posts per page
+     * @returns {Promise<Object>} { posts, hasMore }
+     */
+    async getCustomFeedPosts(feed, page = 1, limit = 20) {
+        await this.core.ensureLibraryLoaded();
+
+        if (page === 1 || !this.customFeedState[feed.id]) {
+            this.customFeedState[feed.id] = { sources: this.createCustomFeedSources(feed), seen: new Set(), done: false };
+        }
+
+        const state = this.customFeedState[feed.id];
+        const posts = [];
+        let requests = 0;
+
+        while (posts.length < limit && !state.done) {
+            // Every source needs a buffered post before picking, or the merge would break date order
+            const empty = state.sources.filter(source => source.buffer.length === 0 && !source.exhausted);
+            if (empty.length > 0) {
+                if (requests >= CUSTOM_FEED_MAX_REQUESTS) break;
+                requests += empty.length;
+                await Promise.all(empty.map(source => this.fetchCustomFeedSource(source)));
+                continue;
+            }
+
+            const next = state.sources
+                .filter(source => source.buffer.length > 0)
+                .sort((a, b) => this.postTimestamp(b.buffer[0]) - this.postTimestamp(a.buffer[0]))[0];
+            if (!next) {
+                state.done = true;
+                break;
+            }
+
+            const post = next.buffer.shift();
+            const postId = `${post.author}_${post.permlink}`;
+            if (state.seen.has(postId)) continue;
+            state.seen.add(postId);
+
+            // Posts come newest first: past the age limit nothing else can match
+            if (feed.maxAgeHours !== null && this.postAgeHours(post) > feed.maxAgeHours) {
+                state.done = true;
+                break;
+            }
+
+            if (this.matchesCustomFeed(post, feed)) {
+                posts.push(post);
+            }
+        }
+
+        return {
+            posts,
+            hasMore: !state.done && state.sources.some(source => source.buffer.length > 0 || !source.exhausted)
+        };
+    }
+
+    createCustomFeedSources(feed) {
+        const source = (method, tag, author = null) => ({ method, tag, author, buffer: [], cursor: null, exhausted: false });
+
+        const sources = [
+            ...feed.includeTags.map(tag => source('getDiscussionsByCreated', tag)),
+            ...feed.communities.map(community => source('getDiscussionsByCreated', community)),
+            // The blog also lists resteems: only the author's own posts are kept
+            ...feed.authors.map(author => source('getDiscussionsByBlog', author, author))
+        ];
+
+        // A feed made only of rules filters all new posts
+        return sources.length > 0 ? sources : [source('getDiscussionsByCreated', '')];
+    }
+
+    async fetchCustomFeedSource(source) {
+        const query = {
+            tag: source.tag,
+            limit: CUSTOM_FEED_BATCH + (source.cursor ? 1 : 0)
+        };
+        if (source.cursor) {
+            query.start_author = source.cursor.author;
+            query.start_permlink = source.cursor.permlink;
+        }
+
+        try {
+            const result = await this.core.executeApiMethod(source.method, query);
+            let posts = Array.isArray(result) ? result : [];
+            source.exhausted = posts.length < query.limit;
+
+            // The page starts with the post the previous one ended on
+            if (source.cursor && posts.length > 0 &&
+                posts[0].author === source.cursor.author && posts[0].permlink === source.cursor.permlink) {
+                posts = posts.slice(1);
+            }
+
+            if (posts.length === 0) {
+                source.exhausted = true;
+                return;
+            }
+
+            const last = posts[posts.length - 1];
+            source.cursor = { author: last.author, permlink: last.permlink };
+            source.buffer.push(...(source.author ? posts.filter(post => post.author === source.author) : posts));
+        } catch (error) {
+            console.error(`Error fetching custom feed source ${source.method} "${source.tag}":`, error);
+            source.exhausted = true;
+        }
+    }
+
+    /**
+     * Whether a post passes the exclusion rules and limits of a feed
+     */
+    matchesCustomFeed(post, feed) {
+        const metadata = this.parseMetadata(post.json_metadata);
+        const tags = [post.category, ...(Array.isArray(metadata.tags) ? metadata.tags : [])]
+            .filter(Boolean)
+            .map(tag => String(tag).toLowerCase());
+
+        if (feed.excludeTags.some(tag => tags.includes(tag))) {
+            return false;
+        }
+        if (feed.minReputation !== null && calculateReputation(post.author_reputation) < feed.minReputation) {
+            return false;
+        }
+        if (feed.minPendingPayout !== null && (parseFloat(post.pending_payout_value) || 0) < feed.minPendingPayout) {
+            return false;
+        }
+        if (feed.minAgeHours !== null && this.postAgeHours(post) < feed.minAgeHours) {
+            return false;
+        }
+        return true;
+    }
+
+    postTimestamp(post) {
+        // Condenser dates are UTC without the zone designator
+        const created = String(post.created || '');
+        return new Date(created.endsWith('Z') ? created : `${created}Z`).getTime() || 0;
+    }
+
+    postAgeHours(post) {
+        return (Date.now() - this.postTimestamp(post)) / (60 * 60 * 1000);
+    }
+
     async getContent(author, permlink) {
         await this.core.ensureLibraryLoaded();
 
         try {
-            return await new Promise((resolve, reject) => {
-                this.core.steem.api.getContent(author, permlink, (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
+            return await steemReadService.getContent(author, permlink);
         } catch (error) {
             console.error('Error fetching content:', error);
             this.core.switchEndpoint();
@@ -147,12 +335,7 @@ export default class PostService {
         await this.core.ensureLibraryLoaded();
 
         try {
-            return await new Promise((resolve, reject) => {
-                this.core.steem.api.getContentReplies(author, permlink, (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
+            return await steemReadService.getContentReplies(author, permlink);
         } catch (error) {
             console.error('Error fetching content replies:', error);
             this.core.switchEndpoint();
@@ -166,33 +349,13 @@ export default class PostService {
         console.log('Calling getDiscussionsByBlog with params:', query);
 
         try {
-            return await new Promise((resolve, reject) => {
-                this.core.steem.api.getDiscussionsByBlog(query, (err, result) => {
-                    if (err) {
-                        console.error('API error in getDiscussionsByBlog:', err);
-                        reject(err);
-                    } else {
-                        console.log(`Received ${result ? result.length : 0} blog posts`);
-                        resolve(result || []);
-                    }
-                });
-            });
+            // The read layer already retries on other nodes
+            const result = await steemReadService.condenser('get_discussions_by_blog', [query]);
+            console.log(`Received ${result ? result.length : 0} blog posts`);
+            return result || [];
         } catch (error) {
             console.error('Error in getDiscussionsByBlog:', error);
-            this.core.switchEndpoint();
-
-            // Retry with new endpoint
-            try {
-                return await new Promise((resolve, reject) => {
-                    this.core.steem.api.getDiscussionsByBlog(query, (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result || []);
-                    });
-                });
-            } catch (retryError) {
-                console.error('Retry also failed:', retryError);
-                return [];
-            }
+            return [];
         }
     }
 
@@ -312,12 +475,7 @@ export default class PostService {
                     query.start_permlink = startPermlink;
                 }
 
-                const batch = await new Promise((resolve, reject) => {
-                    this.core.steem.api.getDiscussionsByBlog(query, (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result || []);
-                    });
-                });
+                const batch = await steemReadService.condenser('get_discussions_by_blog', [query]);
 
                 if (!batch || batch.length === 0) {
                     console.log('No more blog posts to fetch');
@@ -476,38 +634,26 @@ export default class PostService {
         
         try {
             // Use bridge.get_ranked_posts directly with proper pagination
-            return await new Promise((resolve, reject) => {
-                this.core.steem.api.call(
-                    'bridge.get_ranked_posts',
-                    {
-                        tag: communityTag,
-                        sort: params.sort || 'trending',
-                        limit: limit,
-                    },
-                    (err, result) => {
-                        if (err) {
-                            console.error('Bridge API error:', err);
-                            reject(err);
-                        } else {
-                            console.log(`Bridge API returned ${result ? result.length : 0} posts`);
-                            
-                            // Se il sort è 'created', assicurati che l'ordinamento sia corretto
-                            if (params.sort === 'created' && Array.isArray(result)) {
-                                // Ordina esplicitamente per data di creazione (più recente prima)
-                                result.sort((a, b) => {
-                                    return new Date(b.created) - new Date(a.created);
-                                });
-                            }
-                            
-                            // Limita i risultati al numero massimo richiesto
-                            const limitedResult = Array.isArray(result) && result.length > limit ? 
-                                result.slice(0, limit) : result;
-                            
-                            resolve(limitedResult || []);
-                        }
-                    }
-                );
+            const result = await steemReadService.call('bridge.get_ranked_posts', {
+                tag: communityTag,
+                sort: params.sort || 'trending',
+                limit: limit,
             });
+            console.log(`Bridge API returned ${result ? result.length : 0} posts`);
+            
+            // Se il sort è 'created', assicurati che l'ordinamento sia corretto
+            if (params.sort === 'created' && Array.isArray(result)) {
+                // Ordina esplicitamente per data di creazione (più recente prima)
+                result.sort((a, b) => {
+                    return new Date(b.created) - new Date(a.created);
+                });
+            }
+            
+            // Limita i risultati al numero massimo richiesto
+            const limitedResult = Array.isArray(result) && result.length > limit ? 
+                result.slice(0, limit) : result;
+            
+            return limitedResult || [];
         } catch (error) {
             console.error('Error fetching community posts:', error);
             return [];
@@ -1,33 +1,25 @@
 import eventEmitter from '../../utils/EventEmitter.js';
+import nodePool from '../NodePoolService.js';
+import steemReadService from '../SteemReadService.js';
 /**
  * Core functionality for Steem blockchain interaction
  */
 export default class SteemCore {
     constructor() {
-        this.apiEndpoints = [
-            'https://api.moecki.online',
-            'https://api.steemit.com',
-            'https://api.steemitdev.com',
-            'https://api.steemzzang.com',
-            'https://api.steemit.com',
-            'https://api.steemitstage.com',
-            'https://api.steem.house',
-            'https://api.steem.place',
-            'https://api.steem.press',
-            'https://api.steemstack.io',
-            'https://api.steemtools.com',
-            'https://api.steemul.com',
-            'https://api.steemworld.org',
-            'https://api.steemyy.com',
-            'https://api.steemzzang.com',
-        ];
-        this.currentEndpoint = 0;
+        this.currentEndpoint = nodePool.getBestNode();
         this.steem = null;
 
         if (typeof window !== 'undefined' && window.steem) {
             this.steem = window.steem;
             this.configureApi();
         }
+
+        // Follow the pool when a health check or the user picks another node
+        eventEmitter.on('nodes:current-changed', ({ url }) => {
+            if (url === this.currentEndpoint) return;
+            this.currentEndpoint = url;
+            if (this.steem) this.configureApi();
+        });
     }
 
     async loadLibrary() {
@@ -70,19 +62,27 @@ export default class SteemCore {
             throw new Error('Steem library not loaded');
         }
 
-        this.steem.api.setOptions({ url: this.apiEndpoints[this.currentEndpoint] });
+        this.steem.api.setOptions({ url: this.currentEndpoint });
         this.steem.config.set('address_prefix', 'STM');
         this.steem.config.set('chain_id', '0000000000000000000000000000000000000000000000000000000000000000');
     }
 
-    switchEndpoint() {
-        this.currentEndpoint = (this.currentEndpoint + 1) % this.apiEndpoints.length;
+    /**
+     * Reports the current node as failing and moves to the healthiest alternative
+     * @param {Error} [error] - Failure that triggered the switch
+     * @returns {string} The new endpoint URL
+     */
+    switchEndpoint(error = null) {
+        const failedEndpoint = this.currentEndpoint;
+        nodePool.reportFailure(failedEndpoint, error);
+        this.currentEndpoint = nodePool.getNextNode(failedEndpoint);
         this.configureApi();
-        console.log(`Switched to endpoint: ${this.apiEndpoints[this.currentEndpoint]}`);
-        return this.apiEndpoints[this.currentEndpoint];
+        console.log(`Switched to endpoint: ${this.currentEndpoint}`);
+        return this.currentEndpoint;
     }
 
     async ensureLibraryLoaded() {
+        nodePool.scheduleHealthCheck();
         if (!this.steem) {
             try {
                 await this.loadLibrary();
@@ -96,24 +96,31 @@ export default class SteemCore {
 
     async executeWithRetry(operation, retries = 2) {
         for (let attempt = 0; attempt <= retries; attempt++) {
+            const endpoint = this.currentEndpoint;
+            const start = performance.now();
             try {
-                return await operation();
+                const result = await operation();
+                nodePool.reportSuccess(endpoint, Math.round(performance.now() - start));
+                return result;
             } catch (error) {
                 console.error(`Error in operation (attempt ${attempt + 1}):`, error);
-                if (attempt === retries) throw error;
-                this.switchEndpoint();
+                if (attempt === retries) {
+                    nodePool.reportFailure(endpoint, error);
+                    throw error;
+                }
+                this.switchEndpoint(error);
             }
         }
     }
 
+    /**
+     * Runs a steem-js style condenser method through the shared read layer
+     * @param {string} methodName - camelCase method name, e.g. 'getDiscussionsByTrending'
+     * @param {Object} params - Query object passed as the single parameter
+     * @returns {Promise<any>} The API result
+     */
     async executeApiMethod(methodName, params) {
-        return this.executeWithRetry(() => {
-            return new Promise((resolve, reject) => {
-                this.steem.api[methodName](params, (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
-        });
+        const method = methodName.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+        return steemReadService.condenser(method, [params]);
     }
 }
\ No newline at end of file
@@ -1,3 +1,7 @@
+import steemReadService from '../SteemReadService.js';
+import keyVault from '../KeyVaultService.js';
+import signingService from '../SigningService.js';
+
 /**
  * Service for user-related operations
  */
@@ -10,12 +14,7 @@ export default class UserServiceCore {
         await this.core.ensureLibraryLoaded();
 
         try {
-            const accounts = await new Promise((resolve, reject) => {
-                this.core.steem.api.getAccounts([username], (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
+            const accounts = await steemReadService.getAccounts([username]);
 
             if (!accounts || accounts.length === 0) {
                 return null;
@@ -59,12 +58,7 @@ export default class UserServiceCore {
         await this.core.ensureLibraryLoaded();
 
         try {
-            return await new Promise((resolve, reject) => {
-                this.core.steem.api.getAccountHistory(username, from, limit, (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
+            return await steemReadService.condenser('get_account_history', [username, from, limit]);
         } catch (error) {
             console.error('Error fetching account history:', error);
             this.core.switchEndpoint();
@@ -75,12 +69,7 @@ export default class UserServiceCore {
     async getFollowers(username) {
         await this.core.ensureLibraryLoaded();
         try {
-            return await new Promise((resolve, reject) => {
-                this.core.steem.api.getFollowers(username, '', 'blog', 1000, (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
+            return await steemReadService.condenser('get_followers', [username, '', 'blog', 1000]);
         } catch (error) {
             console.error(`Error fetching followers for ${username}:`, error);
             throw error;
@@ -90,12 +79,7 @@ export default class UserServiceCore {
     async getFollowing(username) {
         await this.core.ensureLibraryLoaded();
         try {
-            return await new Promise((resolve, reject) => {
-                this.core.steem.api.getFollowing(username, '', 'blog', 1000, (err, result) => {
-                    if (err) reject(err);
-                    else resolve(result);
-                });
-            });
+            return await steemReadService.condenser('get_following', [username, '', 'blog', 1000]);
         } catch (error) {
             console.error(`Error fetching following for ${username}:`, error);
             throw error;
@@ -148,7 +132,7 @@ export default class UserServiceCore {
         }
         
         // Otherwise, try stored key or Keychain
-        const storedActiveKey = this.getStoredActiveKey(username);
+        const storedActiveKey = await this.getStoredActiveKey(username);
         
         if (storedActiveKey) {
             console.log('Using stored active key for profile update');
@@ -209,13 +193,10 @@ export default class UserServiceCore {
      * Retrieves stored active key for a user
      * @private
      * @param {string} username - The username to get the key for
-     * @returns {string|null} - The active key if found, null otherwise
+     * @returns {Promise<string|null>} - The active key if found, null otherwise
      */
-    getStoredActiveKey(username) {
-        return localStorage.getItem('activeKey') ||
-               localStorage.getItem(`${username}_active_key`) ||
-               localStorage.getItem(`${username.toLowerCase()}_active_key`) ||
-               null;
+    async getStoredActiveKey(username) {
+        return keyVault.getKey(username, 'active');
     }
 
     /**
@@ -269,19 +250,21 @@ export default class UserServiceCore {
 
                 console.log('🔍 DEBUG - Operazioni da inviare:', JSON.stringify(operations));
 
-                this.core.steem.broadcast.send(
-                    { operations, extensions: [] },
-                    { active: activeKey },
-                    (err, result) => {
-                        if (err) {
-                            console.error('⚠️ Errore nel broadcast:', err);
-                            reject(err);
-                        } else {
-                            console.log('✅ Broadcast completato con successo:', result);
-                            resolve(result);
+                signingService.confirm(operations, { keyType: 'active' }).then(() => {
+                    this.core.steem.broadcast.send(
+                        { operations, extensions: [] },
+                        { active: activeKey },
+                        (err, result) => {
+                            if (err) {
+                                console.error('⚠️ Errore nel broadcast:', err);
+                                reject(err);
+                            } else {
+                                console.log('✅ Broadcast completato con successo:', result);
+                                resolve(result);
+                            }
                         }
-                    }
-                );
+                    );
+                }).catch(reject);
             } catch (error) {
                 console.error('⚠️ Errore in broadcastProfileUpdate:', error);
                 reject(error);
@@ -451,13 +434,14 @@ export default class UserServiceCore {
                 document.querySelector('.modal-buttons').style.display = 'none';
             });
 
-            document.getElementById('submit-active-key').addEventListener('click', () => {
+            document.getElementById('submit-active-key').addEventListener('click', async () => {
                 const activeKey = document.getElementById('active-key-input').value.trim();
                 const saveKey = document.getElementById('save-active-key').checked;
 
                 if (activeKey) {
                     if (saveKey) {
-                        localStorage.setItem(`${username}_active_key`, activeKey);
+                        await keyVault.storeKey(username, 'active', activeKey)
+                            .catch(error => console.error('Failed to store active key:', error));
                     }
 
                     document.body.removeChild(modal);
@@ -476,42 +460,9 @@ export default class UserServiceCore {
      * @returns {Promise<Object>} - Result of the follow operation
      */
     async followUser(follower, following) {
-        await this.core.ensureLibraryLoaded();
-        
         try {
-            // Create the custom JSON operation for following
-            const json = JSON.stringify(['follow', {
-                follower: follower,
-                following: following,
-                what: ['blog'] // 'blog' means follow, empty array means unfollow
-            }]);
-            
-            // Invertiamo l'ordine: prima controlliamo se c'è la chiave nel localStorage
-            const postingKey = this.getStoredPostingKey(follower);
-            
-            // Se l'utente ha la chiave memorizzata, usiamo quella (priorità al localStorage)
-            if (postingKey) {
-                console.log('Using stored posting key for follow operation');
-                return this.broadcastFollowOperation(follower, json, postingKey);
-            }
-            
-            // Altrimenti proviamo con Keychain se disponibile
-            if (window.steem_keychain) {
-                console.log('Using Steem Keychain for follow operation');
-                return this.broadcastFollowWithKeychain(follower, json);
-            }
-            
-            // Se nessun metodo di autenticazione è disponibile, mostriamo l'UI per guidare l'utente
-            console.log('No authentication method available, showing dialog');
-            await this.showFollowAuthRequiredModal(follower);
-            
-            // Se l'utente ha inserito una chiave nel modal, ora dovrebbe essere disponibile
-            const newPostingKey = this.getStoredPostingKey(follower);
-            if (newPostingKey) {
-                return this.broadcastFollowOperation(follower, json, newPostingKey);
-            }
-            
-            throw new Error('Posting authority required to follow users');
+            // 'blog' means follow, empty array means unfollow
+            return await this.broadcastFollowState(follower, following, ['blog'], 'follow');
         } catch (error) {
             console.error('Error following user:', error);
             throw error;
@@ -525,48 +476,121 @@ export default class UserServiceCore {
      * @returns {Promise<Object>} - Result of the unfollow operation
      */
     async unfollowUser(follower, following) {
+        try {
+            return await this.broadcastFollowState(follower, following, [], 'unfollow');
+        } catch (error) {
+            console.error('Error unfollowing user:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Mute a user: the follow plugin stores it as what: ['ignore']
+     * @param {string} follower - Username of the current user
+     * @param {string} following - Username of the user to mute
+     * @returns {Promise<Object>} - Result of the mute operation
+     */
+    async muteUser(follower, following) {
+        try {
+            return await this.broadcastFollowState(follower, following, ['ignore'], 'mute');
+        } catch (error) {
+            console.error('Error muting user:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Unmute a user. On chain this is the same reset as an unfollow (empty 'what')
+     * @param {string} follower - Username of the current user
+     * @param {string} following - Username of the user to unmute
+     * @returns {Promise<Object>} - Result of the unmute operation
+     */
+    async unmuteUser(follower, following) {
+        try {
+            return await this.broadcastFollowState(follower, following, [], 'unmute');
+        } catch (error) {
+            console.error('Error unmuting user:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Get every account muted by a user, following the API pagination
+     * @param {string} username - Username whose mute list to fetch
+     * @returns {Promise<Array<string>>} - Muted account names
+     */
+    async getMutedUsers(username) {
         await this.core.ensureLibraryLoaded();
         
+        const pageSize = 1000;
+        const muted = [];
+        let start = '';
+        
         try {
-            // Create the custom JSON operation for unfollowing (empty 'what' array)
-            const json = JSON.stringify(['follow', {
-                follower: follower,
-                following: following,
-                what: [] // Empty array means unfollow
-            }]);
-            
-            // Invertiamo l'ordine: prima controlliamo se c'è la chiave nel localStorage
-            const postingKey = this.getStoredPostingKey(follower);
-            
-            // Se l'utente ha la chiave memorizzata, usiamo quella (priorità al localStorage)
-            if (postingKey) {
-                console.log('Using stored posting key for unfollow operation');
-                return this.broadcastFollowOperation(follower, json, postingKey);
-            }
-            
-            // Altrimenti proviamo con Keychain se disponibile
-            if (window.steem_keychain) {
-                console.log('Using Steem Keychain for unfollow operation');
-                return this.broadcastFollowWithKeychain(follower, json);
-            }
-            
-            // Se nessun metodo di autenticazione è disponibile, mostriamo l'UI per guidare l'utente
-            console.log('No authentication method available, showing dialog');
-            await this.showFollowAuthRequiredModal(follower);
-            
-            // Se l'utente ha inserito una chiave nel modal, ora dovrebbe essere disponibile
-            const newPostingKey = this.getStoredPostingKey(follower);
-            if (newPostingKey) {
-                return this.broadcastFollowOperation(follower, json, newPostingKey);
+            while (true) {
+                const page = await steemReadService.condenser('get_following', [username, start, 'ignore', pageSize]) || [];
+                
+                // Pages after the first start with the last entry of the previous one
+                const entries = start ? page.slice(1) : page;
+                entries.forEach(entry => muted.push(entry.following));
+                
+                if (page.length < pageSize) break;
+                start = page[page.length - 1].following;
             }
             
-            throw new Error('Posting authority required to unfollow users');
+            return muted;
         } catch (error) {
-            console.error('Error unfollowing user:', error);
+            console.error(`Error fetching muted users for ${username}:`, error);
             throw error;
         }
     }
     
+    /**
+     * Broadcast a follow plugin state change with whatever auth method is available
+     * @param {string} follower - Username of the current user
+     * @param {string} following - Target username
+     * @param {Array<string>} what - New follow state ('blog', 'ignore' or empty to reset)
+     * @param {string} action - Action name used in logs and errors
+     * @returns {Promise<Object>} - Result of the broadcast
+     * @private
+     */
+    async broadcastFollowState(follower, following, what, action) {
+        await this.core.ensureLibraryLoaded();
+        
+        const json = JSON.stringify(['follow', {
+            follower: follower,
+            following: following,
+            what: what
+        }]);
+        
+        // Invertiamo l'ordine: prima controlliamo se c'è la chiave nel key vault
+        const postingKey = await this.getStoredPostingKey(follower);
+        
+        // Se l'utente ha la chiave memorizzata, usiamo quella (priorità al key vault)
+        if (postingKey) {
+            console.log(`Using stored posting key for ${action} operation`);
+            return this.broadcastFollowOperation(follower, json, postingKey);
+        }
+        
+        // Altrimenti proviamo con Keychain se disponibile
+        if (window.steem_keychain) {
+            console.log(`Using Steem Keychain for ${action} operation`);
+            return this.broadcastFollowWithKeychain(follower, json);
+        }
+        
+        // Se nessun metodo di autenticazione è disponibile, mostriamo l'UI per guidare l'utente
+        console.log('No authentication method available, showing dialog');
+        await this.showFollowAuthRequiredModal(follower);
+        
+        // Se l'utente ha inserito una chiave nel modal, ora dovrebbe essere disponibile
+        const newPostingKey = await this.getStoredPostingKey(follower);
+        if (newPostingKey) {
+            return this.broadcastFollowOperation(follower, json, newPostingKey);
+        }
+        
+        throw new Error(`Posting authority required to ${action} users`);
+    }
+    
     /**
      * Check if a user follows another user
      * @param {string} follower - Username of the potential follower
@@ -579,30 +603,10 @@ export default class UserServiceCore {
         try {
             console.log(`Checking if ${follower} follows ${following}...`);
             
-            // Prova a bypassare la cache dell'API usando parametri unici
-            const timestamp = Date.now();
-            
             // Get list of users that follower is following
-            const followingList = await new Promise((resolve, reject) => {
-                // Usiamo direttamente l'API con un limit basso ma sufficiente
-                // e un parametro timestamp per evitare la cache
-                this.core.steem.api.getFollowing(
-                    follower, 
-                    '', 
-                    'blog', 
-                    100, 
-                    (err, result) => {
-                        if (err) {
-                            console.error('Error in getFollowing API call:', err);
-                            reject(err);
-                        } else {
-                            console.log(`Got ${result.length} following entries for ${follower}`);
-                            resolve(result);
-                        }
-                    },
-                    { _timestamp: timestamp } // Parametro opzionale per forzare richiesta fresh
-                );
-            });
+            // (get_following non ha TTL nel livello di lettura, quindi la risposta è sempre fresca)
+            const followingList = await steemReadService.condenser('get_following', [follower, '', 'blog', 100]) || [];
+            console.log(`Got ${followingList.length} following entries for ${follower}`);
             
             // Check if the 'following' user is in that list and log il risultato
             const isFollowing = followingList.some(entry => entry.following === following);
@@ -616,14 +620,12 @@ export default class UserServiceCore {
     }
     
     /**
-     * Get stored posting key for a user
+     * Get stored posting key for a user from the key vault
      * @private
+     * @returns {Promise<string|null>} - The posting key if stored, null otherwise
      */
-    getStoredPostingKey(username) {
-        return localStorage.getItem('postingKey') ||
-               localStorage.getItem(`${username}_posting_key`) ||
-               localStorage.getItem(`${username.toLowerCase()}_posting_key`) ||
-               null;
+    async getStoredPostingKey(username) {
+        return keyVault.getKey(username, 'posting');
     }
     
     /**
@@ -653,19 +655,21 @@ export default class UserServiceCore {
                 
                 console.log('Broadcasting follow operation with key:', operations);
                 
-                this.core.steem.broadcast.send(
-                    { operations, extensions: [] },
-                    { posting: postingKey },
-                    (err, result) => {
-                        if (err) {
-                            console.error('Error broadcasting follow operation:', err);
-                            reject(err);
-                        } else {
-                            console.log('Follow operation successful:', result);
-                            resolve(result);
+                signingService.confirm(operations).then(() => {
+                    this.core.steem.broadcast.send(
+                        { operations, extensions: [] },
+                        { posting: postingKey },
+                        (err, result) => {
+                            if (err) {
+                                console.error('Error broadcasting follow operation:', err);
+                                reject(err);
+                            } else {
+                                console.log('Follow operation successful:', result);
+                                resolve(result);
+                            }
                         }
-                    }
-                );
+                    );
+                }).catch(reject);
             } catch (error) {
                 console.error('Error in broadcastFollowOperation:', error);
                 reject(new Error(`Failed to broadcast follow operation: ${error.message}`));
@@ -791,13 +795,14 @@ export default class UserServiceCore {
                 document.querySelector('.modal-buttons').style.display = 'none';
             });
 
-            document.getElementById('submit-posting-key').addEventListener('click', () => {
+            document.getElementById('submit-posting-key').addEventListener('click', async () => {
                 const postingKey = document.getElementById('posting-key-input').value.trim();
                 const saveKey = document.getElementById('save-posting-key').checked;
 
                 if (postingKey) {
                     if (saveKey) {
-                        localStorage.setItem(`${username}_posting_key`, postingKey);
+                        await keyVault.storeKey(username, 'posting', postingKey)
+                            .catch(error => console.error('Failed to store posting key:', error));
                     }
                     document.body.removeChild(modal);
                     resolve(postingKey);
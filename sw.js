@@ -6,6 +6,7 @@ const BUILD_TIMESTAMP = '2025-06-27T23:00:52Z';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
+  '/offline.html',
   '/index.js',
   '/manifest.json',
   '/assets/css/main.css',
@@ -0,0 +1,84 @@
+/**
+ * localStorage namespaced by account, for state that belongs to one user
+ * (read notifications, drafts...) and must not follow the session to another account
+ */
+
+const PREFIX = 'steemee_account_';
+
+/**
+ * Builds the localStorage key of an item owned by an account
+ * @param {string} username - Account owning the item
+ * @param {string} name - Item name
+ * @returns {string}
+ */
+export function accountStorageKey(username, name) {
+  return `${PREFIX}${username}_${name}`;
+}
+
+/**
+ * Reads a JSON item of an account
+ * @param {string} username - Account owning the item
+ * @param {string} name - Item name
+ * @param {*} fallback - Returned when the item is missing or unreadable
+ */
+export function readAccountItem(username, name, fallback = null) {
+  if (!username) return fallback;
+
+  try {
+    const stored = localStorage.getItem(accountStorageKey(username, name));
+    return stored !== null ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${name} for ${username}:`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Stores a JSON item of an account
+ * @param {string} username - Account owning the item
+ * @param {string} name - Item name
+ * @param {*} value - Serializable value
+ * @returns {boolean} Whether the item was stored
+ */
+export function writeAccountItem(username, name, value) {
+  if (!username) return false;
+
+  try {
+    localStorage.setItem(accountStorageKey(username, name), JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error(`Error saving ${name} for ${username}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Removes an item of an account
+ * @param {string} username - Account owning the item
+ * @param {string} name - Item name
+ */
+export function removeAccountItem(username, name) {
+  if (!username) return;
+  localStorage.removeItem(accountStorageKey(username, name));
+}
+
+/**
+ * Moves an item saved under a global key into the namespace of an account.
+ * Older versions kept per-user state in shared keys; the first account that
+ * loads it after the upgrade takes it over.
+ * @param {string} legacyKey - Global localStorage key
+ * @param {string} username - Account taking over the item
+ * @param {string} name - Item name in the account namespace
+ */
+export function migrateLegacyItem(legacyKey, username, name) {
+  if (!username) return;
+
+  const legacy = localStorage.getItem(legacyKey);
+  if (legacy === null) return;
+
+  const key = accountStorageKey(username, name);
+  if (localStorage.getItem(key) === null) {
+    localStorage.setItem(key, legacy);
+  }
+  localStorage.removeItem(legacyKey);
+}
@@ -27,4 +27,25 @@ export function formatDate(dateString, options = {}) {
   
   // Create formatter
   return new Intl.DateTimeFormat('en-US', formatterOptions).format(date);
-}
\ No newline at end of file
+}
+
+/**
+ * Format a remaining duration as a compact countdown, e.g. "2d 4h 10m 5s"
+ * 
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string} Formatted countdown
+ */
+export function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  const parts = [];
+  if (days > 0) parts.push(`${days}d`);
+  if (days > 0 || hours > 0) parts.push(`${hours}h`);
+  parts.push(`${minutes}m`);
+  parts.push(`${seconds}s`);
+  return parts.join(' ');
+}
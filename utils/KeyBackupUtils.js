@@ -0,0 +1,119 @@
+/**
+ * Helpers to back up account keys: copy on click, text download and printable page
+ */
+
+/**
+ * Copies the text of every `.copyable` element inside root when clicked
+ * @param {ParentNode} root - Element (or document) containing the keys
+ * @param {Object} labels - { copied, title } texts shown to the user
+ */
+export function enableCopyToClipboard(root, labels = {}) {
+  const { copied = 'Copied!', title = 'Click to copy' } = labels;
+
+  root.querySelectorAll('.copyable').forEach(codeElement => {
+    codeElement.addEventListener('click', function() {
+      const textToCopy = this.textContent;
+      navigator.clipboard.writeText(textToCopy).then(() => {
+        // Show a brief "copied" feedback
+        const originalText = this.textContent;
+        const originalBackground = this.style.backgroundColor;
+
+        this.textContent = copied;
+        this.style.backgroundColor = '#d4edda';
+
+        setTimeout(() => {
+          this.textContent = originalText;
+          this.style.backgroundColor = originalBackground;
+        }, 1000);
+      });
+    });
+    codeElement.title = title;
+  });
+}
+
+/**
+ * Downloads a string as a text file
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} content - File content
+ */
+export function downloadTextFile(filename, content) {
+  const textBlob = new Blob([content], { type: 'text/plain' });
+  const textUrl = URL.createObjectURL(textBlob);
+
+  const downloadLink = document.createElement('a');
+  downloadLink.href = textUrl;
+  downloadLink.download = filename;
+  downloadLink.style.display = 'none';
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+
+  setTimeout(() => {
+    URL.revokeObjectURL(textUrl);
+    document.body.removeChild(downloadLink);
+  }, 100);
+}
+
+/**
+ * Plain-text backup of an account's password and keys
+ * @param {string} accountName - Account name
+ * @param {Array<Object>} entries - [{ label, value }] in display order
+ * @returns {string} Backup text
+ */
+export function formatKeyBackup(accountName, entries) {
+  return `Steem Account Keys
+==================
+Account: ${accountName}
+
+${entries.map(entry => `${entry.label}: ${entry.value}`).join('\n')}
+
+IMPORTANT:
+Keep this file in a safe place! Lost keys cannot be recovered.
+Never share your private keys or master password with anyone.
+
+Generated on ${new Date().toLocaleString()}
+`;
+}
+
+/**
+ * Opens a printable page with the key backup and starts printing
+ * @param {string} accountName - Account name
+ * @param {Array<Object>} entries - [{ label, value }] in display order
+ * @returns {boolean} False if the browser blocked the print window
+ */
+export function printKeyBackup(accountName, entries) {
+  const printWindow = window.open('', '_blank', 'width=800,height=600');
+  if (!printWindow) {
+    return false;
+  }
+
+  const escape = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+  <title>Steem keys - @${escape(accountName)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; color: #000; }
+    dt { font-weight: bold; margin-top: 1rem; }
+    dd { margin: 0.25rem 0 0; font-family: monospace; font-size: 0.95rem; word-break: break-all; }
+    .warning { margin-top: 2rem; padding: 1rem; border: 2px solid #000; }
+  </style>
+</head>
+<body>
+  <h1>Steem account @${escape(accountName)}</h1>
+  <dl>
+    ${entries.map(entry => `<dt>${escape(entry.label)}</dt><dd>${escape(entry.value)}</dd>`).join('')}
+  </dl>
+  <p class="warning"><strong>Important:</strong> keep this page in a safe place. Lost keys cannot be recovered.
+  Never share your private keys or master password with anyone.</p>
+  <p>Generated on ${escape(new Date().toLocaleString())}</p>
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+}
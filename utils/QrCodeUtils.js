@@ -0,0 +1,125 @@
+/**
+ * QR codes for moving transactions to and from an offline device.
+ * Both libraries are loaded from the CDN the first time they are needed.
+ */
+
+const QR_GENERATOR_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js';
+const QR_READER_URL = 'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.min.js';
+
+const loading = new Map();
+
+function loadScript(src, globalName) {
+  if (window[globalName]) {
+    return Promise.resolve(window[globalName]);
+  }
+
+  if (!loading.has(src)) {
+    loading.set(src, new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = true;
+      script.onload = () => {
+        if (window[globalName]) {
+          resolve(window[globalName]);
+        } else {
+          reject(new Error(`${globalName} not available after loading`));
+        }
+      };
+      script.onerror = () => {
+        loading.delete(src);
+        reject(new Error('Failed to load the QR code library'));
+      };
+      document.head.appendChild(script);
+    }));
+  }
+
+  return loading.get(src);
+}
+
+/**
+ * Draws text as a QR code inside a container
+ * @param {HTMLElement} container - Element that receives the QR code (its content is replaced)
+ * @param {string} text - Text to encode
+ */
+export async function renderQrCode(container, text) {
+  const qrcode = await loadScript(QR_GENERATOR_URL, 'qrcode');
+
+  // Type 0 picks the smallest size that fits; low error correction leaves room for long transactions
+  const qr = qrcode(0, 'L');
+  qr.addData(text);
+  qr.make();
+
+  container.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+}
+
+/**
+ * Reads a QR code from an image file
+ * @param {File|Blob} file - Picture of the QR code
+ * @returns {Promise<string|null>} Decoded text, null when no QR code is found
+ */
+export async function decodeQrFromFile(file) {
+  const jsQR = await loadScript(QR_READER_URL, 'jsQR');
+  const bitmap = await createImageBitmap(file);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+
+  const image = context.getImageData(0, 0, canvas.width, canvas.height);
+  const code = jsQR(image.data, image.width, image.height);
+  return code ? code.data : null;
+}
+
+/**
+ * Scans QR codes with the camera until one is found or the scan is stopped
+ * @param {HTMLVideoElement} video - Element showing the camera preview
+ * @param {Function} onResult - Called once with the decoded text
+ * @returns {Promise<Function>} Stops the scan and releases the camera
+ */
+export async function startQrScanner(video, onResult) {
+  const jsQR = await loadScript(QR_READER_URL, 'jsQR');
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: 'environment' }
+  });
+
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  let frameRequest = null;
+  let stopped = false;
+
+  const stop = () => {
+    stopped = true;
+    if (frameRequest) cancelAnimationFrame(frameRequest);
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  };
+
+  const scanFrame = () => {
+    if (stopped) return;
+
+    if (video.readyState === video.HAVE_ENOUGH_DATA) {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+      const image = context.getImageData(0, 0, canvas.width, canvas.height);
+      const code = jsQR(image.data, image.width, image.height);
+      if (code) {
+        stop();
+        onResult(code.data);
+        return;
+      }
+    }
+
+    frameRequest = requestAnimationFrame(scanFrame);
+  };
+
+  video.srcObject = stream;
+  video.setAttribute('playsinline', 'true');
+  await video.play();
+  frameRequest = requestAnimationFrame(scanFrame);
+
+  return stop;
+}
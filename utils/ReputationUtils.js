@@ -0,0 +1,12 @@
+/**
+ * Converts a raw Steem reputation (as stored on chain) into the familiar 25-80 score
+ * @param {number|string} reputation - Raw reputation value
+ * @returns {number} Reputation score, 25 for new or unknown accounts
+ */
+export function calculateReputation(reputation) {
+  const raw = Number(reputation);
+  if (!raw || !Number.isFinite(raw)) return 25;
+
+  const level = Math.max(Math.log10(Math.abs(raw)) - 9, 0);
+  return (raw < 0 ? -level : level) * 9 + 25;
+}
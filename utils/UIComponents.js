@@ -40,4 +40,57 @@ export default class UIComponents {
 
     return plainText.substring(0, maxLength) + '...';
   }
+
+  /**
+   * Creates a notice standing in for hidden content, with a button to reveal it
+   * @param {string} message - Why the content is collapsed
+   * @param {Function} onReveal - Called when the user clicks the reveal button
+   * @param {string} [revealLabel] - Text of the reveal button
+   * @returns {HTMLElement}
+   */
+  static createCollapsedNotice(message, onReveal, revealLabel = 'Show') {
+    const notice = document.createElement('div');
+    notice.className = 'collapsed-notice';
+
+    const icon = document.createElement('span');
+    icon.className = 'material-icons';
+    icon.textContent = 'visibility_off';
+    notice.appendChild(icon);
+
+    const text = document.createElement('span');
+    text.className = 'collapsed-notice-text';
+    text.textContent = message;
+    notice.appendChild(text);
+
+    const revealButton = document.createElement('button');
+    revealButton.className = 'collapsed-notice-reveal';
+    revealButton.textContent = revealLabel;
+    revealButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      onReveal();
+    });
+    notice.appendChild(revealButton);
+
+    return notice;
+  }
+
+  /**
+   * Blurs an element until the user reveals it, with a collapsed notice laid over it
+   * @param {HTMLElement} element - Element to blur
+   * @param {HTMLElement} [coverParent] - Where the notice goes, the element itself by default
+   * @param {string} [message] - Text of the notice
+   */
+  static applyNsfwBlur(element, coverParent = element, message = 'NSFW content') {
+    element.classList.add('nsfw-blurred');
+
+    const cover = document.createElement('div');
+    cover.className = 'nsfw-cover';
+    cover.appendChild(UIComponents.createCollapsedNotice(message, () => {
+      element.classList.remove('nsfw-blurred');
+      cover.remove();
+    }));
+
+    coverParent.prepend(cover);
+  }
 }
@@ -10,12 +10,18 @@ import LoadingIndicator from '../components/LoadingIndicator.js';
 import communityService from '../services/CommunityService.js';
 import voteService from '../services/VoteService.js';
 import authService from '../services/AuthService.js';
+import muteService from '../services/MuteService.js';
+import nsfwService from '../services/NsfwService.js';
+import contentQualityService from '../services/ContentQualityService.js';
+import bookmarkService from '../services/BookmarkService.js';
+import userPreferencesService from '../services/UserPreferencesService.js';
 
 // Controllers
 import VoteController from '../controllers/VoteController.js';
 
 // Utilities
 import eventEmitter from '../utils/EventEmitter.js';
+import UIComponents from '../utils/UIComponents.js';
 
 /**
  * Base class for views that display lists of posts
@@ -198,8 +204,38 @@ class BasePostView {
       return;
     }
     
-    // Render each post
-    uniquePostsToRender.forEach(post => this.renderPostCard(post, postsContainer));
+    // Render each post, leaving out or collapsing those by muted users and NSFW ones as set
+    uniquePostsToRender.forEach(post => {
+      if (muteService.shouldHide(post.author) || nsfwService.shouldHide(post)) return;
+
+      if (muteService.shouldCollapse(post.author)) {
+        this.renderCollapsedPostCard(post, postsContainer, `Post by muted user @${post.author}`);
+        return;
+      }
+
+      if (contentQualityService.shouldCollapse(post)) {
+        this.renderCollapsedPostCard(post, postsContainer, contentQualityService.getReason(post), 'Show anyway');
+        return;
+      }
+
+      this.renderPostCard(post, postsContainer);
+    });
+  }
+
+  /**
+   * Render a placeholder card that is replaced by the real one when the user asks to see it
+   */
+  renderCollapsedPostCard(post, container, message, revealLabel = 'Show') {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'post-card post-card-collapsed';
+
+    placeholder.appendChild(UIComponents.createCollapsedNotice(message, () => {
+      const fragment = document.createDocumentFragment();
+      this.renderPostCard(post, fragment);
+      placeholder.replaceWith(fragment);
+    }, revealLabel));
+
+    container.appendChild(placeholder);
   }
 
   /**
@@ -225,6 +261,10 @@ class BasePostView {
   renderPostCard(post, container) {
     const postCard = document.createElement('div');
     postCard.className = 'post-card';
+    if (contentQualityService.shouldGray(post)) {
+      postCard.classList.add('low-quality-content');
+      postCard.title = contentQualityService.getReason(post);
+    }
     
     // Parse metadata to extract better images and tags
     const metadata = this.parseMetadata(post.json_metadata);
@@ -232,7 +272,11 @@ class BasePostView {
     // Get the best available image
     const imageUrl = this.getBestImage(post, metadata);
     
-    // 1. Add header (author info) - Always at the top
+    // 1. Add header (author info) - Always at the top, after the resteem attribution of feed entries
+    const rebloggedBy = this.createRebloggedBy(post);
+    if (rebloggedBy) {
+      postCard.appendChild(rebloggedBy);
+    }
     postCard.appendChild(this.createPostHeader(post));
     
     // 2. Main content - can be vertical or horizontal depending on layout
@@ -240,7 +284,8 @@ class BasePostView {
     mainContent.className = 'post-main-content';
     
     // 2a. Add image preview
-    mainContent.appendChild(this.createPostImage(imageUrl, post.title));
+    const imageContainer = this.createPostImage(imageUrl, post.title);
+    mainContent.appendChild(imageContainer);
     
     // 2b. Wrapper for text content
     const contentWrapper = document.createElement('div');
@@ -279,6 +324,11 @@ class BasePostView {
     // Add main content to card
     postCard.appendChild(mainContent);
     
+    // NSFW posts keep image and excerpt blurred until revealed
+    if (nsfwService.shouldBlur(post)) {
+      UIComponents.applyNsfwBlur(postCard, imageContainer);
+    }
+    
     // Click event - Navigate to post
     postCard.addEventListener('click', (e) => {
       e.preventDefault();
@@ -470,6 +520,45 @@ class BasePostView {
     }
   }
 
+  /**
+   * "resteemed by @x" line of posts that reached the feed through a resteem
+   * @returns {HTMLElement|null} null when the post was not resteemed
+   */
+  createRebloggedBy(post) {
+    const rebloggers = (post.reblogged_by || []).filter(name => name !== post.author);
+    if (rebloggers.length === 0 && post.first_reblogged_by && post.first_reblogged_by !== post.author) {
+      rebloggers.push(post.first_reblogged_by);
+    }
+    if (rebloggers.length === 0) return null;
+
+    const container = document.createElement('div');
+    container.className = 'post-reblogged-by';
+
+    const icon = document.createElement('span');
+    icon.className = 'material-icons';
+    icon.textContent = 'repeat';
+    container.appendChild(icon);
+
+    container.appendChild(document.createTextNode('resteemed by '));
+
+    const link = document.createElement('a');
+    link.href = `#/@${rebloggers[0]}`;
+    link.textContent = `@${rebloggers[0]}`;
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      router.navigate(`/@${rebloggers[0]}`);
+    });
+    container.appendChild(link);
+
+    if (rebloggers.length > 1) {
+      const others = rebloggers.length - 1;
+      container.appendChild(document.createTextNode(` and ${others} other${others > 1 ? 's' : ''}`));
+    }
+
+    return container;
+  }
+
   /**
    * Create post header with author info
    */
@@ -890,11 +979,56 @@ class BasePostView {
     const payoutAction = this.createActionItem('attach_money', parseFloat(this.getPendingPayout(post)).toFixed(2));
     payoutAction.classList.add('payout-action');
     
-    actions.append(voteAction, commentAction, payoutAction);
+    // Bookmark action (saves the post for later and for offline reading)
+    const bookmarkAction = this.createBookmarkActionItem(post);
+    
+    actions.append(voteAction, commentAction, payoutAction, bookmarkAction);
     
     return actions;
   }
   
+  /**
+   * Create the bookmark toggle of a card
+   */
+  createBookmarkActionItem(post) {
+    const actionItem = this.createActionItem('bookmark_border', '');
+    actionItem.classList.add('bookmark-action', 'interactive');
+    
+    const update = () => {
+      const saved = bookmarkService.isBookmarked(post.author, post.permlink);
+      actionItem.classList.toggle('bookmarked', saved);
+      actionItem.title = saved ? 'Remove from bookmarks' : 'Save for later';
+      actionItem.querySelector('.material-icons').textContent = saved ? 'bookmark' : 'bookmark_border';
+    };
+    update();
+    bookmarkService.ready.then(update);
+    
+    actionItem.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (actionItem.classList.contains('disabled')) return;
+      
+      const wasSaved = bookmarkService.isBookmarked(post.author, post.permlink);
+      actionItem.classList.add('disabled');
+      try {
+        await bookmarkService.toggle(post);
+      } catch (error) {
+        console.error('Error updating bookmark:', error);
+        eventEmitter.emit('notification', {
+          type: 'error',
+          message: wasSaved
+            ? 'Could not remove the bookmark'
+            : 'Could not save the post for offline reading',
+          duration: 5000
+        });
+      } finally {
+        actionItem.classList.remove('disabled');
+        update();
+      }
+    });
+    
+    return actionItem;
+  }
+  
   /**
    * Create interactive vote action
    */
@@ -1158,6 +1292,11 @@ class BasePostView {
     const tagList = document.createElement('div');
     tagList.className = 'tag-list';
     
+    // Custom feeds are pinned before the popular tags
+    userPreferencesService.getCustomFeeds().forEach(feed => {
+      tagList.appendChild(this.createCustomFeedTab(feed));
+    });
+    
     // Add popular tags to the scrollable list
     this.popularTags.forEach(tag => {
       const tagItem = this.createTagItem(tag);
@@ -1203,6 +1342,31 @@ class BasePostView {
     return item;
   }
 
+  /**
+   * Creates the tab of a custom feed defined in Settings
+   */
+  createCustomFeedTab(feed) {
+    const item = document.createElement('div');
+    item.className = 'tag-item custom-feed-tab';
+    item.title = 'Custom feed';
+    
+    if (`custom-feed:${feed.id}` === this.getCurrentTag()) {
+      item.classList.add('active');
+    }
+    
+    const icon = document.createElement('span');
+    icon.className = 'material-icons';
+    icon.textContent = 'dynamic_feed';
+    item.appendChild(icon);
+    item.appendChild(document.createTextNode(feed.name));
+    
+    item.addEventListener('click', () => {
+      router.navigate(`/custom-feed/${feed.id}`);
+    });
+    
+    return item;
+  }
+
   /**
    * Get the current tag (to be implemented by subclasses)
    */
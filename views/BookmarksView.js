@@ -0,0 +1,365 @@
+import View from './View.js';
+import router from '../utils/Router.js';
+import bookmarkService from '../services/BookmarkService.js';
+import ContentRenderer from '../components/ContentRenderer.js';
+import LoadingIndicator from '../components/LoadingIndicator.js';
+
+// Value of the folder select option that asks for a new folder name
+const NEW_FOLDER = '__new__';
+
+/**
+ * View listing the posts saved for later, with folders, search and offline reading
+ */
+class BookmarksView extends View {
+  constructor(params = {}) {
+    super(params);
+    this.title = 'Bookmarks | cur8.fun';
+    this.loadingIndicator = new LoadingIndicator();
+    this.bookmarks = [];
+    this.folders = [];
+    this.activeFolder = null; // null shows every bookmark
+    this.query = '';
+    this.openReaderId = null;
+    this.contentRenderer = null;
+    this.listContainer = null;
+    this.folderBar = null;
+    this.message = null;
+  }
+
+  /**
+   * Render the bookmarks view
+   * @param {HTMLElement} container - Container element to render into
+   */
+  async render(container) {
+    this.container = container;
+
+    while (this.container.firstChild) {
+      this.container.removeChild(this.container.firstChild);
+    }
+
+    const viewWrapper = document.createElement('div');
+    viewWrapper.className = 'bookmarks-view';
+
+    const contentWrapper = document.createElement('div');
+    contentWrapper.className = 'content-wrapper';
+
+    const header = document.createElement('h1');
+    header.textContent = 'Bookmarks';
+    contentWrapper.appendChild(header);
+
+    const description = document.createElement('p');
+    description.className = 'page-subtitle';
+    description.textContent = 'Posts you saved for later. Their text is kept on this device, so you can read them offline too.';
+    contentWrapper.appendChild(description);
+
+    contentWrapper.appendChild(this.createToolbar());
+
+    this.message = document.createElement('div');
+    this.message.className = 'bookmarks-message';
+    this.message.hidden = true;
+    contentWrapper.appendChild(this.message);
+
+    this.folderBar = document.createElement('div');
+    this.folderBar.className = 'bookmarks-folders';
+    contentWrapper.appendChild(this.folderBar);
+
+    this.listContainer = document.createElement('div');
+    this.listContainer.className = 'bookmarks-list';
+    contentWrapper.appendChild(this.listContainer);
+
+    viewWrapper.appendChild(contentWrapper);
+    this.container.appendChild(viewWrapper);
+
+    this.subscribe('bookmarks:changed', () => this.loadBookmarks());
+
+    this.loadingIndicator.show(this.listContainer);
+    this.initContentRenderer();
+    await this.loadBookmarks();
+    this.loadingIndicator.hide();
+  }
+
+  /**
+   * The Steem renderer comes from a CDN: without it (offline) bodies are shown as plain text
+   */
+  async initContentRenderer() {
+    try {
+      await ContentRenderer.loadSteemContentRenderer();
+      this.contentRenderer = new ContentRenderer({
+        containerClass: 'post-content-body',
+        imageClass: 'post-image',
+        maxImageWidth: 800
+      });
+    } catch (error) {
+      console.warn('Bookmarks are shown as plain text:', error);
+      this.contentRenderer = null;
+    }
+  }
+
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'bookmarks-toolbar';
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.className = 'bookmarks-search';
+    searchInput.placeholder = 'Search by title, author, tag or text';
+    searchInput.addEventListener('input', () => {
+      this.query = searchInput.value.trim().toLowerCase();
+      this.renderList();
+    });
+    toolbar.appendChild(searchInput);
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.className = 'secondary-btn';
+    exportButton.textContent = 'Export';
+    exportButton.addEventListener('click', () => this.exportBookmarks());
+    toolbar.appendChild(exportButton);
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = 'application/json,.json';
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) {
+        await this.importBookmarks(await file.text());
+      }
+    });
+    toolbar.appendChild(fileInput);
+
+    const importButton = document.createElement('button');
+    importButton.type = 'button';
+    importButton.className = 'secondary-btn';
+    importButton.textContent = 'Import';
+    importButton.addEventListener('click', () => fileInput.click());
+    toolbar.appendChild(importButton);
+
+    return toolbar;
+  }
+
+  async loadBookmarks() {
+    try {
+      this.bookmarks = await bookmarkService.getAll();
+      this.folders = await bookmarkService.getFolders();
+    } catch (error) {
+      console.error('Failed to load bookmarks:', error);
+      this.showMessage('Could not read your bookmarks.', true);
+      return;
+    }
+
+    if (this.activeFolder && !this.folders.includes(this.activeFolder)) {
+      this.activeFolder = null;
+    }
+
+    this.renderFolders();
+    this.renderList();
+  }
+
+  renderFolders() {
+    this.folderBar.innerHTML = '';
+    if (this.folders.length === 0) return;
+
+    [null, ...this.folders].forEach(folder => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'bookmarks-folder-chip';
+      chip.classList.toggle('active', folder === this.activeFolder);
+
+      const count = folder === null
+        ? this.bookmarks.length
+        : this.bookmarks.filter(bookmark => bookmark.folder === folder).length;
+      chip.textContent = `${folder === null ? 'All' : folder} (${count})`;
+
+      chip.addEventListener('click', () => {
+        this.activeFolder = folder;
+        this.renderFolders();
+        this.renderList();
+      });
+      this.folderBar.appendChild(chip);
+    });
+  }
+
+  getVisibleBookmarks() {
+    return this.bookmarks.filter(bookmark => {
+      if (this.activeFolder !== null && bookmark.folder !== this.activeFolder) return false;
+      if (!this.query) return true;
+
+      return [bookmark.title, bookmark.author, bookmark.folder, bookmark.body, ...(bookmark.tags || [])]
+        .some(value => String(value || '').toLowerCase().includes(this.query));
+    });
+  }
+
+  renderList() {
+    if (!this.listContainer) return;
+    this.listContainer.innerHTML = '';
+
+    const bookmarks = this.getVisibleBookmarks();
+    if (bookmarks.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'bookmarks-empty';
+      empty.textContent = this.bookmarks.length === 0
+        ? 'No bookmarks yet. Use the bookmark button on any post to save it here.'
+        : 'No bookmarks match your search.';
+      this.listContainer.appendChild(empty);
+      return;
+    }
+
+    bookmarks.forEach(bookmark => this.listContainer.appendChild(this.createBookmarkRow(bookmark)));
+  }
+
+  createBookmarkRow(bookmark) {
+    const row = document.createElement('div');
+    row.className = 'bookmark-row';
+
+    const info = document.createElement('div');
+    info.className = 'bookmark-info';
+
+    const title = document.createElement('a');
+    title.className = 'bookmark-title';
+    title.href = `/@${bookmark.author}/${bookmark.permlink}`;
+    title.textContent = bookmark.title || bookmark.permlink;
+    title.addEventListener('click', (e) => {
+      e.preventDefault();
+      router.navigate(`/@${bookmark.author}/${bookmark.permlink}`);
+    });
+    info.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'bookmark-meta';
+    const saved = new Date(bookmark.savedAt).toLocaleDateString();
+    meta.textContent = `@${bookmark.author} · saved ${saved}${bookmark.folder ? ` · ${bookmark.folder}` : ''}`;
+    info.appendChild(meta);
+
+    row.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.className = 'bookmark-actions';
+
+    const readButton = document.createElement('button');
+    readButton.type = 'button';
+    readButton.className = 'secondary-btn';
+    readButton.textContent = this.openReaderId === bookmark.id ? 'Close' : 'Read';
+    readButton.addEventListener('click', () => {
+      this.openReaderId = this.openReaderId === bookmark.id ? null : bookmark.id;
+      this.renderList();
+    });
+    actions.appendChild(readButton);
+
+    actions.appendChild(this.createFolderSelect(bookmark));
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'icon-btn';
+    removeButton.title = 'Remove bookmark';
+    removeButton.innerHTML = '<span class="material-icons">delete</span>';
+    removeButton.addEventListener('click', async () => {
+      try {
+        await bookmarkService.remove(bookmark.author, bookmark.permlink);
+      } catch (error) {
+        console.error('Failed to remove bookmark:', error);
+        this.showMessage('Could not remove the bookmark.', true);
+      }
+    });
+    actions.appendChild(removeButton);
+
+    row.appendChild(actions);
+
+    if (this.openReaderId === bookmark.id) {
+      row.appendChild(this.createReader(bookmark));
+    }
+
+    return row;
+  }
+
+  createFolderSelect(bookmark) {
+    const select = document.createElement('select');
+    select.className = 'bookmark-folder-select';
+    select.title = 'Folder';
+
+    const options = [
+      { value: '', text: 'No folder' },
+      ...this.folders.map(folder => ({ value: folder, text: folder })),
+      { value: NEW_FOLDER, text: 'New folder…' }
+    ];
+    options.forEach(({ value, text }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = bookmark.folder || '';
+
+    select.addEventListener('change', async () => {
+      let folder = select.value;
+      if (folder === NEW_FOLDER) {
+        folder = (window.prompt('Folder name') || '').trim();
+        if (!folder) {
+          select.value = bookmark.folder || '';
+          return;
+        }
+      }
+
+      try {
+        await bookmarkService.moveToFolder(bookmark.author, bookmark.permlink, folder);
+      } catch (error) {
+        console.error('Failed to move bookmark:', error);
+        this.showMessage('Could not move the bookmark.', true);
+      }
+    });
+
+    return select;
+  }
+
+  createReader(bookmark) {
+    const reader = document.createElement('article');
+    reader.className = 'bookmark-reader';
+
+    if (this.contentRenderer) {
+      reader.appendChild(this.contentRenderer.render({ title: bookmark.title, body: bookmark.body }).container);
+    } else {
+      const text = document.createElement('div');
+      text.className = 'bookmark-reader-text';
+      text.textContent = bookmark.body;
+      reader.appendChild(text);
+    }
+
+    return reader;
+  }
+
+  async exportBookmarks() {
+    try {
+      const json = await bookmarkService.exportBookmarks();
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bookmarks-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export bookmarks:', error);
+      this.showMessage('Could not export your bookmarks.', true);
+    }
+  }
+
+  async importBookmarks(json) {
+    try {
+      const count = await bookmarkService.importBookmarks(json);
+      this.showMessage(`${count} bookmark${count === 1 ? '' : 's'} imported.`);
+    } catch (error) {
+      this.showMessage(error.message, true);
+    }
+  }
+
+  showMessage(text, isError = false) {
+    this.message.textContent = text;
+    this.message.hidden = false;
+    this.message.classList.toggle('error-message', isError);
+  }
+}
+
+export default BookmarksView;
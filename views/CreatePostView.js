@@ -29,6 +29,12 @@ class CreatePostView extends View {  constructor(params = {}) {
     }];
     this.totalWeight = createPostService.defaultBeneficiary.weight;
 
+    // Opzioni di ricompensa (50/50, 100% SP o rifiuto, limite massimo, curation)
+    this.payoutOptions = { ...createPostService.defaultPayoutOptions };
+
+    // Etichetta NSFW scelta dall'autore (json_metadata.nsfw e tag nsfw)
+    this.isNSFW = false;
+
     // Timeout per la ricerca community
     this.searchTimeout = null;
     // Timeout per la ricerca beneficiari
@@ -320,6 +326,9 @@ class CreatePostView extends View {  constructor(params = {}) {
     tagsHelp.textContent = 'Add up to 5 tags to help categorize your post. The first tag becomes the main category.';
     tagsGroup.appendChild(tagsHelp);    form.appendChild(tagsGroup);
 
+    // NSFW label
+    form.appendChild(this.createNsfwSection());
+
     // Publish Date/Time section
     const publishDateGroup = document.createElement('div');
     publishDateGroup.className = 'form-group publish-date-group';
@@ -460,6 +469,9 @@ class CreatePostView extends View {  constructor(params = {}) {
 
     form.appendChild(publishDateGroup);
 
+    // Rewards section
+    form.appendChild(this.createPayoutSection());
+
     // Beneficiary section
     const beneficiaryGroup = document.createElement('div');
     beneficiaryGroup.className = 'form-group beneficiary-group';
@@ -591,6 +603,247 @@ class CreatePostView extends View {  constructor(params = {}) {
     this.setupKeyboardHandler();
   }
 
+  /**
+   * Crea l'interruttore con cui l'autore segna il post come NSFW
+   * @returns {HTMLElement} - Gruppo del form con l'interruttore
+   */
+  createNsfwSection() {
+    const nsfwGroup = document.createElement('div');
+    nsfwGroup.className = 'form-group nsfw-group';
+
+    const nsfwLabel = document.createElement('div');
+    nsfwLabel.className = 'form-label-with-toggle';
+
+    const nsfwLabelText = document.createElement('label');
+    nsfwLabelText.textContent = 'Mark as NSFW';
+    nsfwLabelText.htmlFor = 'nsfw-toggle';
+
+    const nsfwToggleContainer = document.createElement('div');
+    nsfwToggleContainer.className = 'toggle-switch-container';
+
+    const nsfwToggle = document.createElement('input');
+    nsfwToggle.type = 'checkbox';
+    nsfwToggle.id = 'nsfw-toggle';
+    nsfwToggle.className = 'toggle-switch';
+    nsfwToggle.checked = this.isNSFW;
+
+    const nsfwToggleLabel = document.createElement('label');
+    nsfwToggleLabel.htmlFor = 'nsfw-toggle';
+    nsfwToggleLabel.className = 'toggle-label';
+
+    nsfwToggleContainer.appendChild(nsfwToggle);
+    nsfwToggleContainer.appendChild(nsfwToggleLabel);
+    nsfwLabel.appendChild(nsfwLabelText);
+    nsfwLabel.appendChild(nsfwToggleContainer);
+    nsfwGroup.appendChild(nsfwLabel);
+
+    const nsfwHelp = document.createElement('small');
+    nsfwHelp.className = 'form-text';
+    nsfwHelp.textContent = 'Adds the nsfw tag: readers who chose to blur or hide NSFW content will not see it right away.';
+    nsfwGroup.appendChild(nsfwHelp);
+
+    nsfwToggle.addEventListener('change', (e) => {
+      this.isNSFW = e.target.checked;
+      this.hasUnsavedChanges = true;
+    });
+
+    return nsfwGroup;
+  }
+
+  /**
+   * Ripristina l'etichetta NSFW salvata in una bozza
+   * @param {boolean} nsfw - Valore salvato nella bozza
+   */
+  loadNsfwFlag(nsfw) {
+    this.isNSFW = nsfw === true;
+    const nsfwToggle = document.getElementById('nsfw-toggle');
+    if (nsfwToggle) nsfwToggle.checked = this.isNSFW;
+  }
+
+  /**
+   * Crea la sezione per scegliere il tipo di ricompensa del post
+   * @returns {HTMLElement} - Gruppo del form con le opzioni di ricompensa
+   */
+  createPayoutSection() {
+    const payoutGroup = document.createElement('div');
+    payoutGroup.className = 'form-group payout-group';
+
+    const payoutLabel = document.createElement('label');
+    payoutLabel.htmlFor = 'payout-reward-type';
+    payoutLabel.textContent = 'Rewards';
+    payoutGroup.appendChild(payoutLabel);
+
+    const rewardSelect = document.createElement('select');
+    rewardSelect.id = 'payout-reward-type';
+    rewardSelect.className = 'form-control';
+    [
+      { value: '50_50', text: '50% SBD / 50% Steem Power' },
+      { value: 'power_up', text: '100% Steem Power' },
+      { value: 'decline', text: 'Decline payout' }
+    ].forEach(option => {
+      const optionEl = document.createElement('option');
+      optionEl.value = option.value;
+      optionEl.textContent = option.text;
+      rewardSelect.appendChild(optionEl);
+    });
+    payoutGroup.appendChild(rewardSelect);
+
+    const payoutOptions = document.createElement('div');
+    payoutOptions.className = 'payout-options';
+
+    // Limite massimo di payout
+    const maxPayoutGroup = document.createElement('div');
+    maxPayoutGroup.className = 'payout-max-group';
+
+    const maxPayoutLabel = document.createElement('label');
+    maxPayoutLabel.htmlFor = 'payout-max';
+    maxPayoutLabel.textContent = 'Maximum payout (SBD)';
+
+    const maxPayoutInput = document.createElement('input');
+    maxPayoutInput.type = 'number';
+    maxPayoutInput.id = 'payout-max';
+    maxPayoutInput.className = 'form-control';
+    maxPayoutInput.min = '0';
+    maxPayoutInput.step = '0.001';
+    maxPayoutInput.placeholder = 'No limit';
+
+    maxPayoutGroup.appendChild(maxPayoutLabel);
+    maxPayoutGroup.appendChild(maxPayoutInput);
+    payoutOptions.appendChild(maxPayoutGroup);
+
+    // Toggle per le ricompense di curation
+    const curationLabel = document.createElement('div');
+    curationLabel.className = 'form-label-with-toggle';
+
+    const curationLabelText = document.createElement('label');
+    curationLabelText.textContent = 'Curation rewards';
+    curationLabelText.htmlFor = 'curation-toggle';
+
+    const curationToggleContainer = document.createElement('div');
+    curationToggleContainer.className = 'toggle-switch-container';
+
+    const curationToggle = document.createElement('input');
+    curationToggle.type = 'checkbox';
+    curationToggle.id = 'curation-toggle';
+    curationToggle.className = 'toggle-switch';
+
+    const curationToggleLabel = document.createElement('label');
+    curationToggleLabel.htmlFor = 'curation-toggle';
+    curationToggleLabel.className = 'toggle-label';
+
+    curationToggleContainer.appendChild(curationToggle);
+    curationToggleContainer.appendChild(curationToggleLabel);
+    curationLabel.appendChild(curationLabelText);
+    curationLabel.appendChild(curationToggleContainer);
+    payoutOptions.appendChild(curationLabel);
+
+    // Toggle per disattivare i voti sul post
+    const votesLabel = document.createElement('div');
+    votesLabel.className = 'form-label-with-toggle';
+
+    const votesLabelText = document.createElement('label');
+    votesLabelText.textContent = 'Allow votes';
+    votesLabelText.htmlFor = 'votes-toggle';
+
+    const votesToggleContainer = document.createElement('div');
+    votesToggleContainer.className = 'toggle-switch-container';
+
+    const votesToggle = document.createElement('input');
+    votesToggle.type = 'checkbox';
+    votesToggle.id = 'votes-toggle';
+    votesToggle.className = 'toggle-switch';
+
+    const votesToggleLabel = document.createElement('label');
+    votesToggleLabel.htmlFor = 'votes-toggle';
+    votesToggleLabel.className = 'toggle-label';
+
+    votesToggleContainer.appendChild(votesToggle);
+    votesToggleContainer.appendChild(votesToggleLabel);
+    votesLabel.appendChild(votesLabelText);
+    votesLabel.appendChild(votesToggleContainer);
+    payoutOptions.appendChild(votesLabel);
+
+    payoutGroup.appendChild(payoutOptions);
+
+    const payoutHelp = document.createElement('small');
+    payoutHelp.className = 'form-text payout-help';
+    payoutHelp.id = 'payout-help';
+    payoutGroup.appendChild(payoutHelp);
+
+    rewardSelect.addEventListener('change', () => {
+      this.payoutOptions.rewardType = rewardSelect.value;
+      this.hasUnsavedChanges = true;
+      this.updatePayoutControls();
+    });
+
+    maxPayoutInput.addEventListener('input', () => {
+      const value = maxPayoutInput.value.trim();
+      this.payoutOptions.maxAcceptedPayout = value === '' ? null : parseFloat(value);
+      this.hasUnsavedChanges = true;
+    });
+
+    curationToggle.addEventListener('change', (e) => {
+      this.payoutOptions.allowCurationRewards = e.target.checked;
+      this.hasUnsavedChanges = true;
+      this.updatePayoutControls();
+    });
+
+    votesToggle.addEventListener('change', (e) => {
+      this.payoutOptions.allowVotes = e.target.checked;
+      this.hasUnsavedChanges = true;
+      this.updatePayoutControls();
+    });
+
+    this.payoutGroup = payoutGroup;
+    this.updatePayoutControls();
+
+    return payoutGroup;
+  }
+
+  /**
+   * Allinea i controlli della sezione ricompense a this.payoutOptions
+   */
+  updatePayoutControls() {
+    if (!this.payoutGroup) return;
+
+    const { rewardType, maxAcceptedPayout, allowCurationRewards, allowVotes } = this.payoutOptions;
+    const isDeclined = rewardType === 'decline';
+
+    this.payoutGroup.querySelector('#payout-reward-type').value = rewardType;
+
+    const maxPayoutInput = this.payoutGroup.querySelector('#payout-max');
+    maxPayoutInput.value = maxAcceptedPayout ?? '';
+    maxPayoutInput.disabled = isDeclined;
+
+    const curationToggle = this.payoutGroup.querySelector('#curation-toggle');
+    curationToggle.checked = allowCurationRewards !== false;
+    curationToggle.disabled = allowVotes === false;
+
+    this.payoutGroup.querySelector('#votes-toggle').checked = allowVotes !== false;
+
+    let helpText = 'Half of the author rewards are paid in SBD, the other half in Steem Power.';
+    if (rewardType === 'power_up') {
+      helpText = 'All author rewards are paid in Steem Power.';
+    } else if (isDeclined) {
+      helpText = 'This post will not receive any rewards. Votes still count for visibility.';
+    }
+    if (allowVotes === false) {
+      helpText = 'Votes are disabled: nobody can vote on this post, so it will not receive any rewards.';
+    } else if (allowCurationRewards === false) {
+      helpText += ' Voters will not earn curation rewards.';
+    }
+    this.payoutGroup.querySelector('#payout-help').textContent = helpText;
+  }
+
+  /**
+   * Ripristina le opzioni di ricompensa salvate in una bozza
+   * @param {Object} payoutOptions - Opzioni salvate nella bozza
+   */
+  loadPayoutOptions(payoutOptions) {
+    this.payoutOptions = createPostService.normalizePayoutOptions(payoutOptions);
+    this.updatePayoutControls();
+  }
+
   /**
    * Controlla se esiste una bozza salvata precedentemente e la mostra
    * Versione compatta del metodo
@@ -733,6 +986,12 @@ class CreatePostView extends View {  constructor(params = {}) {
       }
     }
 
+    if (draft.payoutOptions) {
+      this.loadPayoutOptions(draft.payoutOptions);
+    }
+
+    this.loadNsfwFlag(draft.nsfw);
+
     // Load scheduled publishing data if available
     if (draft.isScheduled) {
       this.isScheduled = true;
@@ -842,6 +1101,12 @@ class CreatePostView extends View {  constructor(params = {}) {
         if (clearBtn) clearBtn.classList.remove('hidden');
       }
 
+      if (draft.payoutOptions) {
+        this.loadPayoutOptions(draft.payoutOptions);
+      }
+
+      this.loadNsfwFlag(draft.nsfw);
+
       // Load scheduled publishing data if available
       if (draft.isScheduled) {
         this.isScheduled = true;
@@ -953,7 +1218,9 @@ class CreatePostView extends View {  constructor(params = {}) {
       community: this.selectedCommunity?.name,
       isScheduled: this.isScheduled,
       publishDate: this.publishDate,
-      publishTime: this.publishTime
+      publishTime: this.publishTime,
+      payoutOptions: this.payoutOptions,
+      nsfw: this.isNSFW
     };
     
     if (createPostService.saveDraft(draftData)) {
@@ -982,7 +1249,9 @@ class CreatePostView extends View {  constructor(params = {}) {
         community: this.selectedCommunity?.name,
         isScheduled: this.isScheduled,
         publishDate: this.publishDate,
-        publishTime: this.publishTime
+        publishTime: this.publishTime,
+        payoutOptions: this.payoutOptions,
+        nsfw: this.isNSFW
       };
 
       const result = createPostService.saveDraftWithId(draftData);
@@ -1516,7 +1785,8 @@ class CreatePostView extends View {  constructor(params = {}) {
         title: this.postTitle,
         body: this.postBody,
         tags: this.tags,
-        permlink: permlink
+        permlink: permlink,
+        nsfw: this.isNSFW
       };
       
       // Aggiungi la community se selezionata
@@ -1534,7 +1804,8 @@ class CreatePostView extends View {  constructor(params = {}) {
       // Opzioni per i beneficiari
       const options = {
         includeBeneficiary: this.includeBeneficiary,
-        isScheduled: this.isScheduled
+        isScheduled: this.isScheduled,
+        payoutOptions: this.payoutOptions
       };
 
       // Se i beneficiari sono abilitati, passa l'array completo
@@ -2,13 +2,18 @@ import steemService from '../services/SteemService.js';
 import BasePostView from './BasePostView.js';
 import InfiniteScroll from '../utils/InfiniteScroll.js';
 import userPreferencesService from '../services/UserPreferencesService.js';
+import authService from '../services/AuthService.js';
 import eventEmitter from '../utils/EventEmitter.js';
 
 class HomeView extends BasePostView {  constructor(params) {
     super(params);
     
-    // Se forceTag è true, usa sempre il tag specificato nei parametri
-    if (params.forceTag && params.tag) {
+    // Feed definito dall'utente, fissato come tab nella barra dei tag
+    if (params.feedId) {
+      this.customFeed = userPreferencesService.getCustomFeed(params.feedId);
+      this.tag = this.customFeed ? `custom-feed:${this.customFeed.id}` : 'trending';
+    } else if (params.forceTag && params.tag) {
+      // Se forceTag è true, usa sempre il tag specificato nei parametri
       this.tag = params.tag;
     } else {
       // Altrimenti, considera le preferenze dell'utente
@@ -24,6 +29,9 @@ class HomeView extends BasePostView {  constructor(params) {
         userPreferencesService.setHomeViewMode('trending');
       } else if (homeViewMode === 'custom') {
         this.tag = 'custom';
+      } else if (homeViewMode === 'feed' && authService.isAuthenticated()) {
+        // Il feed di chi segui è disponibile solo con un account
+        this.tag = 'feed';
       } else {
         // Otherwise use the specified tag parameter or home view mode
         this.tag = this.params.tag || homeViewMode;
@@ -32,10 +40,20 @@ class HomeView extends BasePostView {  constructor(params) {
     
     // Listen for preferences changes
     this.setupPreferencesListener();
+
+    // The following feed belongs to the logged in account: reload it when the account changes
+    this.unsubscribeAccountSwitch = eventEmitter.on('auth:account-switched', () => {
+      if (this.tag === 'feed' && this.container) {
+        this.loadPosts(1);
+      }
+    });
   }
     setupPreferencesListener() {
     // Listen for tag preference changes
     eventEmitter.on('user:preferences:updated', () => {
+      // A custom feed tab keeps showing its feed whatever the home mode
+      if (this.customFeed) return;
+      
       // Get current home view mode from preferences
       const currentHomeViewMode = userPreferencesService.getHomeViewMode();
       
@@ -103,6 +121,18 @@ class HomeView extends BasePostView {  constructor(params) {
   }
 
   async fetchPostsByTag(page = 1) {
+    if (this.customFeed) {
+      return steemService.getCustomFeedPosts(this.customFeed, page);
+    }
+    
+    // Posts and resteems of the accounts the user follows
+    if (this.tag === 'feed') {
+      const user = authService.getCurrentUser();
+      return user
+        ? steemService.getFeedPosts(user.username, page)
+        : steemService.getTrendingPosts(page);
+    }
+    
     // If custom tag is selected, fetch by preferred tags
     if (this.tag === 'custom') {
       const preferredTags = userPreferencesService.getPreferredTags();
@@ -140,6 +170,12 @@ class HomeView extends BasePostView {  constructor(params) {
     // Get view title based on tag
     let viewTitle = `${this.formatTagName(this.tag)} Posts`;
     
+    if (this.tag === 'feed') {
+      viewTitle = 'Following';
+    } else if (this.customFeed) {
+      viewTitle = this.customFeed.name;
+    }
+    
     // Special handling for custom tag mode
     if (this.tag === 'custom') {
       const preferredTags = userPreferencesService.getPreferredTags();
@@ -171,7 +207,11 @@ class HomeView extends BasePostView {  constructor(params) {
       if (postsContainer) {
         // Customize end message based on tag type
         let endMessage = `No more ${this.formatTagName(this.tag)} posts to load`;
-        if (this.tag === 'custom') {
+        if (this.tag === 'feed') {
+          endMessage = 'No more posts from the accounts you follow';
+        } else if (this.customFeed) {
+          endMessage = `No more posts in ${this.customFeed.name}`;
+        } else if (this.tag === 'custom') {
           const preferredTags = userPreferencesService.getPreferredTags();
           if (preferredTags.length > 0) {
             endMessage = `No more posts with tags: ${preferredTags.join(', ')}`;
@@ -203,6 +243,14 @@ class HomeView extends BasePostView {  constructor(params) {
     eventEmitter.off('user:preferences:updated');
   }
 
+  unmount() {
+    if (this.unsubscribeAccountSwitch) {
+      this.unsubscribeAccountSwitch();
+      this.unsubscribeAccountSwitch = null;
+    }
+    super.unmount();
+  }
+
   /**
    * Override the base handleLoadError to not show any message
    */
@@ -0,0 +1,342 @@
+import View from './View.js';
+import router from '../utils/Router.js';
+import authorityService from '../services/AuthorityService.js';
+import authService from '../services/AuthService.js';
+import activeKeyInput from '../components/auth/ActiveKeyInputComponent.js';
+import LoadingIndicator from '../components/LoadingIndicator.js';
+import { enableCopyToClipboard, downloadTextFile, formatKeyBackup, printKeyBackup } from '../utils/KeyBackupUtils.js';
+
+/**
+ * Wizard replacing the master password and every key of the logged in account:
+ * explain, generate and back up, then sign the account_update with the old owner key
+ */
+class KeyRotationView extends View {
+  constructor(params = {}) {
+    super(params);
+    this.title = 'Change Password | cur8.fun';
+    this.currentUser = authService.getCurrentUser();
+    this.loadingIndicator = new LoadingIndicator();
+    this.authorities = null;
+    this.generated = null;
+    this.backedUp = false;
+  }
+
+  /**
+   * Render the key rotation wizard
+   * @param {HTMLElement} container - Container element to render into
+   */
+  async render(container) {
+    this.container = container;
+
+    while (this.container.firstChild) {
+      this.container.removeChild(this.container.firstChild);
+    }
+
+    const viewWrapper = document.createElement('div');
+    viewWrapper.className = 'security-view key-rotation-view';
+
+    const contentWrapper = document.createElement('div');
+    contentWrapper.className = 'content-wrapper';
+
+    const header = document.createElement('h1');
+    header.textContent = 'Change Password and Keys';
+    contentWrapper.appendChild(header);
+
+    this.stepContainer = document.createElement('div');
+    this.stepContainer.className = 'authority-card key-rotation-step';
+    contentWrapper.appendChild(this.stepContainer);
+
+    viewWrapper.appendChild(contentWrapper);
+    this.container.appendChild(viewWrapper);
+
+    this.loadingIndicator.show(this.stepContainer);
+
+    try {
+      this.authorities = await authorityService.getAuthorities(this.currentUser.username);
+    } catch (error) {
+      console.error('Failed to load account authorities:', error);
+      this.loadingIndicator.hide();
+      this.stepContainer.textContent = 'Failed to load your account. Please try again later.';
+      return;
+    }
+
+    this.loadingIndicator.hide();
+    this.renderIntroStep();
+  }
+
+  clearStep() {
+    this.stepContainer.innerHTML = '';
+  }
+
+  renderIntroStep() {
+    this.clearStep();
+
+    const title = document.createElement('h2');
+    title.textContent = 'Before you start';
+    this.stepContainer.appendChild(title);
+
+    const points = [
+      'A new master password is generated and your owner, active, posting and memo keys are replaced with keys derived from it.',
+      'Your old password and keys stop working as soon as the change is confirmed.',
+      'You need your current owner key or master password to sign the change.',
+      'Apps you authorized on the Security page keep their access.'
+    ];
+
+    if (this.authorities.owner.keyAuths.length > 1 || this.authorities.active.keyAuths.length > 1 ||
+      this.authorities.posting.keyAuths.length > 1) {
+      points.push('Your account uses more than one key for some roles: all of them will be replaced by a single new key.');
+    }
+
+    if (this.currentUser.loginMethod === 'keychain') {
+      points.push('After the change, remove the old keys from Steem Keychain and import the new ones.');
+    }
+
+    const list = document.createElement('ul');
+    list.className = 'key-rotation-points';
+    points.forEach(point => {
+      const item = document.createElement('li');
+      item.textContent = point;
+      list.appendChild(item);
+    });
+    this.stepContainer.appendChild(list);
+
+    const actions = this.createActions();
+
+    const cancelBtn = document.createElement('a');
+    cancelBtn.href = '/security';
+    cancelBtn.className = 'secondary-btn';
+    cancelBtn.textContent = 'Cancel';
+    actions.appendChild(cancelBtn);
+
+    const generateBtn = document.createElement('button');
+    generateBtn.className = 'primary-btn';
+    generateBtn.textContent = 'Generate new password';
+    generateBtn.addEventListener('click', async () => {
+      generateBtn.disabled = true;
+      try {
+        this.generated = await authorityService.generateKeys(this.currentUser.username);
+        this.backedUp = false;
+        this.renderBackupStep();
+      } catch (error) {
+        console.error('Key generation failed:', error);
+        generateBtn.disabled = false;
+        this.emit('notification', { type: 'error', message: 'Could not generate new keys', duration: 4000 });
+      }
+    });
+    actions.appendChild(generateBtn);
+
+    this.stepContainer.appendChild(actions);
+  }
+
+  /**
+   * Entries of the backup, most important first
+   */
+  getBackupEntries() {
+    const { password, keys } = this.generated;
+    return [
+      { label: 'Master password', value: password },
+      { label: 'Owner key', value: keys.owner },
+      { label: 'Active key', value: keys.active },
+      { label: 'Posting key', value: keys.posting },
+      { label: 'Memo key', value: keys.memo }
+    ];
+  }
+
+  renderBackupStep() {
+    this.clearStep();
+
+    const title = document.createElement('h2');
+    title.textContent = 'Back up your new password';
+    this.stepContainer.appendChild(title);
+
+    const intro = document.createElement('p');
+    intro.className = 'authority-role-description';
+    intro.textContent = 'Nothing has changed yet. Save these somewhere safe: nobody can recover them for you.';
+    this.stepContainer.appendChild(intro);
+
+    const keysContainer = document.createElement('dl');
+    keysContainer.className = 'key-rotation-keys';
+    this.getBackupEntries().forEach(entry => {
+      const label = document.createElement('dt');
+      label.textContent = entry.label;
+      keysContainer.appendChild(label);
+
+      const value = document.createElement('dd');
+      const code = document.createElement('code');
+      code.className = 'copyable authority-key';
+      code.textContent = entry.value;
+      value.appendChild(code);
+      keysContainer.appendChild(value);
+    });
+    this.stepContainer.appendChild(keysContainer);
+    enableCopyToClipboard(keysContainer);
+
+    const backupActions = this.createActions();
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'secondary-btn';
+    downloadBtn.innerHTML = '<span class="material-icons">download</span> Download as text';
+    downloadBtn.addEventListener('click', () => {
+      downloadTextFile(
+        `steem-keys-${this.currentUser.username}.txt`,
+        formatKeyBackup(this.currentUser.username, this.getBackupEntries())
+      );
+      this.markBackedUp();
+    });
+    backupActions.appendChild(downloadBtn);
+
+    const printBtn = document.createElement('button');
+    printBtn.className = 'secondary-btn';
+    printBtn.innerHTML = '<span class="material-icons">print</span> Print';
+    printBtn.addEventListener('click', () => {
+      if (printKeyBackup(this.currentUser.username, this.getBackupEntries())) {
+        this.markBackedUp();
+      } else {
+        this.emit('notification', {
+          type: 'warning',
+          message: 'Allow pop-ups for this site to print your keys',
+          duration: 4000
+        });
+      }
+    });
+    backupActions.appendChild(printBtn);
+
+    this.stepContainer.appendChild(backupActions);
+
+    // Typing the password back proves it was saved somewhere readable
+    const confirmGroup = document.createElement('div');
+    confirmGroup.className = 'key-rotation-confirm';
+
+    const confirmLabel = document.createElement('label');
+    confirmLabel.htmlFor = 'key-rotation-confirm-input';
+    confirmLabel.textContent = 'Type your new master password to confirm you saved it';
+    confirmGroup.appendChild(confirmLabel);
+
+    const confirmInput = document.createElement('input');
+    confirmInput.type = 'text';
+    confirmInput.id = 'key-rotation-confirm-input';
+    confirmInput.className = 'authority-input';
+    confirmInput.autocomplete = 'off';
+    confirmInput.spellcheck = false;
+    confirmGroup.appendChild(confirmInput);
+
+    this.stepContainer.appendChild(confirmGroup);
+
+    const actions = this.createActions();
+
+    const backBtn = document.createElement('button');
+    backBtn.className = 'secondary-btn';
+    backBtn.textContent = 'Back';
+    backBtn.addEventListener('click', () => {
+      this.generated = null;
+      this.renderIntroStep();
+    });
+    actions.appendChild(backBtn);
+
+    this.continueBtn = document.createElement('button');
+    this.continueBtn.className = 'primary-btn';
+    this.continueBtn.textContent = 'Change password';
+    this.continueBtn.addEventListener('click', () => this.confirmRotation());
+    actions.appendChild(this.continueBtn);
+
+    this.confirmInput = confirmInput;
+    confirmInput.addEventListener('input', () => this.updateContinueButton());
+    this.updateContinueButton();
+
+    this.stepContainer.appendChild(actions);
+  }
+
+  markBackedUp() {
+    this.backedUp = true;
+    this.updateContinueButton();
+  }
+
+  updateContinueButton() {
+    if (!this.continueBtn) return;
+    this.continueBtn.disabled = !this.backedUp || this.confirmInput.value.trim() !== this.generated.password;
+    this.continueBtn.title = this.backedUp ? '' : 'Download or print your keys first';
+  }
+
+  async confirmRotation() {
+    const ownerSecret = await activeKeyInput.promptForOwnerKey('Sign with your current owner key');
+    if (!ownerSecret) return;
+
+    this.continueBtn.disabled = true;
+    this.continueBtn.textContent = 'Processing...';
+
+    let rotation;
+    try {
+      rotation = await authorityService.rotateKeys(this.authorities, this.generated, ownerSecret);
+    } catch (error) {
+      console.error('Key rotation failed:', error);
+      this.emit('notification', {
+        type: 'error',
+        message: error.message || 'Key change failed',
+        duration: 5000
+      });
+      this.continueBtn.textContent = 'Change password';
+      this.updateContinueButton();
+      return;
+    }
+
+    if (!rotation.storedKeysUpdated) {
+      this.emit('notification', {
+        type: 'warning',
+        message: 'Your password was changed, but the keys saved on this device could not be updated. Import your new keys again.',
+        duration: 8000
+      });
+    }
+    this.renderDoneStep(rotation.storedKeysUpdated);
+  }
+
+  /**
+   * @param {boolean} storedKeysUpdated - False when the keys saved on this device were removed instead of replaced
+   */
+  renderDoneStep(storedKeysUpdated = true) {
+    this.generated = null;
+    this.clearStep();
+
+    const title = document.createElement('h2');
+    title.textContent = 'Password changed';
+    this.stepContainer.appendChild(title);
+
+    const message = document.createElement('p');
+    message.className = 'authority-role-description';
+    message.textContent = this.currentUser.loginMethod === 'keychain'
+      ? 'Your keys have been replaced. Update Steem Keychain with the new keys before your next operation.'
+      : storedKeysUpdated
+        ? 'Your keys have been replaced and the keys saved on this device were updated.'
+        : 'Your keys have been replaced.';
+    this.stepContainer.appendChild(message);
+
+    if (!storedKeysUpdated) {
+      const warning = document.createElement('p');
+      warning.className = 'key-rotation-warning';
+      warning.textContent = 'The keys saved on this device could not be updated, so the old ones were removed. ' +
+        'Import your new keys from the backup you just saved before your next operation.';
+      this.stepContainer.appendChild(warning);
+    }
+
+    const actions = this.createActions();
+    const doneBtn = document.createElement('button');
+    doneBtn.className = 'primary-btn';
+    doneBtn.textContent = 'Back to Security';
+    doneBtn.addEventListener('click', () => router.navigate('/security'));
+    actions.appendChild(doneBtn);
+    this.stepContainer.appendChild(actions);
+  }
+
+  createActions() {
+    const actions = document.createElement('div');
+    actions.className = 'key-rotation-actions';
+    return actions;
+  }
+
+  unmount() {
+    // Keys must not outlive the wizard
+    this.generated = null;
+    super.unmount();
+  }
+}
+
+export default KeyRotationView;
@@ -1,6 +1,7 @@
 import eventEmitter from '../utils/EventEmitter.js';
 import router from '../utils/Router.js';
 import authService from '../services/AuthService.js';
+import mobileSigningService from '../services/MobileSigningService.js';
 /**
  * View for handling user login functionality
  */
@@ -15,7 +16,8 @@ class LoginView {
     this.boundHandlers = {
       handleSubmit: null,
       handleKeychainLogin: null,
-      handleSteemLogin: null
+      handleSteemLogin: null,
+      handleMobileSigningLogin: null
     };
     
     // Rimuove il parametro useActiveKey poiché non ci serve più
@@ -84,8 +86,8 @@ class LoginView {
     usernameGroup.className = 'form-group shared-username';
     form.appendChild(usernameGroup);
 
-    // Password field (posting key only) con stile migliorato
-    const passwordGroup = this.createFormGroup('password', 'Private Posting Key', 'password');
+    // Password field (posting key or master password) con stile migliorato
+    const passwordGroup = this.createFormGroup('password', 'Private Posting Key or Master Password', 'password');
     form.appendChild(passwordGroup);
     
     // Remember me checkbox con stile migliorato
@@ -145,6 +147,30 @@ class LoginView {
         });
     }
 
+    // Su mobile senza estensione basta il nome utente: le operazioni si firmano in Keychain Mobile o su SteemLogin
+    if (mobileSigningService.isMobileDevice() && !authService.isKeychainInstalled()) {
+        const mobileDivider = this.createDivider('or');
+        mobileDivider.style.margin = '20px 0';
+        form.appendChild(mobileDivider);
+
+        const mobileButton = this.createButton(
+            'Login with Keychain Mobile / SteemLogin',
+            'button',
+            'btn-secondary mobile-signing-login-btn full-width'
+        );
+        mobileButton.id = 'mobile-signing-login-btn';
+        mobileButton.style.padding = '12px';
+        form.appendChild(mobileButton);
+
+        const mobileHint = document.createElement('p');
+        mobileHint.className = 'mobile-signing-login-hint';
+        mobileHint.textContent = 'Only your username is needed. Your keys stay in the Keychain app or on SteemLogin and every operation is confirmed there.';
+        mobileHint.style.marginTop = '8px';
+        mobileHint.style.fontSize = '0.85rem';
+        mobileHint.style.opacity = '0.8';
+        form.appendChild(mobileHint);
+    }
+
     // Registrazione link con stile migliorato
     const registerLink = document.createElement('div');
     registerLink.className = 'auth-link';
@@ -451,7 +477,8 @@ class LoginView {
     
     // For password field, add a password-specific placeholder
     if (type === 'password') {
-      input.placeholder = 'Enter your private posting key';
+      input.placeholder = 'Enter your private posting key or master password';
+      input.autocomplete = 'off';
     }
 
     group.appendChild(label);
@@ -577,10 +604,12 @@ class LoginView {
     const loginForm = this.element.querySelector('#login-form');
     const keychainButton = this.element.querySelector('#keychain-login-btn');
     const steemLoginButton = this.element.querySelector('#steemlogin-btn');
+    const mobileSigningButton = this.element.querySelector('#mobile-signing-login-btn');
 
     this.boundHandlers.handleSubmit = this.handleSubmit.bind(this);
     this.boundHandlers.handleKeychainLogin = this.handleKeychainLogin.bind(this);
     this.boundHandlers.handleSteemLogin = this.handleSteemLogin.bind(this);
+    this.boundHandlers.handleMobileSigningLogin = this.handleMobileSigningLogin.bind(this);
 
     if (loginForm) {
       loginForm.addEventListener('submit', this.boundHandlers.handleSubmit);
@@ -593,6 +622,10 @@ class LoginView {
     if (steemLoginButton) {
       steemLoginButton.addEventListener('click', this.boundHandlers.handleSteemLogin);
     }
+
+    if (mobileSigningButton) {
+      mobileSigningButton.addEventListener('click', this.boundHandlers.handleMobileSigningLogin);
+    }
   }
 
   async handleSubmit(e) {
@@ -602,13 +635,13 @@ class LoginView {
     const passwordInput = loginForm.password;
 
     const username = loginForm.username.value.trim();
-    const privateKey = passwordInput.value.trim();
+    const secret = passwordInput.value.trim();
     const remember = loginForm.remember?.checked ?? true;
 
     // Utilizziamo sempre posting key per il login tramite form
     const keyType = 'posting';
 
-    if (!username || !privateKey) {
+    if (!username || !secret) {
       this.showError(messageEl, 'Please enter both username and private key');
       return;
     }
@@ -617,7 +650,13 @@ class LoginView {
       // First clear any previous error styling
       this.clearErrorStyles();
       
-      await authService.login(username, privateKey, remember, keyType);
+      // Il master password serve solo a derivare le chiavi, non resta nel form
+      if (await authService.isMasterPassword(secret)) {
+        passwordInput.value = '';
+        await authService.loginWithMasterPassword(username, secret, remember);
+      } else {
+        await authService.login(username, secret, remember, keyType);
+      }
       this.handleLoginSuccess(username);
     } catch (error) {
       console.error('Login error:', error);
@@ -626,6 +665,9 @@ class LoginView {
       if (error.message.includes('Invalid key')) {
         passwordInput.classList.add('input-error');
         this.showError(messageEl, `The private posting key you entered appears to be invalid. Please check and try again.`);
+      } else if (error.message.includes('master password') || error.message.includes('memo key')) {
+        passwordInput.classList.add('input-error');
+        this.showError(messageEl, error.message);
       } else if (error.message.includes('Account not found')) {
         loginForm.username.classList.add('input-error');
         this.showError(messageEl, `Account "${username}" was not found. Please check your username.`);
@@ -681,6 +723,35 @@ class LoginView {
     }
   }
 
+  async handleMobileSigningLogin() {
+    const usernameInput = this.element.querySelector('#username');
+    const loginForm = this.element.querySelector('#login-form');
+    const messageEl = this.element.querySelector('.login-message');
+
+    const username = usernameInput.value.trim().toLowerCase().replace(/^@/, '');
+    const remember = loginForm.remember?.checked ?? true;
+
+    if (!username) {
+      usernameInput.classList.add('input-error');
+      this.showError(messageEl, 'Please enter your username');
+      return;
+    }
+
+    this.clearErrorStyles();
+
+    try {
+      await authService.loginWithMobileSigning(username, remember);
+      this.handleLoginSuccess(username);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        usernameInput.classList.add('input-error');
+        this.showError(messageEl, `Account "${username}" was not found. Please check your username.`);
+      } else {
+        this.showError(messageEl, `Login failed: ${error.message || 'Authentication failed'}`);
+      }
+    }
+  }
+
   async handleSteemLogin() {
     try {
       await authService.loginWithSteemLogin();
@@ -730,6 +801,7 @@ class LoginView {
     const loginForm = this.element.querySelector('#login-form');
     const keychainButton = this.element.querySelector('#keychain-login-btn');
     const steemLoginButton = this.element.querySelector('#steemlogin-btn');
+    const mobileSigningButton = this.element.querySelector('#mobile-signing-login-btn');
 
     if (loginForm && this.boundHandlers.handleSubmit) {
       loginForm.removeEventListener('submit', this.boundHandlers.handleSubmit);
@@ -743,7 +815,11 @@ class LoginView {
       steemLoginButton.removeEventListener('click', this.boundHandlers.handleSteemLogin);
     }
 
-    this.boundHandlers = { handleSubmit: null, handleKeychainLogin: null, handleSteemLogin: null };
+    if (mobileSigningButton && this.boundHandlers.handleMobileSigningLogin) {
+      mobileSigningButton.removeEventListener('click', this.boundHandlers.handleMobileSigningLogin);
+    }
+
+    this.boundHandlers = { handleSubmit: null, handleKeychainLogin: null, handleSteemLogin: null, handleMobileSigningLogin: null };
   }
 }
 
@@ -34,9 +34,45 @@ class MenuView extends View {
       'Steem Faucet',
       'Get free STEEM to start your journey'
     ));
+
+    menuContainer.appendChild(this.createMenuItem(
+      'security-link',
+      '/security',
+      'fa-shield-alt',
+      'Account Security',
+      'Review your keys and revoke app authorizations'
+    ));
+
+    menuContainer.appendChild(this.createMenuItem(
+      'bookmarks-link',
+      '/bookmarks',
+      'fa-bookmark',
+      'Bookmarks',
+      'Posts saved for later, readable offline'
+    ));
     
    
     
+    // Add Governance category
+    const governanceCategory = this.createCategory('Governance');
+    menuContainer.appendChild(governanceCategory);
+
+    menuContainer.appendChild(this.createMenuItem(
+      'witnesses-link',
+      '/witnesses',
+      'fa-landmark',
+      'Witnesses',
+      'Vote for the witnesses that run the Steem blockchain'
+    ));
+
+    menuContainer.appendChild(this.createMenuItem(
+      'proposals-link',
+      '/proposals',
+      'fa-hand-holding-usd',
+      'Proposals',
+      'Decide which projects the Steem DAO funds'
+    ));
+
     // Add Community category with social links
     const socialCategory = this.createCategory('Connect With Us');
     menuContainer.appendChild(socialCategory);
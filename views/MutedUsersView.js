@@ -0,0 +1,179 @@
+import View from './View.js';
+import muteService from '../services/MuteService.js';
+import LoadingIndicator from '../components/LoadingIndicator.js';
+
+/**
+ * View for managing the accounts muted by the current user
+ */
+class MutedUsersView extends View {
+  constructor(params = {}) {
+    super(params);
+    this.title = 'Muted Users | cur8.fun';
+    this.loadingIndicator = new LoadingIndicator();
+    this.listContainer = null;
+    this.pendingAccounts = new Set();
+  }
+
+  /**
+   * Render the muted users view
+   * @param {HTMLElement} container - Container element to render into
+   */
+  async render(container) {
+    this.container = container;
+
+    while (this.container.firstChild) {
+      this.container.removeChild(this.container.firstChild);
+    }
+
+    const viewWrapper = document.createElement('div');
+    viewWrapper.className = 'muted-users-view';
+
+    const contentWrapper = document.createElement('div');
+    contentWrapper.className = 'content-wrapper';
+
+    const header = document.createElement('h1');
+    header.textContent = 'Muted Users';
+    contentWrapper.appendChild(header);
+
+    const description = document.createElement('p');
+    description.className = 'page-subtitle';
+    const shownAs = muteService.getMode() === 'collapse' ? 'shown collapsed' : 'hidden';
+    description.innerHTML = `Posts and comments from these accounts are ${shownAs}, and they never appear in your notifications. ` +
+      'You can change how muted content is shown in <a href="/settings">Settings</a>.';
+    contentWrapper.appendChild(description);
+
+    contentWrapper.appendChild(this.createAddForm());
+
+    this.listContainer = document.createElement('div');
+    this.listContainer.className = 'muted-users-list';
+    contentWrapper.appendChild(this.listContainer);
+
+    viewWrapper.appendChild(contentWrapper);
+    this.container.appendChild(viewWrapper);
+
+    this.subscribe('mute:changed', () => this.renderList());
+
+    // Show the stored list right away, then refresh it from the chain
+    if (muteService.getMutedUsers().length === 0) {
+      this.loadingIndicator.show(this.listContainer);
+    } else {
+      this.renderList();
+    }
+
+    try {
+      await muteService.refresh();
+    } catch (error) {
+      console.error('Failed to load muted users:', error);
+      this.showMessage('Could not refresh the muted list from the blockchain.', true);
+    } finally {
+      this.loadingIndicator.hide();
+      this.renderList();
+    }
+  }
+
+  createAddForm() {
+    const form = document.createElement('form');
+    form.className = 'muted-users-add-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'muted-users-input';
+    input.placeholder = 'Username to mute';
+    input.autocomplete = 'off';
+    form.appendChild(input);
+
+    const addButton = document.createElement('button');
+    addButton.type = 'submit';
+    addButton.className = 'primary-btn';
+    addButton.textContent = 'Mute';
+    form.appendChild(addButton);
+
+    this.formMessage = document.createElement('div');
+    this.formMessage.className = 'muted-users-message';
+    form.appendChild(this.formMessage);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      addButton.disabled = true;
+      this.showMessage('', false);
+
+      try {
+        await muteService.mute(input.value);
+        input.value = '';
+      } catch (error) {
+        this.showMessage(error.message, true);
+      } finally {
+        addButton.disabled = false;
+      }
+    });
+
+    return form;
+  }
+
+  renderList() {
+    if (!this.listContainer) return;
+    this.listContainer.innerHTML = '';
+
+    const mutedUsers = muteService.getMutedUsers();
+
+    if (mutedUsers.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'muted-users-empty';
+      emptyState.textContent = 'You have not muted anyone.';
+      this.listContainer.appendChild(emptyState);
+      return;
+    }
+
+    mutedUsers.forEach(account => {
+      const row = document.createElement('div');
+      row.className = 'muted-user-row';
+
+      const avatar = document.createElement('img');
+      avatar.className = 'muted-user-avatar';
+      avatar.src = `https://steemitimages.com/u/${account}/avatar/small`;
+      avatar.alt = account;
+      avatar.onerror = () => {
+        avatar.src = 'assets/img/default-avatar.png';
+      };
+      row.appendChild(avatar);
+
+      const link = document.createElement('a');
+      link.className = 'muted-user-name';
+      link.href = `/@${account}`;
+      link.textContent = `@${account}`;
+      row.appendChild(link);
+
+      const unmuteButton = document.createElement('button');
+      unmuteButton.className = 'secondary-btn';
+      unmuteButton.textContent = this.pendingAccounts.has(account) ? 'Unmuting...' : 'Unmute';
+      unmuteButton.disabled = this.pendingAccounts.has(account);
+      unmuteButton.addEventListener('click', () => this.handleUnmute(account, unmuteButton));
+      row.appendChild(unmuteButton);
+
+      this.listContainer.appendChild(row);
+    });
+  }
+
+  async handleUnmute(account, button) {
+    this.pendingAccounts.add(account);
+    button.disabled = true;
+    button.textContent = 'Unmuting...';
+
+    try {
+      await muteService.unmute(account);
+    } catch (error) {
+      console.error(`Failed to unmute ${account}:`, error);
+    } finally {
+      this.pendingAccounts.delete(account);
+      this.renderList();
+    }
+  }
+
+  showMessage(text, isError) {
+    if (!this.formMessage) return;
+    this.formMessage.textContent = text;
+    this.formMessage.classList.toggle('error-message', isError);
+  }
+}
+
+export default MutedUsersView;
@@ -335,7 +335,7 @@ class NotificationsView {
         }
         
         // Elimina completamente la cache
-        notificationsService.clearCache();
+        await notificationsService.clearCache();
         
         // Disattiva l'infinite scroll
         if (this.infiniteScroll) {
@@ -606,7 +606,7 @@ class NotificationsView {
         }
         
         // Forza il refresh completo della cache
-        notificationsService.clearCache();
+        await notificationsService.clearCache();
         
         // Destroy dell'infinite scroll
         if (this.infiniteScroll) {
@@ -653,7 +653,7 @@ class NotificationsView {
         
         try {
             // Forza il refresh completo
-            notificationsService.clearCache();
+            await notificationsService.clearCache();
             
             // Ottieni TUTTI gli upvote storici
             // L'API è limitata, quindi potrebbe richiedere molto tempo
@@ -5,6 +5,7 @@ import ContentRenderer from '../components/ContentRenderer.js';
 import steemService from '../services/SteemService.js'; 
 import communityService from '../services/CommunityService.js';
 import authService from '../services/AuthService.js';
+import nsfwService from '../services/NsfwService.js';
 
 // Import components
 import PostHeader from '../components/post/PostHeader.js';
@@ -26,6 +27,7 @@ class PostView extends View {  constructor(params = {}) {
     this.author = params.author;
     this.permlink = params.permlink;
     this.comments = [];
+    this.nsfwMode = 'show';
     this.element = null;    this.loadingIndicator = new LoadingIndicator('spinner');
     this.reblogHandler = new PostReblogHandler(); // Inizializzare il handler del reblog
     
@@ -155,6 +157,10 @@ class PostView extends View {  constructor(params = {}) {
       this.post = post;
       this.comments = replies || [];
 
+      // NSFW communities may have to be looked up before the body is shown
+      const nsfwMode = nsfwService.getMode();
+      this.nsfwMode = nsfwMode !== 'show' && await nsfwService.isNsfwAsync(post) ? nsfwMode : 'show';
+
       this.loadingIndicator.updateProgress(100);
 
       // Add Open Graph meta tags for better sharing preview
@@ -433,7 +439,8 @@ class PostView extends View {  constructor(params = {}) {
     
     this.postContentComponent = new PostContent(
       this.post, 
-      this.contentRenderer
+      this.contentRenderer,
+      this.nsfwMode
     );
       // Pass canEditPost() result to PostActions component
     this.postActionsComponent = new PostActions(
@@ -444,7 +451,8 @@ class PostView extends View {  constructor(params = {}) {
       () => this.handleEdit(),
       () => this.handleReblog(),
       this.canEditPost(),
-      false // hasReblogged sarà aggiornato dinamicamente                                  
+      false, // hasReblogged sarà aggiornato dinamicamente
+      () => this.voteController.handlePostDownvote(this.post)
     );
     
     this.postTagsComponent = new PostTags(
@@ -456,7 +464,8 @@ class PostView extends View {  constructor(params = {}) {
       this.post,
       (comment, text) => this.commentController.handleReply(comment, text),
       (commentEl, voteBtn) => this.voteController.handleCommentVote(commentEl, voteBtn),
-      this.contentRenderer
+      this.contentRenderer,
+      (comment, downvoteBtn) => this.voteController.handleCommentDownvote(comment, downvoteBtn)
     );
     
     // Se abbiamo un tag community valido, passiamolo a PostHeaderComponent
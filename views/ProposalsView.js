@@ -0,0 +1,337 @@
+import View from './View.js';
+import governanceService from '../services/GovernanceService.js';
+import authService from '../services/AuthService.js';
+import LoadingIndicator from '../components/LoadingIndicator.js';
+
+/**
+ * View listing Steem Proposal System (DAO) proposals with approval voting
+ */
+class ProposalsView extends View {
+  constructor(params = {}) {
+    super(params);
+    this.title = 'Proposals | cur8.fun';
+    this.currentUser = authService.getCurrentUser();
+    this.loadingIndicator = new LoadingIndicator();
+    this.proposals = [];
+    this.threshold = 0;
+    this.returnProposalId = null;
+    this.approvedIds = new Set();
+    this.proxy = '';
+    this.pendingIds = new Set();
+    this.activeStatus = 'active';
+  }
+
+  /**
+   * Render the proposals view
+   * @param {HTMLElement} container - Container element to render into
+   */
+  async render(container) {
+    this.container = container;
+
+    while (this.container.firstChild) {
+      this.container.removeChild(this.container.firstChild);
+    }
+
+    const viewWrapper = document.createElement('div');
+    viewWrapper.className = 'proposals-view';
+
+    const contentWrapper = document.createElement('div');
+    contentWrapper.className = 'content-wrapper';
+
+    const header = document.createElement('h1');
+    header.textContent = 'Proposals';
+    contentWrapper.appendChild(header);
+
+    const description = document.createElement('p');
+    description.className = 'page-subtitle';
+    description.textContent = 'The Steem DAO funds proposals from its daily budget. ' +
+      'Only proposals with more votes than the return proposal get paid.';
+    contentWrapper.appendChild(description);
+
+    this.noticeContainer = document.createElement('div');
+    contentWrapper.appendChild(this.noticeContainer);
+
+    this.statusTabs = this.createStatusTabs();
+    contentWrapper.appendChild(this.statusTabs);
+
+    this.listContainer = document.createElement('div');
+    this.listContainer.className = 'proposal-list';
+    contentWrapper.appendChild(this.listContainer);
+
+    viewWrapper.appendChild(contentWrapper);
+    this.container.appendChild(viewWrapper);
+
+    this.loadingIndicator.show(this.listContainer);
+
+    try {
+      const [proposalData, approvedIds, governance] = await Promise.all([
+        governanceService.getProposals(),
+        this.currentUser ? governanceService.getProposalVotes(this.currentUser.username) : Promise.resolve([]),
+        this.currentUser
+          ? governanceService.getAccountGovernance(this.currentUser.username)
+          : Promise.resolve({ proxy: '' })
+      ]);
+
+      this.proposals = proposalData.proposals;
+      this.threshold = proposalData.threshold;
+      this.returnProposalId = proposalData.returnProposalId;
+      this.approvedIds = new Set(approvedIds);
+      this.proxy = governance.proxy;
+    } catch (error) {
+      console.error('Failed to load proposals:', error);
+      this.loadingIndicator.hide();
+      this.listContainer.innerHTML = '';
+      const errorState = document.createElement('div');
+      errorState.className = 'proposal-empty';
+      errorState.textContent = 'Failed to load proposals. Please try again later.';
+      this.listContainer.appendChild(errorState);
+      return;
+    }
+
+    this.loadingIndicator.hide();
+    this.renderNotice();
+    this.updateStatusTabs();
+    this.renderProposals();
+  }
+
+  createStatusTabs() {
+    const tabs = document.createElement('div');
+    tabs.className = 'proposal-status-tabs';
+
+    [
+      { id: 'active', label: 'Active' },
+      { id: 'upcoming', label: 'Upcoming' },
+      { id: 'expired', label: 'Expired' }
+    ].forEach(status => {
+      const button = document.createElement('button');
+      button.className = 'proposal-status-tab';
+      button.dataset.status = status.id;
+      button.dataset.label = status.label;
+      button.textContent = status.label;
+      button.classList.toggle('active', status.id === this.activeStatus);
+      button.addEventListener('click', () => {
+        this.activeStatus = status.id;
+        this.updateStatusTabs();
+        this.renderProposals();
+      });
+      tabs.appendChild(button);
+    });
+
+    return tabs;
+  }
+
+  updateStatusTabs() {
+    this.statusTabs.querySelectorAll('.proposal-status-tab').forEach(button => {
+      const count = this.proposals.filter(proposal => proposal.status === button.dataset.status).length;
+      button.textContent = `${button.dataset.label} (${count})`;
+      button.classList.toggle('active', button.dataset.status === this.activeStatus);
+    });
+  }
+
+  renderNotice() {
+    this.noticeContainer.innerHTML = '';
+
+    const notice = document.createElement('p');
+    notice.className = 'proposal-notice';
+
+    if (!this.currentUser) {
+      notice.innerHTML = '<a href="/login">Log in</a> to vote on proposals.';
+    } else if (this.proxy) {
+      notice.innerHTML = `Your governance votes are proxied to <a href="/@${this.proxy}">@${this.proxy}</a>, ` +
+        'so your own proposal votes are not counted. Manage the proxy on the <a href="/witnesses">Witnesses</a> page.';
+    } else {
+      return;
+    }
+
+    this.noticeContainer.appendChild(notice);
+  }
+
+  renderProposals() {
+    if (!this.listContainer) return;
+    this.listContainer.innerHTML = '';
+
+    const proposals = this.proposals.filter(proposal => proposal.status === this.activeStatus);
+
+    if (proposals.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'proposal-empty';
+      emptyState.textContent = `No ${this.activeStatus} proposals.`;
+      this.listContainer.appendChild(emptyState);
+      return;
+    }
+
+    proposals.forEach(proposal => this.listContainer.appendChild(this.createProposalCard(proposal)));
+  }
+
+  createProposalCard(proposal) {
+    const isReturnProposal = proposal.id === this.returnProposalId;
+    const isFunded = !isReturnProposal && proposal.status === 'active' && proposal.votesSp > this.threshold;
+
+    const card = document.createElement('div');
+    card.className = 'proposal-card';
+    if (isReturnProposal) card.classList.add('return-proposal');
+    if (isFunded) card.classList.add('funded');
+
+    const header = document.createElement('div');
+    header.className = 'proposal-header';
+
+    const idBadge = document.createElement('span');
+    idBadge.className = 'proposal-id';
+    idBadge.textContent = `#${proposal.id}`;
+    header.appendChild(idBadge);
+
+    // The proposal's post opens in the regular PostView
+    const subject = document.createElement('a');
+    subject.className = 'proposal-subject';
+    subject.href = `/@${proposal.creator}/${proposal.permlink}`;
+    subject.textContent = proposal.subject;
+    header.appendChild(subject);
+
+    if (isReturnProposal) {
+      header.appendChild(this.createBadge('Return proposal', 'return'));
+    } else if (proposal.status === 'active') {
+      header.appendChild(isFunded ? this.createBadge('Funded', 'funded') : this.createBadge('Not funded', 'unfunded'));
+    }
+
+    card.appendChild(header);
+
+    const meta = document.createElement('div');
+    meta.className = 'proposal-meta';
+    meta.innerHTML = `by <a href="/@${proposal.creator}">@${proposal.creator}</a>` +
+      (proposal.receiver !== proposal.creator ? ` · pays <a href="/@${proposal.receiver}">@${proposal.receiver}</a>` : '');
+    card.appendChild(meta);
+
+    const stats = document.createElement('div');
+    stats.className = 'proposal-stats';
+    [
+      { label: 'Daily pay', value: `${proposal.dailyPay.toLocaleString(undefined, { maximumFractionDigits: 3 })} SBD` },
+      { label: 'Duration', value: `${proposal.startDate.toLocaleDateString()} – ${proposal.endDate.toLocaleDateString()}` },
+      { label: 'Votes', value: this.formatSp(proposal.votesSp) }
+    ].forEach(stat => {
+      const item = document.createElement('div');
+      item.className = 'proposal-stat';
+
+      const label = document.createElement('span');
+      label.className = 'proposal-stat-label';
+      label.textContent = stat.label;
+
+      const value = document.createElement('span');
+      value.className = 'proposal-stat-value';
+      value.textContent = stat.value;
+
+      item.appendChild(label);
+      item.appendChild(value);
+      stats.appendChild(item);
+    });
+    card.appendChild(stats);
+
+    if (!isReturnProposal && this.threshold > 0) {
+      card.appendChild(this.createThresholdBar(proposal));
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'proposal-footer';
+    if (proposal.status !== 'expired') {
+      footer.appendChild(this.createVoteButton(proposal));
+    }
+    card.appendChild(footer);
+
+    return card;
+  }
+
+  createBadge(text, type) {
+    const badge = document.createElement('span');
+    badge.className = `proposal-badge ${type}`;
+    badge.textContent = text;
+    return badge;
+  }
+
+  /**
+   * Bar comparing a proposal's votes with the return proposal, capped at twice the threshold
+   * @param {Object} proposal - Proposal
+   * @returns {HTMLElement} Threshold bar
+   */
+  createThresholdBar(proposal) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'proposal-threshold';
+
+    const bar = document.createElement('div');
+    bar.className = 'proposal-threshold-bar';
+
+    const fill = document.createElement('div');
+    fill.className = 'proposal-threshold-fill';
+    fill.style.width = `${Math.min(100, proposal.votesSp / (this.threshold * 2) * 100)}%`;
+    if (proposal.votesSp > this.threshold) {
+      fill.classList.add('above');
+    }
+    bar.appendChild(fill);
+
+    const marker = document.createElement('div');
+    marker.className = 'proposal-threshold-marker';
+    marker.title = `Return proposal: ${this.formatSp(this.threshold)}`;
+    bar.appendChild(marker);
+
+    wrapper.appendChild(bar);
+
+    const label = document.createElement('span');
+    label.className = 'proposal-threshold-label';
+    const ratio = proposal.votesSp / this.threshold * 100;
+    label.textContent = `${ratio.toFixed(0)}% of the return proposal`;
+    wrapper.appendChild(label);
+
+    return wrapper;
+  }
+
+  createVoteButton(proposal) {
+    const approved = this.approvedIds.has(proposal.id);
+    const pending = this.pendingIds.has(proposal.id);
+
+    const button = document.createElement('button');
+    button.className = approved ? 'secondary-btn proposal-vote-btn approved' : 'primary-btn proposal-vote-btn';
+    button.innerHTML = `<span class="material-icons">${approved ? 'check_circle' : 'how_to_vote'}</span>` +
+      `<span>${pending ? 'Processing...' : approved ? 'Approved' : 'Approve'}</span>`;
+    button.title = approved ? 'Remove your approval' : 'Approve this proposal';
+    button.disabled = !this.currentUser || pending;
+    button.addEventListener('click', () => this.toggleVote(proposal, !approved));
+    return button;
+  }
+
+  formatSp(value) {
+    if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M SP`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K SP`;
+    return `${value.toFixed(0)} SP`;
+  }
+
+  async toggleVote(proposal, approve) {
+    this.pendingIds.add(proposal.id);
+    this.renderProposals();
+
+    try {
+      await governanceService.voteProposals([proposal.id], approve);
+
+      if (approve) {
+        this.approvedIds.add(proposal.id);
+      } else {
+        this.approvedIds.delete(proposal.id);
+      }
+
+      this.emit('notification', {
+        type: 'success',
+        message: approve ? `Proposal #${proposal.id} approved` : `Approval of proposal #${proposal.id} removed`,
+        duration: 3000
+      });
+    } catch (error) {
+      console.error('Proposal vote failed:', error);
+      this.emit('notification', {
+        type: 'error',
+        message: error.message || 'Proposal vote failed',
+        duration: 4000
+      });
+    } finally {
+      this.pendingIds.delete(proposal.id);
+      this.renderProposals();
+    }
+  }
+}
+
+export default ProposalsView;
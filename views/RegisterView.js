@@ -2,6 +2,7 @@ import View from './View.js';
 import router from '../utils/Router.js';
 import registerService from '../services/RegisterService.js';
 import eventEmitter from '../utils/EventEmitter.js';
+import { enableCopyToClipboard, downloadTextFile } from '../utils/KeyBackupUtils.js';
 
 class RegisterView extends View {
   constructor(params) {
@@ -1096,26 +1097,7 @@ class RegisterView extends View {
    * Add copy to clipboard functionality to all elements with .copyable class
    */
   addCopyToClipboardFunctionality() {
-    // Add copy functionality to key codes
-    document.querySelectorAll('.copyable').forEach(codeElement => {
-      codeElement.addEventListener('click', function() {
-        const textToCopy = this.textContent;
-        navigator.clipboard.writeText(textToCopy).then(() => {
-          // Show a brief "copied" feedback
-          const originalText = this.textContent;
-          const originalBackground = this.style.backgroundColor;
-          
-          this.textContent = 'Copiato!';
-          this.style.backgroundColor = '#d4edda';
-          
-          setTimeout(() => {
-            this.textContent = originalText;
-            this.style.backgroundColor = originalBackground;
-          }, 1000);
-        });
-      });
-      codeElement.title = 'Clicca per copiare';
-    });
+    enableCopyToClipboard(document, { copied: 'Copiato!', title: 'Clicca per copiare' });
   }
   
   /**
@@ -1266,20 +1248,7 @@ Generato il ${new Date().toLocaleString()}
 ${data.isLocalDev ? '\nMODALITÀ SVILUPPO - SOLO PER TEST' : ''}
     `;
     
-    const textBlob = new Blob([textContent], { type: 'text/plain' });
-    const textUrl = URL.createObjectURL(textBlob);
-    
-    const downloadLink = document.createElement('a');
-    downloadLink.href = textUrl;
-    downloadLink.download = `steem-account-${data.accountName}.txt`;
-    downloadLink.style.display = 'none';
-    document.body.appendChild(downloadLink);
-    downloadLink.click();
-    
-    setTimeout(() => {
-      URL.revokeObjectURL(textUrl);
-      document.body.removeChild(downloadLink);
-    }, 100);
+    downloadTextFile(`steem-account-${data.accountName}.txt`, textContent);
     
     this.showNotification('Download file di testo avviato', 'success');
   }
@@ -0,0 +1,376 @@
+import View from './View.js';
+import authorityService from '../services/AuthorityService.js';
+import authService from '../services/AuthService.js';
+import LoadingIndicator from '../components/LoadingIndicator.js';
+import DialogUtility from '../components/DialogUtility.js';
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Recovers the account and changes every other authority. Keep its keys offline.',
+  active: 'Transfers funds, powers down, votes for witnesses and changes the posting authority.',
+  posting: 'Posts, comments, votes and follows. This is what most apps ask for.'
+};
+
+/**
+ * View listing the keys and accounts allowed to sign for the user,
+ * with revocation and new grants of active and posting authority
+ */
+class SecurityView extends View {
+  constructor(params = {}) {
+    super(params);
+    this.title = 'Account Security | cur8.fun';
+    this.currentUser = authService.getCurrentUser();
+    this.loadingIndicator = new LoadingIndicator();
+    this.authorities = null;
+    this.pending = false;
+  }
+
+  /**
+   * Render the security view
+   * @param {HTMLElement} container - Container element to render into
+   */
+  async render(container) {
+    this.container = container;
+
+    while (this.container.firstChild) {
+      this.container.removeChild(this.container.firstChild);
+    }
+
+    const viewWrapper = document.createElement('div');
+    viewWrapper.className = 'security-view';
+
+    const contentWrapper = document.createElement('div');
+    contentWrapper.className = 'content-wrapper';
+
+    const header = document.createElement('h1');
+    header.textContent = 'Account Security';
+    contentWrapper.appendChild(header);
+
+    const description = document.createElement('p');
+    description.className = 'page-subtitle';
+    description.textContent = 'Every key and account listed here can sign transactions for you. ' +
+      'Revoke the apps you no longer use.';
+    contentWrapper.appendChild(description);
+
+    this.rolesContainer = document.createElement('div');
+    this.rolesContainer.className = 'authority-roles';
+    contentWrapper.appendChild(this.rolesContainer);
+
+    viewWrapper.appendChild(contentWrapper);
+    this.container.appendChild(viewWrapper);
+
+    await this.loadAuthorities();
+  }
+
+  async loadAuthorities() {
+    this.rolesContainer.innerHTML = '';
+    this.loadingIndicator.show(this.rolesContainer);
+
+    try {
+      this.authorities = await authorityService.getAuthorities(this.currentUser.username);
+    } catch (error) {
+      console.error('Failed to load account authorities:', error);
+      this.loadingIndicator.hide();
+      this.rolesContainer.innerHTML = '';
+      const errorState = document.createElement('div');
+      errorState.className = 'authority-empty';
+      errorState.textContent = 'Failed to load your account authorities. Please try again later.';
+      this.rolesContainer.appendChild(errorState);
+      return;
+    }
+
+    this.loadingIndicator.hide();
+    this.renderRoles();
+  }
+
+  renderRoles() {
+    this.rolesContainer.innerHTML = '';
+
+    this.rolesContainer.appendChild(this.createGrantForm());
+    authorityService.ROLES.forEach(role => {
+      this.rolesContainer.appendChild(this.createRoleCard(role));
+    });
+    this.rolesContainer.appendChild(this.createMemoKeyCard());
+  }
+
+  createRoleCard(role) {
+    const authority = this.authorities[role];
+    const editable = authorityService.EDITABLE_ROLES.includes(role);
+
+    const card = document.createElement('section');
+    card.className = 'authority-card';
+
+    const header = document.createElement('div');
+    header.className = 'authority-card-header';
+
+    const title = document.createElement('h2');
+    title.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+    header.appendChild(title);
+
+    const threshold = document.createElement('span');
+    threshold.className = 'authority-threshold';
+    threshold.textContent = `Threshold ${authority.weightThreshold}`;
+    threshold.title = 'Total weight of signatures needed to act with this role';
+    header.appendChild(threshold);
+
+    card.appendChild(header);
+
+    const roleDescription = document.createElement('p');
+    roleDescription.className = 'authority-role-description';
+    roleDescription.textContent = ROLE_DESCRIPTIONS[role];
+    card.appendChild(roleDescription);
+
+    card.appendChild(this.createSubheading('Keys'));
+    const keyList = document.createElement('ul');
+    keyList.className = 'authority-list';
+    authority.keyAuths.forEach(auth => {
+      const item = document.createElement('li');
+      item.className = 'authority-item';
+
+      const key = document.createElement('code');
+      key.className = 'authority-key';
+      key.textContent = auth.key;
+      item.appendChild(key);
+
+      item.appendChild(this.createWeight(auth.weight));
+      keyList.appendChild(item);
+    });
+    card.appendChild(keyList);
+
+    card.appendChild(this.createSubheading('Authorized accounts'));
+    const accountList = document.createElement('ul');
+    accountList.className = 'authority-list';
+
+    if (authority.accountAuths.length === 0) {
+      const emptyState = document.createElement('li');
+      emptyState.className = 'authority-empty';
+      emptyState.textContent = 'No apps or accounts are authorized.';
+      accountList.appendChild(emptyState);
+    }
+
+    authority.accountAuths.forEach(auth => {
+      const item = document.createElement('li');
+      item.className = 'authority-item';
+
+      const link = document.createElement('a');
+      link.className = 'authority-account';
+      link.href = `/@${auth.account}`;
+      link.textContent = `@${auth.account}`;
+      item.appendChild(link);
+
+      item.appendChild(this.createWeight(auth.weight));
+
+      if (editable) {
+        const revokeBtn = document.createElement('button');
+        revokeBtn.className = 'secondary-btn authority-revoke-btn';
+        revokeBtn.textContent = 'Revoke';
+        revokeBtn.disabled = this.pending;
+        revokeBtn.addEventListener('click', () => this.revoke(role, auth.account));
+        item.appendChild(revokeBtn);
+      }
+
+      accountList.appendChild(item);
+    });
+    card.appendChild(accountList);
+
+    if (!editable) {
+      const note = document.createElement('p');
+      note.className = 'authority-note';
+      note.textContent = 'The owner authority can only be changed with the owner key. ';
+
+      const rotateLink = document.createElement('a');
+      rotateLink.href = '/security/change-password';
+      rotateLink.textContent = 'Change password and keys';
+      note.appendChild(rotateLink);
+
+      card.appendChild(note);
+    }
+
+    return card;
+  }
+
+  createMemoKeyCard() {
+    const card = document.createElement('section');
+    card.className = 'authority-card';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Memo';
+    card.appendChild(title);
+
+    const roleDescription = document.createElement('p');
+    roleDescription.className = 'authority-role-description';
+    roleDescription.textContent = 'Encrypts and decrypts private memos. It cannot sign transactions.';
+    card.appendChild(roleDescription);
+
+    const key = document.createElement('code');
+    key.className = 'authority-key';
+    key.textContent = this.authorities.memoKey;
+    card.appendChild(key);
+
+    return card;
+  }
+
+  createSubheading(text) {
+    const heading = document.createElement('h3');
+    heading.className = 'authority-subheading';
+    heading.textContent = text;
+    return heading;
+  }
+
+  createWeight(weight) {
+    const badge = document.createElement('span');
+    badge.className = 'authority-weight';
+    badge.textContent = `weight ${weight}`;
+    return badge;
+  }
+
+  createGrantForm() {
+    const section = document.createElement('section');
+    section.className = 'authority-card authority-grant';
+
+    const title = document.createElement('h2');
+    title.textContent = 'Authorize an app';
+    section.appendChild(title);
+
+    const form = document.createElement('form');
+    form.className = 'authority-grant-form';
+
+    const accountInput = document.createElement('input');
+    accountInput.type = 'text';
+    accountInput.className = 'authority-input';
+    accountInput.placeholder = 'Account name';
+    accountInput.autocomplete = 'off';
+    form.appendChild(accountInput);
+
+    const roleSelect = document.createElement('select');
+    roleSelect.className = 'authority-input';
+    authorityService.EDITABLE_ROLES.slice().reverse().forEach(role => {
+      const option = document.createElement('option');
+      option.value = role;
+      option.textContent = role.charAt(0).toUpperCase() + role.slice(1);
+      roleSelect.appendChild(option);
+    });
+    form.appendChild(roleSelect);
+
+    const weightInput = document.createElement('input');
+    weightInput.type = 'number';
+    weightInput.min = '1';
+    weightInput.className = 'authority-input authority-weight-input';
+    weightInput.title = 'Weight, defaults to the role threshold';
+    const updateWeightPlaceholder = () => {
+      weightInput.placeholder = `Weight (${this.authorities[roleSelect.value].weightThreshold})`;
+    };
+    updateWeightPlaceholder();
+    roleSelect.addEventListener('change', updateWeightPlaceholder);
+    form.appendChild(weightInput);
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'primary-btn';
+    submitBtn.textContent = 'Review';
+    submitBtn.disabled = this.pending;
+    form.appendChild(submitBtn);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!accountInput.value.trim()) return;
+      const weight = weightInput.value ? weightInput.value : null;
+      this.grant(roleSelect.value, accountInput.value, weight);
+    });
+
+    section.appendChild(form);
+
+    const note = document.createElement('p');
+    note.className = 'authority-note';
+    note.textContent = 'Only authorize accounts you trust: they sign with their own keys and never need yours.';
+    section.appendChild(note);
+
+    return section;
+  }
+
+  async grant(role, account, weight) {
+    let plan;
+    try {
+      plan = await authorityService.planGrant(this.authorities, role, account, weight);
+    } catch (error) {
+      this.emit('notification', { type: 'error', message: error.message, duration: 4000 });
+      return;
+    }
+
+    await this.confirmAndApply(plan, `Authorize @${plan.changes[0].account}`);
+  }
+
+  async revoke(role, account) {
+    let plan;
+    try {
+      plan = authorityService.planRevoke(this.authorities, role, account);
+    } catch (error) {
+      this.emit('notification', { type: 'error', message: error.message, duration: 4000 });
+      return;
+    }
+
+    await this.confirmAndApply(plan, `Revoke @${account}`);
+  }
+
+  /**
+   * Shows what the transaction changes and broadcasts it once confirmed
+   * @param {Object} plan - Change plan from AuthorityService
+   * @param {string} confirmText - Label of the confirm button
+   */
+  async confirmAndApply(plan, confirmText) {
+    const confirmed = await DialogUtility.showConfirmationDialog({
+      title: `Change ${plan.role} authority`,
+      message: 'Review the changes below. They take effect as soon as the transaction is signed.',
+      confirmText,
+      icon: 'security',
+      type: 'warning',
+      details: this.renderPlanDetails(plan)
+    });
+
+    if (!confirmed) return;
+
+    this.pending = true;
+    this.renderRoles();
+
+    try {
+      await authorityService.applyPlan(this.authorities, plan);
+      this.emit('notification', {
+        type: 'success',
+        message: `${plan.role.charAt(0).toUpperCase() + plan.role.slice(1)} authority updated`,
+        duration: 3000
+      });
+    } catch (error) {
+      console.error('Authority update failed:', error);
+      this.emit('notification', {
+        type: 'error',
+        message: error.message || 'Authority update failed',
+        duration: 4000
+      });
+    } finally {
+      this.pending = false;
+    }
+
+    await this.loadAuthorities();
+  }
+
+  renderPlanDetails(plan) {
+    const symbols = { add: '+', remove: '−', update: '~' };
+
+    const changes = plan.changes.map(change => {
+      const weight = change.type === 'update'
+        ? `weight ${change.previousWeight} → ${change.weight}`
+        : `weight ${change.weight}`;
+      return `<li class="authority-diff-${change.type}">` +
+        `<span class="authority-diff-symbol">${symbols[change.type]}</span> @${change.account} <small>(${weight})</small></li>`;
+    }).join('');
+
+    const warnings = plan.warnings.map(warning => `<li>${DialogUtility.escapeHtml(warning)}</li>`).join('');
+
+    return `
+      <ul class="authority-diff">${changes}</ul>
+      <p class="authority-diff-threshold">Threshold stays at ${plan.after.weightThreshold}.</p>
+      ${warnings ? `<ul class="authority-warnings">${warnings}</ul>` : ''}
+    `;
+  }
+}
+
+export default SecurityView;
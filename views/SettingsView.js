@@ -1,8 +1,13 @@
 import View from './View.js';
 import userPreferencesService from '../services/UserPreferencesService.js';
+import authService from '../services/AuthService.js';
 import eventEmitter from '../utils/EventEmitter.js';
 import { SearchService } from '../services/SearchService.js';
 import { getAppVersion, getBuildTimestamp } from '../config/app-version.js';
+import RpcNodeSettings from '../components/settings/RpcNodeSettings.js';
+import CacheSettings from '../components/settings/CacheSettings.js';
+import SigningRulesSettings from '../components/settings/SigningRulesSettings.js';
+import CustomFeedsSettings from '../components/settings/CustomFeedsSettings.js';
 
 /**
  * View for user settings and preferences
@@ -13,9 +18,16 @@ class SettingsView extends View {
     this.title = 'Settings';
     this.preferredTags = userPreferencesService.getPreferredTags();
     this.homeViewMode = userPreferencesService.getHomeViewMode();
+    this.mutedContentMode = userPreferencesService.getMutedContentMode();
+    this.nsfwContentMode = userPreferencesService.getNsfwContentMode();
+    this.lowQualityRules = userPreferencesService.getLowQualityRules();
     this.searchService = new SearchService();
     this.searchResults = [];
     this.tagSearchTimeout = null;
+    this.rpcNodeSettings = null;
+    this.cacheSettings = null;
+    this.signingRulesSettings = null;
+    this.customFeedsSettings = null;
   }
   
   // Add this new helper method
@@ -43,6 +55,34 @@ class SettingsView extends View {
     const tagsSection = this.createPreferredTagsSection();
     content.appendChild(tagsSection);
 
+    // Create custom feeds section (changes apply immediately, not on save)
+    this.customFeedsSettings = new CustomFeedsSettings(content);
+    this.customFeedsSettings.render();
+
+    // Create muted content section
+    const mutedSection = this.createMutedContentSection();
+    content.appendChild(mutedSection);
+
+    // Create NSFW content section
+    const nsfwSection = this.createNsfwContentSection();
+    content.appendChild(nsfwSection);
+
+    // Create low quality content section
+    const lowQualitySection = this.createLowQualityContentSection();
+    content.appendChild(lowQualitySection);
+
+    // Create RPC node section (changes apply immediately, not on save)
+    this.rpcNodeSettings = new RpcNodeSettings(content);
+    this.rpcNodeSettings.render();
+
+    // Create cached data section (clearing applies immediately, not on save)
+    this.cacheSettings = new CacheSettings(content);
+    this.cacheSettings.render();
+
+    // Create transaction confirmation section (changes apply immediately, not on save)
+    this.signingRulesSettings = new SigningRulesSettings(content);
+    this.signingRulesSettings.render();
+
     // Create app information section
     const appInfoSection = this.createAppInfoSection();
     content.appendChild(appInfoSection);
@@ -71,6 +111,7 @@ class SettingsView extends View {
         { id: 'trending', label: 'Trending', description: 'Posts that are trending on the platform' },
         { id: 'hot', label: 'Hot', description: 'Posts that are currently hot on the platform' },
         { id: 'new', label: 'New', description: 'Recently created posts' },
+        { id: 'feed', label: 'Following', description: 'Posts and resteems from the accounts you follow' },
         { id: 'custom', label: 'Custom Feed', description: 'Posts based on your preferred tags below' }
     ];
 
@@ -92,6 +133,12 @@ class SettingsView extends View {
         input.disabled = true;
       }
 
+      // The following feed belongs to an account
+      if (option.id === 'feed' && !authService.isAuthenticated()) {
+        radioContainer.classList.add('disabled-option');
+        input.disabled = true;
+      }
+
       const label = document.createElement('label');
       label.htmlFor = `feed-${option.id}`;
 
@@ -109,6 +156,11 @@ class SettingsView extends View {
         labelDescription.textContent += ' (Add preferred tags below to enable this option)';
         labelDescription.style.color = '#ff6b6b';
       }
+
+      if (option.id === 'feed' && !authService.isAuthenticated()) {
+        labelDescription.textContent += ' (Log in to enable this option)';
+        labelDescription.style.color = '#ff6b6b';
+      }
       
       label.appendChild(labelDescription);
 
@@ -132,6 +184,229 @@ class SettingsView extends View {
     return section;
   }
 
+  createMutedContentSection() {
+    const section = document.createElement('section');
+    section.className = 'settings-section muted-content-settings';
+
+    const sectionTitle = document.createElement('h2');
+    sectionTitle.textContent = 'Muted Users';
+    section.appendChild(sectionTitle);
+
+    const description = document.createElement('p');
+    description.textContent = 'Choose how posts and comments from users you muted are displayed.';
+    section.appendChild(description);
+
+    const options = [
+      { id: 'hide', label: 'Hide', description: 'Leave their posts and comments out completely' },
+      { id: 'collapse', label: 'Collapse', description: 'Show a placeholder you can click to reveal the content' }
+    ];
+
+    const optionsContainer = document.createElement('div');
+    optionsContainer.className = 'feed-options';
+
+    options.forEach(option => {
+      const radioContainer = document.createElement('div');
+      radioContainer.className = 'radio-option';
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'mutedContentMode';
+      input.id = `muted-${option.id}`;
+      input.value = option.id;
+      input.checked = this.mutedContentMode === option.id;
+
+      const label = document.createElement('label');
+      label.htmlFor = `muted-${option.id}`;
+
+      const labelText = document.createElement('span');
+      labelText.className = 'option-label';
+      labelText.textContent = option.label;
+      label.appendChild(labelText);
+
+      const labelDescription = document.createElement('span');
+      labelDescription.className = 'option-description';
+      labelDescription.textContent = option.description;
+      label.appendChild(labelDescription);
+
+      radioContainer.appendChild(input);
+      radioContainer.appendChild(label);
+      optionsContainer.appendChild(radioContainer);
+    });
+
+    section.appendChild(optionsContainer);
+
+    if (authService.getCurrentUser()) {
+      const manageLink = document.createElement('a');
+      manageLink.href = '/muted';
+      manageLink.className = 'secondary-btn manage-muted-link';
+      manageLink.textContent = 'Manage muted users';
+      section.appendChild(manageLink);
+    }
+
+    return section;
+  }
+
+  getSelectedMutedContentMode() {
+    const selected = this.container.querySelector('input[name="mutedContentMode"]:checked');
+    return selected ? selected.value : 'hide';
+  }
+
+  createNsfwContentSection() {
+    const section = document.createElement('section');
+    section.className = 'settings-section nsfw-content-settings';
+
+    const sectionTitle = document.createElement('h2');
+    sectionTitle.textContent = 'NSFW Content';
+    section.appendChild(sectionTitle);
+
+    const description = document.createElement('p');
+    description.textContent = 'Choose how posts tagged nsfw, labelled NSFW by their author or published in NSFW communities are displayed.';
+    section.appendChild(description);
+
+    const options = [
+      { id: 'hide', label: 'Hide', description: 'Leave them out of post lists' },
+      { id: 'blur', label: 'Blur', description: 'Blur images and text until you click to reveal them' },
+      { id: 'show', label: 'Show', description: 'Display them like any other post' }
+    ];
+
+    const optionsContainer = document.createElement('div');
+    optionsContainer.className = 'feed-options';
+
+    options.forEach(option => {
+      const radioContainer = document.createElement('div');
+      radioContainer.className = 'radio-option';
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'nsfwContentMode';
+      input.id = `nsfw-${option.id}`;
+      input.value = option.id;
+      input.checked = this.nsfwContentMode === option.id;
+
+      const label = document.createElement('label');
+      label.htmlFor = `nsfw-${option.id}`;
+
+      const labelText = document.createElement('span');
+      labelText.className = 'option-label';
+      labelText.textContent = option.label;
+      label.appendChild(labelText);
+
+      const labelDescription = document.createElement('span');
+      labelDescription.className = 'option-description';
+      labelDescription.textContent = option.description;
+      label.appendChild(labelDescription);
+
+      radioContainer.appendChild(input);
+      radioContainer.appendChild(label);
+      optionsContainer.appendChild(radioContainer);
+    });
+
+    section.appendChild(optionsContainer);
+    return section;
+  }
+
+  getSelectedNsfwContentMode() {
+    const selected = this.container.querySelector('input[name="nsfwContentMode"]:checked');
+    return selected ? selected.value : 'blur';
+  }
+
+  createLowQualityContentSection() {
+    const section = document.createElement('section');
+    section.className = 'settings-section low-quality-settings';
+
+    const sectionTitle = document.createElement('h2');
+    sectionTitle.textContent = 'Low Quality Content';
+    section.appendChild(sectionTitle);
+
+    const description = document.createElement('p');
+    description.textContent = 'Choose how posts and comments from low reputation authors, or pushed below zero by downvotes, are displayed. Your own content is never affected.';
+    section.appendChild(description);
+
+    const options = [
+      { id: 'collapse', label: 'Collapse', description: 'Show a placeholder with a "Show anyway" button' },
+      { id: 'gray', label: 'Gray out', description: 'Show them faded until you point at them' },
+      { id: 'show', label: 'Show', description: 'Display them like any other content' }
+    ];
+
+    const optionsContainer = document.createElement('div');
+    optionsContainer.className = 'feed-options';
+
+    options.forEach(option => {
+      const radioContainer = document.createElement('div');
+      radioContainer.className = 'radio-option';
+
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'lowQualityMode';
+      input.id = `low-quality-${option.id}`;
+      input.value = option.id;
+      input.checked = this.lowQualityRules.mode === option.id;
+
+      const label = document.createElement('label');
+      label.htmlFor = `low-quality-${option.id}`;
+
+      const labelText = document.createElement('span');
+      labelText.className = 'option-label';
+      labelText.textContent = option.label;
+      label.appendChild(labelText);
+
+      const labelDescription = document.createElement('span');
+      labelDescription.className = 'option-description';
+      labelDescription.textContent = option.description;
+      label.appendChild(labelDescription);
+
+      radioContainer.appendChild(input);
+      radioContainer.appendChild(label);
+      optionsContainer.appendChild(radioContainer);
+    });
+
+    section.appendChild(optionsContainer);
+
+    const thresholds = document.createElement('div');
+    thresholds.className = 'low-quality-thresholds';
+
+    const reputationLabel = document.createElement('label');
+    reputationLabel.htmlFor = 'low-quality-min-reputation';
+    reputationLabel.textContent = 'Minimum author reputation';
+
+    const reputationInput = document.createElement('input');
+    reputationInput.type = 'number';
+    reputationInput.id = 'low-quality-min-reputation';
+    reputationInput.min = '0';
+    reputationInput.max = '100';
+    reputationInput.step = '1';
+    reputationInput.value = this.lowQualityRules.minReputation;
+    reputationLabel.appendChild(reputationInput);
+    thresholds.appendChild(reputationLabel);
+
+    const reputationHelp = document.createElement('small');
+    reputationHelp.textContent = 'Authors below 25 have a negative reputation. New accounts start at 25.';
+    thresholds.appendChild(reputationHelp);
+
+    const downvotedLabel = document.createElement('label');
+    downvotedLabel.htmlFor = 'low-quality-downvoted';
+
+    const downvotedInput = document.createElement('input');
+    downvotedInput.type = 'checkbox';
+    downvotedInput.id = 'low-quality-downvoted';
+    downvotedInput.checked = this.lowQualityRules.includeDownvoted;
+    downvotedLabel.appendChild(downvotedInput);
+    downvotedLabel.appendChild(document.createTextNode('Also apply to content with a negative vote total'));
+    thresholds.appendChild(downvotedLabel);
+
+    section.appendChild(thresholds);
+    return section;
+  }
+
+  getLowQualityRulesFromForm() {
+    const selected = this.container.querySelector('input[name="lowQualityMode"]:checked');
+    return {
+      mode: selected ? selected.value : 'collapse',
+      minReputation: this.container.querySelector('#low-quality-min-reputation').value,
+      includeDownvoted: this.container.querySelector('#low-quality-downvoted').checked
+    };
+  }
+
   createPreferredTagsSection() {
     const section = document.createElement('section');
     section.className = 'settings-section preferred-tags-settings';
@@ -390,6 +665,9 @@ class SettingsView extends View {
     
     // Save home view mode after tag validation
     userPreferencesService.setHomeViewMode(homeViewMode);
+    userPreferencesService.setMutedContentMode(this.getSelectedMutedContentMode());
+    userPreferencesService.setNsfwContentMode(this.getSelectedNsfwContentMode());
+    userPreferencesService.setLowQualityRules(this.getLowQualityRulesFromForm());
     
     // Emit event for views to update
     eventEmitter.emit('user:preferences:updated');
@@ -446,6 +724,26 @@ class SettingsView extends View {
     if (searchResults) {
       searchResults.style.display = 'none';
     }
+
+    if (this.rpcNodeSettings) {
+      this.rpcNodeSettings.destroy();
+      this.rpcNodeSettings = null;
+    }
+
+    if (this.cacheSettings) {
+      this.cacheSettings.destroy();
+      this.cacheSettings = null;
+    }
+
+    if (this.signingRulesSettings) {
+      this.signingRulesSettings.destroy();
+      this.signingRulesSettings = null;
+    }
+
+    if (this.customFeedsSettings) {
+      this.customFeedsSettings.destroy();
+      this.customFeedsSettings = null;
+    }
   }
 
 createAppInfoSection() {
@@ -0,0 +1,448 @@
+import View from './View.js';
+import governanceService from '../services/GovernanceService.js';
+import authService from '../services/AuthService.js';
+import LoadingIndicator from '../components/LoadingIndicator.js';
+
+/**
+ * View listing witnesses by rank, with witness voting and proxy management
+ */
+class WitnessesView extends View {
+  constructor(params = {}) {
+    super(params);
+    this.title = 'Witnesses | cur8.fun';
+    this.currentUser = authService.getCurrentUser();
+    this.loadingIndicator = new LoadingIndicator();
+    this.witnesses = [];
+    this.governance = { witnessVotes: [], proxy: '' };
+    this.pendingWitnesses = new Set();
+    this.filter = '';
+  }
+
+  /**
+   * Render the witnesses view
+   * @param {HTMLElement} container - Container element to render into
+   */
+  async render(container) {
+    this.container = container;
+
+    while (this.container.firstChild) {
+      this.container.removeChild(this.container.firstChild);
+    }
+
+    const viewWrapper = document.createElement('div');
+    viewWrapper.className = 'witnesses-view';
+
+    const contentWrapper = document.createElement('div');
+    contentWrapper.className = 'content-wrapper';
+
+    const header = document.createElement('h1');
+    header.textContent = 'Witnesses';
+    contentWrapper.appendChild(header);
+
+    const description = document.createElement('p');
+    description.className = 'page-subtitle';
+    description.textContent = 'Witnesses produce blocks and decide on chain parameters. ' +
+      `Every account can vote for up to ${governanceService.MAX_WITNESS_VOTES} witnesses, ` +
+      'or let a trusted account vote on its behalf by setting a proxy.';
+    contentWrapper.appendChild(description);
+
+    this.governancePanel = document.createElement('div');
+    this.governancePanel.className = 'governance-panel';
+    contentWrapper.appendChild(this.governancePanel);
+
+    const filterInput = document.createElement('input');
+    filterInput.type = 'search';
+    filterInput.className = 'witness-filter-input';
+    filterInput.placeholder = 'Filter witnesses...';
+    filterInput.addEventListener('input', () => {
+      this.filter = filterInput.value.trim().toLowerCase();
+      this.renderWitnessList();
+    });
+    contentWrapper.appendChild(filterInput);
+
+    this.listContainer = document.createElement('div');
+    this.listContainer.className = 'witness-list-container';
+    contentWrapper.appendChild(this.listContainer);
+
+    viewWrapper.appendChild(contentWrapper);
+    this.container.appendChild(viewWrapper);
+
+    this.loadingIndicator.show(this.listContainer);
+
+    try {
+      const [witnesses, governance] = await Promise.all([
+        governanceService.getWitnesses(),
+        this.currentUser
+          ? governanceService.getAccountGovernance(this.currentUser.username)
+          : Promise.resolve(this.governance)
+      ]);
+      this.witnesses = witnesses;
+      this.governance = governance;
+    } catch (error) {
+      console.error('Failed to load witnesses:', error);
+      this.loadingIndicator.hide();
+      this.listContainer.innerHTML = '';
+      const errorState = document.createElement('div');
+      errorState.className = 'witness-error';
+      errorState.textContent = 'Failed to load witnesses. Please try again later.';
+      this.listContainer.appendChild(errorState);
+      return;
+    }
+
+    this.loadingIndicator.hide();
+    this.renderGovernancePanel();
+    this.renderWitnessList();
+  }
+
+  hasProxy() {
+    return !!this.governance.proxy;
+  }
+
+  renderGovernancePanel() {
+    const panel = this.governancePanel;
+    panel.innerHTML = '';
+
+    if (!this.currentUser) {
+      const loginNote = document.createElement('p');
+      loginNote.className = 'governance-note';
+      loginNote.innerHTML = '<a href="/login">Log in</a> to vote for witnesses.';
+      panel.appendChild(loginNote);
+      return;
+    }
+
+    panel.appendChild(this.createProxySection());
+
+    if (this.hasProxy()) {
+      // Votes of a proxied account are ignored by the chain, nothing else to manage here
+      return;
+    }
+
+    const votesHeader = document.createElement('h3');
+    votesHeader.textContent = `Your votes (${this.governance.witnessVotes.length}/${governanceService.MAX_WITNESS_VOTES})`;
+    panel.appendChild(votesHeader);
+
+    const votesList = document.createElement('div');
+    votesList.className = 'witness-votes-list';
+
+    if (this.governance.witnessVotes.length === 0) {
+      const emptyState = document.createElement('span');
+      emptyState.className = 'governance-note';
+      emptyState.textContent = 'You have not voted for any witness yet.';
+      votesList.appendChild(emptyState);
+    }
+
+    this.governance.witnessVotes.forEach(witness => {
+      const pill = document.createElement('span');
+      pill.className = 'witness-vote-pill';
+
+      const link = document.createElement('a');
+      link.href = `/@${witness}`;
+      link.textContent = `@${witness}`;
+      pill.appendChild(link);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'witness-vote-remove';
+      removeBtn.title = `Remove vote for @${witness}`;
+      removeBtn.innerHTML = '<span class="material-icons">close</span>';
+      removeBtn.disabled = this.pendingWitnesses.has(witness);
+      removeBtn.addEventListener('click', () => this.toggleVote(witness, false));
+      pill.appendChild(removeBtn);
+
+      votesList.appendChild(pill);
+    });
+
+    panel.appendChild(votesList);
+    panel.appendChild(this.createVoteByNameForm());
+  }
+
+  createProxySection() {
+    const section = document.createElement('div');
+    section.className = 'proxy-section';
+
+    if (this.hasProxy()) {
+      const proxyInfo = document.createElement('p');
+      proxyInfo.className = 'proxy-info';
+      proxyInfo.innerHTML = 'Your governance votes are proxied to ' +
+        `<a href="/@${this.governance.proxy}">@${this.governance.proxy}</a>. ` +
+        'Clear the proxy to vote for witnesses yourself.';
+      section.appendChild(proxyInfo);
+
+      const clearBtn = document.createElement('button');
+      clearBtn.className = 'secondary-btn';
+      clearBtn.textContent = 'Clear proxy';
+      clearBtn.addEventListener('click', () => this.updateProxy('', clearBtn));
+      section.appendChild(clearBtn);
+      return section;
+    }
+
+    const form = document.createElement('form');
+    form.className = 'governance-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'governance-input';
+    input.placeholder = 'Proxy account';
+    input.autocomplete = 'off';
+    form.appendChild(input);
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'secondary-btn';
+    submitBtn.textContent = 'Set proxy';
+    form.appendChild(submitBtn);
+
+    const note = document.createElement('small');
+    note.className = 'governance-note';
+    note.textContent = 'A proxy votes for witnesses and proposals on your behalf and replaces your own votes.';
+    form.appendChild(note);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!input.value.trim()) return;
+      this.updateProxy(input.value, submitBtn);
+    });
+
+    section.appendChild(form);
+    return section;
+  }
+
+  createVoteByNameForm() {
+    const form = document.createElement('form');
+    form.className = 'governance-form';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'governance-input';
+    input.placeholder = 'Vote for a witness by name';
+    input.autocomplete = 'off';
+    form.appendChild(input);
+
+    const submitBtn = document.createElement('button');
+    submitBtn.type = 'submit';
+    submitBtn.className = 'primary-btn';
+    submitBtn.textContent = 'Vote';
+    form.appendChild(submitBtn);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const witness = input.value.trim().replace(/^@/, '').toLowerCase();
+      if (!witness) return;
+      this.toggleVote(witness, true).then(voted => {
+        if (voted) input.value = '';
+      });
+    });
+
+    return form;
+  }
+
+  renderWitnessList() {
+    if (!this.listContainer || this.witnesses.length === 0) return;
+    this.listContainer.innerHTML = '';
+
+    const witnesses = this.filter
+      ? this.witnesses.filter(witness => witness.owner.includes(this.filter))
+      : this.witnesses;
+
+    if (witnesses.length === 0) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'witness-empty';
+      emptyState.textContent = 'No witnesses match your filter.';
+      this.listContainer.appendChild(emptyState);
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'witness-table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    ['#', 'Witness', 'Votes', 'Version', 'Price feed', 'Missed', 'Last block', ''].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    witnesses.forEach(witness => tbody.appendChild(this.createWitnessRow(witness)));
+    table.appendChild(tbody);
+
+    this.listContainer.appendChild(table);
+  }
+
+  createWitnessRow(witness) {
+    const row = document.createElement('tr');
+    row.className = 'witness-row';
+    if (witness.disabled) {
+      row.classList.add('disabled');
+    }
+
+    const rankCell = document.createElement('td');
+    rankCell.className = 'witness-rank';
+    rankCell.textContent = witness.rank;
+    row.appendChild(rankCell);
+
+    const nameCell = document.createElement('td');
+    nameCell.className = 'witness-name';
+    const link = document.createElement('a');
+    link.href = `/@${witness.owner}`;
+    link.textContent = witness.owner;
+    nameCell.appendChild(link);
+    if (witness.disabled) {
+      const badge = document.createElement('span');
+      badge.className = 'witness-badge';
+      badge.textContent = 'Disabled';
+      nameCell.appendChild(badge);
+    }
+    if (witness.url && /^https?:\/\//.test(witness.url)) {
+      const infoLink = document.createElement('a');
+      infoLink.href = witness.url;
+      infoLink.target = '_blank';
+      infoLink.rel = 'noopener noreferrer';
+      infoLink.className = 'witness-url';
+      infoLink.title = 'Witness announcement';
+      infoLink.innerHTML = '<span class="material-icons">open_in_new</span>';
+      nameCell.appendChild(infoLink);
+    }
+    row.appendChild(nameCell);
+
+    const votesCell = document.createElement('td');
+    votesCell.textContent = this.formatSp(witness.votesSp);
+    row.appendChild(votesCell);
+
+    const versionCell = document.createElement('td');
+    versionCell.textContent = witness.version;
+    row.appendChild(versionCell);
+
+    const feedCell = document.createElement('td');
+    feedCell.textContent = witness.priceFeed > 0 ? `$${witness.priceFeed.toFixed(3)}` : '—';
+    feedCell.title = `Updated ${witness.lastFeedUpdate.toLocaleString()}`;
+    // A feed older than a day is no longer trustworthy
+    if (Date.now() - witness.lastFeedUpdate.getTime() > 24 * 60 * 60 * 1000) {
+      feedCell.classList.add('stale');
+    }
+    row.appendChild(feedCell);
+
+    const missedCell = document.createElement('td');
+    missedCell.textContent = witness.missedBlocks.toLocaleString();
+    row.appendChild(missedCell);
+
+    const blockCell = document.createElement('td');
+    blockCell.textContent = witness.lastConfirmedBlock.toLocaleString();
+    row.appendChild(blockCell);
+
+    const actionCell = document.createElement('td');
+    actionCell.appendChild(this.createVoteButton(witness.owner));
+    row.appendChild(actionCell);
+
+    return row;
+  }
+
+  createVoteButton(witness) {
+    const voted = this.governance.witnessVotes.includes(witness);
+    const button = document.createElement('button');
+    button.className = `witness-vote-btn${voted ? ' voted' : ''}`;
+    button.title = voted ? 'Remove vote' : 'Vote';
+    button.innerHTML = `<span class="material-icons">${voted ? 'check_circle' : 'how_to_vote'}</span>`;
+    button.disabled = !this.currentUser || this.hasProxy() || this.pendingWitnesses.has(witness);
+    button.addEventListener('click', () => this.toggleVote(witness, !voted));
+    return button;
+  }
+
+  formatSp(value) {
+    if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M SP`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K SP`;
+    return `${value.toFixed(0)} SP`;
+  }
+
+  /**
+   * Vote or unvote a witness and refresh the affected UI
+   * @param {string} witness - Witness account
+   * @param {boolean} approve - True to vote, false to remove the vote
+   * @returns {Promise<boolean>} True when the operation went through
+   */
+  async toggleVote(witness, approve) {
+    const votes = this.governance.witnessVotes;
+
+    if (approve && votes.includes(witness)) {
+      this.emit('notification', { type: 'info', message: `You already vote for @${witness}`, duration: 3000 });
+      return false;
+    }
+
+    if (approve && votes.length >= governanceService.MAX_WITNESS_VOTES) {
+      this.emit('notification', {
+        type: 'warning',
+        message: `You can vote for at most ${governanceService.MAX_WITNESS_VOTES} witnesses. Remove a vote first.`,
+        duration: 4000
+      });
+      return false;
+    }
+
+    this.pendingWitnesses.add(witness);
+    this.refresh();
+
+    try {
+      await governanceService.voteWitness(witness, approve);
+
+      this.governance.witnessVotes = approve
+        ? [...votes, witness].sort()
+        : votes.filter(name => name !== witness);
+
+      this.emit('notification', {
+        type: 'success',
+        message: approve ? `Voted for @${witness}` : `Vote for @${witness} removed`,
+        duration: 3000
+      });
+      return true;
+    } catch (error) {
+      console.error('Witness vote failed:', error);
+      this.emit('notification', {
+        type: 'error',
+        message: error.message || 'Witness vote failed',
+        duration: 4000
+      });
+      return false;
+    } finally {
+      this.pendingWitnesses.delete(witness);
+      this.refresh();
+    }
+  }
+
+  async updateProxy(proxy, button) {
+    button.disabled = true;
+
+    try {
+      await governanceService.setProxy(proxy);
+      const proxyName = proxy.trim().replace(/^@/, '').toLowerCase();
+      this.governance.proxy = proxyName;
+      if (proxyName) {
+        // Setting a proxy clears the account's own witness votes on chain
+        this.governance.witnessVotes = [];
+      }
+
+      this.emit('notification', {
+        type: 'success',
+        message: proxyName ? `Proxy set to @${proxyName}` : 'Proxy cleared',
+        duration: 3000
+      });
+    } catch (error) {
+      console.error('Proxy update failed:', error);
+      this.emit('notification', {
+        type: 'error',
+        message: error.message || 'Proxy update failed',
+        duration: 4000
+      });
+    } finally {
+      button.disabled = false;
+      this.refresh();
+    }
+  }
+
+  refresh() {
+    this.renderGovernancePanel();
+    this.renderWitnessList();
+  }
+}
+
+export default WitnessesView;